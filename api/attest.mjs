@@ -0,0 +1,330 @@
+// Vercel Serverless Function: /api/attest
+// Server-side score attestation before an on-chain WEEKLY_ADD commit.
+//
+// The client sends the replays (seed + input log) of the runs that fed its Bank.
+// We re-simulate every run headlessly with the same engine the game uses
+// (src/engine.js) and sign the deposit amount only if those runs actually earned it.
+//
+// POST { address, weekStart, points, runs: [replay, ...] }
+//  -> { ok: true, attestation: { address, weekStart, points, issuedAt, sig }, earned, ... }
+//
+// Env:
+// - ATTEST_SIGNING_KEY (required in production; see lib/attestation.js)
+// - ATTEST_BONUS_ALLOWANCE: extra points per address per UTC day on top of replayed runs (share rewards),
+//   never more per request than the request's verified runs earned.
+// - ATTEST_DAILY_TICKS: ticks of verified runs per address per UTC day (default 8 h of play);
+//   only runs that replay correctly are charged, and runs past it are rejected as
+//   "daily-budget" before they are simulated.
+// - Storage (lib/store.js): remembers attested runs + the per-day allowances across instances.
+//
+// Boosts come from the client's schedule (computeBoost in src/economy.js: one 5 min window,
+// then 2-6 h until the next), so a run may only be boosted for one window and an address for
+// BOOST_WINDOWS_PER_DAY windows a day.
+
+import { REPLAY_VERSION, SUPPORTED_REPLAY_VERSIONS, COIN_POINTS, GAME_MODES, verifyReplay } from "../src/engine.js";
+import attestation from "../lib/attestation.js";
+import storeLib from "../lib/store.js";
+
+const { getSigningKey, signAttestation } = attestation;
+const { getStore } = storeLib;
+
+// Tunables
+const MAX_RUNS_PER_REQUEST = 40;
+const MAX_TICKS_PER_RUN = 60 * 60 * 30; // 30 min of play at 60 ticks/s
+const MAX_TICKS_PER_REQUEST = 60 * 60 * 90;
+const BONUS_ALLOWANCE = Number(process.env.ATTEST_BONUS_ALLOWANCE || 10 * 10000); // per UTC day (SHARE_MAX * SHARE_REWARD_POINTS)
+const TICKS_PER_DAY = Number(process.env.ATTEST_DAILY_TICKS || 60 * 60 * 60 * 8);
+const BOOST_MULT = 1.25;
+const BOOST_WINDOW_TICKS = 60 * 60 * 5; // 5 min
+const BOOST_WINDOWS_PER_DAY = 12; // at least 2 h apart
+const SEEN_RUN_TTL_SECONDS = 60 * 60 * 24 * 21; // 3 weeks
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const KV_PREFIX = "lanerunner:attest:v1";
+// Replays from older engine versions are only runs banked before the last REPLAY_VERSION
+// bump; they are accepted for this long after the server first saw the current version.
+const LEGACY_REPLAY_GRACE_MS = ONE_WEEK_MS;
+
+const runKey = (address, seed) => `${KV_PREFIX}:run:${address}:${seed}`;
+
+async function claimRun(address, seed) {
+  const ok = await getStore().set(runKey(address, seed), "1", { nx: true, ex: SEEN_RUN_TTL_SECONDS });
+  return ok === "OK" || ok === true;
+}
+
+async function isRunAttested(address, seed) {
+  return (await getStore().get(runKey(address, seed))) != null;
+}
+
+async function acceptsLegacyReplays(now = Date.now()) {
+  const store = getStore();
+  const key = `${KV_PREFIX}:version-since:${REPLAY_VERSION}`;
+  await store.set(key, String(now), { nx: true });
+  const since = Number(await store.get(key)) || now;
+  return now - since < LEGACY_REPLAY_GRACE_MS;
+}
+
+const dailyKey = (kind, address) => `${KV_PREFIX}:${kind}:${address}:${new Date().toISOString().slice(0, 10)}`;
+
+// Takes up to `wanted` from an address's daily allowance `kind`. => the amount granted
+async function consumeDaily(kind, address, wanted, limit) {
+  if (wanted <= 0 || limit <= 0) return 0;
+  const store = getStore();
+  const key = dailyKey(kind, address);
+  const used = await store.incrby(key, wanted);
+  await store.expire(key, 60 * 60 * 48);
+  const over = Math.max(0, used - limit);
+  if (over > 0) await store.incrby(key, -Math.min(over, wanted));
+  return Math.max(0, wanted - over);
+}
+
+// All-or-nothing version of consumeDaily. => true when all of `amount` was reserved
+async function reserveDaily(kind, address, amount, limit) {
+  if (amount <= 0) return true;
+  const granted = await consumeDaily(kind, address, amount, limit);
+  if (granted === amount) return true;
+  if (granted > 0) await getStore().incrby(dailyKey(kind, address), -granted);
+  return false;
+}
+
+async function releaseDaily(kind, address, amount) {
+  if (amount > 0) await getStore().incrby(dailyKey(kind, address), -amount);
+}
+
+// What an address already used of its daily allowance `kind` (read-only).
+async function usedDaily(kind, address) {
+  return Number(await getStore().get(dailyKey(kind, address))) || 0;
+}
+
+// Share rewards can't be replayed, so they get a fixed daily allowance per address, and a
+// request gets at most as much bonus as its verified runs earned: no bonus without play.
+function consumeBonus(address, wanted, verifiedPoints) {
+  return consumeDaily("bonus", address, Math.min(wanted, verifiedPoints), BONUS_ALLOWANCE);
+}
+
+// Ticks of the replay played at BOOST_MULT.
+function boostedTicks(r) {
+  let total = 0;
+  r.boosts.forEach(([tick, mult], i) => {
+    if (mult !== BOOST_MULT) return;
+    const end = i + 1 < r.boosts.length ? r.boosts[i + 1][0] : r.ticks;
+    total += Math.max(0, Math.min(end, r.ticks) - tick);
+  });
+  return total;
+}
+
+async function readJsonBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (typeof req.body === "string" && req.body) return JSON.parse(req.body);
+  const raw = await new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+  return raw ? JSON.parse(raw) : {};
+}
+
+function weekStartUtcMs(now = Date.now()) {
+  const d = new Date(now);
+  const day = d.getUTCDay(); // 0=Sun
+  const diffToMon = (day + 6) % 7; // Mon=0
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - diffToMon, 0, 0, 0, 0);
+}
+
+const isInt = (n) => Number.isSafeInteger(n) && n >= 0;
+
+// Daily challenge runs must be from a day of the last two weeks (UTC), never the future.
+function isRecentDay(day, now = Date.now()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(day))) return false;
+  const t = Date.parse(`${day}T00:00:00Z`);
+  return Number.isFinite(t) && t <= now && t >= weekStartUtcMs(now) - ONE_WEEK_MS;
+}
+
+// Shape check only; the replay itself decides whether the run is genuine.
+// Also used by /api/daily for daily challenge runs. Only REPLAY_VERSION is accepted unless
+// `legacy` allows the older SUPPORTED_REPLAY_VERSIONS too.
+export function isReplayWellFormed(r, { legacy = false } = {}) {
+  if (!r || typeof r !== "object") return false;
+  if (r.v !== REPLAY_VERSION && !(legacy && SUPPORTED_REPLAY_VERSIONS.includes(r.v))) return false;
+  if (!isInt(r.seed) || r.seed > 0xffffffff) return false;
+  if (!r.geo || !(r.geo.w >= 240 && r.geo.w <= 4000) || !(r.geo.h >= 320 && r.geo.h <= 4000)) return false;
+  if (!isInt(r.ticks) || r.ticks > MAX_TICKS_PER_RUN) return false;
+  // Replays from before game modes have no mode (endless).
+  if (r.mode != null && !Object.prototype.hasOwnProperty.call(GAME_MODES, r.mode)) return false;
+  if (r.mode === "daily" ? !isRecentDay(r.day) : r.day != null) return false;
+  if (r.track != null && !(isInt(r.track) && r.track <= 0xffffffff)) return false;
+
+  const inputs = Array.isArray(r.inputs) ? r.inputs : null;
+  const boosts = Array.isArray(r.boosts) ? r.boosts : null;
+  const saves = Array.isArray(r.saves) ? r.saves : null;
+  if (!inputs || !boosts || !saves) return false;
+
+  let last = 0;
+  for (const x of inputs) {
+    if (!Array.isArray(x) || !isInt(x[0]) || x[0] < last || (x[1] !== 1 && x[1] !== -1)) return false;
+    last = x[0];
+  }
+  last = 0;
+  for (const x of boosts) {
+    if (!Array.isArray(x) || !isInt(x[0]) || x[0] < last || (x[1] !== 1 && x[1] !== BOOST_MULT)) return false;
+    last = x[0];
+  }
+  if (boostedTicks(r) > BOOST_WINDOW_TICKS) return false;
+  last = 0;
+  for (const t of saves) {
+    if (!isInt(t) || t < last) return false;
+    last = t;
+  }
+  return true;
+}
+
+// Re-simulate one run. Returns null when the replay doesn't reproduce itself (tampered log).
+function verifyRun(replay) {
+  const run = verifyReplay(replay);
+  if (!run) return null;
+  return {
+    seed: replay.seed,
+    points: Math.floor(run.savedScore),
+    coins: run.coinsCollected
+  };
+}
+
+function send(res, status, body) {
+  res.setHeader("content-type", "application/json");
+  res.setHeader("cache-control", "no-store");
+  return res.status(status).send(JSON.stringify(body));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return send(res, 405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  const key = getSigningKey();
+  if (!key) {
+    return send(res, 503, { ok: false, error: "Attestation is not configured (ATTEST_SIGNING_KEY missing)." });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (_) {
+    return send(res, 400, { ok: false, error: "Invalid JSON body" });
+  }
+
+  const address = String(body?.address || "").trim().toLowerCase();
+  if (!/^0x[0-9a-f]{40}$/.test(address)) {
+    return send(res, 400, { ok: false, error: "Invalid address" });
+  }
+
+  const weekStart = Number(body?.weekStart);
+  const curWeek = weekStartUtcMs();
+  // Allow the previous week too, so a deposit started right before rollover still verifies.
+  if (weekStart !== curWeek && weekStart !== curWeek - ONE_WEEK_MS) {
+    return send(res, 400, { ok: false, error: "weekStart is not the current week" });
+  }
+
+  const requested = Math.floor(Number(body?.points));
+  if (!isInt(requested) || requested <= 0) {
+    return send(res, 400, { ok: false, error: "Invalid points" });
+  }
+
+  const runs = Array.isArray(body?.runs) ? body.runs : [];
+  if (runs.length > MAX_RUNS_PER_REQUEST) {
+    return send(res, 400, { ok: false, error: `Too many runs (max ${MAX_RUNS_PER_REQUEST})` });
+  }
+
+  let totalTicks = 0;
+  const rejected = [];
+  const verified = [];
+  const seeds = new Set();
+  const legacy = await acceptsLegacyReplays();
+  // Read-only pre-check, so an exhausted budget skips the simulation. Ticks are only charged
+  // below, for runs that verified: replays anyone can send for an address can't use up its budget.
+  const ticksLeft = TICKS_PER_DAY - (await usedDaily("ticks", address));
+
+  for (const r of runs) {
+    if (!isReplayWellFormed(r, { legacy })) {
+      rejected.push({ seed: r?.seed ?? null, reason: "malformed" });
+      continue;
+    }
+    if (seeds.has(r.seed)) {
+      rejected.push({ seed: r.seed, reason: "duplicate" });
+      continue;
+    }
+    // Runs resent after an earlier attestation aren't simulated (or charged) again.
+    if (await isRunAttested(address, r.seed)) {
+      rejected.push({ seed: r.seed, reason: "already-attested" });
+      continue;
+    }
+    if (totalTicks + r.ticks > MAX_TICKS_PER_REQUEST) {
+      rejected.push({ seed: r.seed, reason: "over-budget" });
+      continue;
+    }
+    if (totalTicks + r.ticks > ticksLeft) {
+      rejected.push({ seed: r.seed, reason: "daily-budget" });
+      continue;
+    }
+    totalTicks += r.ticks;
+    seeds.add(r.seed);
+
+    const v = verifyRun(r);
+    if (!v) {
+      rejected.push({ seed: r.seed, reason: "replay-mismatch" });
+      continue;
+    }
+    verified.push({ ...v, ticks: r.ticks, boosted: boostedTicks(r) });
+  }
+
+  // Charge and claim runs only once they verified, so a bad request can't burn a good run
+  // or the budget; whatever was reserved for a run that isn't counted is given back.
+  const counted = [];
+  for (const v of verified) {
+    let ticks = 0;
+    let boost = 0;
+    try {
+      if (!(await reserveDaily("ticks", address, v.ticks, TICKS_PER_DAY))) {
+        rejected.push({ seed: v.seed, reason: "daily-budget" });
+        continue;
+      }
+      ticks = v.ticks;
+      if (!(await reserveDaily("boost", address, v.boosted, BOOST_WINDOW_TICKS * BOOST_WINDOWS_PER_DAY))) {
+        rejected.push({ seed: v.seed, reason: "boost-over-budget" });
+        continue;
+      }
+      boost = v.boosted;
+      if (await claimRun(address, v.seed)) {
+        counted.push(v);
+        ticks = boost = 0;
+      } else {
+        rejected.push({ seed: v.seed, reason: "already-attested" });
+      }
+    } finally {
+      await releaseDaily("ticks", address, ticks);
+      await releaseDaily("boost", address, boost);
+    }
+  }
+
+  const runPoints = counted.reduce((a, v) => a + v.points, 0);
+  const coinPoints = counted.reduce((a, v) => a + v.coins, 0) * COIN_POINTS;
+  const bonus = await consumeBonus(address, requested - runPoints - coinPoints, runPoints + coinPoints);
+  const earned = runPoints + coinPoints + bonus;
+  const points = Math.min(requested, earned);
+
+  if (points <= 0) {
+    return send(res, 422, { ok: false, error: "No verifiable points", earned, rejected });
+  }
+
+  const fields = { address, points, weekStart, issuedAt: Date.now() };
+  const sig = signAttestation(fields, key);
+
+  return send(res, 200, {
+    ok: true,
+    attestation: { ...fields, sig },
+    requested,
+    earned,
+    bonus,
+    runs: { counted: counted.length, rejected }
+  });
+}
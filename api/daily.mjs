@@ -0,0 +1,132 @@
+// Vercel Serverless Function: /api/daily
+// Daily challenge: everyone races the same track once per UTC day (see lib/daily.js).
+//
+// GET  -> { ok, day, seed, endsAt, mode: "daily" }   today's track seed
+// POST { address, replay, signature }
+//      -> { ok, day, score, best, improved, rank, players }
+//      `signature` is the wallet's personal_sign over dailyClaimMessage(day, runHash) from
+//      src/engine.js, where runHash is the 0x-hex SHA-256 of replayFingerprint(replay); it
+//      proves the address posts its own run. The replay is re-simulated like /api/attest
+//      does, and each run (fingerprint) is counted once, for one address. Only the address's
+//      best run of the day is kept on the daily board (board=daily in /api/leaderboard).
+//
+// Env:
+// - DAILY_SEED_KEY (optional): keeps upcoming tracks secret, see lib/daily.js
+// - RPC_URL / RPC_URLS: smart-wallet signatures are checked on Base (lib/wallet-signature.js)
+// - Storage (lib/store.js): the daily boards live next to the weekly ones.
+
+import crypto from "crypto";
+import {
+  REPLAY_VERSION,
+  verifyReplay,
+  runTotalScore,
+  replayFingerprint,
+  dailyClaimMessage
+} from "../src/engine.js";
+import { isReplayWellFormed } from "./attest.mjs";
+import dailyLib from "../lib/daily.js";
+import storeLib from "../lib/store.js";
+import walletSignature from "../lib/wallet-signature.js";
+import leaderboard from "./leaderboard.js";
+
+const { utcDay, dayEndsAt, dailySeedFor, isOpenDay } = dailyLib;
+const { getStore } = storeLib;
+const { verifyWalletSignature } = walletSignature;
+const { recordDailyScore, resolveLogSource } = leaderboard;
+
+const KV_PREFIX = "lanerunner:daily:v1";
+const SEEN_RUN_TTL_SECONDS = 60 * 60 * 24 * 3; // longer than a day stays open
+
+function runHashOf(replay) {
+  return "0x" + crypto.createHash("sha256").update(replayFingerprint(replay)).digest("hex");
+}
+
+// One address per run: the first verified post owns it.
+async function claimDailyRun(runHash, address) {
+  const ok = await getStore().set(`${KV_PREFIX}:run:${runHash}`, address, { nx: true, ex: SEEN_RUN_TTL_SECONDS });
+  return ok === "OK" || ok === true;
+}
+
+async function readJsonBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (typeof req.body === "string" && req.body) return JSON.parse(req.body);
+  const raw = await new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+  return raw ? JSON.parse(raw) : {};
+}
+
+function send(res, status, body) {
+  res.setHeader("content-type", "application/json");
+  res.setHeader("cache-control", "no-store");
+  return res.status(status).send(JSON.stringify(body));
+}
+
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    const day = utcDay();
+    return send(res, 200, { ok: true, day, seed: dailySeedFor(day), endsAt: dayEndsAt(day), mode: "daily" });
+  }
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return send(res, 405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (_) {
+    return send(res, 400, { ok: false, error: "Invalid JSON body" });
+  }
+
+  const address = String(body?.address || "").trim().toLowerCase();
+  if (!/^0x[0-9a-f]{40}$/.test(address)) {
+    return send(res, 400, { ok: false, error: "Invalid address" });
+  }
+
+  const replay = body?.replay;
+  // Daily runs are posted as they end, so they always come from the current engine.
+  if (replay && replay.v !== REPLAY_VERSION) {
+    return send(res, 409, { ok: false, error: "Run is from an older game version; reload and play again" });
+  }
+  if (!isReplayWellFormed(replay) || replay.mode !== "daily") {
+    return send(res, 400, { ok: false, error: "Not a daily challenge replay" });
+  }
+  if (!isOpenDay(replay.day)) {
+    return send(res, 409, { ok: false, error: `The ${replay.day} challenge is closed` });
+  }
+  // Everyone races the published track; a run on any other track doesn't count.
+  if (replay.track !== dailySeedFor(replay.day)) {
+    return send(res, 409, { ok: false, error: "Run was not on today's track" });
+  }
+
+  const runHash = runHashOf(replay);
+  const signed = await verifyWalletSignature({
+    address,
+    message: dailyClaimMessage(replay.day, runHash),
+    signature: body?.signature,
+    rpcs: resolveLogSource().rpcs
+  });
+  if (!signed) {
+    return send(res, 401, { ok: false, error: "Missing or invalid wallet signature" });
+  }
+
+  const run = verifyReplay(replay);
+  if (!run) {
+    return send(res, 422, { ok: false, error: "Replay does not verify" });
+  }
+
+  try {
+    // Claimed only once it verified, so a bad request can't burn a good run.
+    if (!(await claimDailyRun(runHash, address))) {
+      return send(res, 409, { ok: false, error: "This run was already posted" });
+    }
+    const result = await recordDailyScore(replay.day, address, runTotalScore(run));
+    return send(res, 200, { ok: true, day: replay.day, ...result });
+  } catch (e) {
+    return send(res, 500, { ok: false, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,65 @@
+// Vercel Serverless Function: /api/deposits
+// Every WEEKLY_ADD one wallet committed, read from the contract logs (not from local counters),
+// so a player sees the same history and unlock progress on every device.
+//
+// GET /api/deposits?address=0x...[&refresh=1]
+//  -> { ok, address, deposits: [{ block, tx, logIndex, timestamp, points, countedPoints, weekStart, week, attested, sig, rejected }],
+//       totals: { count, points, countedPoints }, partial, fromBlock, toBlock }
+//
+// - countedPoints: what the indexer counts, i.e. points after the Bank decay between the
+//   attestation and the log (see decayedPoints in api/leaderboard.js)
+// - sig: the attestation signature the deposit carried (null for unattested commits); lets a
+//   client settle a deposit it lost track of
+// - rejected: indexer rejection reason (see /api/leaderboard meta.rejected) while it still tracks that week, else null
+// - partial: the scan didn't cover the whole history (RPC fallback window or time budget)
+//
+// Log source + decoding are shared with api/leaderboard.js.
+
+const { getStore, getJson, setJson } = require("../lib/store");
+const { resolveLogSource, listDeposits, MAX_SERVERLESS_MS } = require("./leaderboard");
+
+const KV_PREFIX = "lanerunner:deposits:v1"; // + address => last ledger
+const CACHE_TTL_SECONDS = 60;
+
+function send(res, status, body) {
+  res.setHeader("content-type", "application/json");
+  res.setHeader("cache-control", "no-store");
+  return res.status(status).send(JSON.stringify(body));
+}
+
+// Options as for createLeaderboardHandler (rpcs, explorerUrl, explorerApiKey).
+function createDepositsHandler(opts = {}) {
+  const source = resolveLogSource(opts);
+
+  return async function handler(req, res) {
+    if (req.method && req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return send(res, 405, { ok: false, error: "Method Not Allowed" });
+    }
+
+    const address = String(req.query.address || "").trim().toLowerCase();
+    if (!/^0x[0-9a-f]{40}$/.test(address)) {
+      return send(res, 400, { ok: false, error: "address must be a 0x-prefixed 20-byte hex address" });
+    }
+
+    const key = `${KV_PREFIX}:${address}`;
+    const refresh = String(req.query.refresh || "0") === "1";
+    if (!refresh) {
+      const cached = await getJson(getStore(), key).catch(() => null);
+      if (cached) return send(res, 200, { ...cached, cached: true });
+    }
+
+    try {
+      const ledger = await listDeposits(source, address, Date.now() + MAX_SERVERLESS_MS);
+      const payload = { ok: true, ...ledger, updatedAt: Date.now() };
+      // A partial scan is still useful to show, just not worth caching.
+      if (!ledger.partial) await setJson(getStore(), key, payload, CACHE_TTL_SECONDS).catch(() => {});
+      return send(res, 200, payload);
+    } catch (e) {
+      return send(res, 502, { ok: false, error: e?.message || String(e) });
+    }
+  };
+}
+
+module.exports = createDepositsHandler();
+module.exports.createDepositsHandler = createDepositsHandler;
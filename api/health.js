@@ -0,0 +1,114 @@
+// Vercel Serverless Function: /api/health
+// Self-check that the shared chain config (src/chain.js, used by the game, the indexer and
+// the paymaster policy) matches the contract that is actually deployed.
+//
+// Re-derives the hashes in src/chain.js (topic0 from the event signature, the action
+// bytes32s from their names, the indexed-topic layout), then reads CONTRACT's bytecode
+// (eth_getCode via RPC_URL): it must exist, dispatch logAction (PUSH4 selector) and emit
+// ActionLogged (PUSH32 topic0), so an address with no code or another ABI fails. Any
+// mismatch => HTTP 500 with the failing checks listed.
+//
+// Query:
+// - onchain=0: skip the bytecode checks (offline / CI)
+
+const { keccak_256 } = require("js-sha3");
+const chain = require("../src/chain.js");
+
+const RPC_TIMEOUT_MS = 5000;
+
+// "event Name(type [indexed] name, ...)" => { signature, indexed: [{ type, name }] }
+function parseEventAbi(abi) {
+  const m = /^event\s+(\w+)\s*\((.*)\)\s*$/.exec(String(abi || "").trim());
+  if (!m) return null;
+  const params = m[2]
+    .split(",")
+    .map((p) => p.trim().split(/\s+/))
+    .filter((parts) => parts[0]);
+  return {
+    signature: `${m[1]}(${params.map((parts) => parts[0]).join(",")})`,
+    indexed: params.filter((parts) => parts[1] === "indexed").map((parts) => ({ type: parts[0], name: parts[2] }))
+  };
+}
+
+async function getCode(url, address) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), RPC_TIMEOUT_MS);
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_getCode", params: [address, "latest"] }),
+      signal: ctrl.signal
+    });
+    const j = await r.json();
+    if (j.error) throw new Error(`RPC error: ${JSON.stringify(j.error)}`);
+    return String(j.result || "0x");
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+module.exports = async function handler(req, res) {
+  const checks = [];
+  const check = (name, ok, detail = {}) => checks.push({ name, ok: !!ok, ...detail });
+  const lc = (v) => String(v || "").toLowerCase();
+
+  const topic0 = "0x" + keccak_256(chain.ACTION_LOGGED_SIGNATURE);
+  check("topic0", topic0 === lc(chain.TOPIC0_ACTION_LOGGED), {
+    expected: topic0,
+    configured: chain.TOPIC0_ACTION_LOGGED
+  });
+
+  const ev = parseEventAbi(chain.ACTION_LOGGED_EVENT_ABI);
+  check("event-abi", ev && ev.signature === chain.ACTION_LOGGED_SIGNATURE, {
+    abi: chain.ACTION_LOGGED_EVENT_ABI,
+    derived: ev ? ev.signature : null,
+    configured: chain.ACTION_LOGGED_SIGNATURE
+  });
+  // The indexer reads the user from topics[1] and filters the action on topics[2].
+  const layout = ev ? ev.indexed.map((p) => p.type).join(",") : null;
+  check("event-topics", layout === "address,bytes32", { indexed: layout, expected: "address,bytes32" });
+
+  const action = chain.stringToBytes32Hex(chain.ACTION_WEEKLY_ADD_NAME);
+  check("action-bytes32", action === lc(chain.ACTION_WEEKLY_ADD), {
+    expected: action,
+    configured: chain.ACTION_WEEKLY_ADD
+  });
+  const garage = chain.stringToBytes32Hex(chain.ACTION_GARAGE_UNLOCK_NAME);
+  check("garage-action-bytes32", garage === lc(chain.ACTION_GARAGE_UNLOCK), {
+    expected: garage,
+    configured: chain.ACTION_GARAGE_UNLOCK
+  });
+  const achievement = chain.stringToBytes32Hex(chain.ACTION_ACHIEVEMENT_NAME);
+  check("achievement-action-bytes32", achievement === lc(chain.ACTION_ACHIEVEMENT), {
+    expected: achievement,
+    configured: chain.ACTION_ACHIEVEMENT
+  });
+
+  if (String(req.query?.onchain || "1") !== "0") {
+    const rpc = process.env.RPC_URL || "https://mainnet.base.org";
+    const selector = keccak_256(chain.LOG_ACTION_SIGNATURE).slice(0, 8);
+    try {
+      const code = lc(await getCode(rpc, chain.CONTRACT));
+      check("contract-code", code.length > 2, { rpc, bytes: Math.max(0, (code.length - 2) / 2) });
+      // Solidity dispatches on PUSH4 <selector> (0x63) and emits the event with PUSH32 <topic0> (0x7f).
+      check("contract-log-action", code.includes("63" + selector), { selector: "0x" + selector });
+      check("contract-event", code.includes("7f" + topic0.slice(2)), { topic0 });
+    } catch (e) {
+      check("contract-code", false, { rpc, error: e?.message || String(e) });
+    }
+  }
+
+  const ok = checks.every((c) => c.ok);
+  res.setHeader("content-type", "application/json");
+  res.setHeader("cache-control", "no-store");
+  return res.status(ok ? 200 : 500).send(
+    JSON.stringify({
+      ok,
+      chainId: chain.CHAIN_ID,
+      contract: chain.CONTRACT,
+      failed: checks.filter((c) => !c.ok).map((c) => c.name),
+      checks
+    })
+  );
+};
@@ -1,68 +1,70 @@
 // Vercel Serverless Function: /api/leaderboard
 // "Perfect" Leaderboard:
-// - Shows only: This Week + Last Week (no all-time).
+// - Live: This Week + Last Week, plus an all-time aggregate.
+// - History: every completed week is archived under its own KV key once it
+//   leaves the live window. Browse with /api/leaderboard?week=YYYY-MM-DD (Monday, UTC).
+// - Pages: ?offset=&limit= or ?around=<address>&radius=N over one board
+//   (board=weekly|lastWeek|allTime|daily, week=YYYY-MM-DD or day=YYYY-MM-DD). Served straight from the sorted sets.
+// - Daily challenge: best verified run score per address per UTC day, posted by /api/daily
+//   (not indexed from chain). board=daily is today's board; you.daily is the viewer's rank on it.
+// - Badges: ACHIEVEMENT logs (see src/achievements.js) are indexed into a per-player badge
+//   list, first unlock wins. ?address= adds you.badges; ?badges=1&address= returns only that.
+//   Unlocks are self-reported by the game, except deposit badges, which only count when the
+//   indexed WEEKLY_ADD logs back them (BADGE_CHECKS).
+// - Access: ?address= adds you.access { deposited, threshold, unlocked }, the address's
+//   all-time score; ?access=1&address= returns only that (LB_UNLOCK_THRESHOLD, default 10000).
+//   All-time counts deposits for any past week, not only the live ones: the scans add older
+//   weeks to it, and a history sweep works through the blocks before the first backfill
+//   (from LB_DEPOSITS_FROM_BLOCK) a bounded chunk per run, so no request scans the chain.
 // - Instant open via Vercel KV cache (if configured).
 // - Instant-ish updates via:
 //    * Manual refresh: /api/leaderboard?refresh=1
 //    * Optional Vercel Cron: /api/cron/leaderboard (updates in background schedule)
 // - Onchain source-of-truth remains: contract logs (eth_getLogs). Cache stores only derived totals.
+//   The contract is src/chain.js's CONTRACT (0x5B53…); the 0xB331… address older builds indexed
+//   is not read any more (README, "Contract").
 //
 // Env (recommended):
 // - Add Upstash Redis (Vercel Storage → Upstash → Upstash for Redis).
 //   Vercel will add env vars: UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN.
-//   If Upstash missing, falls back to in-memory cache.
+//   If Upstash missing, falls back to Vercel KV, then STORE_FILE (local JSON), then in-memory.
 // - Optional: NEYNAR_API_KEY for FC usernames (bulk; low cost).
+// - Optional plausibility limits for WEEKLY_ADD logs (rejected logs are listed in meta.rejected):
+//   LB_MAX_POINTS_PER_COMMIT, LB_MAX_COMMITS_PER_WEEK, LB_REQUIRE_ATTESTATION=1.
+//   Attestations (see /api/attest) are verified with ATTEST_SIGNING_KEY.
+// - Optional: LB_DEPOSITS_FROM_BLOCK (contract deploy block) to shorten /api/deposits scans
+//   and the all-time history sweep.
 
-const { keccak_256 } = require("js-sha3");
-
-// Optional KV store (Upstash preferred). Safe fallback if not configured.
-let store = null;
-try {
-  // eslint-disable-next-line import/no-extraneous-dependencies
-  const { Redis } = require("@upstash/redis");
-  if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
-    const redis = new Redis({
-      url: process.env.UPSTASH_REDIS_REST_URL,
-      token: process.env.UPSTASH_REDIS_REST_TOKEN
-    });
-    store = {
-      kind: "upstash",
-      get: (k) => redis.get(k),
-      set: (k, v, opts) => redis.set(k, v, opts),
-      del: (k) => redis.del(k)
-    };
-  }
-} catch (_) {
-  // ignore
-}
+const { getSigningKey, verifyAttestation } = require("../lib/attestation");
 
-// (Optional) Back-compat: if user has Vercel KV configured.
-if (!store) {
-  try {
-    // eslint-disable-next-line import/no-extraneous-dependencies
-    const kv = require("@vercel/kv").kv;
-    if (kv && process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
-      store = {
-        kind: "vercel-kv",
-        get: (k) => kv.get(k),
-        set: (k, v, opts) => kv.set(k, v, opts),
-        del: (k) => kv.del(k)
-      };
-    }
-  } catch (_) {
-    // ignore
-  }
-}
+// Shared storage (Upstash / Vercel KV / JSON file / memory), see lib/store.js.
+const { getStore, getJson, setJson, acquireLock, releaseLock } = require("../lib/store");
 
-const CONTRACT = "0xB331328F506f2D35125e367A190e914B1b6830cF".toLowerCase();
+// RPC failover uses the same upstream pool as the paymaster, see lib/rotation.js.
+const { sleep, isRateLimitish, createUpstreamPool, withUpstreams } = require("../lib/rotation");
 
-// ActionLogged(address indexed user, bytes payload, bytes32 action)
-const TOPIC0_ACTION_LOGGED =
-  "0x" + keccak_256("ActionLogged(address,bytes32,uint256,bytes)");
+// Contract + event layout shared with the client (src/chain.js); /api/health checks them on chain.
+const chain = require("../src/chain.js");
+
+const CONTRACT = chain.CONTRACT.toLowerCase();
+
+// ActionLogged(address indexed user, bytes32 indexed action, uint256 timestamp, bytes data)
+const TOPIC0_ACTION_LOGGED = chain.TOPIC0_ACTION_LOGGED;
 
 // bytes32("WEEKLY_ADD") padded to 32 bytes
-const TOPIC2_ACTION_WEEKLY_ADD =
-  "0x5745454b4c595f41444400000000000000000000000000000000000000000000";
+const TOPIC2_ACTION_WEEKLY_ADD = chain.ACTION_WEEKLY_ADD;
+
+// bytes32("ACHIEVEMENT"): badge unlocks, payload = abi.encode(bytes32 achievementId)
+const TOPIC2_ACTION_ACHIEVEMENT = chain.ACTION_ACHIEVEMENT;
+
+// Actions the indexer scans for (one getLogs per action on BaseScan, one OR filter on RPC).
+const INDEXED_ACTIONS = [TOPIC2_ACTION_WEEKLY_ADD, TOPIC2_ACTION_ACHIEVEMENT];
+
+// Bank decay shared with the game; attested deposits decay the same way until they land.
+const { decayBank } = require("../src/economy.js");
+
+// Badge catalog shared with the game; ids not listed there are ignored.
+const { getAchievement, isAchievementId, DEPOSITS_BADGE_COUNT } = require("../src/achievements.js");
 
 // Public Base RPCs (include several; order matters)
 // Put known-good public Base RPCs first so a restrictive/"free-tier" RPC set in env
@@ -76,23 +78,45 @@ const RPCS = [
 ].filter(Boolean);
 
 // KV keys
-const KV_PREFIX = "lanerunner:lb:v3";
-const KV_STATE_KEY = `${KV_PREFIX}:state`; // compact state for 2 weeks
+const KV_PREFIX = "lanerunner:lb:v5"; // v5: totals in sorted sets
+const KV_STATE_KEY = `${KV_PREFIX}:state`; // indexer progress (block, week window, rejects)
 const KV_RESP_KEY = `${KV_PREFIX}:resp`;  // already formatted response payload
 const KV_LOCK_KEY = `${KV_PREFIX}:lock`;  // simple lock (best-effort)
+const KV_WEEK_KEY_PREFIX = `${KV_PREFIX}:week:`; // + YYYY-MM-DD + ":z" (points) / ":commits" (sorted sets)
+const KV_ALLTIME_KEY = `${KV_PREFIX}:alltime:z`; // sorted set: points over every week
+const KV_WEEKS_KEY = `${KV_PREFIX}:weeks`;       // sorted set: known weeks (history index)
+const KV_LOG_KEY_PREFIX = `${KV_PREFIX}:log:`;   // + tx:logIndex => log already applied
+const KV_SIG_KEY_PREFIX = `${KV_PREFIX}:sig:`;   // + sig => attestation already used
+const KV_DAY_KEY_PREFIX = `${KV_PREFIX}:day:`;   // + YYYY-MM-DD + ":z" (daily challenge, best run score)
+const KV_BADGES_KEY_PREFIX = `${KV_PREFIX}:badges:`; // + address => sorted set: achievement id -> unlock time (s)
 
 
-// In-memory fallback (works only per warm serverless instance)
-let MEM_STATE = null;
-let MEM_RESP = null;
-let MEM_RESP_AT = 0;
 
 // Tunables
 const CACHE_TTL_SECONDS = 60 * 60; // 1 hour for resp; cron/refresh keeps it hot
 const STATE_TTL_SECONDS = 60 * 60 * 24 * 21; // 3 weeks
 const MAX_TOP = 100;   // leaderboard UI size
-const PRUNE_KEEP = 5000; // keep top N in state to keep KV value small
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 100;
+const DEFAULT_AROUND_RADIUS = 5;
+const MAX_AROUND_RADIUS = 25;
+const SEEN_LOG_TTL_SECONDS = 60 * 60 * 24 * 42; // > backfill window, so overlapping scans never double count
+const DAY_BOARD_TTL_SECONDS = 60 * 60 * 24 * 30;
 const MAX_SERVERLESS_MS = 8500; // try to finish before hard limits
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const CATCH_UP_BLOCKS = 400000n; // per run while catching up on missed weeks (~9 days of Base blocks)
+const HISTORY_BLOCKS = 400000n; // per run of the all-time history sweep
+const DEPOSITS_FROM_BLOCK = BigInt(process.env.LB_DEPOSITS_FROM_BLOCK || "0"); // where /api/deposits and the sweep start
+const MIN_APPLY_MS = 1000; // time applying fetched logs always gets, even past MAX_SERVERLESS_MS
+const LOCK_POLL_MS = 250; // a forced refresh retries the indexing lock this often...
+const LOCK_WAIT_RESERVE_MS = 5000; // ...while at least this much of its budget is left
+
+// WEEKLY_ADD validation
+const MAX_POINTS_PER_COMMIT = BigInt(process.env.LB_MAX_POINTS_PER_COMMIT || "10000000");
+const MAX_COMMITS_PER_WEEK = Number(process.env.LB_MAX_COMMITS_PER_WEEK || 50);
+const REQUIRE_ATTESTATION = String(process.env.LB_REQUIRE_ATTESTATION || "0") === "1";
+const UNLOCK_THRESHOLD = Number(process.env.LB_UNLOCK_THRESHOLD || 10000); // lifetime deposited pts to view the boards
+const MAX_REJECTED_KEEP = 200; // newest rejected logs kept in state for moderators
 
 function weekStartUtcMs(now = Date.now()) {
   const d = new Date(now);
@@ -109,20 +133,6 @@ function toHex(n) {
   return "0x" + b.toString(16);
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-function isRateLimitish(status, bodyText) {
-  const t = (bodyText || "").toLowerCase();
-  return (
-    status === 429 ||
-    t.includes("rate limit") ||
-    t.includes("too many requests") ||
-    t.includes("over rate limit")
-  );
-}
-
 async function rpcCall(url, method, params) {
   const res = await fetch(url, {
     method: "POST",
@@ -147,28 +157,28 @@ async function rpcCall(url, method, params) {
   return json.result;
 }
 
-async function withRpcRotation(fn, { tries = 6 } = {}) {
-  const urls = RPCS.length ? RPCS : ["https://mainnet.base.org"];
-  let lastErr = null;
+// One pool per RPC list, so round-robin and circuit state carry over while the instance is warm.
+const rpcPools = new Map();
 
-  for (let attempt = 0; attempt < tries; attempt++) {
-    const url = urls[attempt % urls.length];
+function rpcPoolFor(source) {
+  const urls = source.rpcs.length ? source.rpcs : ["https://mainnet.base.org"];
+  const id = urls.join(",");
+  if (!rpcPools.has(id)) rpcPools.set(id, createUpstreamPool(urls));
+  return rpcPools.get(id);
+}
+
+// Runs fn(url) on the source's RPCs until one answers. Each round tries every healthy RPC
+// once; later rounds wait a little first so rate limits can clear.
+async function withRpcRotation(source, fn, { rounds = 2 } = {}) {
+  let lastErr = null;
+  for (let round = 0; round < rounds; round++) {
+    if (round) await sleep(250 * round);
     try {
-      return await fn(url);
+      return (await withUpstreams(rpcPoolFor(source), fn)).result;
     } catch (e) {
+      // The RPC answered; another round won't change its mind.
+      if (e && e.upstreamOk) throw e;
       lastErr = e;
-      const status = e?.httpStatus;
-      const bodyText = e?.bodyText || "";
-      const msg = (e?.message || "").toLowerCase();
-
-      // backoff on rate limit-ish
-      if (isRateLimitish(status, bodyText) || msg.includes("timeout") || msg.includes("fetch failed")) {
-        await sleep(250 * (attempt + 1));
-        continue;
-      }
-
-      // move on to next RPC
-      await sleep(60);
     }
   }
   throw lastErr || new Error("RPC rotation failed");
@@ -179,6 +189,10 @@ function addrFromTopic(topic1) {
   return ("0x" + t.slice(t.length - 40)).toLowerCase();
 }
 
+function addrToTopic(address) {
+  return "0x" + "0".repeat(24) + String(address).toLowerCase().replace(/^0x/, "");
+}
+
 // data contains ABI-encoded (bytes payload) - we only need the bytes value
 // The contract logs encode: data = offset(32) + length(32) + bytes
 function extractBytesParamFromLogData(dataHex) {
@@ -223,6 +237,25 @@ function decodePointsAndWeek(payloadHex) {
   return { points, week };
 }
 
+// Payloads from /api/attest append: uint256 issuedAt, bytes32 sig (older commits have none).
+function decodeAttestation(payloadHex) {
+  const hex = payloadHex && payloadHex.startsWith("0x") ? payloadHex.slice(2) : (payloadHex || "");
+  if (!hex || hex.length < 256) return null;
+
+  const issuedAt = BigInt("0x" + hex.slice(128, 192));
+  const sig = "0x" + hex.slice(192, 256);
+  return { issuedAt, sig };
+}
+
+// Points a WEEKLY_ADD counts for. Attested points kept decaying like the Bank between
+// issuedAt and the log's timestamp (tsSec), so holding a signed deposit back doesn't
+// dodge decay. Unattested logs and logs without a timestamp count as logged.
+function decayedPoints(points, att, tsSec) {
+  if (!att || tsSec == null) return points;
+  const { steps, points: left } = decayBank(Number(points), Number(tsSec) * 1000 - Number(att.issuedAt));
+  return steps ? BigInt(Math.floor(left)) : points;
+}
+
 
 
 function decodeActionLoggedData(dataHex) {
@@ -284,71 +317,24 @@ async function fetchNamesFromNeynar(addresses) {
   return out;
 }
 
-function sortMapToArray(m) {
-  if (!m) return [];
-  return [...m.entries()]
-    .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
-    .map(([address, points]) => ({ address, points: points.toString() }));
-}
-
-function pruneToTop(map, keep = PRUNE_KEEP) {
-  const arr = [...map.entries()].sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0));
-  const pruned = new Map(arr.slice(0, keep));
-  return pruned;
-}
-
 function nowMs() {
   return Date.now();
 }
 
-function hasStoreConfigured() {
-  return !!store;
+function storeGetJson(key) {
+  return getJson(getStore(), key);
 }
 
-async function storeGetJson(key) {
-  if (!hasStoreConfigured()) {
-    if (key === KV_STATE_KEY) return MEM_STATE;
-    if (key === KV_RESP_KEY) return MEM_RESP;
-    return null;
-  }
-  const v = await store.get(key);
-  if (!v) return null;
-  if (typeof v === "string") {
-    try { return JSON.parse(v); } catch (_) { return null; }
-  }
-  return v;
+function storeSetJson(key, value, exSeconds) {
+  return setJson(getStore(), key, value, exSeconds);
 }
 
-async function storeSetJson(key, value, exSeconds) {
-  if (!hasStoreConfigured()) {
-    if (key === KV_STATE_KEY) MEM_STATE = value;
-    if (key === KV_RESP_KEY) {
-      MEM_RESP = value;
-      MEM_RESP_AT = nowMs();
-    }
-    return true;
-  }
-  // Store JSON string for cross-provider consistency.
-  const payload = JSON.stringify(value);
-  await store.set(key, payload, exSeconds ? { ex: exSeconds } : undefined);
-  return true;
+function storeAcquireLock(lockKey, ttlSeconds = 30) {
+  return acquireLock(getStore(), lockKey, ttlSeconds);
 }
 
-async function storeAcquireLock(lockKey, ttlSeconds = 30) {
-  if (!hasStoreConfigured()) return true; // no shared store => no contention
-  // best-effort: set if not exists
-  // Upstash + Vercel KV both support: set(key, value, { nx: true, ex: ttl })
-  try {
-    const ok = await store.set(lockKey, "1", { nx: true, ex: ttlSeconds });
-    return ok === "OK" || ok === true;
-  } catch (_) {
-    return true;
-  }
-}
-
-async function storeReleaseLock(lockKey) {
-  if (!hasStoreConfigured()) return;
-  try { await store.del(lockKey); } catch (_) {}
+function storeReleaseLock(lockKey) {
+  return releaseLock(getStore(), lockKey);
 }
 
 // --------------------------
@@ -357,8 +343,35 @@ async function storeReleaseLock(lockKey) {
 // Optional BaseScan (Etherscan-style) Logs API, which is often more reliable than RPC eth_getLogs on free-tier nodes.
 // Uses Etherscan-compatible getLogs query params (topics + page/offset).
 const BASESCAN_API_KEY = process.env.BASESCAN_API_KEY || process.env.BASESCAN_KEY || "";
+const BASESCAN_API_URL = process.env.BASESCAN_API_URL || "https://api.basescan.org/api";
+
+// Where logs come from. createLeaderboardHandler() can inject another one
+// (e.g. lib/chain-mock.js) so backfill/rollover can run offline.
+const DEFAULT_LOG_SOURCE = {
+  rpcs: RPCS,
+  explorerUrl: BASESCAN_API_URL,
+  explorerApiKey: BASESCAN_API_KEY
+};
+
+// Both fetchers stop quietly at deadlineMs and return { logs, scannedTo }: scannedTo is the
+// last block whose logs are all in `logs` (fromBlock - 1 when none is), so callers only
+// advance their progress that far.
+
+// user (optional): only logs emitted for that address (topic1), used by /api/deposits.
+// actions: topic2 values to fetch; BaseScan can't OR topics, so each action is its own scan.
+async function fetchLogsViaBaseScan(source, fromBlock, toBlock, deadlineMs, user = null, actions = [TOPIC2_ACTION_WEEKLY_ADD]) {
+  const out = [];
+  let scannedTo = toBlock;
+  for (const action of actions) {
+    const r = await fetchActionLogsViaBaseScan(source, fromBlock, toBlock, deadlineMs, user, action);
+    out.push(...r.logs);
+    if (r.scannedTo < scannedTo) scannedTo = r.scannedTo;
+  }
+  // An action that got further than another would leave a gap: keep the common part only.
+  return { logs: out.filter((l) => blockOfLog(l) <= scannedTo), scannedTo };
+}
 
-async function fetchLogsViaBaseScan(fromBlock, toBlock, deadlineMs) {
+async function fetchActionLogsViaBaseScan(source, fromBlock, toBlock, deadlineMs, user, action) {
   // BaseScan expects decimal block numbers.
   const fromDec = fromBlock.toString(10);
   const toDec = toBlock.toString(10);
@@ -367,9 +380,13 @@ async function fetchLogsViaBaseScan(fromBlock, toBlock, deadlineMs) {
   const out = [];
 
   while (true) {
-    if (deadlineMs && nowMs() > deadlineMs) break;
+    if (deadlineMs && nowMs() > deadlineMs) {
+      // Pages are in block order; the last block seen may continue on the next page.
+      const scannedTo = out.length ? blockOfLog(out[out.length - 1]) - 1n : fromBlock - 1n;
+      return { logs: out.filter((l) => blockOfLog(l) <= scannedTo), scannedTo };
+    }
 
-    const url = new URL("https://api.basescan.org/api");
+    const url = new URL(source.explorerUrl);
     url.searchParams.set("module", "logs");
     url.searchParams.set("action", "getLogs");
     url.searchParams.set("fromBlock", fromDec);
@@ -379,11 +396,16 @@ async function fetchLogsViaBaseScan(fromBlock, toBlock, deadlineMs) {
     // Filter: topic0 (event sig) AND topic2 (action bytes32)
     url.searchParams.set("topic0", TOPIC0_ACTION_LOGGED);
     url.searchParams.set("topic0_2_opr", "and");
-    url.searchParams.set("topic2", TOPIC2_ACTION_WEEKLY_ADD);
+    url.searchParams.set("topic2", action);
+    if (user) {
+      url.searchParams.set("topic1", addrToTopic(user));
+      url.searchParams.set("topic0_1_opr", "and");
+      url.searchParams.set("topic1_2_opr", "and");
+    }
 
     url.searchParams.set("page", String(page));
     url.searchParams.set("offset", String(offset));
-    if (BASESCAN_API_KEY) url.searchParams.set("apikey", BASESCAN_API_KEY);
+    if (source.explorerApiKey) url.searchParams.set("apikey", source.explorerApiKey);
 
     const r = await fetch(url.toString(), { headers: { accept: "application/json" }, cache: "no-store" });
     const j = await r.json().catch(() => null);
@@ -423,12 +445,34 @@ async function fetchLogsViaBaseScan(fromBlock, toBlock, deadlineMs) {
     await sleep(120);
   }
 
-  return out;
+  return { logs: out, scannedTo: toBlock };
+}
+
+// eth_getLogs refusals about the request's size (too many blocks or results), not the RPC.
+function isRangeTooWide(msg) {
+  return (
+    !isRateLimitish(0, msg) &&
+    (msg.includes("range is too large") ||
+      msg.includes("range too large") ||
+      msg.includes("max is 1k") ||
+      msg.includes("block range") ||
+      msg.includes("limit"))
+  );
 }
 
-async function fetchLogsRange(fromBlock, toBlock, stepInitial = 8000n, hardMinStep = 900n, deadlineMs) {
+async function fetchLogsRange(
+  source,
+  fromBlock,
+  toBlock,
+  stepInitial = 8000n,
+  hardMinStep = 900n,
+  deadlineMs,
+  user = null,
+  actions = [TOPIC2_ACTION_WEEKLY_ADD]
+) {
   const logsOut = [];
   let step = stepInitial;
+  let scannedTo = fromBlock - 1n;
 
   for (let from = fromBlock; from <= toBlock; ) {
     if (deadlineMs && nowMs() > deadlineMs) break;
@@ -440,12 +484,19 @@ async function fetchLogsRange(fromBlock, toBlock, stepInitial = 8000n, hardMinSt
       address: CONTRACT,
       fromBlock: toHex(from),
       toBlock: toHex(to),
-      topics: [TOPIC0_ACTION_LOGGED, null, TOPIC2_ACTION_WEEKLY_ADD]
+      topics: [TOPIC0_ACTION_LOGGED, user ? addrToTopic(user) : null, actions.length === 1 ? actions[0] : actions]
     };
 
     try {
-      const logs = await withRpcRotation((url) => rpcCall(url, "eth_getLogs", [filter]));
+      const logs = await withRpcRotation(source, (url) =>
+        rpcCall(url, "eth_getLogs", [filter]).catch((e) => {
+          // Halve the step below instead of failing the RPC over.
+          if (e.rpcError && isRangeTooWide((e.message || "").toLowerCase())) e.upstreamOk = true;
+          throw e;
+        })
+      );
       if (Array.isArray(logs) && logs.length) logsOut.push(...logs);
+      scannedTo = to;
       from = to + 1n;
     } catch (e) {
       const msg = (e?.message || "").toLowerCase();
@@ -457,7 +508,7 @@ async function fetchLogsRange(fromBlock, toBlock, stepInitial = 8000n, hardMinSt
       }
 
       // If the provider says the range is too large, shrink the step
-      if (msg.includes("range is too large") || msg.includes("max is 1k") || msg.includes("limit") || msg.includes("block range")) {
+      if (isRangeTooWide(msg)) {
         step = step / 2n;
         if (step < hardMinStep) step = hardMinStep;
         // retry same from with smaller range
@@ -477,38 +528,35 @@ async function fetchLogsRange(fromBlock, toBlock, stepInitial = 8000n, hardMinSt
       await sleep(120);
     }
   }
-  return logsOut;
+  return { logs: logsOut, scannedTo };
 }
 
-async function getLatestBlock() {
-  const latestHex = await withRpcRotation((url) => rpcCall(url, "eth_blockNumber", []));
+async function getLatestBlock(source) {
+  const latestHex = await withRpcRotation(source, (url) => rpcCall(url, "eth_blockNumber", []));
   return BigInt(latestHex);
 }
 
 // --------------------------
-// Core aggregation logic (incremental with KV state)
+// Core aggregation logic (incremental; totals live in sorted sets)
 // --------------------------
-function emptyWeekState(weekMs) {
-  return { weekMs, map: new Map() };
-}
+// Every week keeps its own sorted sets and they never expire, so a completed
+// week's final standings stay browsable (?week=) and nobody is pruned away.
+const isoDayUtc = (ms) => new Date(ms).toISOString().slice(0, 10);
+const weekPointsKey = (weekMs) => `${KV_WEEK_KEY_PREFIX}${isoDayUtc(weekMs)}:z`;
+const weekCommitsKey = (weekMs) => `${KV_WEEK_KEY_PREFIX}${isoDayUtc(weekMs)}:commits`;
 
 function deserializeState(s) {
   if (!s) return null;
   try {
-    const weekA = s?.weeks?.[0];
-    const weekB = s?.weeks?.[1];
-    const weeks = [];
-    for (const w of [weekA, weekB]) {
-      if (!w || !w.weekMs || !w.entries) continue;
-      const m = new Map();
-      for (const [addr, pts] of w.entries) m.set(String(addr).toLowerCase(), BigInt(pts));
-      weeks.push({ weekMs: Number(w.weekMs), map: m });
-    }
     return {
       currentWeekMs: Number(s.currentWeekMs || 0),
       lastWeekMs: Number(s.lastWeekMs || 0),
       lastProcessedBlock: s.lastProcessedBlock ? BigInt(s.lastProcessedBlock) : null,
-      weeks,
+      catchUpFromWeekMs: Number(s.catchUpFromWeekMs || 0) || null,
+      // Absent in states saved before the history sweep existed (see incrementalUpdate).
+      historyFrom: s.historyFrom != null ? BigInt(s.historyFrom) : undefined,
+      historyTo: s.historyTo != null ? BigInt(s.historyTo) : undefined,
+      rejected: Array.isArray(s.rejected) ? s.rejected : [],
       updatedAt: Number(s.updatedAt || 0)
     };
   } catch (_) {
@@ -517,58 +565,313 @@ function deserializeState(s) {
 }
 
 function serializeState(state) {
-  const weeks = state.weeks.map((w) => ({
-    weekMs: w.weekMs,
-    entries: [...w.map.entries()].map(([a, p]) => [a, p.toString()])
-  }));
   return {
     currentWeekMs: state.currentWeekMs,
     lastWeekMs: state.lastWeekMs,
     lastProcessedBlock: state.lastProcessedBlock ? state.lastProcessedBlock.toString() : null,
-    weeks,
+    catchUpFromWeekMs: state.catchUpFromWeekMs || null,
+    historyFrom: state.historyFrom != null ? state.historyFrom.toString() : null,
+    historyTo: state.historyTo != null ? state.historyTo.toString() : null,
+    rejected: state.rejected || [],
     updatedAt: state.updatedAt
   };
 }
 
-function getOrMakeWeekMap(state, weekMs) {
-  let w = state.weeks.find((x) => x.weekMs === weekMs);
-  if (!w) {
-    w = emptyWeekState(weekMs);
-    state.weeks.push(w);
+// Sorted-set scores are doubles; points per commit are capped far below 2^53.
+const scoreToPoints = (score) => BigInt(Math.round(Number(score) || 0)).toString();
+
+async function readBoard(key, start = 0, stop = MAX_TOP - 1) {
+  const rows = await getStore().zrevrange(key, start, stop);
+  return rows.map((r) => ({ address: r.member, points: scoreToPoints(r.score) }));
+}
+
+async function readRank(key, address) {
+  const store = getStore();
+  const rank = await store.zrevrank(key, address);
+  if (rank == null) return { rank: null, points: "0" };
+  return { rank: rank + 1, points: scoreToPoints(await store.zscore(key, address)) };
+}
+
+function logKey(l) {
+  const idx = l.logIndex != null ? BigInt(l.logIndex).toString() : "0";
+  return `${KV_LOG_KEY_PREFIX}${String(l.transactionHash).toLowerCase()}:${idx}`;
+}
+
+// Marks a log as applied. Returns false when an earlier (overlapping) scan already did.
+// forever: for logs no later scan could tell apart from new ones by week (see applyWeeklyAddLogs).
+async function claimLog(l, { forever = false } = {}) {
+  if (!l.transactionHash) return true;
+  const ok = await getStore().set(logKey(l), "1", forever ? { nx: true } : { nx: true, ex: SEEN_LOG_TTL_SECONDS });
+  return ok === "OK" || ok === true;
+}
+
+const blockOfLog = (l) => (l.blockNumber != null ? BigInt(l.blockNumber) : 0n);
+const logIndexOf = (l) => (l.logIndex != null ? BigInt(l.logIndex) : 0n);
+function byChainOrder(a, b) {
+  const d = blockOfLog(a) - blockOfLog(b) || logIndexOf(a) - logIndexOf(b);
+  return d > 0n ? 1 : d < 0n ? -1 : 0;
+}
+
+// --------------------------
+// WEEKLY_ADD validation (per-log plausibility)
+// --------------------------
+// Returns null when the log may count, otherwise a short rejection reason.
+async function validateWeeklyAdd(weekMs, user, dec, att) {
+  if (dec.points <= 0n) return "zero-points";
+  if (dec.points > MAX_POINTS_PER_COMMIT) return "points-over-cap";
+  const commits = await getStore().zscore(weekCommitsKey(weekMs), user);
+  if ((commits || 0) >= MAX_COMMITS_PER_WEEK) return "commit-rate";
+
+  if (!att) return REQUIRE_ATTESTATION ? "missing-attestation" : null;
+
+  const key = getSigningKey();
+  if (!key) return REQUIRE_ATTESTATION ? "attestation-unverifiable" : null;
+
+  const fields = { address: user, points: dec.points, weekStart: dec.week, issuedAt: att.issuedAt };
+  if (!verifyAttestation(fields, att.sig, key)) return "bad-attestation";
+  // Checked last: claiming marks the sig used for good.
+  if (!(await claimSig(att.sig))) return "attestation-reused";
+  return null;
+}
+
+async function claimSig(sig) {
+  const ok = await getStore().set(KV_SIG_KEY_PREFIX + sig.toLowerCase(), "1", { nx: true });
+  return ok === "OK" || ok === true;
+}
+
+// Validate + apply a batch of WEEKLY_ADD logs to the weeks fromWeekMs..curWeekMs, oldest first
+// (normally the two live weeks; more while catching up, see incrementalUpdate). Deposits for
+// weeks before fromWeekMs only add to all-time, and their claim never expires: a rescan after
+// SEEN_LOG_TTL_SECONDS would otherwise count them again.
+// A log counts only for the scan that claims it (SET NX on its log key, then on its sig), so
+// overlapping scans never add the same deposit twice; the totals then go in one MULTI.
+// Stops at deadlineMs (before claiming anything) and returns the block to resume from
+// (null when the batch finished).
+async function applyWeeklyAddLogs(state, logs, curWeekMs, fromWeekMs, deadlineMs) {
+  const store = getStore();
+  const prevWeekMs = curWeekMs - ONE_WEEK_MS;
+  const rejected = [];
+  let resumeBlock = null;
+
+  for (const l of [...logs].sort(byChainOrder)) {
+    if (deadlineMs && nowMs() > deadlineMs) {
+      resumeBlock = blockOfLog(l);
+      break;
+    }
+    const user = addrFromTopic(l.topics?.[1]);
+    const payload = extractBytesParamFromLogData(l.data);
+    const dec = decodePointsAndWeek(payload);
+    if (!dec) continue;
+
+    const wk = Number(dec.week);
+    if (!(wk > 0 && wk <= curWeekMs && (wk - fromWeekMs) % ONE_WEEK_MS === 0)) continue;
+    const live = wk >= fromWeekMs;
+    if (!(await claimLog(l, { forever: !live }))) continue;
+
+    const att = decodeAttestation(payload);
+    const reason = await validateWeeklyAdd(wk, user, dec, att);
+    if (reason) {
+      rejected.push({
+        address: user,
+        weekStart: wk,
+        points: dec.points.toString(),
+        reason,
+        tx: l.transactionHash || null,
+        block: l.blockNumber != null ? BigInt(l.blockNumber).toString() : null
+      });
+      continue;
+    }
+
+    const pts = Number(decayedPoints(dec.points, att, decodeActionLoggedData(l.data)?.ts));
+    const ops = [["zincrby", KV_ALLTIME_KEY, user, pts]];
+    if (live) {
+      ops.push(
+        ["zincrby", weekPointsKey(wk), user, pts],
+        ["zincrby", weekCommitsKey(wk), user, 1],
+        ["zadd", KV_WEEKS_KEY, isoDayUtc(wk), wk]
+      );
+    }
+    await store.multi(ops);
+  }
+
+  state.rejected = [...rejected.reverse(), ...(state.rejected || [])]
+    .filter((r) => r.weekStart === curWeekMs || r.weekStart === prevWeekMs)
+    .slice(0, MAX_REJECTED_KEEP);
+  return resumeBlock;
+}
+
+// --------------------------
+// ACHIEVEMENT badges (per player)
+// --------------------------
+const badgesKey = (address) => `${KV_BADGES_KEY_PREFIX}${String(address).toLowerCase()}`;
+
+// Right-padded UTF-8 bytes32 => string (null when it isn't one).
+function bytes32ToString(hex) {
+  const h = (hex || "").startsWith("0x") ? hex.slice(2) : hex || "";
+  if (h.length !== 64) return null;
+  const text = Buffer.from(h, "hex").toString("utf8").replace(/\0+$/, "");
+  return text && !text.includes("\0") ? text : null;
+}
+
+// Badges the indexer can check itself: (address, unlock time in s) => true when it holds.
+// The rest are taken as the game reports them.
+const BADGE_CHECKS = {
+  // Accepted WEEKLY_ADD commits in the unlock's week (applied before badges, see applyIndexedLogs).
+  "deposits:10-in-week": async (user, ts) =>
+    ((await getStore().zscore(weekCommitsKey(weekStartUtcMs(ts * 1000)), user)) || 0) >= DEPOSITS_BADGE_COUNT
+};
+
+// Badges never expire and the first unlock wins; unknown ids, odd payloads and unlocks that
+// fail their BADGE_CHECKS entry are skipped. Logs at or past `untilBlock` wait for the next
+// scan, so a check never runs ahead of the deposits it reads. Like applyWeeklyAddLogs, stops
+// at deadlineMs and returns the block to resume from.
+async function applyAchievementLogs(logs, deadlineMs, untilBlock = null) {
+  const store = getStore();
+  for (const l of [...logs].sort(byChainOrder)) {
+    if (untilBlock != null && blockOfLog(l) >= untilBlock) return untilBlock;
+    if (deadlineMs && nowMs() > deadlineMs) return blockOfLog(l);
+    const user = addrFromTopic(l.topics?.[1]);
+    const data = decodeActionLoggedData(l.data);
+    const id = data ? bytes32ToString(data.payloadHex) : null;
+    if (!id || !isAchievementId(id)) continue;
+    const check = BADGE_CHECKS[id];
+    if (check && !(await check(user, Number(data.ts)))) continue;
+    if (!(await claimLog(l))) continue;
+    const key = badgesKey(user);
+    if ((await store.zscore(key, id)) != null) continue;
+    await store.zadd(key, id, Number(data.ts));
   }
-  return w.map;
+  return untilBlock;
 }
 
-function formatResponsePayload(state, { includeNames = false, fcMap = null, viewerAddress = null } = {}) {
-  const curMap = state.weeks.find((x) => x.weekMs === state.currentWeekMs)?.map || new Map();
-  const prevMap = state.weeks.find((x) => x.weekMs === state.lastWeekMs)?.map || new Map();
+// => [{ id, icon, label, unlockedAt (ms) }], oldest first
+async function readBadges(address) {
+  const rows = await getStore().zrevrange(badgesKey(address), 0, -1);
+  return rows.reverse().map((r) => {
+    const a = getAchievement(r.member);
+    return { id: r.member, icon: a?.icon || "", label: a?.label || r.member, unlockedAt: Number(r.score) * 1000 };
+  });
+}
 
-const weeklyAll = sortMapToArray(curMap);
-const lastWeekAll = sortMapToArray(prevMap);
+// One scan returns every indexed action; route each log by its action topic.
+// => the block the next scan must start from when the deadline cut this one short, else null.
+async function applyIndexedLogs(state, logs, curWeekMs, fromWeekMs, deadlineMs) {
+  const actionOf = (l) => String(l.topics?.[2] || "").toLowerCase();
+  // Fetching may have used up the budget; still apply for a moment so every run makes progress.
+  if (deadlineMs) deadlineMs = Math.max(deadlineMs, nowMs() + MIN_APPLY_MS);
+  const weekly = await applyWeeklyAddLogs(
+    state,
+    logs.filter((l) => actionOf(l) === TOPIC2_ACTION_WEEKLY_ADD.toLowerCase()),
+    curWeekMs,
+    fromWeekMs,
+    deadlineMs
+  );
+  return applyAchievementLogs(
+    logs.filter((l) => actionOf(l) === TOPIC2_ACTION_ACHIEVEMENT.toLowerCase()),
+    deadlineMs,
+    weekly
+  );
+}
+
+// --------------------------
+// Week history + all-time aggregate
+// --------------------------
+// "YYYY-MM-DD" (must be a Monday, UTC) => weekMs, else null
+function parseWeekParam(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v || "").trim());
+  if (!m) return null;
+  const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if (!Number.isFinite(ms) || isoDayUtc(ms) !== m[0] || weekStartUtcMs(ms) !== ms) return null;
+  return ms;
+}
 
-const weekly = weeklyAll.slice(0, MAX_TOP);
-const lastWeek = lastWeekAll.slice(0, MAX_TOP);
+// Week starts (newest first) that have standings.
+async function listWeeks(state) {
+  const known = (await getStore().zrevrange(KV_WEEKS_KEY, 0, -1)).map((r) => Number(r.score));
+  return [state.currentWeekMs, state.lastWeekMs, ...known]
+    .filter((ms, i, arr) => ms && arr.indexOf(ms) === i)
+    .sort((a, b) => b - a);
+}
 
-const normAddr = (a) => (typeof a === "string" ? a.toLowerCase() : "");
-const viewer = (() => {
-  const v = normAddr(viewerAddress);
-  if (!v || !/^0x[0-9a-f]{40}$/.test(v)) return null;
+async function formatWeekPayload(weekMs, { viewerAddress = null } = {}) {
+  const key = weekPointsKey(weekMs);
+  const players = await getStore().zcard(key);
+  if (!players) return null;
 
-  const find = (arr) => {
-    const i = arr.findIndex((x) => normAddr(x.address) === v);
-    if (i < 0) return { rank: null, points: "0" };
-    return { rank: i + 1, points: arr[i].points };
+  const v = typeof viewerAddress === "string" ? viewerAddress.toLowerCase() : "";
+  return {
+    ok: true,
+    archived: true,
+    weekStart: weekMs,
+    label: `${isoDayUtc(weekMs)} (UTC)`,
+    weekly: await readBoard(key),
+    you: v ? { address: v, weekly: await readRank(key, v) } : undefined,
+    meta: { counts: { players } }
   };
+}
 
-  return { address: v, weekly: find(weeklyAll), lastWeek: find(lastWeekAll) };
-})();
+// --------------------------
+// Daily challenge board
+// --------------------------
+const dayPointsKey = (day) => `${KV_DAY_KEY_PREFIX}${day}:z`;
+
+// "YYYY-MM-DD" (any valid UTC day) => same string, else null
+function parseDayParam(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v || "").trim());
+  if (!m) return null;
+  const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isFinite(ms) && isoDayUtc(ms) === m[0] ? m[0] : null;
+}
 
-  const enrich = (arr) =>
-    arr.map((it) => {
-      if (!includeNames || !fcMap) return it;
-      const u = fcMap.get(it.address.toLowerCase());
-      return { ...it, name: u ? `${u}.farcaster.eth` : undefined };
-    });
+// Keeps the address's best verified run of the day. => { score, best, improved, rank, players }
+async function recordDailyScore(day, address, score) {
+  const store = getStore();
+  const key = dayPointsKey(day);
+  const user = String(address).toLowerCase();
+  const prev = Number((await store.zscore(key, user)) || 0);
+  const improved = score > prev;
+  if (improved) {
+    await store.zadd(key, user, score);
+    await store.expire(key, DAY_BOARD_TTL_SECONDS);
+  }
+  const { rank } = await readRank(key, user);
+  return { score, best: Math.max(prev, score), improved, rank, players: await store.zcard(key) };
+}
+
+// Lifetime deposited = the viewer's all-time score (every counted deposit, any week); that's
+// what the board view is gated on.
+function accessFor(points) {
+  const deposited = BigInt(points || 0);
+  return { deposited: deposited.toString(), threshold: UNLOCK_THRESHOLD, unlocked: deposited >= BigInt(UNLOCK_THRESHOLD) };
+}
+
+// Per-viewer part of the payload. Read live on every request, since the cached payload is shared.
+async function readViewer(curWeekMs, prevWeekMs, viewerAddress) {
+  const v = typeof viewerAddress === "string" ? viewerAddress.toLowerCase() : "";
+  if (!/^0x[0-9a-f]{40}$/.test(v)) return null;
+  const allTime = await readRank(KV_ALLTIME_KEY, v);
+  return {
+    address: v,
+    weekly: await readRank(weekPointsKey(curWeekMs), v),
+    lastWeek: await readRank(weekPointsKey(prevWeekMs), v),
+    allTime,
+    daily: await readRank(dayPointsKey(isoDayUtc(nowMs())), v),
+    access: accessFor(allTime.points),
+    badges: await readBadges(v)
+  };
+}
+
+async function withViewer(resp, viewerAddress) {
+  const viewer = await readViewer(resp.weekStart, resp.prevWeekStart, viewerAddress);
+  return { ...resp, you: viewer || undefined };
+}
+
+async function formatResponsePayload(state, { viewerAddress = null } = {}) {
+  const store = getStore();
+  const curKey = weekPointsKey(state.currentWeekMs);
+  const prevKey = weekPointsKey(state.lastWeekMs);
+
+  const viewer = await readViewer(state.currentWeekMs, state.lastWeekMs, viewerAddress);
 
   const ONE_WEEK = 7 * 24 * 60 * 60 * 1000;
   const iso = (ms) => new Date(ms).toISOString();
@@ -595,22 +898,81 @@ const viewer = (() => {
         label: `${isoDay(state.lastWeekMs)} (UTC)`
       }
     },
-    weekly: enrich(weekly),
-    lastWeek: enrich(lastWeek),
+    weekly: await readBoard(curKey),
+    lastWeek: await readBoard(prevKey),
+    allTime: await readBoard(KV_ALLTIME_KEY),
+    // Week starts (newest first) that can be fetched with ?week=YYYY-MM-DD
+    history: { weeks: (await listWeeks(state)).map(isoDay) },
     you: viewer || undefined,
     meta: {
       lastProcessedBlock: state.lastProcessedBlock ? state.lastProcessedBlock.toString() : null,
       updatedAt: state.updatedAt,
-      counts: { weeklyPlayers: curMap.size, lastWeekPlayers: prevMap.size }
+      unlockThreshold: UNLOCK_THRESHOLD,
+      counts: {
+        weeklyPlayers: await store.zcard(curKey),
+        lastWeekPlayers: await store.zcard(prevKey),
+        allTimePlayers: await store.zcard(KV_ALLTIME_KEY),
+        rejected: (state.rejected || []).length
+      },
+      // WEEKLY_ADD logs the indexer refused to count (newest first)
+      rejected: state.rejected || []
     }
   };
 }
 
-async function backfillTwoWeeks(now, deadlineMs) {
+// One slice of a board: by offset/limit, or centred on `around` (±radius ranks).
+async function formatPagePayload(key, { offset = 0, limit = DEFAULT_PAGE_LIMIT, around = null, radius = DEFAULT_AROUND_RADIUS } = {}) {
+  const store = getStore();
+  const total = await store.zcard(key);
+
+  let start = offset;
+  let stop = offset + limit - 1;
+  let aroundInfo;
+  if (around) {
+    const rank0 = await store.zrevrank(key, around);
+    aroundInfo = { address: around, rank: rank0 == null ? null : rank0 + 1 };
+    if (rank0 == null) {
+      return { ok: true, total, offset: 0, limit: 0, hasMore: false, around: aroundInfo, entries: [] };
+    }
+    start = Math.max(0, rank0 - radius);
+    stop = rank0 + radius;
+  }
+
+  const rows = await store.zrevrange(key, start, stop);
+  const entries = rows.map((r, i) => ({ rank: start + i + 1, address: r.member, points: scoreToPoints(r.score) }));
+  return {
+    ok: true,
+    total,
+    offset: start,
+    limit: stop - start + 1,
+    hasMore: start + entries.length < total,
+    around: aroundInfo,
+    entries
+  };
+}
+
+function clampInt(v, def, min, max) {
+  const n = Math.floor(Number(v));
+  if (!Number.isFinite(n)) return def;
+  return Math.min(max, Math.max(min, n));
+}
+
+// Adds FC usernames to every list in a payload.
+function enrichNames(resp, fcMap) {
+  if (!fcMap) return resp;
+  const enrich = (arr) =>
+    (arr || []).map((it) => {
+      const u = fcMap.get(it.address.toLowerCase());
+      return { ...it, name: u ? `${u}.farcaster.eth` : undefined };
+    });
+  return { ...resp, weekly: enrich(resp.weekly), lastWeek: enrich(resp.lastWeek), allTime: enrich(resp.allTime) };
+}
+
+async function backfillTwoWeeks(source, now, deadlineMs) {
   const curWeekMs = weekStartUtcMs(now);
   const prevWeekMs = curWeekMs - 7 * 24 * 60 * 60 * 1000;
 
-  const latest = await getLatestBlock();
+  const latest = await getLatestBlock(source);
 
   // IMPORTANT:
   // We need to cover *at least* the last 2 weeks of logs.
@@ -621,6 +983,7 @@ async function backfillTwoWeeks(now, deadlineMs) {
   // outside the backfill window.
   //
   // We intentionally over-shoot and then filter by the on-chain week value.
+  // Logs already applied by an earlier scan are skipped (see claimLog).
   const WINDOW = 1200000n;
   const fromBlock = latest > WINDOW ? latest - WINDOW : 0n;
 
@@ -628,138 +991,217 @@ async function backfillTwoWeeks(now, deadlineMs) {
     currentWeekMs: curWeekMs,
     lastWeekMs: prevWeekMs,
     lastProcessedBlock: null,
-    weeks: [emptyWeekState(curWeekMs), emptyWeekState(prevWeekMs)],
+    // Blocks before the window are left to the history sweep.
+    historyFrom: DEPOSITS_FROM_BLOCK,
+    historyTo: fromBlock - 1n,
+    rejected: [],
     updatedAt: nowMs()
   };
 
   // Prefer BaseScan for large backfills (more reliable on free-tier RPCs). Fallback to RPC.
-  let logs = [];
+  let fetched;
   try {
-    logs = await fetchLogsViaBaseScan(fromBlock, latest, deadlineMs);
+    fetched = await fetchLogsViaBaseScan(source, fromBlock, latest, deadlineMs, null, INDEXED_ACTIONS);
   } catch (_) {
-    logs = await fetchLogsRange(fromBlock, latest, 8000n, 900n, deadlineMs);
-  }
-  for (const l of logs) {
-    const user = addrFromTopic(l.topics?.[1]);
-    const payload = extractBytesParamFromLogData(l.data);
-    const dec = decodePointsAndWeek(payload);
-    if (!dec) continue;
-
-    const wk = Number(dec.week);
-    if (wk !== curWeekMs && wk !== prevWeekMs) continue;
-
-    const points = dec.points;
-    const m = getOrMakeWeekMap(state, wk);
-    m.set(user, (m.get(user) || 0n) + points);
+    fetched = await fetchLogsRange(source, fromBlock, latest, 8000n, 900n, deadlineMs, null, INDEXED_ACTIONS);
   }
+  const resume = await applyIndexedLogs(state, fetched.logs, curWeekMs, prevWeekMs, deadlineMs);
 
-  // prune to keep KV small
-  for (const w of state.weeks) w.map = pruneToTop(w.map, PRUNE_KEEP);
-  state.lastProcessedBlock = latest;
+  // Cut short (fetching or applying) => the next scan picks up from the first block not done.
+  state.lastProcessedBlock = resume != null ? resume - 1n : fetched.scannedTo;
   state.updatedAt = nowMs();
   return state;
 }
 
-async function incrementalUpdate(existingState, deadlineMs) {
-  const now = nowMs();
+async function incrementalUpdate(source, existingState, deadlineMs, now = nowMs()) {
   const curWeekMs = weekStartUtcMs(now);
   const prevWeekMs = curWeekMs - 7 * 24 * 60 * 60 * 1000;
 
-  const latest = await getLatestBlock();
+  const latest = await getLatestBlock(source);
 
   // Cold start or unknown progress => backfill 2 weeks.
   if (!existingState || !existingState.lastProcessedBlock) {
-    return await backfillTwoWeeks(now, deadlineMs);
+    return await backfillTwoWeeks(source, now, deadlineMs);
   }
 
   const state = existingState;
 
-  // ✅ Week rollover handling (snapshot/rotate instead of re-backfill)
-  // 
-  // The previous implementation re-scanned the last ~2 weeks every Monday.
-  // On free RPCs that often times out or returns partial ranges, which creates
-  // the exact symptom you saw:
-  // - End of week: weekly shows big totals + more players
-  // - After rollover: "last week" becomes smaller/missing players
-  // 
-  // Instead, when the week changes by exactly 1 week, we simply:
-  // 1) Move the old current-week map -> last-week map
-  // 2) Create a fresh current-week map
-  // 3) Keep lastProcessedBlock and keep incrementally applying new logs.
-  if (state.currentWeekMs !== curWeekMs) {
-    // If we missed multiple week rollovers (server slept for >7 days),
-    // snapshotting can't reconstruct the missing history—so we backfill.
-    if (state.currentWeekMs !== prevWeekMs) {
-      return await backfillTwoWeeks(now, deadlineMs);
-    }
-
-    const oldCurrentMs = state.currentWeekMs;
-    const oldCurrentMap = getOrMakeWeekMap(state, oldCurrentMs);
-
-    state.currentWeekMs = curWeekMs;
-    state.lastWeekMs = prevWeekMs;
-    state.weeks = [
-      { weekMs: curWeekMs, map: new Map() },
-      { weekMs: prevWeekMs, map: oldCurrentMap }
-    ];
-  } else {
-    state.currentWeekMs = curWeekMs;
-    state.lastWeekMs = prevWeekMs;
+  // Week rollover: totals are keyed by week, so moving the window is enough;
+  // the finished week keeps its sorted set and stays browsable.
+  // Missed several rollovers (nothing scanned for >7 days): keep scanning from where we
+  // stopped, a bounded block range per run, and count every week since the old window,
+  // so no week between the last archived one and now goes missing.
+  if (state.currentWeekMs !== curWeekMs && state.currentWeekMs !== prevWeekMs && !state.catchUpFromWeekMs) {
+    state.catchUpFromWeekMs = state.lastWeekMs || prevWeekMs;
+  }
+  state.currentWeekMs = curWeekMs;
+  state.lastWeekMs = prevWeekMs;
+  const fromWeekMs = state.catchUpFromWeekMs ? Math.min(state.catchUpFromWeekMs, prevWeekMs) : prevWeekMs;
+
+  // Saved before the history sweep existed: sweep everything scanned so far. Logs the live
+  // scans already applied are claimed, so only the older weeks they skipped get added.
+  if (state.historyTo === undefined) {
+    state.historyFrom = DEPOSITS_FROM_BLOCK;
+    state.historyTo = state.lastProcessedBlock;
   }
 
   const from = state.lastProcessedBlock + 1n;
   if (from > latest) {
+    state.catchUpFromWeekMs = null;
+    await sweepHistory(source, state, deadlineMs);
     state.updatedAt = nowMs();
     return state;
   }
+  const to = state.catchUpFromWeekMs && latest - from > CATCH_UP_BLOCKS ? from + CATCH_UP_BLOCKS : latest;
 
   // For incremental updates, RPC is usually fine, but fallback to BaseScan if needed.
-  let logs = [];
+  let fetched;
   try {
-    logs = await fetchLogsRange(from, latest, 8000n, 900n, deadlineMs);
+    fetched = await fetchLogsRange(source, from, to, 8000n, 900n, deadlineMs, null, INDEXED_ACTIONS);
   } catch (_) {
-    logs = await fetchLogsViaBaseScan(from, latest, deadlineMs);
+    fetched = await fetchLogsViaBaseScan(source, from, to, deadlineMs, null, INDEXED_ACTIONS);
   }
 
-  for (const l of logs) {
-    const user = addrFromTopic(l.topics?.[1]);
-    const payload = extractBytesParamFromLogData(l.data);
-    const dec = decodePointsAndWeek(payload);
-    if (!dec) continue;
+  const resume = await applyIndexedLogs(state, fetched.logs, curWeekMs, fromWeekMs, deadlineMs);
 
-    const wk = Number(dec.week);
-    if (wk !== curWeekMs && wk !== prevWeekMs) continue;
+  // Cut short (fetching or applying) => the next scan picks up from the first block not done.
+  state.lastProcessedBlock = resume != null ? resume - 1n : fetched.scannedTo;
+  if (state.lastProcessedBlock >= latest) {
+    state.catchUpFromWeekMs = null;
+    await sweepHistory(source, state, deadlineMs);
+  }
+  state.updatedAt = nowMs();
+  return state;
+}
+
+// All-time history sweep: WEEKLY_ADD logs from before the first backfill's window, at most
+// HISTORY_BLOCKS per run and only once the live scan has caught up. state.historyFrom moves
+// up to historyTo; a failed fetch just leaves it for the next run.
+async function sweepHistory(source, state, deadlineMs) {
+  if (state.historyFrom == null || state.historyFrom > state.historyTo) return;
+  if (deadlineMs && nowMs() > deadlineMs) return;
+  const from = state.historyFrom;
+  const to = state.historyTo - from > HISTORY_BLOCKS ? from + HISTORY_BLOCKS : state.historyTo;
 
-    const m = getOrMakeWeekMap(state, wk);
-    m.set(user, (m.get(user) || 0n) + dec.points);
+  let fetched;
+  try {
+    try {
+      fetched = await fetchLogsViaBaseScan(source, from, to, deadlineMs);
+    } catch (_) {
+      fetched = await fetchLogsRange(source, from, to, 8000n, 900n, deadlineMs);
+    }
+  } catch (_) {
+    return;
   }
+  const resume = await applyWeeklyAddLogs(state, fetched.logs, state.currentWeekMs, state.lastWeekMs, deadlineMs);
+  state.historyFrom = resume != null ? resume : fetched.scannedTo + 1n;
+}
 
-  // prune + persist progress
-  state.weeks = state.weeks
-    .filter((w) => w.weekMs === curWeekMs || w.weekMs === prevWeekMs)
-    .map((w) => ({ weekMs: w.weekMs, map: pruneToTop(w.map, PRUNE_KEEP) }));
+// --------------------------
+// Per-wallet deposit ledger (/api/deposits)
+// --------------------------
+// Scans the chain for one address' WEEKLY_ADD logs (topic1 filter) instead of reading
+// the indexer's totals, so it also covers deposits older than the two-week window.
+const DEPOSITS_RPC_WINDOW = 1200000n; // RPC fallback can't page all history; same window as backfill
 
-  state.lastProcessedBlock = latest;
-  state.updatedAt = nowMs();
-  return state;
+const hexToNumber = (v) => {
+  try { return Number(BigInt(v)); } catch (_) { return 0; }
+};
+
+// One WEEKLY_ADD log => ledger row, or null when the payload doesn't decode.
+function decodeWeeklyAddLog(l) {
+  const payload = extractBytesParamFromLogData(l.data);
+  const dec = decodePointsAndWeek(payload);
+  if (!dec) return null;
+  const data = decodeActionLoggedData(l.data);
+  const att = decodeAttestation(payload);
+  const weekStart = Number(dec.week);
+  const validWeek = Number.isSafeInteger(weekStart) && !Number.isNaN(new Date(weekStart).getTime());
+  return {
+    block: l.blockNumber != null ? BigInt(l.blockNumber).toString() : null,
+    tx: l.transactionHash || null,
+    logIndex: hexToNumber(l.logIndex),
+    timestamp: data ? Number(data.ts) : hexToNumber(l.timeStamp),
+    points: dec.points.toString(),
+    countedPoints: decayedPoints(dec.points, att, data?.ts).toString(),
+    weekStart,
+    week: validWeek ? isoDayUtc(weekStart) : null,
+    attested: !!att,
+    sig: att ? att.sig.toLowerCase() : null
+  };
 }
 
-async function getCachedResponse() {
-  const v = await storeGetJson(KV_RESP_KEY);
-  if (!hasStoreConfigured()) {
-    if (!v) return null;
-    const age = nowMs() - (MEM_RESP_AT || 0);
-    if (age > CACHE_TTL_SECONDS * 1000) return null;
+async function listDeposits(source, address, deadlineMs) {
+  const user = String(address).toLowerCase();
+  const latest = await getLatestBlock(source);
+
+  let fromBlock = DEPOSITS_FROM_BLOCK;
+  let partial = false;
+  let fetched;
+  try {
+    fetched = await fetchLogsViaBaseScan(source, fromBlock, latest, deadlineMs, user);
+  } catch (_) {
+    if (latest - fromBlock > DEPOSITS_RPC_WINDOW) {
+      fromBlock = latest - DEPOSITS_RPC_WINDOW;
+      partial = true;
+    }
+    fetched = await fetchLogsRange(source, fromBlock, latest, 8000n, 900n, deadlineMs, user);
   }
-  return v;
+  // Both fetchers stop quietly at the deadline.
+  const { logs, scannedTo } = fetched;
+  if (scannedTo < latest) partial = true;
+
+  // Rejections the indexer still remembers (two live weeks) are flagged per tx.
+  const state = deserializeState(await storeGetJson(KV_STATE_KEY));
+  const rejectedByTx = new Map();
+  for (const r of state?.rejected || []) {
+    if (r.address === user && r.tx) rejectedByTx.set(String(r.tx).toLowerCase(), r.reason);
+  }
+
+  const deposits = [];
+  const seen = new Set();
+  for (const l of logs) {
+    if (addrFromTopic(l.topics?.[1]) !== user) continue;
+    const row = decodeWeeklyAddLog(l);
+    if (!row) continue;
+    const id = `${row.tx}:${row.logIndex}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    row.rejected = (row.tx && rejectedByTx.get(row.tx.toLowerCase())) || null;
+    deposits.push(row);
+  }
+  // Newest first.
+  const blockOf = (d) => BigInt(d.block || 0);
+  deposits.sort((a, b) => (blockOf(a) === blockOf(b) ? b.logIndex - a.logIndex : blockOf(b) > blockOf(a) ? 1 : -1));
+
+  let points = 0n;
+  let countedPoints = 0n;
+  for (const d of deposits) {
+    points += BigInt(d.points);
+    if (!d.rejected) countedPoints += BigInt(d.countedPoints);
+  }
+
+  return {
+    address: user,
+    deposits,
+    totals: { count: deposits.length, points: points.toString(), countedPoints: countedPoints.toString() },
+    partial,
+    fromBlock: fromBlock.toString(),
+    toBlock: scannedTo.toString()
+  };
+}
+
+async function getCachedResponse() {
+  return await storeGetJson(KV_RESP_KEY);
 }
 
 async function setCachedResponse(resp) {
-  await storeSetJson(KV_RESP_KEY, resp, CACHE_TTL_SECONDS);
+  const { you, ...shared } = resp;
+  await storeSetJson(KV_RESP_KEY, shared, CACHE_TTL_SECONDS);
 }
 
 // Main handler
-module.exports = async function handler(req, res) {
+async function handleLeaderboard(source, clock, req, res) {
   const started = nowMs();
   const deadlineMs = started + MAX_SERVERLESS_MS;
 
@@ -769,6 +1211,107 @@ module.exports = async function handler(req, res) {
 const addressRaw = String(req.query.address || "").trim();
 const viewerAddress = /^0x[a-fA-F0-9]{40}$/.test(addressRaw) ? addressRaw : null;
 
+  // ?week=YYYY-MM-DD => that week's standings. The two live weeks come from the normal payload.
+  const weekRaw = String(req.query.week || "").trim();
+  const weekMs = weekRaw ? parseWeekParam(weekRaw) : null;
+  if (weekRaw && weekMs == null) {
+    res.setHeader("content-type", "application/json");
+    res.setHeader("cache-control", "no-store");
+    return res.status(400).send(JSON.stringify({ ok: false, error: "week must be a Monday as YYYY-MM-DD (UTC)" }));
+  }
+  const curWeekMs = weekStartUtcMs(clock());
+
+  // ?day=YYYY-MM-DD => a daily challenge board (pages only)
+  const dayRaw = String(req.query.day || "").trim();
+  const day = dayRaw ? parseDayParam(dayRaw) : null;
+  if (dayRaw && day == null) {
+    res.setHeader("content-type", "application/json");
+    res.setHeader("cache-control", "no-store");
+    return res.status(400).send(JSON.stringify({ ok: false, error: "day must be YYYY-MM-DD (UTC)" }));
+  }
+
+  // ?access=1&address= => just the viewer's all-time deposited total + unlock flag (no indexing run).
+  if (String(req.query.access || "0") === "1") {
+    res.setHeader("content-type", "application/json");
+    res.setHeader("cache-control", "no-store");
+    if (!viewerAddress) return res.status(400).send(JSON.stringify({ ok: false, error: "address is required" }));
+    try {
+      const address = viewerAddress.toLowerCase();
+      const access = accessFor((await readRank(KV_ALLTIME_KEY, address)).points);
+      return res.status(200).send(JSON.stringify({ ok: true, address, access }));
+    } catch (e) {
+      return res.status(200).send(JSON.stringify({ ok: false, error: e?.message || String(e) }));
+    }
+  }
+
+  // ?badges=1&address= => just the viewer's indexed achievement badges (no indexing run).
+  if (String(req.query.badges || "0") === "1") {
+    res.setHeader("content-type", "application/json");
+    res.setHeader("cache-control", "no-store");
+    if (!viewerAddress) return res.status(400).send(JSON.stringify({ ok: false, error: "address is required" }));
+    try {
+      const address = viewerAddress.toLowerCase();
+      return res.status(200).send(JSON.stringify({ ok: true, address, badges: await readBadges(address) }));
+    } catch (e) {
+      return res.status(200).send(JSON.stringify({ ok: false, error: e?.message || String(e) }));
+    }
+  }
+
+  if (req.query.offset != null || req.query.limit != null || req.query.around != null) {
+    res.setHeader("content-type", "application/json");
+    res.setHeader("cache-control", "no-store");
+
+    const board = day ? "day" : weekMs != null ? "week" : String(req.query.board || "weekly");
+    const boardDay = day || isoDayUtc(clock());
+    const boardKeys = {
+      weekly: weekPointsKey(curWeekMs),
+      lastWeek: weekPointsKey(curWeekMs - 7 * 24 * 60 * 60 * 1000),
+      allTime: KV_ALLTIME_KEY,
+      daily: dayPointsKey(boardDay),
+      day: dayPointsKey(boardDay),
+      week: weekMs != null ? weekPointsKey(weekMs) : null
+    };
+    const key = boardKeys[board];
+    if (!key) {
+      return res.status(400).send(JSON.stringify({ ok: false, error: "board must be weekly, lastWeek, allTime or daily" }));
+    }
+
+    const aroundRaw = String(req.query.around || "").trim();
+    if (req.query.around != null && !/^0x[a-fA-F0-9]{40}$/.test(aroundRaw)) {
+      return res.status(400).send(JSON.stringify({ ok: false, error: "around must be an address" }));
+    }
+
+    try {
+      const page = await formatPagePayload(key, {
+        offset: clampInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER),
+        limit: clampInt(req.query.limit, DEFAULT_PAGE_LIMIT, 1, MAX_PAGE_LIMIT),
+        around: aroundRaw ? aroundRaw.toLowerCase() : null,
+        radius: clampInt(req.query.radius, DEFAULT_AROUND_RADIUS, 0, MAX_AROUND_RADIUS)
+      });
+      const dayInfo = board === "daily" || board === "day" ? { day: boardDay, endsAt: Date.parse(`${boardDay}T00:00:00Z`) + 24 * 60 * 60 * 1000 } : {};
+      return res.status(200).send(JSON.stringify({ ...page, board, weekStart: weekMs, ...dayInfo }));
+    } catch (e) {
+      return res.status(200).send(JSON.stringify({ ok: false, error: e?.message || String(e) }));
+    }
+  }
+
+  if (weekMs != null && weekMs !== curWeekMs && weekMs !== curWeekMs - 7 * 24 * 60 * 60 * 1000) {
+    try {
+      const payload = await formatWeekPayload(weekMs, { viewerAddress });
+      res.setHeader("content-type", "application/json");
+      res.setHeader("cache-control", "no-store");
+      if (!payload) {
+        return res.status(404).send(JSON.stringify({ ok: false, error: `No standings for week ${weekRaw}` }));
+      }
+      return res.status(200).send(JSON.stringify(payload));
+    } catch (e) {
+      res.setHeader("content-type", "application/json");
+      res.setHeader("cache-control", "no-store");
+      return res.status(200).send(JSON.stringify({ ok: false, error: e?.message || String(e) }));
+    }
+  }
+
+  let gotLock = false;
   try {
     // Fast path: cached response (instant open)
     if (!refresh) {
@@ -776,36 +1319,41 @@ const viewerAddress = /^0x[a-fA-F0-9]{40}$/.test(addressRaw) ? addressRaw : null
       if (cached) {
         res.setHeader("content-type", "application/json");
         res.setHeader("cache-control", "no-store");
-        return res.status(200).send(JSON.stringify(cached));
+        return res.status(200).send(JSON.stringify(await withViewer(cached, viewerAddress)));
       }
     }
 
-    // Best-effort lock to prevent stampede on refresh/cron
-    const gotLock = await storeAcquireLock(KV_LOCK_KEY, 30);
-    if (!gotLock && !refresh) {
-      // If we couldn't lock and it's not a forced refresh, return whatever we can
+    // Only the lock holder indexes. A forced refresh (?refresh=1, cron) waits a moment for a
+    // running update instead of starting a second one next to it.
+    gotLock = await storeAcquireLock(KV_LOCK_KEY, 30);
+    while (!gotLock && refresh && nowMs() < deadlineMs - LOCK_WAIT_RESERVE_MS) {
+      await sleep(LOCK_POLL_MS);
+      gotLock = await storeAcquireLock(KV_LOCK_KEY, 30);
+    }
+    if (!gotLock) {
+      res.setHeader("content-type", "application/json");
+      res.setHeader("cache-control", "no-store");
       const cached = await getCachedResponse();
-      if (cached) {
-        res.setHeader("content-type", "application/json");
-        res.setHeader("cache-control", "no-store");
-        return res.status(200).send(JSON.stringify({ ...cached, meta: { ...cached.meta, busy: true } }));
+      if (!cached) {
+        return res.status(200).send(JSON.stringify({ ok: false, busy: true, error: "Leaderboard is updating, try again shortly" }));
       }
+      const resp = await withViewer(cached, viewerAddress);
+      return res.status(200).send(JSON.stringify({ ...resp, meta: { ...cached.meta, busy: true } }));
     }
 
     const rawState = await storeGetJson(KV_STATE_KEY);
     const state = deserializeState(rawState);
 
-    const updated = await incrementalUpdate(state, deadlineMs);
+    const updated = await incrementalUpdate(source, state, deadlineMs, clock());
+
+    let resp = await formatResponsePayload(updated, { viewerAddress });
 
-    let fcMap = null;
     if (includeNames && nowMs() < deadlineMs - 500) {
       const addrs = new Set();
-      for (const w of updated.weeks) for (const a of w.map.keys()) addrs.add(a);
-      fcMap = await fetchNamesFromNeynar([...addrs]);
+      for (const list of [resp.weekly, resp.lastWeek, resp.allTime]) for (const it of list) addrs.add(it.address);
+      resp = enrichNames(resp, await fetchNamesFromNeynar([...addrs]));
     }
 
-    const resp = formatResponsePayload(updated, { includeNames, fcMap, viewerAddress });
-
     // Persist
     await storeSetJson(KV_STATE_KEY, serializeState(updated), STATE_TTL_SECONDS);
     await setCachedResponse(resp);
@@ -815,8 +1363,8 @@ const viewerAddress = /^0x[a-fA-F0-9]{40}$/.test(addressRaw) ? addressRaw : null
     res.setHeader("cache-control", "no-store");
     return res.status(200).send(JSON.stringify(resp));
   } catch (e) {
-    // Always attempt to unlock
-    try { await storeReleaseLock(KV_LOCK_KEY); } catch (_) {}
+    // Always attempt to unlock (only ours: a busy request never took it)
+    if (gotLock) try { await storeReleaseLock(KV_LOCK_KEY); } catch (_) {}
 
     res.setHeader("content-type", "application/json");
     res.setHeader("cache-control", "no-store");
@@ -829,4 +1377,38 @@ const viewerAddress = /^0x[a-fA-F0-9]{40}$/.test(addressRaw) ? addressRaw : null
       })
     );
   }
-};
+}
+
+// Options (all optional, for local runs/CI):
+// - rpcs: JSON-RPC URLs to rotate through (default: public Base RPCs + RPC_URL/RPC_URLS)
+// - explorerUrl / explorerApiKey: Etherscan-style logs API (default: BaseScan)
+// - now: () => ms, clock used for week boundaries
+function resolveLogSource(opts = {}) {
+  return {
+    rpcs: opts.rpcs || DEFAULT_LOG_SOURCE.rpcs,
+    explorerUrl: opts.explorerUrl || DEFAULT_LOG_SOURCE.explorerUrl,
+    explorerApiKey: opts.explorerApiKey != null ? opts.explorerApiKey : DEFAULT_LOG_SOURCE.explorerApiKey
+  };
+}
+
+function createLeaderboardHandler(opts = {}) {
+  const source = resolveLogSource(opts);
+  const clock = opts.now || nowMs;
+  return function handler(req, res) {
+    return handleLeaderboard(source, clock, req, res);
+  };
+}
+
+module.exports = createLeaderboardHandler();
+module.exports.createLeaderboardHandler = createLeaderboardHandler;
+// Shared with /api/deposits (same log source + decoding).
+module.exports.resolveLogSource = resolveLogSource;
+module.exports.listDeposits = listDeposits;
+// Daily challenge scores are posted by /api/daily.
+module.exports.recordDailyScore = recordDailyScore;
+module.exports.MAX_SERVERLESS_MS = MAX_SERVERLESS_MS;
+// Indexer steps and key names, for test/leaderboard-indexer.test.js.
+module.exports.backfillTwoWeeks = backfillTwoWeeks;
+module.exports.incrementalUpdate = incrementalUpdate;
+module.exports.weekPointsKey = weekPointsKey;
+module.exports.KV_ALLTIME_KEY = KV_ALLTIME_KEY;
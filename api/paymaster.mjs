@@ -0,0 +1,177 @@
+// Vercel Serverless Function: /api/paymaster
+// Simple JSON-RPC proxy to protect your CDP Paymaster & Bundler endpoint URL.
+// Set env var: PAYMASTER_AND_BUNDLER_ENDPOINT = https://api.developer.coinbase.com/rpc/v1/base/<YOUR_KEY>
+// or a comma separated PAYMASTER_AND_BUNDLER_ENDPOINTS list: upstreams are used round-robin and a
+// failing one is skipped for a while (lib/paymaster-upstreams.js). 502 only when all of them fail.
+//
+// This endpoint is meant to be used as the `capabilities.paymasterService.url` in wallet_sendCalls.
+//
+// Requests go through lib/paymaster-policy.js first: only ERC-7677 pm_* methods for user
+// operations that call our CONTRACT.logAction are forwarded, within per-sender and per-IP daily
+// quotas (PAYMASTER_DAILY_QUOTA, PAYMASTER_IP_DAILY_QUOTA, counted in the shared store). Anything
+// else gets a JSON-RPC error.
+//
+// Every forwarded call is logged with its outcome, refused ones are counted
+// (lib/paymaster-accounting.js, see /api/paymaster/stats). A charged call reserves its estimated
+// spend before it is forwarded; when that would take the week past PAYMASTER_WEEKLY_BUDGET_ETH
+// the proxy answers "sponsorship paused" and wallets fall back to paying gas themselves.
+
+import policyLib from '../lib/paymaster-policy.js';
+import accountingLib from '../lib/paymaster-accounting.js';
+import upstreamsLib from '../lib/paymaster-upstreams.js';
+import storeLib from '../lib/store.js';
+
+const { enforcePaymasterPolicy, clientIpOf } = policyLib;
+const { recordPaymasterCalls, reservePaymasterBudget, readBudget } = accountingLib;
+const { PAYMASTER_UPSTREAMS, forwardToPaymaster, saveUpstreamHealth } = upstreamsLib;
+const { getStore } = storeLib;
+
+// Accounting must never break sponsorship itself.
+async function record(store, calls, status, extra) {
+  try {
+    await recordPaymasterCalls(store, calls, status, extra);
+  } catch (e) {
+    console.warn('paymaster accounting failed', e);
+  }
+}
+
+// Hands reserved quota / spend back; like accounting, a failure here must not break the reply.
+async function release(...reservations) {
+  for (const r of reservations) {
+    try {
+      await r?.release();
+    } catch (e) {
+      console.warn('paymaster release failed', e);
+    }
+  }
+}
+
+// JSON-RPC error for a refused request (code -32001 = not sponsored by policy).
+function sendPolicyError(res, body, policy) {
+  const calls = Array.isArray(body) ? body : [body];
+  const id = calls[policy.index || 0]?.id ?? null;
+  res.status(403);
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(
+    JSON.stringify({
+      jsonrpc: '2.0',
+      id,
+      error: { code: -32001, message: policy.message, data: { reason: policy.reason } },
+    })
+  );
+}
+
+// True when the upstream answer isn't a clean JSON-RPC success: unparsable, or any reply in
+// it (single or batch) carries a top-level `error`. Results may mention "error" freely.
+function hasRpcError(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (_) {
+    return true;
+  }
+  const replies = Array.isArray(json) ? json : [json];
+  return !replies.length || replies.some((r) => !r || typeof r !== 'object' || r.error != null);
+}
+
+async function readRawBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).send('Method Not Allowed');
+    return;
+  }
+
+  if (!PAYMASTER_UPSTREAMS.length) {
+    res.status(500).json({
+      error: 'Missing PAYMASTER_AND_BUNDLER_ENDPOINT(S) env var on the server.',
+    });
+    return;
+  }
+
+  // Read body as text to preserve exact JSON-RPC payload
+  const rawBody = typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {});
+  const bodyToSend = rawBody && rawBody !== '{}' ? rawBody : await readRawBody(req);
+
+  let rpcBody;
+  try {
+    rpcBody = JSON.parse(bodyToSend);
+  } catch (_) {
+    res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    return;
+  }
+
+  const store = getStore();
+  const calls = Array.isArray(rpcBody) ? rpcBody : [rpcBody];
+
+  const paused = { ok: false, reason: 'budget-exhausted', message: 'Sponsorship paused: weekly budget reached', index: 0 };
+  const outOfRange = { ok: false, reason: 'gas-out-of-range', message: 'Gas limits or fees out of range', index: 0 };
+  let policy;
+  let budget;
+  try {
+    policy = (await readBudget(store)).exhausted ? paused : await enforcePaymasterPolicy(rpcBody, { store, clientIp: clientIpOf(req) });
+    if (policy.ok) {
+      try {
+        budget = await reservePaymasterBudget(store, calls);
+      } catch (e) {
+        await release(policy);
+        throw e;
+      }
+      if (!budget.ok) {
+        await release(policy);
+        policy = budget.reason === 'gas-out-of-range' ? outOfRange : paused;
+      }
+    }
+  } catch (e) {
+    res.status(503).json({ error: 'Sponsorship policy unavailable', message: String(e?.message || e) });
+    return;
+  }
+  if (!policy.ok) {
+    await record(store, calls, policy.reason === 'budget-exhausted' ? 'paused' : 'denied', { reason: policy.reason });
+    sendPolicyError(res, rpcBody, policy);
+    return;
+  }
+
+  try {
+    const r = await forwardToPaymaster(bodyToSend, calls);
+
+    // Upstream refused: the reserved quota wasn't spent.
+    const failed = r.status >= 400 || hasRpcError(r.text);
+    if (failed) await release(policy, budget);
+    await record(
+      store,
+      calls,
+      failed ? 'upstream-error' : 'sponsored',
+      failed
+        ? { upstreamStatus: r.status, upstream: r.upstream.index, upstreamError: r.text.slice(0, 200) }
+        : { upstreamStatus: r.status, upstream: r.upstream.index }
+    );
+    await saveUpstreamHealth(store);
+
+    res.status(r.status);
+    res.setHeader('Content-Type', r.contentType);
+    // Prevent caching JSON-RPC responses
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(r.text);
+  } catch (e) {
+    await release(policy, budget);
+    await record(store, calls, 'upstream-error', {
+      upstream: e?.upstream?.index ?? null,
+      upstreamError: String(e?.message || e).slice(0, 200),
+    });
+    await saveUpstreamHealth(store);
+    res.status(502).json({
+      error: 'Failed to reach any paymaster endpoint',
+      message: String(e?.message || e),
+    });
+  }
+}
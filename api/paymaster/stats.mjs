@@ -0,0 +1,67 @@
+// Vercel Serverless Function: /api/paymaster/stats
+// Sponsorship budget dashboard: daily + weekly sponsored counts, estimated spend,
+// top sponsored wallets this week, the latest logged calls and what's left of the cap.
+//
+// GET /api/paymaster/stats[?top=10&recent=50]
+//  -> { ok, sponsoring, budget: { capWei, spentWei, remainingWei, exhausted, period },
+//       today: { day, sponsored, denied, spentWei }, week: { weekStart, ... },
+//       topWallets: [{ address, sponsored }], recent: [log entry, ...],
+//       upstreams: { at, upstreams: [{ index, origin, state, ok, fail, ... }] } }
+//
+// Env:
+// - PAYMASTER_WEEKLY_BUDGET_ETH: cap on estimated weekly spend (unset = unlimited)
+// - PAYMASTER_STATS_TOKEN: required as ?token= or "Authorization: Bearer <token>"; without it
+//   the dashboard is off (503), since it lists wallets and the paymaster's upstreams.
+
+import crypto from 'node:crypto';
+import accountingLib from '../../lib/paymaster-accounting.js';
+import upstreamsLib from '../../lib/paymaster-upstreams.js';
+import storeLib from '../../lib/store.js';
+
+const { readPaymasterStats } = accountingLib;
+const { readUpstreamHealth } = upstreamsLib;
+const { getStore } = storeLib;
+
+function clampInt(v, def, min, max) {
+  const n = Number.parseInt(v, 10);
+  if (!Number.isFinite(n)) return def;
+  return Math.max(min, Math.min(max, n));
+}
+
+function sameToken(given, token) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(token)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function send(res, status, body) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).send(JSON.stringify(body));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return send(res, 405, { ok: false, error: 'Method Not Allowed' });
+  }
+
+  const token = process.env.PAYMASTER_STATS_TOKEN;
+  if (!token) {
+    return send(res, 503, { ok: false, error: 'Stats are not configured (PAYMASTER_STATS_TOKEN missing).' });
+  }
+  const auth = String(req.headers?.authorization || '');
+  const given = auth.startsWith('Bearer ') ? auth.slice(7) : String(req.query?.token || '');
+  if (!sameToken(given, token)) return send(res, 401, { ok: false, error: 'Unauthorized' });
+
+  try {
+    const store = getStore();
+    const stats = await readPaymasterStats(store, {
+      top: clampInt(req.query?.top, 10, 1, 100),
+      recent: clampInt(req.query?.recent, 50, 0, 500)
+    });
+    return send(res, 200, { ok: true, ...stats, upstreams: await readUpstreamHealth(store) });
+  } catch (e) {
+    return send(res, 500, { ok: false, error: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,56 @@
+// Score attestation helpers (shared by /api/attest and the leaderboard indexer).
+//
+// An attestation is an HMAC-SHA256 over (address, points, weekStart, issuedAt).
+// It is verified server-side only, so a symmetric key is enough.
+//
+// Env:
+// - ATTEST_SIGNING_KEY: secret used to sign/verify. Required in production.
+//   Outside production a fixed dev key is used so everything works offline/in tests.
+
+const crypto = require("crypto");
+
+const ATTEST_DOMAIN = "GASRUN_ATTEST_V1";
+const DEV_SIGNING_KEY = "gasrun-dev-attest-key-do-not-use-in-production";
+
+function isProduction() {
+  return process.env.VERCEL_ENV === "production" || process.env.NODE_ENV === "production";
+}
+
+function getSigningKey() {
+  const k = process.env.ATTEST_SIGNING_KEY;
+  if (k) return k;
+  return isProduction() ? null : DEV_SIGNING_KEY;
+}
+
+function attestationMessage({ address, points, weekStart, issuedAt }) {
+  return [
+    ATTEST_DOMAIN,
+    String(address || "").toLowerCase(),
+    BigInt(points).toString(),
+    BigInt(weekStart).toString(),
+    BigInt(issuedAt).toString()
+  ].join(":");
+}
+
+// Returns a 0x-prefixed 32-byte hex signature (fits a bytes32 slot on-chain).
+function signAttestation(fields, key = getSigningKey()) {
+  if (!key) throw new Error("ATTEST_SIGNING_KEY is not configured");
+  const mac = crypto.createHmac("sha256", key).update(attestationMessage(fields)).digest("hex");
+  return "0x" + mac;
+}
+
+function verifyAttestation(fields, sig, key = getSigningKey()) {
+  if (!key || typeof sig !== "string") return false;
+  const got = sig.toLowerCase().replace(/^0x/, "");
+  if (!/^[0-9a-f]{64}$/.test(got)) return false;
+  const want = signAttestation(fields, key).slice(2);
+  return crypto.timingSafeEqual(Buffer.from(got, "hex"), Buffer.from(want, "hex"));
+}
+
+module.exports = {
+  ATTEST_DOMAIN,
+  getSigningKey,
+  attestationMessage,
+  signAttestation,
+  verifyAttestation
+};
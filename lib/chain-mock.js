@@ -0,0 +1,231 @@
+// Local chain stand-in for leaderboard indexing (no network needed).
+//
+// Serves the two things api/leaderboard.js talks to:
+// - JSON-RPC  (POST /rpc):  eth_blockNumber, eth_getLogs, eth_getCode (for /api/health)
+// - BaseScan  (GET  /api):  module=logs&action=getLogs (page/offset paging)
+//
+// Usage:
+//   const { startMockChain, loadFixture } = require("./lib/chain-mock");
+//   const { createLeaderboardHandler } = require("./api/leaderboard");
+//   const mock = await startMockChain(loadFixture("lib/fixtures/chain-two-weeks.json"));
+//   const handler = createLeaderboardHandler({
+//     rpcs: [mock.rpcUrl],
+//     explorerUrl: mock.explorerUrl,
+//     now: () => Date.parse("2026-10-14T12:00:00Z")
+//   });
+//   ... mock.chain.addLogs([...]); mock.chain.mine(500); ...
+//   await mock.close();
+//
+// Fixture format (JSON):
+// {
+//   "latestBlock": 25000,
+//   "contract": "0x...",          // optional; when set, eth_getLogs/BaseScan filter on it
+//   "code": "0x...",              // optional; eth_getCode's answer (chain.code, default "0x")
+//   "logs": [
+//     {
+//       "block": 24010,
+//       "user": "0xabc...",        // 20-byte address
+//       "points": "125000",        // decimal string or number
+//       "weekStart": "2026-10-12", // Monday (UTC) as YYYY-MM-DD, or ms
+//       "issuedAt": 1791000000000, // optional attestation (see /api/attest)
+//       "sig": "0x...",            // optional bytes32
+//       "action": "WEEKLY_ADD",    // optional, bytes32 label (default WEEKLY_ADD)
+//       "tx": "0x..."              // optional
+//     },
+//     { "block": 24100, "user": "0xabc...", "achievement": "coin:100x", "timestamp": 1791000000 }
+//   ]
+// }
+//
+// Entries with "achievement" log ACHIEVEMENT with abi.encode(bytes32 achievementId) instead.
+//
+// Failure injection (options of startMockChain / createMockChain):
+// - maxBlockRange: eth_getLogs rejects wider ranges ("block range too large, max is 1k")
+// - rateLimitEvery: every Nth RPC request answers HTTP 429
+// - explorerDown: BaseScan answers HTTP 500 (forces the RPC path)
+
+const fs = require("fs");
+const http = require("http");
+const { keccak_256 } = require("js-sha3");
+
+const TOPIC0_ACTION_LOGGED = "0x" + keccak_256("ActionLogged(address,bytes32,uint256,bytes)");
+
+const word = (n) => BigInt(n).toString(16).padStart(64, "0");
+const toHex = (n) => "0x" + BigInt(n).toString(16);
+
+function bytes32Label(label) {
+  const hex = Buffer.from(String(label), "utf8").toString("hex");
+  return "0x" + hex.padEnd(64, "0").slice(0, 64);
+}
+
+function parseWeekStart(v) {
+  if (typeof v === "number") return v;
+  const ms = Date.parse(`${v}T00:00:00Z`);
+  if (!Number.isFinite(ms)) throw new Error(`Bad weekStart in fixture: ${v}`);
+  return ms;
+}
+
+// Fixture entry => raw log shaped like eth_getLogs output.
+// data = abi.encode(uint256 timestamp, bytes payload), payload = abi.encode(points, weekStart[, issuedAt, sig])
+// (or abi.encode(bytes32 achievementId) for achievement entries)
+function encodeWeeklyAddLog(entry, index = 0, contract = "0x0000000000000000000000000000000000000000") {
+  const user = String(entry.user || "").toLowerCase().replace(/^0x/, "");
+  if (!/^[0-9a-f]{40}$/.test(user)) throw new Error(`Bad user in fixture: ${entry.user}`);
+
+  let payload;
+  let ts;
+  if (entry.achievement) {
+    payload = bytes32Label(entry.achievement).slice(2);
+    ts = entry.timestamp != null ? entry.timestamp : 0;
+  } else {
+    payload = word(entry.points) + word(parseWeekStart(entry.weekStart));
+    if (entry.sig) payload += word(entry.issuedAt || 0) + String(entry.sig).replace(/^0x/, "").padStart(64, "0");
+    ts = entry.timestamp != null ? entry.timestamp : Math.floor(parseWeekStart(entry.weekStart) / 1000);
+  }
+  const data = "0x" + word(ts) + word(64) + word(payload.length / 2) + payload;
+
+  return {
+    address: contract,
+    blockNumber: toHex(entry.block),
+    transactionHash: entry.tx || "0x" + keccak_256(`${entry.block}:${index}:${user}`),
+    logIndex: toHex(index),
+    topics: [TOPIC0_ACTION_LOGGED, "0x" + "0".repeat(24) + user, bytes32Label(entry.action || (entry.achievement ? "ACHIEVEMENT" : "WEEKLY_ADD"))],
+    data
+  };
+}
+
+function loadFixture(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// In-process chain (no HTTP); startMockChain wraps it in a server.
+function createMockChain(fixture = {}, opts = {}) {
+  const contract = fixture.contract ? String(fixture.contract).toLowerCase() : null;
+  let latestBlock = BigInt(fixture.latestBlock || 0);
+  const logs = [];
+  const stats = { rpc: 0, getLogs: 0, explorer: 0, rejected: 0 };
+
+  const chain = {
+    stats,
+    code: fixture.code || "0x",
+    get latestBlock() {
+      return latestBlock;
+    },
+    addLogs(entries) {
+      for (const e of entries) {
+        const log = encodeWeeklyAddLog(e, logs.length, contract || undefined);
+        logs.push(log);
+        if (BigInt(e.block) > latestBlock) latestBlock = BigInt(e.block);
+      }
+    },
+    mine(n = 1) {
+      latestBlock += BigInt(n);
+      return latestBlock;
+    },
+    getLogs({ fromBlock, toBlock, address, topics = [] }) {
+      return logs.filter((l) => {
+        const b = BigInt(l.blockNumber);
+        if (b < fromBlock || b > toBlock) return false;
+        if (contract && address && String(address).toLowerCase() !== contract) return false;
+        // A topic position may be a list of alternatives (OR), as in eth_getLogs.
+        const match = (t, i) => String(t).toLowerCase() === l.topics[i];
+        return topics.every((t, i) => t == null || (Array.isArray(t) ? t.some((x) => match(x, i)) : match(t, i)));
+      });
+    }
+  };
+  chain.addLogs(fixture.logs || []);
+
+  chain.handleRpc = (body) => {
+    stats.rpc++;
+    if (opts.rateLimitEvery && stats.rpc % opts.rateLimitEvery === 0) {
+      return { status: 429, json: { jsonrpc: "2.0", id: body?.id, error: { code: 429, message: "rate limit exceeded" } } };
+    }
+    const reply = (result) => ({ status: 200, json: { jsonrpc: "2.0", id: body?.id ?? 1, result } });
+    const fail = (message) => ({ status: 200, json: { jsonrpc: "2.0", id: body?.id ?? 1, error: { code: -32000, message } } });
+
+    if (body?.method === "eth_blockNumber") return reply(toHex(latestBlock));
+    if (body?.method === "eth_getCode") {
+      const a = String(body.params?.[0] || "").toLowerCase();
+      return reply(!contract || a === contract ? chain.code : "0x");
+    }
+    if (body?.method === "eth_getLogs") {
+      stats.getLogs++;
+      const f = body.params?.[0] || {};
+      const from = BigInt(f.fromBlock || 0);
+      const to = f.toBlock === "latest" || f.toBlock == null ? latestBlock : BigInt(f.toBlock);
+      if (opts.maxBlockRange && to - from > BigInt(opts.maxBlockRange)) {
+        stats.rejected++;
+        return fail(`block range too large, max is 1k (${opts.maxBlockRange})`);
+      }
+      return reply(chain.getLogs({ fromBlock: from, toBlock: to, address: f.address, topics: f.topics || [] }));
+    }
+    return fail(`method not found: ${body?.method}`);
+  };
+
+  chain.handleExplorer = (params) => {
+    stats.explorer++;
+    if (opts.explorerDown) return { status: 500, json: { status: "0", message: "NOTOK", result: "down" } };
+    if (params.get("module") !== "logs" || params.get("action") !== "getLogs") {
+      return { status: 200, json: { status: "0", message: "NOTOK", result: "unsupported" } };
+    }
+    const topics = [params.get("topic0"), params.get("topic1"), params.get("topic2")].map((t) => t || null);
+    const all = chain.getLogs({
+      fromBlock: BigInt(params.get("fromBlock") || 0),
+      toBlock: params.get("toBlock") === "latest" ? latestBlock : BigInt(params.get("toBlock") || latestBlock),
+      address: params.get("address"),
+      topics
+    });
+    const page = Math.max(1, Number(params.get("page") || 1));
+    const offset = Math.max(1, Number(params.get("offset") || 1000));
+    const result = all.slice((page - 1) * offset, page * offset);
+    if (!result.length) return { status: 200, json: { status: "0", message: "No records found", result: [] } };
+    return { status: 200, json: { status: "1", message: "OK", result } };
+  };
+
+  return chain;
+}
+
+function startMockChain(fixture = {}, opts = {}) {
+  const chain = createMockChain(fixture, opts);
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    const send = ({ status, json }) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(json));
+    };
+
+    if (req.method === "GET" && url.pathname === "/api") return send(chain.handleExplorer(url.searchParams));
+    if (req.method === "POST" && url.pathname === "/rpc") {
+      let raw = "";
+      req.on("data", (c) => (raw += c));
+      req.on("end", () => {
+        let body = null;
+        try { body = JSON.parse(raw); } catch (_) {}
+        send(chain.handleRpc(body));
+      });
+      return;
+    }
+    send({ status: 404, json: { error: "not found" } });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(opts.port || 0, "127.0.0.1", () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        chain,
+        rpcUrl: `${base}/rpc`,
+        explorerUrl: `${base}/api`,
+        close: () => new Promise((r) => server.close(() => r()))
+      });
+    });
+  });
+}
+
+module.exports = {
+  TOPIC0_ACTION_LOGGED,
+  encodeWeeklyAddLog,
+  loadFixture,
+  createMockChain,
+  startMockChain
+};
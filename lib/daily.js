@@ -0,0 +1,48 @@
+// Daily challenge: one track per UTC day for everyone (GAME_MODES.daily in src/engine.js).
+//
+// The day's track seed is published by /api/daily. With DAILY_SEED_KEY set it is an HMAC of
+// the day, so nobody can practise tomorrow's track ahead of time; without it the public
+// dailySeed(day) from the engine is used (that is also what the client falls back to offline).
+
+const crypto = require("crypto");
+const { dailySeed } = require("../src/engine.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBMIT_GRACE_MS = 15 * 60 * 1000; // runs started before midnight can still be posted
+
+// YYYY-MM-DD in UTC
+function utcDay(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function dayStartMs(day) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(day || ""));
+  if (!m) return null;
+  const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isFinite(ms) && utcDay(ms) === m[0] ? ms : null;
+}
+
+function dayEndsAt(day) {
+  const start = dayStartMs(day);
+  return start == null ? null : start + DAY_MS;
+}
+
+function dailySeedFor(day) {
+  const key = process.env.DAILY_SEED_KEY;
+  if (!key) return dailySeed(day);
+  return crypto.createHmac("sha256", key).update(`gasrun:daily:${day}`).digest().readUInt32BE(0);
+}
+
+// Days a run may still be posted for: today, plus yesterday for a short grace after midnight.
+function isOpenDay(day, now = Date.now()) {
+  const end = dayEndsAt(day);
+  if (end == null) return false;
+  return end - DAY_MS <= now && now < end + SUBMIT_GRACE_MS;
+}
+
+module.exports = {
+  utcDay,
+  dayEndsAt,
+  dailySeedFor,
+  isOpenDay
+};
@@ -0,0 +1,94 @@
+// Spawn fairness harness: plays seeded runs headlessly and checks that every obstacle wave
+// left a way through (see planEscape() in src/engine.js).
+//
+// A bot steers each run by following planEscape(): it only ever moves when the plan says so,
+// at the lane-change pace the planner assumes, and picks up whatever lies on its path. If the
+// generator is fair the bot never crashes, so every crash is a seed that produced an impossible
+// wave, including ones where a pickup (double-lane before v5) took the way through away.
+//
+// Usage:
+//   node lib/fairness-harness.js [seeds=2000] [seconds=90] [version]
+//
+//   const { runFairnessHarness } = require("./lib/fairness-harness");
+//   const report = runFairnessHarness({ seeds: 2000, seconds: 90, modes: ["endless", "hardcore"] });
+//   // => { runs, ticks, crashes: [{ mode, seed, t, cause, replay }], ok }
+//   // cause: "pickup" when the way through was lost on the tick of a pickup, else "spawn"
+//
+// `version: 2` runs the old (unchecked) spawner for comparison.
+
+const {
+  SIM_STEP,
+  REPLAY_VERSION,
+  createRun,
+  computeLaneGeometry,
+  queueLaneInput,
+  stepRun,
+  planEscape,
+  exportReplay
+} = require("../src/engine.js");
+
+const DEFAULT_MODES = ["endless", "timeAttack", "hardcore"];
+
+function playOne({ seed, mode, seconds, geo, version }) {
+  const run = createRun({ seed, geo, mode, version });
+  const maxTicks = Math.round(seconds / SIM_STEP);
+  let pickedAt = -1;
+  let lost = null; // why the bot has no way through: "pickup" | "spawn"
+  const hooks = { onPowerup: () => (pickedAt = run.tick) };
+  while (!run.over && run.tick < maxTicks) {
+    if (!run.pendingLane.length) {
+      const plan = planEscape(run);
+      if (plan.ok) lost = null;
+      else if (!lost) lost = pickedAt === run.tick ? "pickup" : "spawn";
+      if (plan.move) queueLaneInput(run, plan.move);
+    }
+    stepRun(run, hooks);
+  }
+  return { run, lost, crashed: run.over && !run.finished };
+}
+
+function runFairnessHarness({
+  seeds = 2000,
+  seconds = 90,
+  modes = DEFAULT_MODES,
+  version = REPLAY_VERSION,
+  geo = { w: 420, h: 820 },
+  firstSeed = 1
+} = {}) {
+  const g = computeLaneGeometry(geo.w, geo.h);
+  const crashes = [];
+  let runs = 0;
+  let ticks = 0;
+  for (const mode of modes) {
+    for (let i = 0; i < seeds; i++) {
+      const seed = (firstSeed + i) >>> 0;
+      const out = playOne({ seed, mode, seconds, geo: g, version });
+      runs++;
+      ticks += out.run.tick;
+      if (out.crashed) {
+        crashes.push({ mode, seed, t: Number(out.run.t.toFixed(2)), cause: out.lost || "spawn", replay: exportReplay(out.run) });
+      }
+    }
+  }
+  return { runs, ticks, crashes, ok: crashes.length === 0 };
+}
+
+module.exports = {
+  runFairnessHarness
+};
+
+if (require.main === module) {
+  const [seeds, seconds, version] = process.argv.slice(2).map(Number);
+  const report = runFairnessHarness({
+    seeds: seeds || undefined,
+    seconds: seconds || undefined,
+    version: version || undefined
+  });
+  console.log(
+    `${report.runs} runs, ${Math.round(report.ticks * SIM_STEP)}s simulated, ${report.crashes.length} unfair`
+  );
+  for (const c of report.crashes.slice(0, 20)) {
+    console.log(`  ${c.mode} seed=${c.seed} crashed at t=${c.t}s (${c.cause})`);
+  }
+  process.exitCode = report.ok ? 0 : 1;
+}
@@ -0,0 +1,190 @@
+// Sponsorship accounting for /api/paymaster (read back by /api/paymaster/stats).
+//
+// Every forwarded JSON-RPC call is logged with sender, call targets, estimated gas and status;
+// calls refused before forwarding (denied / paused) are only counted, so junk traffic can't
+// grow the log. Sponsored pm_getPaymasterData calls also add to per-day / per-week counters.
+// Their estimated spend is reserved up front (reservePaymasterBudget, an INCRBY like the
+// policy's quota) against PAYMASTER_WEEKLY_BUDGET_ETH (unset = no cap), so concurrent
+// requests can't overshoot it; once the week's spend reaches the cap the proxy stops
+// sponsoring until the next week.
+//
+// Spend is an estimate: the user operation's gas limits × maxFeePerGas at sponsorship time,
+// kept in gwei so the counters stay exact as doubles.
+//
+// Store layout (prefix lanerunner:pm:v1, next to the policy's quota keys):
+// - day:<YYYY-MM-DD>:log     sorted set, member = JSON entry, score = timestamp
+// - day:<YYYY-MM-DD>:n       sponsored count        week:<YYYY-MM-DD>:n       (Monday)
+// - day:<YYYY-MM-DD>:denied  refused count          week:<YYYY-MM-DD>:denied
+// - day:<YYYY-MM-DD>:gwei    estimated spend        week:<YYYY-MM-DD>:gwei      (reserved)
+// - week:<YYYY-MM-DD>:senders  sorted set, sponsored count per sender
+
+const { checkCall } = require("./paymaster-policy");
+
+const KV_PREFIX = "lanerunner:pm:v1";
+const LOG_TTL_SECONDS = 60 * 60 * 24 * 15;
+const COUNTER_TTL_SECONDS = 60 * 60 * 24 * 60;
+const GWEI = 1000000000n;
+const NOT_LOGGED = new Set(["denied", "paused"]);
+
+// "0.5" ETH => wei (BigInt); null when unset/invalid.
+function parseEth(v) {
+  const m = /^\s*(\d+)(?:\.(\d{0,18}))?\s*$/.exec(String(v ?? ""));
+  if (!m) return null;
+  return BigInt(m[1]) * 10n ** 18n + BigInt((m[2] || "").padEnd(18, "0") || "0");
+}
+const WEEKLY_BUDGET_WEI = parseEth(process.env.PAYMASTER_WEEKLY_BUDGET_ETH);
+
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+function weekStartUtcMs(now = Date.now()) {
+  const d = new Date(now);
+  const diffToMon = (d.getUTCDay() + 6) % 7;
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - diffToMon);
+}
+const dayKey = (now, what) => `${KV_PREFIX}:day:${isoDay(now)}:${what}`;
+const weekKey = (now, what) => `${KV_PREFIX}:week:${isoDay(weekStartUtcMs(now))}:${what}`;
+
+const toBig = (v) => {
+  try { return v == null || v === "" ? 0n : BigInt(v); } catch (_) { return 0n; }
+};
+
+// ERC-4337 v0.6 and v0.7 user operations name their gas fields differently; sum whatever is there.
+function estimateUserOpCost(userOp) {
+  const op = userOp || {};
+  const gas =
+    toBig(op.callGasLimit) +
+    toBig(op.verificationGasLimit) +
+    toBig(op.preVerificationGas) +
+    toBig(op.paymasterVerificationGasLimit) +
+    toBig(op.paymasterPostOpGasLimit);
+  const maxFeePerGas = toBig(op.maxFeePerGas);
+  return { gas, maxFeePerGas, costWei: gas * maxFeePerGas };
+}
+
+// One log entry per call. status: "sponsored" | "stub" | "denied" | "paused" | "upstream-error"
+function describeCall(call) {
+  const userOp = Array.isArray(call?.params) ? call.params[0] : null;
+  const checked = checkCall(call);
+  const sender = typeof userOp?.sender === "string" ? userOp.sender.toLowerCase() : null;
+  const { gas, costWei } = estimateUserOpCost(userOp);
+  return {
+    method: typeof call?.method === "string" ? call.method.slice(0, 64) : null,
+    sender,
+    targets: checked.ok ? checked.targets : [],
+    charged: !!(checked.ok && checked.charged),
+    gas: gas.toString(),
+    costGwei: (costWei / GWEI).toString()
+  };
+}
+
+// calls: the JSON-RPC calls of one request. extra: { reason, upstreamStatus, upstreamError }
+// Spend isn't added here: reservePaymasterBudget already did before the call was forwarded.
+async function recordPaymasterCalls(store, calls, status, extra = {}, now = Date.now()) {
+  const logKey = dayKey(now, "log");
+  if (NOT_LOGGED.has(status)) {
+    for (const k of [dayKey(now, "denied"), weekKey(now, "denied")]) await store.incrby(k, calls.length);
+  }
+  for (const call of NOT_LOGGED.has(status) ? [] : calls) {
+    const d = describeCall(call);
+    // "sponsored" only sticks to the call that actually spends (pm_getPaymasterData).
+    const st = status === "sponsored" && !d.charged ? "stub" : status;
+    const entry = { t: now, id: Math.random().toString(36).slice(2, 10), status: st, ...d, ...extra };
+    await store.zadd(logKey, JSON.stringify(entry), now);
+
+    if (st === "sponsored") {
+      for (const k of [dayKey(now, "n"), weekKey(now, "n")]) await store.incrby(k, 1);
+      if (d.sender) await store.zincrby(weekKey(now, "senders"), d.sender, 1);
+    }
+  }
+  try {
+    await store.expire(logKey, LOG_TTL_SECONDS);
+    for (const what of ["n", "gwei", "denied"]) {
+      await store.expire(dayKey(now, what), COUNTER_TTL_SECONDS);
+      await store.expire(weekKey(now, what), COUNTER_TTL_SECONDS);
+    }
+  } catch (_) {}
+}
+
+const readNum = async (store, key) => Number((await store.get(key)) || 0);
+
+async function readBudget(store, now = Date.now()) {
+  const spentWei = BigInt(Math.max(0, Math.round(await readNum(store, weekKey(now, "gwei"))))) * GWEI;
+  if (WEEKLY_BUDGET_WEI == null) {
+    return { capWei: null, spentWei: spentWei.toString(), remainingWei: null, exhausted: false };
+  }
+  const remaining = WEEKLY_BUDGET_WEI > spentWei ? WEEKLY_BUDGET_WEI - spentWei : 0n;
+  return {
+    capWei: WEEKLY_BUDGET_WEI.toString(),
+    spentWei: spentWei.toString(),
+    remainingWei: remaining.toString(),
+    exhausted: remaining === 0n
+  };
+}
+
+// Adds the estimated spend of the request's charged calls to today's and this week's spend,
+// unless that would take the week past the cap. Gas values whose spend doesn't fit a counter
+// exactly (over 2^53 gwei) are refused outright.
+// => { ok: true, release } or { ok: false, reason? } (nothing reserved)
+// release() takes the spend back (call it when the call wasn't sponsored after all).
+async function reservePaymasterBudget(store, calls, now = Date.now()) {
+  const total = calls
+    .map(describeCall)
+    .filter((d) => d.charged)
+    .reduce((a, d) => a + BigInt(d.costGwei), 0n);
+  if (total > BigInt(Number.MAX_SAFE_INTEGER)) return { ok: false, reason: "gas-out-of-range" };
+  const gwei = Number(total);
+  const keys = [dayKey(now, "gwei"), weekKey(now, "gwei")];
+  let reserved = false;
+  const release = async () => {
+    if (!reserved) return;
+    reserved = false;
+    for (const k of keys) {
+      try { await store.incrby(k, -gwei); } catch (_) {}
+    }
+  };
+  if (gwei <= 0) return { ok: true, release };
+
+  await store.incrby(keys[0], gwei);
+  const weekGwei = await store.incrby(keys[1], gwei);
+  reserved = true;
+  for (const k of keys) await store.expire(k, COUNTER_TTL_SECONDS);
+  if (WEEKLY_BUDGET_WEI != null && BigInt(Math.round(weekGwei)) * GWEI > WEEKLY_BUDGET_WEI) {
+    await release();
+    return { ok: false };
+  }
+  return { ok: true, release };
+}
+
+async function readPeriod(store, key) {
+  return {
+    sponsored: await readNum(store, key("n")),
+    denied: await readNum(store, key("denied")),
+    spentWei: (BigInt(Math.max(0, Math.round(await readNum(store, key("gwei"))))) * GWEI).toString()
+  };
+}
+
+async function readPaymasterStats(store, { now = Date.now(), top = 10, recent = 50 } = {}) {
+  const budget = await readBudget(store, now);
+  const topRows = await store.zrevrange(weekKey(now, "senders"), 0, top - 1);
+  const logRows = await store.zrevrange(dayKey(now, "log"), 0, recent - 1);
+  return {
+    sponsoring: !budget.exhausted,
+    budget: { ...budget, period: "week" },
+    today: { day: isoDay(now), ...(await readPeriod(store, (w) => dayKey(now, w))) },
+    week: { weekStart: isoDay(weekStartUtcMs(now)), ...(await readPeriod(store, (w) => weekKey(now, w))) },
+    topWallets: topRows.map((r) => ({ address: r.member, sponsored: Number(r.score) })),
+    recent: logRows
+      .map((r) => {
+        try { return JSON.parse(r.member); } catch (_) { return null; }
+      })
+      .filter(Boolean)
+  };
+}
+
+module.exports = {
+  WEEKLY_BUDGET_WEI,
+  estimateUserOpCost,
+  recordPaymasterCalls,
+  reservePaymasterBudget,
+  readBudget,
+  readPaymasterStats
+};
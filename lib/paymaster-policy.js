@@ -0,0 +1,199 @@
+// Sponsorship policy for /api/paymaster (ERC-7677 proxy).
+//
+// A request is forwarded to the paymaster only when every JSON-RPC call in it:
+// - is pm_getPaymasterStubData or pm_getPaymasterData,
+// - targets Base (params[2] chainId),
+// - carries a user operation whose callData only calls CONTRACT.logAction(bytes32,bytes)
+//   with zero value (smart-wallet execute / executeBatch are unwrapped),
+// - comes from a sender, and a client IP, still under their daily quotas.
+//
+// Quota: PAYMASTER_DAILY_QUOTA sponsored operations per sender per UTC day (default 20).
+// Only pm_getPaymasterData counts; stub data is requested during gas estimation and is free,
+// but is refused once the sender is already out of quota.
+// userOp.sender is whatever the client puts in the request (nothing is signed yet at this
+// point), so made-up senders each get a fresh quota. PAYMASTER_IP_DAILY_QUOTA (default 100)
+// therefore also caps charged calls per client IP (clientIpOf) per UTC day; the weekly spend
+// budget (lib/paymaster-accounting.js) is the hard limit behind both.
+
+const { keccak_256 } = require("js-sha3");
+const chain = require("../src/chain.js");
+
+const ALLOWED_METHODS = new Set(["pm_getPaymasterStubData", "pm_getPaymasterData"]);
+const CHARGED_METHOD = "pm_getPaymasterData";
+const DAILY_QUOTA = Number(process.env.PAYMASTER_DAILY_QUOTA || 20);
+const IP_DAILY_QUOTA = Number(process.env.PAYMASTER_IP_DAILY_QUOTA || 100);
+const QUOTA_TTL_SECONDS = 60 * 60 * 48;
+const KV_PREFIX = "lanerunner:pm:v1";
+
+const selector = (sig) => keccak_256(sig).slice(0, 8);
+const SEL_LOG_ACTION = selector(chain.LOG_ACTION_SIGNATURE);
+// Coinbase Smart Wallet + ERC-4337 SimpleAccount share execute(address,uint256,bytes).
+const SEL_EXECUTE = selector("execute(address,uint256,bytes)");
+const SEL_EXECUTE_BATCH = selector("executeBatch((address,uint256,bytes)[])");
+
+const CONTRACT = chain.CONTRACT.toLowerCase();
+
+// --------------------------
+// callData decoding (hand-rolled ABI, just the shapes we accept)
+// --------------------------
+const strip0x = (h) => String(h || "").toLowerCase().replace(/^0x/, "");
+
+function readWord(hex, byteOffset) {
+  const start = byteOffset * 2;
+  if (start + 64 > hex.length) throw new Error("calldata too short");
+  return hex.slice(start, start + 64);
+}
+const readUint = (hex, byteOffset) => BigInt("0x" + readWord(hex, byteOffset));
+const readSmallUint = (hex, byteOffset) => {
+  const n = readUint(hex, byteOffset);
+  if (n > BigInt(hex.length)) throw new Error("calldata offset out of range");
+  return Number(n);
+};
+const readAddress = (hex, byteOffset) => "0x" + readWord(hex, byteOffset).slice(24);
+
+function readBytes(hex, byteOffset) {
+  const len = readSmallUint(hex, byteOffset);
+  const start = (byteOffset + 32) * 2;
+  if (start + len * 2 > hex.length) throw new Error("bytes out of range");
+  return hex.slice(start, start + len * 2);
+}
+
+// (address target, uint256 value, bytes data) starting at `base` inside `args`
+function readCallTuple(args, base) {
+  return {
+    to: readAddress(args, base),
+    value: readUint(args, base + 32),
+    data: readBytes(args, base + readSmallUint(args, base + 64))
+  };
+}
+
+// userOp.callData => [{ to, value, data }], or null when it isn't an execute/executeBatch we know.
+function decodeUserOpCalls(callData) {
+  const hex = strip0x(callData);
+  const sel = hex.slice(0, 8);
+  const args = hex.slice(8);
+  try {
+    if (sel === SEL_EXECUTE) return [readCallTuple(args, 0)];
+    if (sel === SEL_EXECUTE_BATCH) {
+      const arr = readSmallUint(args, 0);
+      const n = readSmallUint(args, arr);
+      if (n === 0 || n > 32) return null;
+      const head = arr + 32; // tuple offsets are relative to the start of the array body
+      const calls = [];
+      for (let i = 0; i < n; i++) calls.push(readCallTuple(args, head + readSmallUint(args, head + i * 32)));
+      return calls;
+    }
+  } catch (_) {
+    return null;
+  }
+  return null;
+}
+
+// --------------------------
+// Policy
+// --------------------------
+const deny = (reason, message) => ({ ok: false, reason, message });
+
+function sameChain(v) {
+  if (v == null) return false;
+  try {
+    return BigInt(v) === BigInt(chain.CHAIN_ID);
+  } catch (_) {
+    return false;
+  }
+}
+
+// One JSON-RPC call => { ok: true, sender, charged, targets } or { ok: false, reason, message }.
+function checkCall(call) {
+  if (!call || typeof call !== "object") return deny("bad-request", "Invalid JSON-RPC call");
+  if (!ALLOWED_METHODS.has(call.method)) return deny("method-not-allowed", `Method ${call.method} is not sponsored`);
+
+  const [userOp, , chainId] = Array.isArray(call.params) ? call.params : [];
+  if (!sameChain(chainId)) return deny("wrong-chain", "Only Base is sponsored");
+  if (!userOp || typeof userOp !== "object") return deny("bad-request", "Missing user operation");
+
+  const sender = strip0x(userOp.sender);
+  if (!/^[0-9a-f]{40}$/.test(sender)) return deny("bad-request", "Invalid sender");
+
+  const calls = decodeUserOpCalls(userOp.callData);
+  if (!calls) return deny("calldata-not-allowed", "Unsupported callData (expected execute/executeBatch)");
+  for (const c of calls) {
+    if (c.to !== CONTRACT) return deny("target-not-allowed", `Target ${c.to} is not sponsored`);
+    if (c.value !== 0n) return deny("value-not-allowed", "Sponsored calls can't send value");
+    if (c.data.slice(0, 8) !== SEL_LOG_ACTION) return deny("selector-not-allowed", "Only logAction is sponsored");
+  }
+
+  return { ok: true, sender: "0x" + sender, charged: call.method === CHARGED_METHOD, targets: calls.map((c) => c.to) };
+}
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+const quotaKey = (sender, now) => `${KV_PREFIX}:quota:${sender}:${utcDay(now)}`;
+const ipQuotaKey = (ip, now) => `${KV_PREFIX}:ipquota:${ip}:${utcDay(now)}`;
+
+// The caller's IP: the first x-forwarded-for hop (Vercel sets the header itself), else the
+// socket's address. null when there's nothing that looks like an IP.
+function clientIpOf(req) {
+  const fwd = String(req?.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  const ip = (fwd || String(req?.socket?.remoteAddress || "")).toLowerCase();
+  return /^[0-9a-f:.]{2,45}$/.test(ip) ? ip : null;
+}
+
+// Checks every call of a (possibly batched) JSON-RPC body and reserves quota for the charged ones.
+// clientIp: see clientIpOf; without one only the sender quota applies.
+// => { ok: true, release } or { ok: false, reason, message, index }
+// release() hands the reserved quota back (call it when the upstream paymaster failed).
+async function enforcePaymasterPolicy(body, { store, now = Date.now(), clientIp = null } = {}) {
+  const calls = Array.isArray(body) ? body : [body];
+  if (!calls.length) return deny("bad-request", "Empty batch");
+
+  const checked = [];
+  for (let i = 0; i < calls.length; i++) {
+    const r = checkCall(calls[i]);
+    if (!r.ok) return { ...r, index: i };
+    checked.push(r);
+  }
+
+  const reserved = [];
+  const release = async () => {
+    for (const key of reserved.splice(0)) {
+      try { await store.incrby(key, -1); } catch (_) {}
+    }
+  };
+
+  const quotas = (sender) => [
+    { key: quotaKey(sender, now), limit: DAILY_QUOTA, reason: "quota-exceeded" },
+    ...(clientIp ? [{ key: ipQuotaKey(clientIp, now), limit: IP_DAILY_QUOTA, reason: "ip-quota-exceeded" }] : [])
+  ];
+
+  for (let i = 0; i < checked.length; i++) {
+    for (const q of quotas(checked[i].sender)) {
+      if (!checked[i].charged) {
+        const used = Number((await store.get(q.key)) || 0);
+        if (used >= q.limit) return { ...deny(q.reason, "Daily sponsorship quota reached"), index: i };
+        continue;
+      }
+      const used = await store.incrby(q.key, 1);
+      await store.expire(q.key, QUOTA_TTL_SECONDS);
+      reserved.push(q.key);
+      if (used > q.limit) {
+        await release();
+        return { ...deny(q.reason, "Daily sponsorship quota reached"), index: i };
+      }
+    }
+  }
+
+  return { ok: true, release };
+}
+
+module.exports = {
+  ALLOWED_METHODS,
+  DAILY_QUOTA,
+  IP_DAILY_QUOTA,
+  SEL_LOG_ACTION,
+  SEL_EXECUTE,
+  SEL_EXECUTE_BATCH,
+  decodeUserOpCalls,
+  checkCall,
+  clientIpOf,
+  enforcePaymasterPolicy
+};
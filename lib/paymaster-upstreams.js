@@ -0,0 +1,159 @@
+// Paymaster / bundler upstreams for /api/paymaster, with failover (see lib/rotation.js).
+//
+// Env:
+// - PAYMASTER_AND_BUNDLER_ENDPOINTS: comma separated upstream URLs, tried round-robin
+// - PAYMASTER_AND_BUNDLER_ENDPOINT: single upstream (still supported, added to the list)
+// - PAYMASTER_UPSTREAM_TIMEOUT_MS: per-attempt timeout (default 4000)
+// - PAYMASTER_CIRCUIT_FAILURES / PAYMASTER_CIRCUIT_COOLDOWN_MS: consecutive failures that take an
+//   upstream out of rotation, and for how long (default 3 / 30000)
+//
+// A request moves on to the next upstream on network errors, timeouts, HTTP 408/429/5xx and
+// JSON-RPC internal errors (-32603). Any other answer, including JSON-RPC errors such as
+// "sponsorship rejected", is returned to the wallet as is. Charged calls (CHARGED_METHODS)
+// are not retried elsewhere after a timeout: the first paymaster may already have signed
+// (and billed) the sponsorship.
+//
+// pm_getPaymasterData goes to the upstream that served the stub for the same user operation
+// (sender + nonce) while it's healthy: stub gas limits are specific to each paymaster.
+
+const { createUpstreamPool, withUpstreams, isRetryableStatus, redactUrl } = require("./rotation");
+
+const KV_PREFIX = "lanerunner:pm:v1";
+const KV_HEALTH_KEY = `${KV_PREFIX}:upstreams`;
+const HEALTH_TTL_SECONDS = 60 * 60 * 24;
+const ATTEMPT_TIMEOUT_MS = Number(process.env.PAYMASTER_UPSTREAM_TIMEOUT_MS || 4000);
+const MAX_FORWARD_MS = 8500; // stay under the serverless limit, like api/leaderboard.js
+const STICKY_TTL_MS = 5 * 60 * 1000;
+const MAX_STICKY = 1000;
+const CHARGED_METHODS = new Set(["pm_getPaymasterData"]);
+
+const PAYMASTER_UPSTREAMS = [
+  ...String(process.env.PAYMASTER_AND_BUNDLER_ENDPOINTS || "").split(","),
+  process.env.PAYMASTER_AND_BUNDLER_ENDPOINT || ""
+]
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const pool = createUpstreamPool(PAYMASTER_UPSTREAMS, {
+  failureThreshold: Number(process.env.PAYMASTER_CIRCUIT_FAILURES || 3),
+  cooldownMs: Number(process.env.PAYMASTER_CIRCUIT_COOLDOWN_MS || 30000)
+});
+
+// "<sender>:<nonce>" => { url, at }
+const sticky = new Map();
+
+function userOpKey(call) {
+  const op = Array.isArray(call?.params) ? call.params[0] : null;
+  if (!op || typeof op.sender !== "string") return null;
+  return `${op.sender.toLowerCase()}:${String(op.nonce ?? "")}`;
+}
+
+function stickyUrl(calls) {
+  const t = Date.now();
+  for (const call of calls) {
+    const hit = sticky.get(userOpKey(call));
+    if (hit && t - hit.at < STICKY_TTL_MS) return hit.url;
+  }
+  return null;
+}
+
+function remember(calls, url) {
+  const t = Date.now();
+  for (const call of calls) {
+    const key = userOpKey(call);
+    if (key) sticky.set(key, { url, at: t });
+  }
+  // Map keeps insertion order: drop the oldest once it grows.
+  while (sticky.size > MAX_STICKY) sticky.delete(sticky.keys().next().value);
+}
+
+function hasInternalError(json) {
+  const replies = Array.isArray(json) ? json : [json];
+  return replies.some((r) => r && r.error && Number(r.error.code) === -32603);
+}
+
+// charged: the body holds a CHARGED_METHODS call, so a timeout must not fail over.
+async function postOnce(url, bodyText, charged = false) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), ATTEMPT_TIMEOUT_MS);
+  try {
+    let r;
+    try {
+      r = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: bodyText,
+        signal: ctrl.signal
+      });
+    } catch (e) {
+      if (e?.name !== "AbortError") throw new Error(`fetch failed: ${e?.message || e}`);
+      const err = new Error(`timeout after ${ATTEMPT_TIMEOUT_MS}ms`);
+      if (charged) err.retryable = false;
+      throw err;
+    }
+    const text = await r.text();
+    if (isRetryableStatus(r.status)) {
+      const err = new Error(`HTTP ${r.status}: ${text.slice(0, 160)}`);
+      err.httpStatus = r.status;
+      err.bodyText = text;
+      throw err;
+    }
+    let json = null;
+    try { json = JSON.parse(text); } catch (_) {}
+    if (json && hasInternalError(json)) {
+      const err = new Error(`JSON-RPC internal error: ${text.slice(0, 160)}`);
+      err.bodyText = text;
+      throw err;
+    }
+    return { status: r.status, contentType: r.headers.get("content-type") || "application/json", text };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Forwards one JSON-RPC body. => { status, contentType, text, upstream: { index, origin } }
+// Throws (with .upstream of the last attempt) when every upstream failed.
+async function forwardToPaymaster(bodyText, calls) {
+  if (!pool.size) throw new Error("No paymaster upstream configured");
+  let lastUrl = null;
+  const charged = calls.some((c) => CHARGED_METHODS.has(c?.method));
+  try {
+    const { url, result } = await withUpstreams(
+      pool,
+      (u) => {
+        lastUrl = u;
+        return postOnce(u, bodyText, charged);
+      },
+      { prefer: stickyUrl(calls), deadlineMs: Date.now() + MAX_FORWARD_MS }
+    );
+    remember(calls, url);
+    return { ...result, upstream: { index: pool.indexOf(url), origin: redactUrl(url) } };
+  } catch (e) {
+    if (lastUrl) e.upstream = { index: pool.indexOf(lastUrl), origin: redactUrl(lastUrl) };
+    throw e;
+  }
+}
+
+// Health is kept per instance; the latest snapshot is also written to the store for /api/paymaster/stats.
+async function saveUpstreamHealth(store) {
+  try {
+    await store.set(KV_HEALTH_KEY, JSON.stringify({ at: Date.now(), upstreams: pool.snapshot() }), {
+      ex: HEALTH_TTL_SECONDS
+    });
+  } catch (_) {}
+}
+
+async function readUpstreamHealth(store) {
+  try {
+    const raw = await store.get(KV_HEALTH_KEY);
+    if (raw) return typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (_) {}
+  return { at: null, upstreams: [] };
+}
+
+module.exports = {
+  PAYMASTER_UPSTREAMS,
+  forwardToPaymaster,
+  saveUpstreamHealth,
+  readUpstreamHealth
+};
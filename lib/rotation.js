@@ -0,0 +1,139 @@
+// Upstream rotation shared by the API routes (leaderboard RPCs, paymaster backends).
+//
+// createUpstreamPool() keeps a little health record per upstream:
+// - round-robin: each request starts at the next upstream, so load spreads out
+// - circuit breaker: failureThreshold consecutive failures open the circuit for cooldownMs;
+//   an open upstream is skipped until the cooldown ends (then it gets one trial request)
+// - if every circuit is open, the one that opened first is tried anyway (never fail closed)
+//
+// Health lives in the serverless instance's memory: warm instances learn, cold ones start fresh.
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function isRateLimitish(status, bodyText) {
+  const t = (bodyText || "").toLowerCase();
+  return (
+    status === 429 ||
+    t.includes("rate limit") ||
+    t.includes("too many requests") ||
+    t.includes("over rate limit")
+  );
+}
+
+// Which failures should move on to the next upstream (vs. being returned as the answer).
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// URLs often carry API keys; only ever report the origin.
+function redactUrl(url) {
+  try {
+    return new URL(url).origin;
+  } catch (_) {
+    return "invalid-url";
+  }
+}
+
+function createUpstreamPool(urls, { failureThreshold = 3, cooldownMs = 30000, now = Date.now } = {}) {
+  const upstreams = [...new Set((urls || []).filter(Boolean))].map((url) => ({
+    url,
+    failures: 0,
+    openUntil: 0,
+    ok: 0,
+    fail: 0,
+    lastError: null,
+    lastOkAt: 0,
+    lastFailAt: 0
+  }));
+  let cursor = 0;
+
+  const find = (url) => upstreams.find((u) => u.url === url);
+
+  return {
+    size: upstreams.length,
+
+    indexOf: (url) => upstreams.findIndex((u) => u.url === url),
+
+    // Upstreams in the order this request should try them. `prefer` (a URL) goes first when healthy.
+    order(prefer = null) {
+      if (!upstreams.length) return [];
+      const t = now();
+      const start = cursor++ % upstreams.length;
+      const rotated = [...upstreams.slice(start), ...upstreams.slice(0, start)];
+      let healthy = rotated.filter((u) => u.openUntil <= t);
+      if (!healthy.length) healthy = [rotated.reduce((a, b) => (b.openUntil < a.openUntil ? b : a))];
+      const preferred = prefer && healthy.find((u) => u.url === prefer);
+      if (preferred) healthy = [preferred, ...healthy.filter((u) => u !== preferred)];
+      return healthy.map((u) => u.url);
+    },
+
+    success(url) {
+      const u = find(url);
+      if (!u) return;
+      u.ok++;
+      u.failures = 0;
+      u.openUntil = 0;
+      u.lastOkAt = now();
+    },
+
+    failure(url, err) {
+      const u = find(url);
+      if (!u) return;
+      u.fail++;
+      u.failures++;
+      u.lastFailAt = now();
+      u.lastError = String(err?.message || err || "failed").slice(0, 160);
+      if (u.failures >= failureThreshold) u.openUntil = now() + cooldownMs;
+    },
+
+    snapshot() {
+      const t = now();
+      return upstreams.map((u, i) => ({
+        index: i,
+        origin: redactUrl(u.url),
+        state: u.openUntil > t ? "open" : u.failures > 0 ? "degraded" : "healthy",
+        ok: u.ok,
+        fail: u.fail,
+        consecutiveFailures: u.failures,
+        openUntil: u.openUntil > t ? u.openUntil : null,
+        lastOkAt: u.lastOkAt || null,
+        lastFailAt: u.lastFailAt || null,
+        lastError: u.lastError
+      }));
+    }
+  };
+}
+
+// Runs fn(url) against the pool's upstreams in order until one succeeds.
+// fn should throw for failures worth failing over (set err.retryable = false to stop early).
+// An error with err.upstreamOk = true means the upstream is fine but refused this particular
+// request (e.g. a block range too wide): it's thrown straight back and counts as no failure.
+async function withUpstreams(pool, fn, { prefer = null, deadlineMs = 0 } = {}) {
+  let lastErr = null;
+  for (const url of pool.order(prefer)) {
+    if (deadlineMs && Date.now() > deadlineMs) break;
+    try {
+      const out = await fn(url);
+      pool.success(url);
+      return { url, result: out };
+    } catch (e) {
+      if (e && e.upstreamOk) throw e;
+      lastErr = e;
+      pool.failure(url, e);
+      if (e && e.retryable === false) break;
+      if (isRateLimitish(e?.httpStatus, e?.bodyText)) await sleep(120);
+    }
+  }
+  throw lastErr || new Error("No upstream available");
+}
+
+module.exports = {
+  sleep,
+  isRateLimitish,
+  isRetryableStatus,
+  redactUrl,
+  createUpstreamPool,
+  withUpstreams
+};
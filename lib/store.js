@@ -0,0 +1,310 @@
+// Storage adapter layer shared by the API routes.
+//
+// Every adapter exposes the same async interface:
+// - get(key) / set(key, value, { ex, nx }) / del(key)
+// - incrby(key, n) / expire(key, seconds)
+// - zadd(key, member, score) / zincrby(key, member, delta) / zscore(key, member)
+// - zrevrank(key, member) / zrevrange(key, start, stop) / zcard(key)
+// - multi([[op, ...args], ...]): set/incrby/expire/zadd/zincrby with the arguments above,
+//   applied all-or-nothing (Redis MULTI/EXEC) in one round-trip
+// plus getJson/setJson and acquireLock/releaseLock helpers built on top.
+// `shared` is true when every instance/process sees the same data (the Redis adapters only).
+//
+// Adapters:
+// - upstash:   UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN
+// - vercel-kv: KV_REST_API_URL / KV_REST_API_TOKEN (back-compat)
+// - file:      JSON file on disk (STORE_FILE, default .data/store.json) for local runs/tests;
+//              one process at a time: it's read once at startup and rewritten whole, so a
+//              second process writing the same file loses the other's changes
+// - memory:    per-instance fallback (vanishes with the serverless instance)
+//
+// STORE_DRIVER forces one of the above; otherwise the first configured one wins.
+
+const fs = require("fs");
+const path = require("path");
+
+// --------------------------
+// Redis-backed adapters (Upstash + Vercel KV share the same client API)
+// --------------------------
+function fromRedisClient(kind, client) {
+  return {
+    kind,
+    shared: true,
+    get: (k) => client.get(k),
+    set: (k, v, opts) => client.set(k, v, opts),
+    del: (k) => client.del(k),
+    incrby: async (k, n) => Number(await client.incrby(k, n)),
+    expire: (k, sec) => client.expire(k, sec),
+    zadd: (k, member, score) => client.zadd(k, { score, member }),
+    zincrby: async (k, member, delta) => Number(await client.zincrby(k, delta, member)),
+    zscore: async (k, member) => {
+      const v = await client.zscore(k, member);
+      return v == null ? null : Number(v);
+    },
+    zrevrank: async (k, member) => {
+      const v = await client.zrevrank(k, member);
+      return v == null ? null : Number(v);
+    },
+    zrevrange: async (k, start, stop) => {
+      const flat = await client.zrange(k, start, stop, { rev: true, withScores: true });
+      const out = [];
+      for (let i = 0; i + 1 < flat.length; i += 2) out.push({ member: String(flat[i]), score: Number(flat[i + 1]) });
+      return out;
+    },
+    zcard: async (k) => Number(await client.zcard(k)),
+    multi: (ops) => {
+      const tx = client.multi();
+      for (const [op, k, a, b] of ops) {
+        if (op === "set") tx.set(k, a, b || {});
+        else if (op === "incrby") tx.incrby(k, a);
+        else if (op === "expire") tx.expire(k, a);
+        else if (op === "zadd") tx.zadd(k, { score: b, member: a });
+        else if (op === "zincrby") tx.zincrby(k, b, a);
+        else throw new Error(`multi: unsupported op "${op}"`);
+      }
+      return tx.exec();
+    }
+  };
+}
+
+function createUpstashStore() {
+  if (!process.env.UPSTASH_REDIS_REST_URL || !process.env.UPSTASH_REDIS_REST_TOKEN) return null;
+  try {
+    // eslint-disable-next-line import/no-extraneous-dependencies
+    const { Redis } = require("@upstash/redis");
+    const redis = new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN
+    });
+    return fromRedisClient("upstash", redis);
+  } catch (_) {
+    return null;
+  }
+}
+
+function createVercelKvStore() {
+  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) return null;
+  try {
+    // eslint-disable-next-line import/no-extraneous-dependencies
+    const kv = require("@vercel/kv").kv;
+    return kv ? fromRedisClient("vercel-kv", kv) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// --------------------------
+// In-process adapters (memory + JSON file)
+// --------------------------
+// data = { kv: { key: { v, exp } }, z: { key: { member: score } } }
+function createLocalStore(kind, data, persist) {
+  const now = () => Date.now();
+  // Inside multi() every op mutates `data` synchronously and the file is written once at the end.
+  let batching = false;
+  const save = () => (batching ? Promise.resolve() : persist());
+
+  const live = (k) => {
+    const e = data.kv[k];
+    if (!e) return null;
+    if (e.exp && e.exp <= now()) {
+      delete data.kv[k];
+      return null;
+    }
+    return e;
+  };
+  const zset = (k, create) => {
+    if (!data.z[k] && create) data.z[k] = {};
+    return data.z[k] || null;
+  };
+  const sortedDesc = (k) =>
+    Object.entries(zset(k, false) || {})
+      .map(([member, score]) => ({ member, score }))
+      .sort((a, b) => b.score - a.score || (a.member < b.member ? -1 : 1));
+
+  return {
+    kind,
+    shared: false,
+    async get(k) {
+      const e = live(k);
+      return e ? e.v : null;
+    },
+    async set(k, v, opts = {}) {
+      if (opts && opts.nx && live(k)) return null;
+      data.kv[k] = { v, exp: opts && opts.ex ? now() + opts.ex * 1000 : 0 };
+      await save();
+      return "OK";
+    },
+    async del(k) {
+      const had = !!live(k) || !!data.z[k];
+      delete data.kv[k];
+      delete data.z[k];
+      await save();
+      return had ? 1 : 0;
+    },
+    async incrby(k, n) {
+      const e = live(k);
+      const next = (Number(e ? e.v : 0) || 0) + Number(n);
+      data.kv[k] = { v: next, exp: e ? e.exp : 0 };
+      await save();
+      return next;
+    },
+    async expire(k, sec) {
+      const e = live(k);
+      if (!e) return 0;
+      e.exp = now() + sec * 1000;
+      await save();
+      return 1;
+    },
+    async zadd(k, member, score) {
+      zset(k, true)[member] = Number(score);
+      await save();
+      return 1;
+    },
+    async zincrby(k, member, delta) {
+      const z = zset(k, true);
+      z[member] = (z[member] || 0) + Number(delta);
+      await save();
+      return z[member];
+    },
+    async zscore(k, member) {
+      const z = zset(k, false);
+      return z && member in z ? z[member] : null;
+    },
+    async zrevrank(k, member) {
+      const i = sortedDesc(k).findIndex((x) => x.member === member);
+      return i < 0 ? null : i;
+    },
+    async zrevrange(k, start, stop) {
+      const arr = sortedDesc(k);
+      return arr.slice(start, stop < 0 ? arr.length + stop + 1 : stop + 1);
+    },
+    async zcard(k) {
+      return Object.keys(zset(k, false) || {}).length;
+    },
+    async multi(ops) {
+      const supported = ["set", "incrby", "expire", "zadd", "zincrby"];
+      const bad = ops.find(([op]) => !supported.includes(op));
+      if (bad) throw new Error(`multi: unsupported op "${bad[0]}"`);
+      batching = true;
+      let pending;
+      try {
+        pending = ops.map(([op, ...args]) => this[op](...args));
+      } finally {
+        batching = false;
+      }
+      const results = await Promise.all(pending);
+      await persist();
+      return results;
+    }
+  };
+}
+
+function createMemoryStore() {
+  return createLocalStore("memory", { kv: {}, z: {} }, async () => {});
+}
+
+function createFileStore(file = process.env.STORE_FILE || path.join(process.cwd(), ".data", "store.json")) {
+  let data = { kv: {}, z: {} };
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    data = { kv: raw.kv || {}, z: raw.z || {} };
+  } catch (_) {
+    // missing/corrupt file => start empty
+  }
+
+  // Single writer per process; write to a temp file then rename so a crash can't truncate it.
+  let writing = Promise.resolve();
+  const persist = () => {
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(data));
+      await fs.promises.rename(tmp, file);
+    });
+    return writing;
+  };
+
+  const store = createLocalStore("file", data, persist);
+  store.file = file;
+  return store;
+}
+
+// --------------------------
+// Selection + helpers
+// --------------------------
+const DRIVERS = {
+  upstash: createUpstashStore,
+  "vercel-kv": createVercelKvStore,
+  file: () => createFileStore(),
+  memory: createMemoryStore
+};
+
+function createStore(driver = process.env.STORE_DRIVER) {
+  if (driver) {
+    const make = DRIVERS[String(driver).toLowerCase()];
+    if (!make) throw new Error(`Unknown STORE_DRIVER "${driver}" (use ${Object.keys(DRIVERS).join(", ")})`);
+    const s = make();
+    if (!s) throw new Error(`STORE_DRIVER "${driver}" is not configured`);
+    return s;
+  }
+  return (
+    createUpstashStore() ||
+    createVercelKvStore() ||
+    (process.env.STORE_FILE ? createFileStore() : null) ||
+    createMemoryStore()
+  );
+}
+
+let _store = null;
+function getStore() {
+  if (!_store) _store = createStore();
+  return _store;
+}
+
+// Tests/local tooling can swap the store for the current process.
+function setStore(s) {
+  _store = s;
+}
+
+async function getJson(store, key) {
+  const v = await store.get(key);
+  if (v == null) return null;
+  if (typeof v === "string") {
+    try { return JSON.parse(v); } catch (_) { return null; }
+  }
+  return v;
+}
+
+async function setJson(store, key, value, exSeconds) {
+  // Store JSON string for cross-provider consistency.
+  await store.set(key, JSON.stringify(value), exSeconds ? { ex: exSeconds } : undefined);
+  return true;
+}
+
+async function acquireLock(store, key, ttlSeconds = 30) {
+  // best-effort: set if not exists
+  try {
+    const ok = await store.set(key, "1", { nx: true, ex: ttlSeconds });
+    return ok === "OK" || ok === true;
+  } catch (_) {
+    return true;
+  }
+}
+
+async function releaseLock(store, key) {
+  try { await store.del(key); } catch (_) {}
+}
+
+module.exports = {
+  createStore,
+  createUpstashStore,
+  createVercelKvStore,
+  createMemoryStore,
+  createFileStore,
+  getStore,
+  setStore,
+  getJson,
+  setJson,
+  acquireLock,
+  releaseLock
+};
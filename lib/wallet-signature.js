@@ -0,0 +1,40 @@
+// Wallet signature checks for routes that act on behalf of an address (/api/daily).
+//
+// The player signs a plain-text message with personal_sign (EIP-191). Plain keys are
+// checked locally by recovering the signer; smart wallets (the Base app, Coinbase Smart
+// Wallet) sign through their contract, so those go through ERC-1271 / ERC-6492 on Base
+// using the same RPCs the leaderboard indexer reads logs from.
+
+const { verifyMessage, createPublicClient, fallback, http } = require("viem");
+const { base } = require("viem/chains");
+
+const clients = new Map();
+
+function clientFor(rpcs) {
+  const urls = (rpcs && rpcs.length ? rpcs : ["https://mainnet.base.org"]).filter(Boolean);
+  const id = urls.join(",");
+  if (!clients.has(id)) {
+    clients.set(id, createPublicClient({ chain: base, transport: fallback(urls.map((u) => http(u))) }));
+  }
+  return clients.get(id);
+}
+
+// => true when `signature` over `message` was made by `address`. Never throws.
+async function verifyWalletSignature({ address, message, signature, rpcs }) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(String(address || ""))) return false;
+  if (!/^0x[0-9a-fA-F]+$/.test(String(signature || ""))) return false;
+  try {
+    if (await verifyMessage({ address, message, signature })) return true;
+  } catch (_) {
+    // not a plain 65-byte signature; try the wallet contract
+  }
+  try {
+    return await clientFor(rpcs).verifyMessage({ address, message, signature });
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = {
+  verifyWalletSignature
+};
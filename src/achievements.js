@@ -0,0 +1,62 @@
+/**
+ * ACHIEVEMENTS (catalog + unlock rules)
+ * - Pure data: no DOM, no localStorage. Shared by the game (src/main.js) and the
+ *   leaderboard indexer (api/leaderboard.js), which only counts ids listed here.
+ * - Each achievement listens to one game event (`on`) and unlocks the first time
+ *   `test(payload)` holds (no test = the event itself is enough).
+ * - On-chain: logAction(ACHIEVEMENT, abi.encode(bytes32 id)), so ids must fit in 32 bytes
+ *   and never change once shipped.
+ */
+
+// Deposits one week needs for "deposits:10-in-week"; the indexer checks the same count
+// against the WEEKLY_ADD logs it accepted, since the unlock itself is self-reported.
+export const DEPOSITS_BADGE_COUNT = 10;
+
+export const ACHIEVEMENTS = [
+  {
+    id: "shield:first-block",
+    icon: "🛡",
+    label: "Saved by the shield",
+    blurb: "Let a shield block a crash",
+    on: "shield:blocked"
+  },
+  {
+    id: "coin:100x",
+    icon: "💎",
+    label: "Jackpot",
+    blurb: "Pick up a 100x bonus coin",
+    on: "coin:collected",
+    test: (c) => (c.value || 0) >= 100
+  },
+  {
+    id: "speed:3",
+    icon: "🏎",
+    label: "Redline",
+    blurb: "Survive past speed 3.0",
+    on: "run:speed",
+    test: (e) => e.speed > 3.0
+  },
+  {
+    id: "deposits:10-in-week",
+    icon: "🏦",
+    label: "Regular",
+    blurb: "Ten confirmed deposits in one week",
+    on: "deposit:confirmed",
+    test: (e) => e.weekCount >= DEPOSITS_BADGE_COUNT
+  }
+];
+
+const BY_ID = new Map(ACHIEVEMENTS.map((a) => [a.id, a]));
+
+export function getAchievement(id) {
+  return BY_ID.get(id) || null;
+}
+
+export function isAchievementId(id) {
+  return BY_ID.has(id);
+}
+
+// Achievements (not yet in `unlocked`) that this event unlocks.
+export function achievementsFor(event, payload = {}, unlocked = {}) {
+  return ACHIEVEMENTS.filter((a) => a.on === event && !unlocked[a.id] && (!a.test || a.test(payload)));
+}
@@ -0,0 +1,45 @@
+// Chain config shared by the browser bundle (src/main.js, src/wallet.js) and the API (api/*.js).
+// Deposits are sent to CONTRACT and the leaderboard indexes CONTRACT, so the two
+// can't drift apart. /api/health re-derives the hashes below and checks the deployed
+// contract's bytecode for them.
+
+export const CHAIN_ID = 8453; // Base Mainnet
+export const CHAIN_ID_HEX = "0x2105";
+export const RPC_URL = "https://mainnet.base.org";
+export const EXPLORER_URL = "https://basescan.org";
+
+// Until the shared config, the indexer read 0xB331328F506f2D35125e367A190e914B1b6830cF while the
+// game sent deposits here; logs on 0xB331… are not indexed any more (see README, "Contract").
+export const CONTRACT = "0x5B53e9A0659dC71cd69eA6261420295B48EF3095";
+
+// What the game calls (src/wallet.js) and the paymaster sponsors (lib/paymaster-policy.js).
+export const LOG_ACTION_SIGNATURE = "logAction(bytes32,bytes)";
+
+// event ActionLogged(address indexed user, bytes32 indexed action, uint256 timestamp, bytes data)
+// topics: [topic0, user, action]; data: abi.encode(timestamp, data)
+export const ACTION_LOGGED_EVENT_ABI =
+  "event ActionLogged(address indexed user, bytes32 indexed action, uint256 timestamp, bytes data)";
+export const ACTION_LOGGED_SIGNATURE = "ActionLogged(address,bytes32,uint256,bytes)";
+// keccak256(ACTION_LOGGED_SIGNATURE)
+export const TOPIC0_ACTION_LOGGED = "0x9e3ed6e89b2d18ef01c7fca2e4c53051bc35b2bfbae65aee8c6079711dd4e929";
+
+// On-chain action name (bytes32)
+export function stringToBytes32Hex(str) {
+  const bytes = new TextEncoder().encode(String(str));
+  if (bytes.length > 32) throw new Error("bytes32 overflow");
+  let hex = "";
+  for (let i = 0; i < bytes.length; i++) hex += bytes[i].toString(16).padStart(2, "0");
+  hex += "00".repeat(32 - bytes.length);
+  return "0x" + hex;
+}
+
+export const ACTION_WEEKLY_ADD_NAME = "WEEKLY_ADD";
+export const ACTION_WEEKLY_ADD = "0x5745454b4c595f41444400000000000000000000000000000000000000000000";
+
+// Garage cosmetics bought with coins (src/garage.js); data = abi.encode(bytes32 itemId), e.g. "livery:midnight"
+export const ACTION_GARAGE_UNLOCK_NAME = "GARAGE_UNLOCK";
+export const ACTION_GARAGE_UNLOCK = "0x4741524147455f554e4c4f434b00000000000000000000000000000000000000";
+
+// Achievement badges (src/achievements.js); data = abi.encode(bytes32 achievementId), e.g. "coin:100x"
+export const ACTION_ACHIEVEMENT_NAME = "ACHIEVEMENT";
+export const ACTION_ACHIEVEMENT = "0x414348494556454d454e54000000000000000000000000000000000000000000";
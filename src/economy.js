@@ -0,0 +1,144 @@
+/**
+ * ECONOMY (off-chain profile)
+ * - Banked points, coins, decay and the boost rhythm; shared by the game core (src/game.js)
+ *   and the UI (src/main.js).
+ * - No DOM: state lives in ./storage.js and UI feedback goes out as game events
+ *   ("boost:started"), so this module runs in Node as-is.
+ */
+import { gameEvents } from "./events.js";
+import { storage } from "./storage.js";
+
+// =====================================================
+// Time windows (Weekly reset) + Boost rhythm
+// =====================================================
+export function weekStartUtcMs(now = Date.now()) {
+  const d = new Date(now);
+  const day = d.getUTCDay(); // 0 Sun..6 Sat
+  const diffToMon = (day + 6) % 7; // days since Monday
+  const mon = new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - diffToMon, 0, 0, 0, 0)
+  );
+  return mon.getTime();
+}
+
+export function weekIdUtc(now = Date.now()) {
+  return new Date(weekStartUtcMs(now)).toISOString().slice(0, 10);
+}
+export function weekEndUtcMs(now = Date.now()) {
+  return weekStartUtcMs(now) + 7 * 24 * 60 * 60 * 1000;
+}
+
+export function dayEndUtcMs(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+export function utcDayKey(ts = Date.now()) {
+  // YYYY-MM-DD in UTC
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function randInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function hoursToMs(h) {
+  return h * 60 * 60 * 1000;
+}
+
+// =====================================================
+// Off-chain Profile: banked points + coins + decay
+// =====================================================
+export const DECAY_INTERVAL_MS = 10 * 60 * 1000;
+export const DECAY_MULT = 0.75;
+
+export const profile = {
+  bankPoints: Number(storage.getItem("w3r_bank") || "0"),
+  coins: Number(storage.getItem("w3r_coins") || "0"),
+  lastDecayAt: Number(storage.getItem("w3r_decay_at") || "0"),
+  boostReadyAt: Number(storage.getItem("w3r_boost_ready_at") || "0"),
+  boostActiveUntil: Number(storage.getItem("w3r_boost_active_until") || "0"),
+  boostMult: 1
+};
+
+export function persistProfile() {
+  storage.setItem("w3r_bank", String(Math.floor(profile.bankPoints)));
+  storage.setItem("w3r_coins", String(Math.floor(profile.coins)));
+  storage.setItem("w3r_decay_at", String(profile.lastDecayAt));
+  storage.setItem("w3r_boost_ready_at", String(profile.boostReadyAt));
+  storage.setItem("w3r_boost_active_until", String(profile.boostActiveUntil));
+}
+
+// Bank after `elapsedMs` without a deposit: DECAY_MULT per whole DECAY_INTERVAL_MS.
+// => { points, steps }
+export function decayBank(points, elapsedMs) {
+  const steps = elapsedMs > 0 ? Math.floor(elapsedMs / DECAY_INTERVAL_MS) : 0;
+  return { points: steps ? points * Math.pow(DECAY_MULT, steps) : points, steps };
+}
+
+export function applyDecay(now = Date.now()) {
+  if (!profile.lastDecayAt) {
+    profile.lastDecayAt = now;
+    persistProfile();
+    return;
+  }
+  if (profile.bankPoints <= 0) {
+    profile.lastDecayAt = now;
+    persistProfile();
+    return;
+  }
+
+  const { points, steps } = decayBank(profile.bankPoints, now - profile.lastDecayAt);
+  if (!steps) return;
+
+  profile.bankPoints = points;
+  profile.lastDecayAt += steps * DECAY_INTERVAL_MS;
+  persistProfile();
+}
+
+export function computeBoost(now = Date.now()) {
+  if (!profile.boostReadyAt) {
+    profile.boostReadyAt = now + hoursToMs(randInt(2, 6));
+    persistProfile();
+  }
+
+  if (profile.boostActiveUntil && now < profile.boostActiveUntil) {
+    profile.boostMult = 1.25;
+    return;
+  }
+
+  if (now >= profile.boostReadyAt) {
+    profile.boostActiveUntil = now + 5 * 60 * 1000;
+    profile.boostReadyAt = now + hoursToMs(randInt(2, 6));
+    persistProfile();
+    profile.boostMult = 1.25;
+    gameEvents.emit("boost:started");
+    return;
+  }
+
+  profile.boostMult = 1.0;
+}
+
+export function boostCountdownText(now = Date.now()) {
+  if (profile.boostActiveUntil && now < profile.boostActiveUntil) {
+    const ms = profile.boostActiveUntil - now;
+    const m = Math.max(0, Math.floor(ms / 60000));
+    const s = Math.max(0, Math.floor((ms % 60000) / 1000));
+    return `ON ${m}m ${s}s`;
+  }
+  const ms = Math.max(0, profile.boostReadyAt - now);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  return `${h}h ${m}m`;
+}
+
+export function fmtPts(n) {
+  const s = (typeof n === "bigint" ? n : BigInt(n || 0)).toString();
+  return s.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
+// Economy: collected coins go straight to the profile.
+gameEvents.on("coin:collected", (c) => {
+  profile.coins += c.value || 1;
+  persistProfile();
+});
@@ -0,0 +1,1049 @@
+/**
+ * GAME ENGINE (deterministic run simulation)
+ * - Pure simulation: no DOM, no localStorage, no audio. Safe to import from Node.
+ * - Every run is driven by a 32-bit seed and advanced in fixed SIM_STEP ticks,
+ *   so the same seed + recorded inputs always reproduce the same run bit-for-bit.
+ * - Side effects (coin sfx, toasts, haptics, profile writes) are NOT done here;
+ *   stepRun() reports them through the optional `hooks` object instead.
+ */
+
+export const SIM_STEP = 1 / 60; // seconds per simulation tick
+// v2: obstacle archetypes (trucks, lane changers, tractors, cones, oil). v1 runs still
+// replay with single-lane cars only, so replays recorded before v2 keep verifying.
+// v3: fair spawns (every obstacle leaves a way through, see planEscape()).
+// v4: nitro, coin rain, ghost and 2x score powerups (see POWERUP_TYPES).
+// v5: double-lane only kicks in once it leaves a way through (see settleDoubleLane()).
+export const REPLAY_VERSION = 5;
+export const SUPPORTED_REPLAY_VERSIONS = [1, 2, 3, 4, 5];
+
+// Saved points granted per collected coin when converted (Menu → Convert coins)
+export const COIN_POINTS = 10000;
+
+// =====================================================
+// Seeded RNG
+// =====================================================
+export function hashSeed(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return function () {
+    t += 0x6d2b79f5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function newRunSeed() {
+  try {
+    const a = new Uint32Array(1);
+    globalThis.crypto.getRandomValues(a);
+    return a[0] >>> 0;
+  } catch {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
+
+function rngInt(run, min, max) {
+  return Math.floor(run.rng() * (max - min + 1)) + min;
+}
+
+// Same track for everyone on a given UTC day ("YYYY-MM-DD").
+export function dailySeed(day) {
+  return hashSeed(`gasrun:daily:${day}`);
+}
+
+// =====================================================
+// Game modes
+// Each mode owns its speed curve, spawn tables, powerup weights and end condition.
+// Intervals keep the original "(baseMs - speed * perSpeedMs) / 1000" shape so endless
+// runs (and their recorded replays) simulate exactly as before modes existed.
+// - timeLimit: seconds until the run ends on its own (0 = until crash)
+// - daily: track seed comes from the UTC day, not from the run seed
+// - powerups: kind => weight. Runs before replay v4 roll on exactly this table; from v4 on
+//   it overrides the POWERUP_TYPES weights (spawn.powerup null = no powerups at all)
+// =====================================================
+const ENDLESS_SPAWN = {
+  obstacle: { baseMs: 650, perSpeedMs: 80, min: 0.28 },
+  coin: { baseMs: 1200, perSpeedMs: 140, min: 0.70, chance: 0.82 },
+  powerup: { baseMs: 3500, perSpeedMs: 220, min: 2.30, chance: 0.33, pity: 9.0 }
+};
+const ENDLESS_POWERUPS = { magnet: 0.40, slow: 0.35, shield: 0.15, dbl: 0.10 };
+
+export const GAME_MODES = {
+  endless: {
+    id: "endless",
+    label: "Endless",
+    blurb: "Classic run. Speed ramps up until you crash.",
+    speed: { start: 1.0, ramp: 0.03, max: 3.2 },
+    spawn: ENDLESS_SPAWN,
+    powerups: ENDLESS_POWERUPS,
+    timeLimit: 0,
+    daily: false
+  },
+  timeAttack: {
+    id: "timeAttack",
+    label: "Time Attack",
+    blurb: "60 seconds. Faster ramp, more coins — score as much as you can.",
+    speed: { start: 1.4, ramp: 0.05, max: 3.6 },
+    spawn: {
+      obstacle: { baseMs: 620, perSpeedMs: 80, min: 0.26 },
+      coin: { baseMs: 950, perSpeedMs: 120, min: 0.50, chance: 0.90 },
+      powerup: { baseMs: 3200, perSpeedMs: 220, min: 2.10, chance: 0.36, pity: 8.0 }
+    },
+    powerups: { magnet: 0.45, slow: 0.25, shield: 0.15, dbl: 0.15 },
+    timeLimit: 60,
+    daily: false
+  },
+  hardcore: {
+    id: "hardcore",
+    label: "Hardcore",
+    blurb: "No powerups, higher top speed. One mistake ends it.",
+    speed: { start: 1.3, ramp: 0.04, max: 3.8 },
+    spawn: {
+      obstacle: { baseMs: 620, perSpeedMs: 80, min: 0.24 },
+      coin: ENDLESS_SPAWN.coin,
+      powerup: null
+    },
+    powerups: {},
+    timeLimit: 0,
+    daily: false
+  },
+  daily: {
+    id: "daily",
+    label: "Daily Challenge",
+    blurb: "Everyone races the same track today (UTC).",
+    speed: { start: 1.0, ramp: 0.03, max: 3.2 },
+    spawn: ENDLESS_SPAWN,
+    powerups: ENDLESS_POWERUPS,
+    timeLimit: 0,
+    daily: true
+  }
+};
+export const DEFAULT_MODE = "endless";
+
+export function getGameMode(id) {
+  return GAME_MODES[id] || GAME_MODES[DEFAULT_MODE];
+}
+
+// Where a finished run is scored: one bucket per mode, one per day for the daily challenge.
+export function modeBucket(run) {
+  return run.mode === "daily" ? `daily:${run.day}` : run.mode;
+}
+
+// Everything a run earned: saved to Bank plus what's still on the Run counter.
+export function runTotalScore(run) {
+  return Math.floor(run.savedScore + run.runScore);
+}
+
+function spawnInterval(table, speed) {
+  return Math.max(table.min, (table.baseMs - speed * table.perSpeedMs) / 1000);
+}
+
+// =====================================================
+// Lane geometry (derived only from the play-area size)
+// =====================================================
+export function computeLaneGeometry(w, h) {
+  // Road is intentionally wide (fills screen), but "drive lanes" are kept within a slightly narrower inner region
+  // so:
+  // 1) outer-lane cars don't ride on the edge lines / rounded corners
+  // 2) lane-to-lane distance doesn't feel too big on large screens
+  const roadW = Math.min(440, w * 0.88);
+  const roadH = h * 0.92;
+  const roadX = (w - roadW) / 2;
+  const roadY = (h - roadH) / 2 + 2;
+
+  const cornerR = 26;
+
+  const lanes = 4;
+
+  // Clamp lane width on large canvases so lane switching feels natural.
+  const laneWRaw = roadW / lanes;
+  const laneW = Math.min(92, laneWRaw);
+
+  // Inner drive region (centered), creating "shoulders" near the edges.
+  const lanesW = laneW * lanes;
+  const lanesX = roadX + (roadW - lanesW) / 2;
+
+  // Spawn/movement safe vertical area (avoid rounded corners at top/bottom)
+  const safeTop = roadY + cornerR + 6;
+  const safeBottom = roadY + roadH - cornerR - 6;
+
+  return { w, h, roadX, roadY, roadW, roadH, lanes, laneW, lanesX, lanesW, cornerR, safeTop, safeBottom };
+}
+
+export function laneCenterX(g, laneIndex) {
+  return g.lanesX + g.laneW * (laneIndex + 0.5);
+}
+
+// Player collision/draw box (consistent between update and render)
+export function playerCarSize(g) {
+  const carW = Math.max(36, Math.min(60, g.laneW * 0.62));
+  return { carW, carH: carW * 1.30 };
+}
+
+// =====================================================
+// Run state
+// =====================================================
+/**
+ * Create a fresh run. `geo` may be null until the play area has a size;
+ * it must be set before the first stepRun() and stays fixed for the run.
+ * `mode` is a GAME_MODES id; the daily mode also needs `day` ("YYYY-MM-DD", UTC) and
+ * takes its track seed from `track` (published by /api/daily), else from dailySeed(day).
+ * `seed` always identifies the run; only non-daily modes also use it as the track seed.
+ */
+export function createRun({
+  seed = newRunSeed(),
+  geo = null,
+  mode = DEFAULT_MODE,
+  day = null,
+  track = null,
+  version = REPLAY_VERSION
+} = {}) {
+  seed = seed >>> 0;
+  const m = getGameMode(mode);
+  if (m.daily && !/^\d{4}-\d{2}-\d{2}$/.test(String(day))) throw new Error("Daily runs need a UTC day");
+  const trackSeed = m.daily ? (track != null ? track >>> 0 : dailySeed(day)) : seed;
+  return {
+    seed,
+    version,
+    mode: m.id,
+    day: m.daily ? day : null,
+    track: m.daily ? trackSeed : null,
+    rng: mulberry32(trackSeed),
+    geo,
+    tick: 0,
+    started: true,
+    over: false,
+    finished: false, // ended by the mode's time limit (not a crash)
+    lane: 1,
+    playerX: null, // will be initialized from geometry for smooth lane transitions
+    runScore: 0,
+    savedScore: 0, // total moved Run -> Bank during this run
+    coinsCollected: 0,
+    t: 0,
+    speed: m.speed.start,
+    boostMult: 1,
+    obstacles: [],
+    coins: [],
+    lastSpawnAt: 0,
+    lastCoinAt: 0,
+    lastPowerAt: 0,
+    // last time a powerup actually spawned (used for "pity" so powerups don't disappear late-game)
+    lastPowerSpawnedAt: 0,
+    magnetUntil: 0,
+    slowUntil: 0,
+    shieldUntil: 0,
+    dblUntil: 0,
+    dblPending: false, // v5: picked up, waiting until it can't strand the car (settleDoubleLane)
+    skidUntil: 0, // oil slick: lane input is ignored until then
+    nitroUntil: 0,
+    coinRainUntil: 0,
+    lastRainAt: 0,
+    ghostUntil: 0,
+    ghostCharges: 0,
+    x2Until: 0,
+    lastLaneTick: null, // tick of the last applied lane input (spawn fairness model)
+    // Input log (replay). Everything is keyed by the tick it was applied on.
+    pendingLane: [],
+    inputs: [], // [tick, -1 | +1]
+    boosts: [], // [tick, mult]
+    saves: [] // tick
+  };
+}
+
+// Lane input is queued and applied at the start of the next tick, so live play
+// and replay see exactly the same ordering.
+export function queueLaneInput(run, delta) {
+  if (run.over) return;
+  run.pendingLane.push(delta > 0 ? 1 : -1);
+}
+
+export function setRunBoost(run, mult) {
+  if (run.boostMult === mult) return;
+  run.boostMult = mult;
+  run.boosts.push([run.tick, mult]);
+}
+
+// Move the current Run points out of the run (Save). Returns the points moved.
+export function saveRunScore(run) {
+  const pts = run.runScore;
+  if (pts <= 0) return 0;
+  run.savedScore += pts;
+  run.runScore = 0;
+  run.saves.push(run.tick);
+  return pts;
+}
+
+function applyPendingInputs(run) {
+  if (!run.pendingLane.length) return;
+  // Skidding: the input is dropped (never recorded), so replays see exactly the same.
+  if (isSkidding(run)) {
+    run.pendingLane = [];
+    return;
+  }
+  for (const delta of run.pendingLane) {
+    if (run.over) break;
+    const step = isDoubleLaneOn(run) ? 2 : 1;
+    run.lane = Math.max(0, Math.min(3, run.lane + delta * step));
+    run.lastLaneTick = run.tick;
+    run.inputs.push([run.tick, delta]);
+  }
+  run.pendingLane = [];
+}
+
+// =====================================================
+// Spawns
+// =====================================================
+const ENEMY_COLORS = [
+  "rgba(255,80,120,0.95)",
+  "rgba(255,188,64,0.95)",
+  "rgba(160,110,255,0.95)",
+  "rgba(60,220,160,0.95)",
+  "rgba(90,190,255,0.95)"
+];
+
+// Obstacle archetypes (replay v2+), unlocked as the run speeds up.
+// - weight: relative spawn weight among the unlocked ones
+// - lanes: lanes covered (trucks span two)
+// - speedMult: fall speed vs. the road (tractors crawl)
+// - lethal: false => touching it doesn't end the run (oil makes you skid instead)
+// - swerver: signals for `signal` seconds, then moves one lane over in `shift` seconds
+export const OBSTACLE_TYPES = {
+  car: { minSpeed: 0, weight: 10, lanes: 1, speedMult: 1.0, lethal: true },
+  tractor: { minSpeed: 1.5, weight: 2, lanes: 1, speedMult: 0.6, lethal: true },
+  cone: { minSpeed: 1.8, weight: 2, lanes: 1, speedMult: 1.0, lethal: true },
+  oil: { minSpeed: 2.0, weight: 1.5, lanes: 1, speedMult: 1.0, lethal: false },
+  truck: { minSpeed: 2.3, weight: 2, lanes: 2, speedMult: 1.0, lethal: true },
+  swerver: { minSpeed: 2.6, weight: 2, lanes: 1, speedMult: 1.0, lethal: true, signal: 0.7, shift: 0.35 }
+};
+const SKID_SECONDS = 0.6;
+
+function pickObstacleKind(run) {
+  const open = Object.entries(OBSTACLE_TYPES).filter(([, t]) => run.speed >= t.minSpeed);
+  const total = open.reduce((a, [, t]) => a + t.weight, 0);
+  let roll = run.rng() * total;
+  for (const [kind, t] of open) {
+    roll -= t.weight;
+    if (roll < 0) return kind;
+  }
+  return "car";
+}
+
+function spawnObstacle(run) {
+  const g = run.geo;
+  const kind = run.version >= 2 ? pickObstacleKind(run) : "car";
+  const type = OBSTACLE_TYPES[kind];
+  const lane = rngInt(run, 0, 4 - type.lanes);
+  const size = Math.max(36, Math.min(56, g.laneW * 0.55));
+  let w = Math.max(28, size * 0.82);
+  let h = Math.max(40, size * 1.18);
+  if (kind === "truck") {
+    w = g.laneW * 1.7;
+    h *= 1.9;
+  } else if (kind === "tractor") {
+    h *= 0.9;
+  } else if (kind === "cone") {
+    w = h = Math.max(18, size * 0.45);
+  } else if (kind === "oil") {
+    w = g.laneW * 0.7;
+    h = size * 0.7;
+  }
+
+  const color = ENEMY_COLORS[rngInt(run, 0, ENEMY_COLORS.length - 1)];
+
+  const o = { kind, lane, y: g.safeTop - h - 8, size, w, h, color };
+  if (kind === "swerver") {
+    o.age = 0;
+    o.fromLane = lane;
+    o.toLane = lane === 0 ? 1 : lane === 3 ? 2 : lane + (run.rng() < 0.5 ? -1 : 1);
+  }
+  // v3: move the obstacle to another lane (or drop it) when it would leave no way through.
+  // No extra RNG draws, so the track stays a pure function of the seed.
+  if (run.version >= 3 && !placeFairly(run, o)) return;
+  run.obstacles.push(o);
+}
+
+// Collision box of an obstacle (also what the renderer draws).
+export function obstacleRect(g, o) {
+  const ow = o.w ?? o.size;
+  const oh = o.h ?? o.size;
+  const lanes = OBSTACLE_TYPES[o.kind]?.lanes || 1;
+  const cx = o.x ?? (lanes === 2 ? (laneCenterX(g, o.lane) + laneCenterX(g, o.lane + 1)) / 2 : laneCenterX(g, o.lane));
+  return { x: cx - ow / 2, y: o.y, w: ow, h: oh };
+}
+
+// Lane changers: -1 / +1 while signalling (the way they'll go), else 0.
+export function obstacleSignal(o) {
+  if (o.kind !== "swerver" || o.age >= OBSTACLE_TYPES.swerver.signal) return 0;
+  return Math.sign(o.toLane - o.fromLane);
+}
+
+function moveSwerver(g, o, dt) {
+  const t = OBSTACLE_TYPES.swerver;
+  o.age += dt;
+  if (o.age < t.signal || o.lane === o.toLane) return;
+  const p = Math.min(1, (o.age - t.signal) / t.shift);
+  const from = laneCenterX(g, o.fromLane);
+  o.x = from + (laneCenterX(g, o.toLane) - from) * p;
+  if (p >= 1) {
+    o.lane = o.toLane;
+    o.x = undefined;
+  }
+}
+
+// =====================================================
+// Spawn fairness (replay v3+)
+// A new obstacle is only placed if a player starting from the current lane can still weave
+// through everything on the road. The model errs on the cautious side:
+// - a lane change takes PLAN_HOP_TICKS (the LANE_TAU easing plus reaction slack) and needs
+//   every lane it crosses clear meanwhile; double-lane jumps two lanes per change
+// - an obstacle blocks its lane(s) while it overlaps the car's rows, +/- PLAN_MARGIN_TICKS.
+//   Oil counts too (skidding locks the steering); a lane changer blocks both its lanes
+// - shield, nitro and slow-mo count for the time they have left (ghost charges don't)
+// Everything is counted in whole ticks from the next obstacle move, so a plan found now still
+// fits one tick later. `lag` is 1 when planning from inside stepRun() (the spawner): this
+// tick's move is still to come, but lane input only lands on the next tick.
+// =====================================================
+export const LANE_TAU = 0.06; // player lane easing time constant (seconds)
+const SLOW_FACTOR = 0.55;
+const PLAN_HOP_TICKS = Math.ceil((3 * LANE_TAU + 0.12) / SIM_STEP);
+const PLAN_MARGIN_TICKS = 5;
+const PLAN_MAX_TICKS = Math.round(20 / SIM_STEP);
+
+// First tick (0 = now) on which a timer (seconds) is over. Counts run.t forward the way
+// stepRun() accumulates it, so the boundary lands on exactly the same tick.
+function tickWhenOver(run, until, lag) {
+  let now = run.t;
+  for (let i = 0; i < PLAN_MAX_TICKS; i++) {
+    if (i > lag) now += SIM_STEP;
+    if (!(now < until)) return i;
+  }
+  return PLAN_MAX_TICKS;
+}
+
+function obstacleLanes(o) {
+  if (o.kind === "swerver" && o.lane !== o.toLane) return [o.fromLane, o.toLane];
+  return (OBSTACLE_TYPES[o.kind]?.lanes || 1) === 2 ? [o.lane, o.lane + 1] : [o.lane];
+}
+
+// Distance (px, speedMult 1) obstacles fall over each of the next ticks, mirroring stepRun():
+// the speed keeps ramping and slow-mo only lasts as long as it lasts.
+function fallTable(run, maxDist, lag) {
+  const mode = getGameMode(run.mode);
+  const slowOver = tickWhenOver(run, run.slowUntil, lag);
+  const nitroOver = tickWhenOver(run, run.nitroUntil, lag);
+  const fall = [0];
+  let speed = run.speed;
+  for (let i = 1; fall[i - 1] < maxDist && i <= PLAN_MAX_TICKS; i++) {
+    if (i > lag) speed = Math.min(mode.speed.max, speed + SIM_STEP * mode.speed.ramp);
+    const factor = (i < slowOver ? SLOW_FACTOR : 1.0) * (i < nitroOver ? NITRO_SPEED : 1.0);
+    fall.push(fall[i - 1] + (220 + speed * 90) * factor * SIM_STEP);
+  }
+  return fall;
+}
+
+// Ticks until the obstacles have fallen `dist` px.
+function ticksToFall(fall, dist) {
+  let lo = 0;
+  let hi = fall.length - 1;
+  if (fall[hi] < dist) return fall.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (fall[mid] >= dist) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+// Per lane: [from, to) ticks (from now) in which the lane is unsafe at the car's rows.
+function laneBlockWindows(run, obstacles, lag) {
+  const g = run.geo;
+  const { carH } = playerCarSize(g);
+  const carY = g.safeBottom - carH - 14;
+  const safeUntil = Math.max(tickWhenOver(run, run.shieldUntil, lag), tickWhenOver(run, run.nitroUntil, lag));
+  // hit oil is just road, and a car you're ghosting through stays passable
+  const ahead = obstacles.filter((o) => !o.hit && !o.ghosted && o.y <= carY + carH);
+  const mult = (o) => OBSTACLE_TYPES[o.kind]?.speedMult ?? 1;
+  const fall = fallTable(run, Math.max(0, ...ahead.map((o) => (carY + carH - o.y) / mult(o))), lag);
+  const lanes = [[], [], [], []];
+  let horizon = 0;
+  for (const o of ahead) {
+    const enter = ticksToFall(fall, (carY - (o.y + (o.h ?? o.size))) / mult(o));
+    const exit = ticksToFall(fall, (carY + carH - o.y) / mult(o)) + PLAN_MARGIN_TICKS;
+    // Shielded, driving into it is fine; it only blocks from the moment the shield is gone.
+    const from = Math.max(enter - PLAN_MARGIN_TICKS, safeUntil);
+    if (from >= exit) continue;
+    for (const l of obstacleLanes(o)) lanes[l].push([from, exit]);
+    horizon = Math.max(horizon, exit);
+  }
+  return { lanes, horizon };
+}
+
+/**
+ * Is there still a way through everything on the road (plus `extra`, an obstacle about to
+ * spawn)? => { ok, move } where move is the first lane input of such a path (-1 / 0 / +1).
+ * Call it between ticks (lag 0); the spawner passes lag 1. Also drives the bot in
+ * lib/fairness-harness.js.
+ */
+export function planEscape(run, extra = null, lag = 0) {
+  const { lanes, horizon } = laneBlockWindows(run, extra ? [...run.obstacles, extra] : run.obstacles, lag);
+  const clear = (l, a, b) => lanes[l].every(([from, to]) => to <= a || from >= b);
+  // Can't steer before the last lane change settled, nor while skidding.
+  const settled = run.lastLaneTick == null ? 0 : run.lastLaneTick + lag + PLAN_HOP_TICKS - run.tick;
+  const ready = Math.max(lag, settled, tickWhenOver(run, run.skidUntil, lag));
+  const dblOver = tickWhenOver(run, run.dblUntil, lag);
+
+  // Moves from (lane, tick k): [input, lane, k]
+  const moves = (lane, k) => {
+    const out = [];
+    if (clear(lane, k, k + 1)) out.push([0, lane, k + 1]);
+    if (k < ready) return out;
+    const jump = k < dblOver ? 2 : 1;
+    for (const dir of [-1, 1]) {
+      const to = Math.max(0, Math.min(3, lane + dir * jump));
+      if (to === lane) continue;
+      let ok = true;
+      for (let l = Math.min(lane, to); l <= Math.max(lane, to) && ok; l++) ok = clear(l, k, k + PLAN_HOP_TICKS);
+      if (ok) out.push([dir, to, k + PLAN_HOP_TICKS]);
+    }
+    return out;
+  };
+
+  const dead = new Set();
+  const search = (lane, k) => {
+    if (k >= horizon) return true;
+    const key = k * 4 + lane;
+    if (dead.has(key)) return false;
+    for (const [, l, k2] of moves(lane, k)) if (search(l, k2)) return true;
+    dead.add(key);
+    return false;
+  };
+
+  for (const [move, l, k] of moves(run.lane, 0)) if (search(l, k)) return { ok: true, move };
+  return { ok: false, move: 0 };
+}
+
+// Tries the obstacle's own lane first, then the next ones over. false => nowhere is fair.
+function placeFairly(run, o) {
+  const count = 5 - (OBSTACLE_TYPES[o.kind]?.lanes || 1);
+  const first = o.lane;
+  const dir = o.kind === "swerver" ? o.toLane - o.fromLane : 0;
+  for (let i = 0; i < count; i++) {
+    const lane = (first + i) % count;
+    o.lane = lane;
+    if (dir) {
+      o.fromLane = lane;
+      o.toLane = lane + dir >= 0 && lane + dir <= 3 ? lane + dir : lane - dir;
+    }
+    if (planEscape(run, o, 1).ok) return true;
+  }
+  return false;
+}
+
+function spawnCoin(run) {
+  const g = run.geo;
+  const lane = rngInt(run, 0, 3);
+  const x = laneCenterX(g, lane);
+
+  // Normal coin (+1) + bonus coins (5x/10x/100x)
+  const r = 10;
+  let kind = "coin";
+  let value = 1;
+
+  const roll = run.rng();
+  // 8% => 5x, 1.5% => 10x, 0.5% => 100x
+  if (roll < 0.08) {
+    kind = "bonus";
+    value = 5;
+  } else if (roll < 0.095) {
+    kind = "bonus";
+    value = 10;
+  } else if (roll < 0.10) {
+    kind = "bonus";
+    value = 100;
+  }
+
+  run.coins.push({ lane, x, y: g.safeTop - 24, r, kind, value });
+}
+
+function spawnPowerUp(run) {
+  const g = run.geo;
+  const lane = rngInt(run, 0, 3);
+  const x = laneCenterX(g, lane);
+  const y = g.safeTop - 28;
+
+  // Weighted random selection (endless before v4: 40% magnet, 35% slow, 15% shield, 10% dbl)
+  const weights = powerupWeights(run);
+  const total = run.version >= 4 ? weights.reduce((a, [, w]) => a + w, 0) : 1;
+  const roll = run.rng() * total;
+  let kind = weights[weights.length - 1][0];
+  let acc = 0;
+  for (const [k, w] of weights) {
+    acc += w;
+    if (roll < acc) {
+      kind = k;
+      break;
+    }
+  }
+
+  run.coins.push({ lane, x, y, r: 12, kind, value: 0 });
+}
+
+// =====================================================
+// Powerups
+// NOTE: powerups use simulation time (run.t) in **seconds**.
+// Keeping everything on the same timebase prevents "phantom shield" / wrong countdowns.
+//
+// One row per kind; the sim, the spawner and the HUD all read from here.
+// - weight: spawn weight (a mode's `powerups` can override it)
+// - duration: seconds it lasts once picked up
+// - stack: picking it up while active "refresh"es the timer, or "extend"s it up to maxSeconds
+// - charges: lethal hits it lets you through before it's used up (up to maxCharges)
+// - hud / sprite: countdown label, and the badge drawn on the road ({ fill, label })
+// - since: first replay version it spawns in
+// - timer: run field holding its expiry
+// =====================================================
+export const POWERUP_TYPES = {
+  magnet: {
+    weight: 0.40, duration: 7, stack: "refresh", since: 1, timer: "magnetUntil",
+    hud: "Mag", sprite: { fill: "#4cc9f0", label: "M" }
+  },
+  slow: {
+    weight: 0.35, duration: 6.5, stack: "refresh", since: 1, timer: "slowUntil",
+    hud: "Slow", sprite: { fill: "#06d6a0", label: "S" }
+  },
+  shield: {
+    weight: 0.15, duration: 20, stack: "refresh", since: 1, timer: "shieldUntil",
+    hud: "Shield", sprite: { fill: "#c7f464", label: "L" }
+  },
+  dbl: {
+    weight: 0.10, duration: 9, stack: "refresh", since: 1, timer: "dblUntil",
+    hud: "Jump2", sprite: { fill: "#ff6b35", label: "2" }
+  },
+  // speed burst: the road rushes by NITRO_SPEED times faster and you smash through traffic
+  nitro: {
+    weight: 0.10, duration: 3, stack: "extend", maxSeconds: 6, since: 4, timer: "nitroUntil",
+    hud: "Nitro", sprite: { fill: "#ff3864", label: "N" }
+  },
+  // coins pour down every COIN_RAIN_EVERY seconds
+  coinRain: {
+    weight: 0.12, duration: 5, stack: "refresh", since: 4, timer: "coinRainUntil",
+    hud: "Rain", sprite: { fill: "#ffd23f", label: "R" }
+  },
+  // drive through one car (or the next few, when stacked)
+  ghost: {
+    weight: 0.10, duration: 12, stack: "refresh", charges: 1, maxCharges: 3, since: 4, timer: "ghostUntil",
+    hud: "Ghost", sprite: { fill: "#e0e0ff", label: "G" }
+  },
+  x2: {
+    weight: 0.12, duration: 8, stack: "extend", maxSeconds: 16, since: 4, timer: "x2Until",
+    hud: "2x", sprite: { fill: "#3a86ff", label: "x2" }
+  }
+};
+export const NITRO_SPEED = 1.6;
+const COIN_RAIN_EVERY = 0.15;
+
+// Kind => weight pairs the run rolls powerups from.
+function powerupWeights(run) {
+  const mode = getGameMode(run.mode);
+  // Before v4 exactly the mode's own table, so those replays keep rolling the same.
+  if (run.version < 4) return Object.entries(mode.powerups);
+  return Object.entries(POWERUP_TYPES)
+    .filter(([, t]) => run.version >= t.since)
+    .map(([kind, t]) => [kind, mode.powerups[kind] ?? t.weight]);
+}
+
+export function isPowerupOn(run, kind, now = run.t) {
+  const type = POWERUP_TYPES[kind];
+  if (!type) return false;
+  const until = run[type.timer];
+  return !!until && now < until && (!type.charges || run.ghostCharges > 0);
+}
+
+// Seconds left on an active powerup (0 when it's off).
+export function powerupTimeLeft(run, kind, now = run.t) {
+  return isPowerupOn(run, kind, now) ? run[POWERUP_TYPES[kind].timer] - now : 0;
+}
+
+// Double-lane changes where a lane change lands, so waves that were placed fair without it
+// can leave no way through with it. A pickup (v5+) only takes effect once planEscape()
+// finds a path with it on; until then it waits in run.dblPending.
+function settleDoubleLane(run, now) {
+  const before = run.dblUntil;
+  applyPowerup(run, "dbl", now);
+  if (planEscape(run).ok) run.dblPending = false;
+  else run.dblUntil = before;
+}
+
+function applyPowerup(run, kind, now) {
+  const type = POWERUP_TYPES[kind];
+  if (!type) return;
+  const active = isPowerupOn(run, kind, now);
+  if (type.stack === "extend" && active) {
+    run[type.timer] = Math.min(now + type.maxSeconds, run[type.timer] + type.duration);
+  } else {
+    run[type.timer] = now + type.duration;
+  }
+  if (type.charges) run.ghostCharges = Math.min(type.maxCharges, (active ? run.ghostCharges : 0) + type.charges);
+}
+
+export function isMagnetOn(run, now = run.t) {
+  return !!run.magnetUntil && now < run.magnetUntil;
+}
+export function isSlowOn(run, now = run.t) {
+  return !!run.slowUntil && now < run.slowUntil;
+}
+export function isShieldOn(run, now = run.t) {
+  return !!run.shieldUntil && now < run.shieldUntil;
+}
+export function isDoubleLaneOn(run, now = run.t) {
+  return !!run.dblUntil && now < run.dblUntil;
+}
+export function isNitroOn(run, now = run.t) {
+  return !!run.nitroUntil && now < run.nitroUntil;
+}
+export function isSkidding(run, now = run.t) {
+  return !!run.skidUntil && now < run.skidUntil;
+}
+
+// How fast the road moves vs. normal (slow-mo, nitro). Scenery should scroll with it too.
+export function worldSpeedFactor(run, now = run.t) {
+  return (isSlowOn(run, now) ? SLOW_FACTOR : 1.0) * (isNitroOn(run, now) ? NITRO_SPEED : 1.0);
+}
+
+// Safety: if any timer is accidentally set with the wrong unit (ms vs sec),
+// clamp it so it can't become "permanent" until refresh.
+function sanitizePowerups(run, now = run.t) {
+  const clamp = (val, maxSec) => {
+    if (!val || !isFinite(val)) return 0;
+    // already expired
+    if (val <= now) return 0;
+    // wrong unit or corrupted (too far in the future)
+    if (val - now > maxSec + 1) return now + maxSec;
+    return val;
+  };
+
+  for (const type of Object.values(POWERUP_TYPES)) {
+    run[type.timer] = clamp(run[type.timer], type.maxSeconds ?? type.duration);
+  }
+  if (!run.ghostUntil) run.ghostCharges = 0;
+  run.skidUntil = clamp(run.skidUntil, SKID_SECONDS);
+}
+
+function rectsOverlap(a, b) {
+  return !(a.x + a.w < b.x || a.x > b.x + b.w || a.y + a.h < b.y || a.y > b.y + b.h);
+}
+
+// =====================================================
+// Tick
+// =====================================================
+/**
+ * Advance the run by exactly one SIM_STEP.
+ * hooks (all optional): onCoin(coin), onPowerup(kind), onShieldBlock(), onSmash(), onGhost(), onSkid(),
+ *   onCrash(), onFinish()
+ */
+export function stepRun(run, hooks = {}) {
+  if (run.over || !run.geo) return;
+
+  const mode = getGameMode(run.mode);
+  const dt = SIM_STEP;
+  applyPendingInputs(run);
+  run.tick += 1;
+
+  run.t += dt;
+  run.speed = Math.min(mode.speed.max, run.speed + dt * mode.speed.ramp);
+
+  run.runScore += dt * (8 + run.speed * 5) * run.boostMult * (isPowerupOn(run, "x2") ? 2 : 1);
+
+  const now = run.t;
+  sanitizePowerups(run, now);
+
+  // Obstacles: catch up if the interval shrank (cap spawns per tick to avoid "spawn floods")
+  const obstacleInterval = spawnInterval(mode.spawn.obstacle, run.speed);
+  if (now - run.lastSpawnAt > obstacleInterval && run.version >= 3) {
+    // v3: one obstacle per tick; a backlog is dropped instead of landing as a wall in one row
+    run.lastSpawnAt = Math.max(run.lastSpawnAt + obstacleInterval, now - obstacleInterval);
+    spawnObstacle(run);
+  } else if (now - run.lastSpawnAt > obstacleInterval) {
+    let guard = 0;
+    while (now - run.lastSpawnAt > obstacleInterval && guard++ < 3) {
+      run.lastSpawnAt += obstacleInterval;
+      spawnObstacle(run);
+    }
+  }
+
+  // Coins: get a little more frequent as speed increases so long runs still feel rewarding
+  const coinInterval = spawnInterval(mode.spawn.coin, run.speed);
+  if (now - run.lastCoinAt > coinInterval) {
+    let guard = 0;
+    while (now - run.lastCoinAt > coinInterval && guard++ < 3) {
+      run.lastCoinAt += coinInterval;
+      // keep some RNG so it doesn't become a wall of coins
+      if (run.rng() < mode.spawn.coin.chance) spawnCoin(run);
+    }
+  }
+  if (isPowerupOn(run, "coinRain", now) && now - run.lastRainAt >= COIN_RAIN_EVERY) {
+    run.lastRainAt = now;
+    spawnCoin(run);
+  }
+
+  // Powerups spawn a bit slower & rarer than normal coins
+  // + "pity" timer: if you survive a long time and RNG is unlucky, we still force a powerup occasionally.
+  // Modes without powerups skip this entirely (no RNG draws).
+  const power = mode.spawn.powerup;
+  const powerInterval = power ? spawnInterval(power, run.speed) : Infinity; // gets slightly faster later
+  if (now - run.lastPowerAt > powerInterval) {
+    run.lastPowerAt = now;
+
+    const sinceSpawn = now - (run.lastPowerSpawnedAt || 0);
+    const force = sinceSpawn > power.pity; // guarantee at least 1 powerup every ~pity seconds
+
+    if (force || run.rng() < power.chance) {
+      spawnPowerUp(run);
+      run.lastPowerSpawnedAt = now;
+    }
+  }
+
+  const g = run.geo;
+
+  // Smooth lane transitions:
+  // - Input switches run.lane immediately (responsive)
+  // - Rendering/collision use run.playerX that eases toward the lane center (smooth)
+  const targetX = laneCenterX(g, run.lane);
+  if (run.playerX == null || !isFinite(run.playerX)) run.playerX = targetX;
+
+  // Time constant controls "snappiness": smaller = faster, larger = smoother.
+  const alpha = 1 - Math.exp(-dt / LANE_TAU); // faster lane change, still smooth
+  run.playerX += (targetX - run.playerX) * alpha;
+
+  if (Math.abs(targetX - run.playerX) < 0.25) run.playerX = targetX;
+
+  // collision rect for the player (consistent with drawn car)
+  const { carW, carH } = playerCarSize(g);
+  const carX = run.playerX - carW / 2;
+  const carY = g.safeBottom - carH - 14;
+  const carRect = { x: carX, y: carY, w: carW, h: carH };
+
+  const obsSpeed = (220 + run.speed * 90) * worldSpeedFactor(run, now) * dt;
+  for (const o of run.obstacles) {
+    o.y += obsSpeed * (OBSTACLE_TYPES[o.kind]?.speedMult ?? 1);
+    if (o.kind === "swerver") moveSwerver(g, o, dt);
+  }
+
+  const coinSpeed = (190 + run.speed * 70) * (isNitroOn(run, now) ? NITRO_SPEED : 1.0) * dt;
+  const carCx = carRect.x + carRect.w / 2;
+  const carCy = carRect.y + carRect.h / 2;
+
+  for (const c of run.coins) {
+    // Base down movement for everything collectible
+    c.y += coinSpeed;
+
+    // Magnet only pulls coins/bonus coins (not powerups)
+    if (isMagnetOn(run, now) && (c.kind === "coin" || c.kind === "bonus")) {
+      const dx = carCx - (c.x ?? laneCenterX(g, c.lane));
+      const dy = carCy - c.y;
+      const dist = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+      const pull = 520 * dt; // px per second scaled by dt
+      const step = Math.min(pull, dist);
+      const ux = dx / dist;
+      const uy = dy / dist;
+      c.x = (c.x ?? laneCenterX(g, c.lane)) + ux * step;
+      c.y = c.y + uy * step * 0.65;
+    }
+  }
+
+  // ✅ collisions (shield-aware)
+  // If shield is active: you DON'T die on crash; we just "bounce" the obstacle away.
+  const shieldActive = isShieldOn(run, now);
+  const nitroActive = isNitroOn(run, now);
+  const keptObstacles = [];
+  for (const o of run.obstacles) {
+    const r = obstacleRect(g, o);
+
+    if (rectsOverlap(carRect, r)) {
+      // Oil: skid once (shield/nitro keep you on track), then it's just road.
+      if (OBSTACLE_TYPES[o.kind]?.lethal === false) {
+        if (!o.hit && !shieldActive && !nitroActive) {
+          run.skidUntil = now + SKID_SECONDS;
+          hooks.onSkid?.();
+        }
+        o.hit = true;
+        keptObstacles.push(o);
+        continue;
+      }
+      // Ghost: the car you're passing through stays passable until it's behind you.
+      if (o.ghosted) {
+        keptObstacles.push(o);
+        continue;
+      }
+      if (nitroActive) {
+        hooks.onSmash?.();
+        continue;
+      }
+      if (shieldActive) {
+        // shield eats the collision (no game over)
+        hooks.onShieldBlock?.();
+        // don't keep this obstacle to avoid repeated overlap in next frames
+        continue;
+      }
+
+      if (isPowerupOn(run, "ghost", now)) {
+        o.ghosted = true;
+        run.ghostCharges -= 1;
+        hooks.onGhost?.();
+        keptObstacles.push(o);
+        continue;
+      }
+
+      run.over = true;
+      hooks.onCrash?.();
+      break;
+    }
+
+    keptObstacles.push(o);
+  }
+
+  // If we didn't die, update obstacle list (removes ones that hit shield)
+  if (!run.over) run.obstacles = keptObstacles;
+
+  // coin pickup
+  const keptCoins = [];
+  for (const c of run.coins) {
+    const cx = c.x ?? laneCenterX(g, c.lane);
+    const cy = c.y;
+    const dx = carRect.x + carRect.w / 2 - cx;
+    const dy = carRect.y + carRect.h / 2 - cy;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    if (dist < carRect.w * 0.45 + c.r) {
+      if (c.kind === "coin" || c.kind === "bonus") {
+        run.coinsCollected += c.value || 1;
+        hooks.onCoin?.(c);
+        continue;
+      }
+      // Powerups
+      if (c.kind === "dbl" && run.version >= 5) run.dblPending = true;
+      else applyPowerup(run, c.kind, now);
+      hooks.onPowerup?.(c.kind);
+      continue;
+    }
+    keptCoins.push(c);
+  }
+  run.coins = keptCoins;
+
+  run.obstacles = run.obstacles.filter((o) => o.y < g.safeBottom + 120);
+  run.coins = run.coins.filter((c) => c.y < g.safeBottom + 100);
+  if (run.dblPending && !run.over) settleDoubleLane(run, now);
+
+  // Timed modes end on their own once the clock runs out.
+  if (!run.over && mode.timeLimit && run.t >= mode.timeLimit) {
+    run.over = true;
+    run.finished = true;
+    hooks.onFinish?.();
+  }
+}
+
+// Seconds left in a timed mode (null when the mode isn't timed).
+export function runTimeLeft(run) {
+  const limit = getGameMode(run.mode).timeLimit;
+  return limit ? Math.max(0, limit - run.t) : null;
+}
+
+// =====================================================
+// Replays
+// =====================================================
+export function exportReplay(run) {
+  return {
+    v: run.version,
+    seed: run.seed,
+    mode: run.mode,
+    ...(run.day ? { day: run.day, track: run.track } : {}),
+    geo: { w: run.geo ? run.geo.w : 0, h: run.geo ? run.geo.h : 0 },
+    ticks: run.tick,
+    inputs: run.inputs.map((x) => x.slice()),
+    boosts: run.boosts.map((x) => x.slice()),
+    saves: run.saves.slice()
+  };
+}
+
+/**
+ * Re-simulate a run from its replay record. Returns the final run state;
+ * exportReplay() of the result equals the input replay when nothing was tampered with.
+ */
+export function replayRun(replay, hooks = {}) {
+  // Replays recorded before modes existed have no `mode` and are endless runs.
+  const run = createRun({
+    seed: replay.seed,
+    geo: computeLaneGeometry(replay.geo.w, replay.geo.h),
+    mode: replay.mode || DEFAULT_MODE,
+    day: replay.day || null,
+    track: replay.track ?? null,
+    version: replay.v
+  });
+  const inputs = replay.inputs || [];
+  const boosts = replay.boosts || [];
+  const saves = replay.saves || [];
+  let ii = 0;
+  let bi = 0;
+  let si = 0;
+
+  while (run.tick < replay.ticks && !run.over) {
+    while (bi < boosts.length && boosts[bi][0] <= run.tick) setRunBoost(run, boosts[bi++][1]);
+    while (si < saves.length && saves[si] <= run.tick) { saveRunScore(run); si++; }
+    while (ii < inputs.length && inputs[ii][0] <= run.tick) queueLaneInput(run, inputs[ii++][1]);
+    stepRun(run, hooks);
+  }
+
+  // Saves after the final tick (e.g. "Crash! Save or restart")
+  while (si < saves.length) { saveRunScore(run); si++; }
+  return run;
+}
+
+/**
+ * Re-simulate a replay and check it reproduces its own input log.
+ * Returns the final run state, or null when the log was tampered with.
+ */
+export function verifyReplay(replay) {
+  const run = replayRun(replay);
+  const again = exportReplay(run);
+  const same =
+    again.ticks === replay.ticks &&
+    JSON.stringify(again.inputs) === JSON.stringify(replay.inputs) &&
+    JSON.stringify(again.boosts) === JSON.stringify(replay.boosts) &&
+    JSON.stringify(again.saves) === JSON.stringify(replay.saves);
+  return same ? run : null;
+}
+
+/**
+ * Everything that decides how a replay plays out, as one canonical string. Daily runs drop
+ * the run seed (the track comes from `track`), so re-seeding a run doesn't make it a new one.
+ * /api/daily counts each fingerprint once; players sign its SHA-256 (see dailyClaimMessage).
+ */
+export function replayFingerprint(replay) {
+  const m = getGameMode(replay.mode || DEFAULT_MODE);
+  return JSON.stringify([
+    replay.v,
+    replay.mode || DEFAULT_MODE,
+    m.daily ? null : replay.seed,
+    replay.day || null,
+    replay.track ?? null,
+    replay.geo ? [replay.geo.w, replay.geo.h] : null,
+    replay.ticks,
+    replay.inputs || [],
+    replay.boosts || [],
+    replay.saves || []
+  ]);
+}
+
+// What a player signs to post a daily run: the day + hex SHA-256 of replayFingerprint().
+export function dailyClaimMessage(day, runHash) {
+  return `GasRun daily challenge\nDay: ${day}\nRun: ${runHash}`;
+}
@@ -0,0 +1,35 @@
+// =====================================================
+// GAME EVENTS
+// The run only publishes what happened; audio, haptics, toasts, the economy and
+// achievements each subscribe on their own, so new features don't touch the game loop.
+//   run:start { run, prev }      run:tick { run }          (every simulation tick)
+//   coin:collected (coin)        powerup:picked { kind }   shield:blocked
+//   nitro:smash                  ghost:passed              oil:skid
+//   run:end { run }              (bookkeeping for any ending, before crash / run:finish)
+//   crash { run }                run:finish { run }
+//   boost:started                deposit:confirmed { deposit }
+// A throwing listener is logged and skipped; it never stops the others or the loop.
+// =====================================================
+export function createEventBus(name = "game") {
+  const subs = new Map();
+  return {
+    on(type, fn) {
+      if (!subs.has(type)) subs.set(type, new Set());
+      subs.get(type).add(fn);
+      return () => subs.get(type)?.delete(fn);
+    },
+    emit(type, payload) {
+      const set = subs.get(type);
+      if (!set) return;
+      for (const fn of [...set]) {
+        try {
+          fn(payload);
+        } catch (e) {
+          console.warn(`${name} event listener failed: ${type}`, e);
+        }
+      }
+    }
+  };
+}
+
+export const gameEvents = createEventBus();
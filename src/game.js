@@ -0,0 +1,195 @@
+/**
+ * GAME CORE (current run + modes)
+ * - Owns the run being played, advances it in fixed steps and publishes what happens on
+ *   gameEvents (./events.js). Spawning, collision and scoring live in ./engine.js.
+ * - No DOM: the browser plugs its canvas geometry in with setLaneGeometry(); headless
+ *   callers get a phone-sized play area. Everything else (replays, daily posts, deposits,
+ *   audio, toasts) subscribes to the events from src/main.js.
+ * - Importing starts nothing: call init() once the listeners are in place, so the first
+ *   run:start reaches them like every later one.
+ */
+import {
+  SIM_STEP,
+  computeLaneGeometry,
+  createRun,
+  stepRun,
+  queueLaneInput,
+  setRunBoost,
+  GAME_MODES,
+  DEFAULT_MODE,
+  getGameMode,
+  modeBucket,
+  runTotalScore
+} from "./engine.js";
+import { gameEvents } from "./events.js";
+import { storage } from "./storage.js";
+import { profile, applyDecay, computeBoost, utcDayKey } from "./economy.js";
+
+// =====================================================
+// GAME MODES
+// The chosen mode applies to the next run (see GAME_MODES in ./engine.js).
+// Every mode keeps its own scoring bucket (best / runs / last); the daily
+// challenge gets a fresh bucket each UTC day.
+// =====================================================
+const LS_GAME_MODE = "w3r_mode";
+const LS_MODE_SCORES = "w3r_mode_scores";
+const MODE_SCORES_KEEP_DAYS = 14;
+
+export function getSelectedMode() {
+  const id = storage.getItem(LS_GAME_MODE) || DEFAULT_MODE;
+  return GAME_MODES[id] ? id : DEFAULT_MODE;
+}
+export function setSelectedMode(id) {
+  storage.setItem(LS_GAME_MODE, GAME_MODES[id] ? id : DEFAULT_MODE);
+}
+
+export function newRunOptions() {
+  const mode = getSelectedMode();
+  if (!getGameMode(mode).daily) return { mode };
+  const day = utcDayKey();
+  return { mode, day, track: dailyInfo && dailyInfo.day === day ? dailyInfo.seed : null };
+}
+
+// Today's daily track is published by /api/daily. Without it (offline) the run uses the
+// engine's public dailySeed(day), which the server only accepts when it has no DAILY_SEED_KEY.
+const LS_DAILY = "w3r_daily";
+export let dailyInfo = loadDailyInfo();
+
+function loadDailyInfo() {
+  try {
+    const o = JSON.parse(storage.getItem(LS_DAILY) || "null");
+    return o && typeof o.day === "string" && Number.isSafeInteger(o.seed) ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+// info: { day, seed, endsAt } as served by /api/daily.
+export function setDailyInfo(info) {
+  dailyInfo = info;
+  storage.setItem(LS_DAILY, JSON.stringify(info));
+}
+
+export function loadModeScores() {
+  try {
+    const o = JSON.parse(storage.getItem(LS_MODE_SCORES) || "{}");
+    return o && typeof o === "object" ? o : {};
+  } catch {
+    return {};
+  }
+}
+function storeModeScores(o) {
+  try {
+    storage.setItem(LS_MODE_SCORES, JSON.stringify(o));
+  } catch {}
+}
+export function modeScoreFor(bucket) {
+  return loadModeScores()[bucket] || { best: 0, runs: 0, last: 0 };
+}
+
+// Called once per finished run (crash or time up).
+export function recordModeScore(run) {
+  if (!run || run.tick <= 0 || run.scored) return;
+  run.scored = true;
+  const scores = loadModeScores();
+  const bucket = modeBucket(run);
+  const score = runTotalScore(run);
+  const prev = scores[bucket] || { best: 0, runs: 0, last: 0 };
+  scores[bucket] = { best: Math.max(prev.best, score), runs: prev.runs + 1, last: score, at: Date.now() };
+  run.newBest = score > prev.best;
+
+  // Old daily buckets are only kept for a couple of weeks.
+  const cutoff = utcDayKey(Date.now() - MODE_SCORES_KEEP_DAYS * 24 * 60 * 60 * 1000);
+  for (const k of Object.keys(scores)) {
+    if (k.startsWith("daily:") && k.slice(6) < cutoff) delete scores[k];
+  }
+  storeModeScores(scores);
+}
+
+// =====================================================
+// GAME: 4-lane runner
+// Simulation lives in ./engine.js (seeded + fixed-step, replayable).
+// Here we only own the current run and publish its side effects.
+// =====================================================
+export let game = createRun();
+
+// Play-area geometry for new runs; the renderer swaps in the canvas size.
+let laneGeometry = () => computeLaneGeometry(360, 640);
+
+export function setLaneGeometry(fn) {
+  laneGeometry = fn;
+}
+
+// Engine hooks => game events (see GAME EVENTS). Only the run's own bookkeeping happens here.
+const SIM_HOOKS = {
+  onCoin: (c) => gameEvents.emit("coin:collected", c),
+  onPowerup: (kind) => gameEvents.emit("powerup:picked", { kind }),
+  onShieldBlock: () => gameEvents.emit("shield:blocked"),
+  onSmash: () => gameEvents.emit("nitro:smash"),
+  onGhost: () => gameEvents.emit("ghost:passed"),
+  onSkid: () => gameEvents.emit("oil:skid"),
+  onCrash() {
+    endRun();
+    gameEvents.emit("crash", { run: game });
+  },
+  onFinish() {
+    endRun();
+    gameEvents.emit("run:finish", { run: game });
+  }
+};
+
+// Shared by every way a run can end (crash, time limit).
+function endRun() {
+  recordModeScore(game);
+  gameEvents.emit("run:end", { run: game });
+}
+
+// prev (the finished run) rides along on run:start so its replay can still be kept.
+export function resetRun(options = newRunOptions()) {
+  const prev = game;
+  // Fresh seed per run in the selected mode; geometry is pinned on the first tick (see update()).
+  game = createRun(options);
+  setRunBoost(game, profile.boostMult);
+  gameEvents.emit("run:start", { run: game, prev });
+}
+
+// Starts the first run (after the caller subscribed to gameEvents).
+export function init(options) {
+  resetRun(options);
+}
+
+export function moveLane(delta) {
+  // Applied on the next simulation tick (and recorded for replay).
+  queueLaneInput(game, delta);
+}
+
+// Fixed-timestep driver: frame time is accumulated and the run is advanced in
+// whole SIM_STEP ticks, so the outcome never depends on the device frame rate.
+let simAccumulator = 0;
+const MAX_TICKS_PER_FRAME = 5;
+
+export function update(dt) {
+  applyDecay();
+  computeBoost();
+
+  if (game.over) {
+    simAccumulator = 0;
+    return;
+  }
+
+  // Pin the play-area geometry for the whole run on its first tick.
+  if (game.tick === 0) game.geo = laneGeometry();
+  setRunBoost(game, profile.boostMult);
+
+  simAccumulator += dt;
+  let ticks = 0;
+  while (simAccumulator >= SIM_STEP && ticks++ < MAX_TICKS_PER_FRAME) {
+    simAccumulator -= SIM_STEP;
+    stepRun(game, SIM_HOOKS);
+    if (game.over) {
+      simAccumulator = 0;
+      break;
+    }
+    gameEvents.emit("run:tick", { run: game });
+  }
+}
@@ -0,0 +1,133 @@
+// =====================================================
+// GARAGE
+// Coins unlock cosmetics for the player car: a livery (body + stripes), an underglow
+// and a body shape. Ownership is kept per wallet ("guest" until one connects; the
+// first wallet to connect adopts the guest garage). Owned items can optionally be
+// logged on-chain (GARAGE_UNLOCK action), which marks them as proven once the call is confirmed.
+// =====================================================
+
+import { account } from "./wallet.js";
+import { profile, persistProfile } from "./economy.js";
+import { toast } from "./ui.js";
+
+const LS_GARAGE_PREFIX = "w3r_garage:";
+export const GARAGE_SLOTS = { livery: "Liveries", underglow: "Underglow", shape: "Body shapes" };
+export const GARAGE_ITEMS = [
+  { id: "livery:champion", slot: "livery", label: "Champion", price: 0, body: "#f7d046", accent: "#ff6b35" },
+  { id: "livery:midnight", slot: "livery", label: "Midnight", price: 150, body: "#2b2d42", accent: "#4cc9f0" },
+  { id: "livery:mint", slot: "livery", label: "Mint", price: 150, body: "#06d6a0", accent: "#0d0d14" },
+  { id: "livery:crimson", slot: "livery", label: "Crimson", price: 300, body: "#e63946", accent: "#f1faee" },
+  { id: "livery:base", slot: "livery", label: "Base Blue", price: 500, body: "#0052ff", accent: "#ffffff" },
+  { id: "livery:goldrush", slot: "livery", label: "Gold Rush", price: 1200, body: "#d4a017", accent: "#0d0d14" },
+  { id: "glow:ember", slot: "underglow", label: "Ember", price: 0, color: "#ff6b35" },
+  { id: "glow:off", slot: "underglow", label: "Off", price: 0, color: null },
+  { id: "glow:cyan", slot: "underglow", label: "Cyan", price: 120, color: "#4cc9f0" },
+  { id: "glow:violet", slot: "underglow", label: "Violet", price: 120, color: "#8338ec" },
+  { id: "glow:lime", slot: "underglow", label: "Lime", price: 200, color: "#c7f464" },
+  { id: "glow:rose", slot: "underglow", label: "Rose", price: 200, color: "#ff3864" },
+  { id: "shape:sport", slot: "shape", label: "Sport", price: 0, blurb: "Pointed nose, muscular shoulders" },
+  { id: "shape:muscle", slot: "shape", label: "Muscle", price: 400, blurb: "Wide and boxy" },
+  { id: "shape:wedge", slot: "shape", label: "Wedge", price: 600, blurb: "Knife-edge nose, flat flanks" },
+  { id: "shape:bubble", slot: "shape", label: "Bubble", price: 800, blurb: "Round and friendly" }
+];
+export const GARAGE_BY_ID = new Map(GARAGE_ITEMS.map((it) => [it.id, it]));
+const GARAGE_DEFAULTS = { livery: "livery:champion", underglow: "glow:ember", shape: "shape:sport" };
+
+let _garage = { key: "", data: null };
+
+function garageKey() {
+  return LS_GARAGE_PREFIX + (account ? account.toLowerCase() : "guest");
+}
+
+function readGarage(key) {
+  try {
+    const j = JSON.parse(localStorage.getItem(key) || "null");
+    return j && typeof j === "object" ? j : null;
+  } catch {
+    return null;
+  }
+}
+
+// { owned: [id], equipped: { slot: id }, proofs: { id: { kind, ref, txHash, at, status } } }
+// A proof is "pending" from the moment the wallet accepts the call until it's confirmed
+// (src/main.js watches it); proofs saved before statuses existed count as pending too.
+export function loadGarage() {
+  const key = garageKey();
+  if (_garage.key === key && _garage.data) return _garage.data;
+  let data = readGarage(key);
+  if (!data && account) {
+    const guestKey = LS_GARAGE_PREFIX + "guest";
+    data = readGarage(guestKey);
+    if (data) {
+      localStorage.setItem(key, JSON.stringify(data));
+      localStorage.removeItem(guestKey);
+    }
+  }
+  data = {
+    owned: Array.isArray(data?.owned) ? data.owned.filter((id) => GARAGE_BY_ID.has(id)) : [],
+    equipped: { ...GARAGE_DEFAULTS, ...(data?.equipped || {}) },
+    proofs: data?.proofs && typeof data.proofs === "object" ? data.proofs : {}
+  };
+  _garage = { key, data };
+  return data;
+}
+
+export function storeGarage(data) {
+  _garage = { key: garageKey(), data };
+  try {
+    localStorage.setItem(_garage.key, JSON.stringify(data));
+  } catch {}
+}
+
+export function ownsGarageItem(id, data = loadGarage()) {
+  const it = GARAGE_BY_ID.get(id);
+  return !!it && (it.price === 0 || data.owned.includes(id));
+}
+
+// What the player car wears right now (falls back to the defaults for anything not owned).
+export function equippedGarage() {
+  const data = loadGarage();
+  const pick = (slot) => {
+    const id = data.equipped[slot];
+    return GARAGE_BY_ID.get(ownsGarageItem(id, data) ? id : GARAGE_DEFAULTS[slot]);
+  };
+  return { livery: pick("livery"), underglow: pick("underglow"), shape: pick("shape") };
+}
+
+export function buyGarageItem(id) {
+  const it = GARAGE_BY_ID.get(id);
+  if (!it) return false;
+  const data = loadGarage();
+  if (ownsGarageItem(id, data)) return true;
+  if (Math.floor(profile.coins) < it.price) {
+    toast(`Need ${it.price - Math.floor(profile.coins)} more coins`);
+    return false;
+  }
+  profile.coins -= it.price;
+  persistProfile();
+  data.owned.push(id);
+  data.equipped[it.slot] = id;
+  storeGarage(data);
+  toast(`🔧 ${it.label} unlocked`);
+  return true;
+}
+
+export function equipGarageItem(id) {
+  const it = GARAGE_BY_ID.get(id);
+  const data = loadGarage();
+  if (!it || !ownsGarageItem(id, data)) return;
+  data.equipped[it.slot] = id;
+  storeGarage(data);
+}
+
+// Paid items that aren't logged on-chain yet (pending ones are on their way).
+export function unprovenGarageItems() {
+  const data = loadGarage();
+  return data.owned.filter((id) => !data.proofs[id]);
+}
+
+// => "confirmed" | "pending" | null
+export function garageProofStatus(id, data = loadGarage()) {
+  const p = data.proofs[id];
+  return p ? (p.status === "confirmed" ? "confirmed" : "pending") : null;
+}
@@ -3,192 +3,98 @@
  * - Render the game immediately (no remote ESM imports at module-eval time).
  * - Mini App SDK is loaded via <script defer ...> in index.html.
  * - Heavy web3 deps (viem + ox) are loaded lazily while the user is already playing.
+ *
+ * This module is the UI: menus and sheets, leaderboards, deposits, achievements, share,
+ * controls and the frame loop. The game core (./game.js, ./economy.js, ./engine.js) has no
+ * DOM and runs in Node; the wallet layer is ./wallet.js, drawing is ./renderer.js.
  */
-function _getSdkSync() {
-  return (
-    (window.miniapp && window.miniapp.sdk) ||
-    (window.frame && window.frame.sdk) ||
-    window.sdk ||
-    null
-  );
-}
-let sdk = _getSdkSync();
-let _sdkWaitPromise = null;
-
-async function ensureSdk(timeoutMs = 12000) {
-  if (sdk) return sdk;
-  if (_sdkWaitPromise) return _sdkWaitPromise;
-  _sdkWaitPromise = new Promise((resolve, reject) => {
-    const start = performance.now();
-    (function poll() {
-      sdk = _getSdkSync();
-      if (sdk) return resolve(sdk);
-      if (performance.now() - start > timeoutMs) return reject(new Error("Mini App SDK not available"));
-      setTimeout(poll, 10);
-    })();
-  });
-  return _sdkWaitPromise;
-}
-
-// Lazy web3 deps (only needed for connect/commit/chain ops)
-let Attribution = null;
-let encodeAbiParameters = null;
-let encodeFunctionData = null;
-
-// Warm status for "Deposit Saved points" button.
-// Goal: game renders instantly, but deposit becomes usable ASAP in the background.
-let web3WarmReady = false;
-let web3WarmPromise = null;
-
-let _viemPromise = null;
-async function ensureViem() {
-  if (encodeAbiParameters && encodeFunctionData) return;
-  _viemPromise = _viemPromise || import("https://esm.sh/viem@2.21.0");
-  const m = await _viemPromise;
-  encodeAbiParameters = m.encodeAbiParameters;
-  encodeFunctionData = m.encodeFunctionData;
-}
-
-let dataSuffix = null;
-let _oxPromise = null;
-async function ensureAttribution() {
-  if (dataSuffix) return;
-  // Pin the ox version so ERC-8021 attribution doesn't randomly break
-  // due to CDN/upstream package updates.
-  _oxPromise = _oxPromise || import("https://esm.sh/ox@0.12.1/erc8021");
-  const m = await _oxPromise;
-  Attribution = m.Attribution;
-  // BUILDER_CODE is defined below (hard input)
-  dataSuffix = Attribution.toDataSuffix({ codes: [BUILDER_CODE] });
-}
-
-// =====================================================
-// WALLETCONNECT (v2) — mobile browser QR / deep-link wallet support
-// Lazy-loaded only when user actually picks WalletConnect.
-// =====================================================
-// 👇👇👇 IMPORTANT: put your WalletConnect (Reown) Project ID here.
-// Get one free at https://cloud.reown.com  (takes 1 minute)
-const WALLETCONNECT_PROJECT_ID = "ba001bb517511dfef37a6d2b8839d8eb";
-
-let _wcProviderPromise = null;
-let _wcProvider = null;
-
-async function getWalletConnectProvider() {
-  if (_wcProvider) return _wcProvider;
-  if (_wcProviderPromise) return _wcProviderPromise;
-
-  _wcProviderPromise = (async () => {
-    if (!WALLETCONNECT_PROJECT_ID || WALLETCONNECT_PROJECT_ID === "REPLACE_WITH_YOUR_PROJECT_ID") {
-      throw new Error("WalletConnect Project ID not set. Get one at https://cloud.reown.com");
-    }
-
-    // Load WalletConnect Ethereum Provider from CDN (ESM)
-    const mod = await import("https://esm.sh/@walletconnect/ethereum-provider@2.17.0");
-    const EthereumProvider = mod.EthereumProvider || mod.default?.EthereumProvider || mod.default;
-
-    const provider = await EthereumProvider.init({
-      projectId: WALLETCONNECT_PROJECT_ID,
-      chains: [8453], // Base Mainnet
-      optionalChains: [8453, 1],
-      showQrModal: true,
-      qrModalOptions: {
-        themeMode: document.documentElement.getAttribute("data-theme") === "dark" ? "dark" : "light",
-        themeVariables: {
-          "--wcm-z-index": "9999",
-          "--wcm-accent-color": "#ff6b35",
-          "--wcm-background-color": "#0d0d14"
-        }
-      },
-      metadata: {
-        name: "GasRun",
-        description: "Onchain arcade racer on Base",
-        url: typeof window !== "undefined" ? window.location.origin : "https://gasrun.online",
-        icons: ["https://gasrun.online/assets/icon.png"]
-      },
-      rpcMap: {
-        8453: "https://mainnet.base.org"
-      }
-    });
-
-    // Bridge events so the rest of the app gets account/chain change notifications.
-    try {
-      provider.on("accountsChanged", (accs) => {
-        account = accs?.[0] || null;
-        if (!account) {
-          ethProvider = null;
-          activeWalletId = null;
-          activeWalletLabel = "Base";
-        }
-        try { renderStatus(); } catch {}
-      });
-      provider.on("disconnect", () => {
-        if (activeWalletId === "walletconnect") {
-          account = null;
-          ethProvider = null;
-          activeWalletId = null;
-          activeWalletLabel = "Base";
-          try { renderStatus(); } catch {}
-          try { toast("Wallet disconnected"); } catch {}
-        }
-      });
-    } catch {}
-
-    _wcProvider = provider;
-    return provider;
-  })();
-
-  try {
-    return await _wcProviderPromise;
-  } catch (e) {
-    _wcProviderPromise = null; // allow retry
-    throw e;
-  }
-}
-
-async function disconnectWalletConnectIfAny() {
-  try {
-    if (_wcProvider && typeof _wcProvider.disconnect === "function") {
-      await _wcProvider.disconnect();
-    }
-  } catch {}
-  _wcProvider = null;
-  _wcProviderPromise = null;
-}
-
-// One shared "warm" promise so clicks feel instant even if the deps are still loading.
-function warmWeb3Deps() {
-  if (web3WarmReady) return Promise.resolve();
-  web3WarmPromise =
-    web3WarmPromise ||
-    Promise.all([ensureAttribution(), ensureViem()])
-      .then(() => {
-        web3WarmReady = true;
-      })
-      .catch(() => {
-        // Keep the game running even if warmup fails; commit will show a real error later.
-      });
-  return web3WarmPromise;
-}
-
-// Kick off background loading *after first paint* (doesn't block UI)
-function prefetchWeb3Deps() {
-  const start = () => {
-    // fire-and-forget; keep UI responsive
-    warmWeb3Deps();
-  };
-  // Prefer idle time so first render stays snappy, but don't wait too long.
-  if ("requestIdleCallback" in window) {
-    // @ts-ignore
-    requestIdleCallback(start, { timeout: 300 });
-  } else {
-    requestAnimationFrame(() => setTimeout(start, 60));
-  }
-}
+import {
+  COIN_POINTS,
+  POWERUP_TYPES,
+  GAME_MODES,
+  getGameMode,
+  runTotalScore,
+  saveRunScore,
+  exportReplay,
+  replayFingerprint,
+  dailyClaimMessage
+} from "./engine.js";
+import {
+  EXPLORER_URL,
+  ACTION_WEEKLY_ADD,
+  ACTION_GARAGE_UNLOCK,
+  ACTION_ACHIEVEMENT,
+  stringToBytes32Hex
+} from "./chain.js";
+import { ACHIEVEMENTS, getAchievement, achievementsFor } from "./achievements.js";
+import { gameEvents } from "./events.js";
+import {
+  profile,
+  persistProfile,
+  applyDecay,
+  decayBank,
+  computeBoost,
+  weekStartUtcMs,
+  weekIdUtc,
+  weekEndUtcMs,
+  dayEndUtcMs,
+  utcDayKey,
+  fmtPts
+} from "./economy.js";
+import {
+  game,
+  init,
+  update,
+  resetRun,
+  moveLane,
+  setLaneGeometry,
+  getSelectedMode,
+  setSelectedMode,
+  modeScoreFor,
+  dailyInfo,
+  setDailyInfo
+} from "./game.js";
+import {
+  walletEvents,
+  sdk,
+  getSdkSync,
+  ensureSdk,
+  warmWeb3Deps,
+  prefetchWeb3Deps,
+  encodeAbiParameters,
+  dataSuffix,
+  WALLETCONNECT_PROJECT_ID,
+  account,
+  activeWalletId,
+  activeWalletLabel,
+  listInjectedWalletOptions,
+  detectMiniHostFast,
+  connectWallet,
+  ensureBase,
+  shortAddr,
+  displayNameFor,
+  sendLogActionCalls,
+  checkSentStatus,
+  signMessage
+} from "./wallet.js";
+import { els, $, toast } from "./ui.js";
+import {
+  GARAGE_SLOTS,
+  GARAGE_ITEMS,
+  loadGarage,
+  storeGarage,
+  ownsGarageItem,
+  equippedGarage,
+  buyGarageItem,
+  equipGarageItem,
+  unprovenGarageItems,
+  garageProofStatus
+} from "./garage.js";
+import { resize, render, renderHud, laneGeometry } from "./renderer.js";
 
 // =====================================================
 // HARD INPUTS
 // =====================================================
-const TOP_TITLE = "👈🏻Click for m0re Dear";
 const HUD_TITLE = "Live Statistics";
 const HOME_URL = "https://www.gasrun.online/";
 
@@ -227,163 +133,9 @@ function setTheme(theme) {
   }
 })();
 
-// Read current canvas palette from CSS variables (keeps JS & CSS in sync)
-function getCanvasPalette() {
-  const cs = getComputedStyle(document.documentElement);
-  const get = (name, fallback) => (cs.getPropertyValue(name).trim() || fallback);
-  return {
-    skyTop:    get("--cv-sky-top",    "#fef6e4"),
-    skyMid:    get("--cv-sky-mid",    "#f8e9c1"),
-    skyBot:    get("--cv-sky-bot",    "#ffd59b"),
-    asphalt1:  get("--cv-asphalt-1",  "#3a3a4a"),
-    asphalt2:  get("--cv-asphalt-2",  "#4a4a5c"),
-    asphaltDot:get("--cv-asphalt-dot","#5d5d72"),
-    roadShadow:get("--cv-road-shadow","rgba(30,20,10,0.25)"),
-    roadStroke:get("--cv-road-stroke","#0d0d14"),
-    laneOutl:  get("--cv-lane-outline","rgba(13,13,20,0.9)"),
-    laneDash:  get("--cv-lane-dash",  "#f7d046"),
-    edgeLeft:  get("--cv-edge-left",  "#f7d046"),
-    edgeRight: get("--cv-edge-right", "#ff6b35"),
-    streakA:   get("--cv-streak-a",   "rgba(255,107,53,0.35)"),
-    streakB:   get("--cv-streak-b",   "rgba(247,208,70,0.45)"),
-    sideFill1: get("--cv-side-1",     "#e8dcb5"),
-    sideFill2: get("--cv-side-2",     "#d4c489"),
-    sideFill3: get("--cv-side-3",     "#bfaf73"),
-    sideAccent:get("--cv-side-accent","#ff6b35"),
-    ink:       get("--ink",           "#0d0d14"),
-    hazardYel: get("--cv-hazard",     "#f7d046"),
-    overlay:   get("--cv-overlay",    "rgba(10,10,15,0.55)"),
-    bannerBg:  get("--cv-banner-bg",  "#fef6e4"),
-    bannerSh:  get("--cv-banner-sh",  "#ff6b35"),
-    bannerTtl: get("--cv-banner-ttl", "#ef476f"),
-    bannerTxt: get("--cv-banner-txt", "#0d0d14"),
-    bannerSub: get("--cv-banner-sub", "#ff6b35"),
-  };
-}
-
-function colorizeMinecraftText(str) {
-  // digits + common symbols => red
-  const re = /[0-9$+*\-%=]/g;
-  return String(str).replace(re, (m) => `<span class="mcRed">${m}</span>`);
-}
-
-let crashAnimStart = 0;
-let wasGameOver = false;
-
 let weekCountdownRAF = 0;
 let weekCountdownActive = false;
 
-const BASE_CHAIN_ID_HEX = "0x2105";
-const CONTRACT = "0x5B53e9A0659dC71cd69eA6261420295B48EF3095";
-
-// Builder Code from your screenshot (must match Base.dev)
-const BUILDER_CODE = "bc_ox3c2ez4";
-/* dataSuffix is computed lazily via ensureAttribution() */
-// On-chain action name (bytes32)
-function _stringToBytes32Hex(str) {
-  const enc = new TextEncoder();
-  const bytes = enc.encode(String(str));
-  if (bytes.length > 32) throw new Error("bytes32 overflow");
-  let hex = "";
-  for (let i = 0; i < bytes.length; i++) hex += bytes[i].toString(16).padStart(2, "0");
-  hex += "00".repeat(32 - bytes.length);
-  return "0x" + hex;
-}
-
-// On-chain action name (bytes32)
-const ACTION_WEEKLY_ADD = _stringToBytes32Hex("WEEKLY_ADD");
-
-// Event ABI
-// Event ABI (lazy-parse if needed later)
-const ACTION_LOGGED_EVENT_ABI = "event ActionLogged(address indexed user, bytes32 indexed action, uint256 timestamp, bytes data)";
-let ACTION_LOGGED_EVENT = null;
-// =====================================================
-// UI
-// =====================================================
-const app = document.getElementById("app");
-app.innerHTML = `
-  <div class="shell">
-    <div class="topbar">
-      <button class="iconBtn" id="menuBtn" aria-label="Menu">
-        <svg width="22" height="22" viewBox="0 0 24 24" fill="none"><path d="M4 7h16M4 12h16M4 17h16" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
-      </button>
-      <div class="title mcFont">${colorizeMinecraftText(TOP_TITLE)}</div>
-      <button class="badge" id="statusBadge">Loading…</button>
-    </div>
-
-    <div class="gameCard">
-      <div class="canvasWrap">
-        <canvas id="c"></canvas>
-
-        <!-- Compact floating HUD (transparent, minimal) -->
-        <div class="hudMini" id="hud">
-          <div class="hudMiniRow"><span class="hudK">RUN</span><b id="runScore">0</b></div>
-          <div class="hudMiniRow"><span class="hudK">COINS</span><b id="coins">0</b></div>
-          <div class="hudMiniRow"><span class="hudK">BANK</span><b id="bankPoints">0</b></div>
-          <div class="hudMiniRow"><span class="hudK">BOOST</span><b id="boost">—</b></div>
-        </div>
-
-        <div class="toast" id="toast"></div>
-      </div>
-    </div>
-
-    <div class="bottomBar">
-      <div class="controls">
-        <button class="ctrlBtn" id="leftBtn" aria-label="Move Left">
-          <span class="ctrlIcon">◀</span><span class="ctrlText">Left</span>
-        </button>
-        <button class="ctrlBtn primary" id="saveBtn" aria-label="Save Points">
-          <span class="ctrlText">💾Save</span>
-        </button>
-        <button class="ctrlBtn" id="rightBtn" aria-label="Move Right">
-          <span class="ctrlText">Right</span><span class="ctrlIcon">▶</span>
-        </button>
-      </div>
-    </div>
-
-    <div class="sheet" id="sheet" role="dialog" aria-modal="true" aria-hidden="true">
-      <div class="sheetPanel">
-        <div class="sheetHeader">
-          <h3 id="sheetTitle">Menu</h3>
-          <button class="iconBtn" id="closeSheet" aria-label="Close">
-            <svg width="22" height="22" viewBox="0 0 24 24" fill="none"><path d="M6 6l12 12M18 6L6 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
-          </button>
-        </div>
-        <div class="sheetBody" id="sheetBody"></div>
-      </div>
-    </div>
-  </div>
-`;
-
-const els = {
-  statusBadge: $("#statusBadge"),
-  sheet: $("#sheet"),
-  sheetTitle: $("#sheetTitle"),
-  sheetBody: $("#sheetBody"),
-  toast: $("#toast"),
-  c: $("#c"),
-  runScore: $("#runScore"),
-  coins: $("#coins"),
-  bankPoints: $("#bankPoints"),
-  boost: $("#boost"),
-  menuBtn: $("#menuBtn"),
-  closeSheet: $("#closeSheet"),
-  leftBtn: $("#leftBtn"),
-  rightBtn: $("#rightBtn"),
-  saveBtn: $("#saveBtn")
-};
-
-function $(sel) {
-  return document.querySelector(sel);
-}
-
-function toast(msg, ms = 1800) {
-  els.toast.textContent = msg;
-  els.toast.classList.add("show");
-  clearTimeout(toast._t);
-  toast._t = setTimeout(() => els.toast.classList.remove("show"), ms);
-}
-
 // =====================================================
 // Audio + Haptics (coin sfx, background music, vibration)
 // Notes:
@@ -474,11 +226,11 @@ function vibrate(pattern) {
     const p = Array.isArray(pattern) ? pattern[0] : pattern;
     if (sdk?.actions?.haptics?.impact) {
       const type = p >= 60 ? "medium" : "light";
-      (sdk || _getSdkSync())?.actions?.haptics?.impact?.(type);
+      (sdk || getSdkSync())?.actions?.haptics?.impact?.(type);
       return true;
     }
     if (sdk?.actions?.haptics?.notification) {
-      (sdk || _getSdkSync())?.actions?.haptics?.notification?.("success");
+      (sdk || getSdkSync())?.actions?.haptics?.notification?.("success");
       return true;
     }
   } catch {}
@@ -515,274 +267,8 @@ function crashVibe() {
 prefetchWeb3Deps();
 
 // =====================================================
-// Wallet / Chain
+// Wallet UI: status badge + connect sheet (connection itself lives in ./wallet.js)
 // =====================================================
-let ethProvider = null;
-let account = null;
-let activeWalletId = null;
-let activeWalletLabel = "Base";
-let miniAppProviderPromise = null;
-const injectedWallets = new Map();
-
-function normalizeWalletLabel(label, fallback = "Browser Wallet") {
-  const v = String(label || "").trim();
-  return v || fallback;
-}
-
-function registerInjectedWallet(provider, info = {}) {
-  if (!provider || typeof provider.request !== "function") return;
-  const uuid = info.uuid || info.rdns || info.name || `wallet-${injectedWallets.size + 1}`;
-  const name =
-    info.name ||
-    (provider.isMetaMask && "MetaMask") ||
-    (provider.isCoinbaseWallet && "Coinbase Wallet") ||
-    (provider.isRabby && "Rabby") ||
-    "Browser Wallet";
-  injectedWallets.set(uuid, {
-    id: uuid,
-    label: normalizeWalletLabel(name),
-    provider,
-    rdns: info.rdns || null
-  });
-}
-
-function setupInjectedWalletDiscovery() {
-  try {
-    window.addEventListener("eip6963:announceProvider", (event) => {
-      const detail = event?.detail || {};
-      registerInjectedWallet(detail.provider, detail.info || {});
-    });
-    window.dispatchEvent(new Event("eip6963:requestProvider"));
-  } catch {}
-
-  try {
-    const eth = window.ethereum;
-    if (eth?.providers && Array.isArray(eth.providers)) {
-      for (const provider of eth.providers) registerInjectedWallet(provider);
-    }
-    if (eth) registerInjectedWallet(eth);
-  } catch {}
-}
-
-setupInjectedWalletDiscovery();
-
-function listInjectedWalletOptions() {
-  const items = Array.from(injectedWallets.values());
-  items.sort((a, b) => a.label.localeCompare(b.label));
-  return items;
-}
-
-function bindProviderEvents(provider) {
-  if (!provider || typeof provider.on !== "function") return;
-  if (provider.__gasRunEventsBound) return;
-  provider.__gasRunEventsBound = true;
-
-  provider.on("accountsChanged", (accs) => {
-    account = accs?.[0] || null;
-    if (!account) {
-      ethProvider = null;
-      activeWalletId = null;
-      activeWalletLabel = "Base";
-    }
-    renderStatus();
-  });
-
-  provider.on("disconnect", () => {
-    account = null;
-    ethProvider = null;
-    activeWalletId = null;
-    activeWalletLabel = "Base";
-    renderStatus();
-  });
-}
-
-// Debug / capability detection (EIP-5792)
-let _lastWalletCapabilities = null;
-
-/**
- * Try to query wallet capabilities (EIP-5792). Not all wallets implement this.
- * Helps us explain why paymaster sponsorship is not being applied.
- */
-async function refreshWalletCapabilities(p) {
-  try {
-    if (!account) return null;
-    const chainId = await p.request({ method: "eth_chainId", params: [] });
-    const res = await p.request({
-      method: "wallet_getCapabilities",
-      // Common signature: [address, [chainIds]]
-      params: [account, [chainId]]
-    });
-    _lastWalletCapabilities = { chainId, res };
-    console.log("wallet_getCapabilities:", _lastWalletCapabilities);
-    return _lastWalletCapabilities;
-  } catch (e) {
-    console.warn("wallet_getCapabilities not supported or failed:", e);
-    _lastWalletCapabilities = null;
-    return null;
-  }
-}
-
-/**
- * Quick health-check for your /api/paymaster proxy.
- * If this fails, sponsorship will fail even on supported wallets.
- */
-async function checkPaymasterProxy() {
-  try {
-    const r = await fetch("/api/paymaster", {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] })
-    });
-    const txt = await r.text();
-    return { ok: r.ok, status: r.status, body: txt.slice(0, 500) };
-  } catch (e) {
-    return { ok: false, status: 0, body: String(e?.message || e) };
-  }
-}
-
-async function getMiniAppProvider() {
-  miniAppProviderPromise =
-    miniAppProviderPromise ||
-    (async () => {
-      try {
-        const s = await ensureSdk();
-        const p = await s.wallet.getEthereumProvider();
-        if (p) bindProviderEvents(p);
-        return p || null;
-      } catch {
-        return null;
-      }
-    })();
-  return miniAppProviderPromise;
-}
-
-async function getProvider(source = "active") {
-  if (source === "active" && ethProvider) return ethProvider;
-
-  if (source === "miniapp") {
-    const p = await getMiniAppProvider();
-    if (p) bindProviderEvents(p);
-    return p;
-  }
-
-  if (source && source.startsWith("injected:")) {
-    const item = injectedWallets.get(source.slice(9)) || null;
-    const p = item?.provider || null;
-    if (p) bindProviderEvents(p);
-    return p;
-  }
-
-  if (source === "walletconnect") {
-    try {
-      const wc = await getWalletConnectProvider();
-      // For WalletConnect, events are already bridged inside getWalletConnectProvider.
-      return wc;
-    } catch (e) {
-      toast(e?.message || "WalletConnect unavailable", 3000);
-      return null;
-    }
-  }
-
-  if (ethProvider) return ethProvider;
-
-
-  const mini = await getMiniAppProvider();
-  if (mini) {
-    bindProviderEvents(mini);
-    return mini;
-  }
-
-  const injected = listInjectedWalletOptions()[0]?.provider || null;
-  if (injected) bindProviderEvents(injected);
-  return injected;
-}
-
-function shortAddr(a) {
-  return `${a.slice(0, 6)}…${a.slice(-4)}`;
-}
-
-let fcUsername = null;
-let fcFid = null;
-
-function _toStr(v) {
-  if (typeof v === "string") return v;
-  if (v == null) return null;
-  if (typeof v === "number" || typeof v === "bigint") return String(v);
-  if (typeof v === "object") {
-    if (typeof v.username === "string") return v.username;
-    if (typeof v.displayName === "string") return v.displayName;
-    if (typeof v.name === "string") return v.name;
-  }
-  return null;
-}
-
-async function getFcUsername() {
-  if (fcUsername !== null) return fcUsername;
-  try {
-    const s = await ensureSdk().catch(() => null);
-const ctx =
-  (s && s.context) ||
-  (s && s.actions && (await s.actions.getContext?.())) ||
-  null;
-    const u = ctx?.user || ctx?.context?.user || null;
-    fcUsername = _toStr(u?.username ?? u?.displayName ?? u?.name ?? null);
-    fcFid = u?.fid ?? ctx?.fid ?? ctx?.userFid ?? null;
-  } catch {
-    fcUsername = null;
-  }
-  return fcUsername;
-}
-
-async function getFcFid() {
-  if (fcFid !== null) return fcFid;
-  await getFcUsername();
-  return fcFid;
-}
-
-async function displayNameFor(addr) {
-  // Try cached mapping first (localStorage). We also sanitize old/bad cached values
-  // like "@[object Object]" from earlier builds.
-  try {
-    const raw = localStorage.getItem("addrNameMap");
-    if (raw) {
-      const m = JSON.parse(raw);
-      const k = String(addr || "").toLowerCase();
-      let v = m?.[k];
-
-      // Normalize objects/invalid strings
-      if (typeof v === "object" && v) v = v.username || v.displayName || v.name || null;
-      if (typeof v === "string") {
-        const vv = v.trim();
-        const bad = !vv || vv.includes("[object Object]") || vv.length > 80;
-        if (!bad) return vv;
-        // delete bad cached value so it won't keep showing
-        try {
-          delete m[k];
-          localStorage.setItem("addrNameMap", JSON.stringify(m));
-        } catch {}
-      }
-    }
-  } catch {}
-
-  // For the connected account, try Farcaster username (if available)
-  if (account && addr && addr.toLowerCase() === account.toLowerCase()) {
-    const u = await getFcUsername();
-    if (typeof u === "string") {
-      const uu = u.trim().replace(/^@+/, "");
-      if (uu && !uu.includes("[object Object]")) return `@${uu}`;
-    }
-  }
-
-  // Fallback: show FULL address (not truncated).
-  return addr ? String(addr) : "";
-}
-
-
-function fmtPts(n) {
-  const s = (typeof n === "bigint" ? n : BigInt(n || 0)).toString();
-  return s.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-}
-
 function renderStatus() {
   if (!account) {
     els.statusBadge.textContent = "Connect";
@@ -791,77 +277,13 @@ function renderStatus() {
   els.statusBadge.textContent = `${shortAddr(account)} (${activeWalletLabel || "Base"})`;
 }
 
-async function cacheConnectedUserLabel() {
-  try {
-    const u = await getFcUsername();
-    if (typeof u === "string" && account) {
-      const uu = u.trim().replace(/^@+/, "");
-      const raw = localStorage.getItem("addrNameMap");
-      const m = raw ? JSON.parse(raw) : {};
-      if (uu && !uu.includes("[object Object]")) {
-        m[String(account).toLowerCase()] = `@${uu}`;
-      } else {
-        delete m[String(account).toLowerCase()];
-      }
-      localStorage.setItem("addrNameMap", JSON.stringify(m));
-    }
-  } catch {}
-}
-
-async function connectWallet(source = "miniapp", walletLabel = null) {
-  const p = await getProvider(source);
-  if (!p) {
-    const msg =
-      source === "miniapp"
-        ? "Base/Farcaster host not detected. Use WalletConnect or install MetaMask."
-        : source === "walletconnect"
-        ? "WalletConnect unavailable. Check your internet or try again."
-        : "No wallet found. Try WalletConnect or install a browser wallet.";
-    toast(msg, 2800);
-    return null;
-  }
-
-
-  try {
-    let accs;
-    if (source === "walletconnect") {
-      // WalletConnect v2 uses .connect() which triggers the QR modal / deep-link.
-      if (typeof p.connect === "function" && !p.accounts?.length) {
-        await p.connect();
-      }
-      accs = p.accounts && p.accounts.length
-        ? p.accounts
-        : await p.request({ method: "eth_requestAccounts", params: [] });
-    } else {
-      accs = await p.request({ method: "eth_requestAccounts", params: [] });
-    }
-
-    account = accs?.[0] || null;
-    ethProvider = p;
-    activeWalletId = source;
-    activeWalletLabel = normalizeWalletLabel(
-      walletLabel || (
-        source === "miniapp" ? "Base" :
-        source === "walletconnect" ? "WalletConnect" :
-        "Browser Wallet"
-      ),
-      "Base"
-    );
-    try { refreshWalletCapabilities(p); } catch {}
-    await cacheConnectedUserLabel();
-    renderStatus();
-    return account;
-  } catch (e) {
-    const code = e?.code;
-    if (code === 4001) toast("Wallet connection cancelled.");
-    else toast(e?.message || "Wallet connection failed.", 2400);
-    // If WalletConnect session failed, cleanup so retry works
-    if (source === "walletconnect") {
-      try { await disconnectWalletConnectIfAny(); } catch {}
-    }
-    return null;
-  }
-}
+walletEvents.on("change", () => renderStatus());
+walletEvents.on("connect", () => {
+  resumePendingDeposits();
+  resumePendingProofs(GARAGE_PROOFS);
+  resumePendingProofs(ACHIEVEMENT_PROOFS);
+  refreshLbAccess();
+});
 
 async function openWalletConnectFlow() {
   warmWeb3Deps();
@@ -961,138 +383,9 @@ async function openWalletConnectFlow() {
   });
 }
 
-// Fast mini-host detection: checks synchronously first, then waits only 300ms.
-// Prevents the 12s ensureSdk() stall on regular mobile browsers.
-async function detectMiniHostFast() {
-  // synchronous fast path — SDK already present?
-  const syncSdk = _getSdkSync();
-  if (syncSdk) {
-    try {
-      const p = await syncSdk.wallet.getEthereumProvider();
-      return !!p;
-    } catch { return false; }
-  }
-
-  // short async wait — if SDK shows up within 300ms, count it.
-  try {
-    const p = await new Promise((resolve) => {
-      const start = performance.now();
-      (function poll() {
-        const s = _getSdkSync();
-        if (s) return resolve(s);
-        if (performance.now() - start > 300) return resolve(null);
-        setTimeout(poll, 30);
-      })();
-    });
-    if (!p) return false;
-    const pr = await p.wallet.getEthereumProvider();
-    return !!pr;
-  } catch {
-    return false;
-  }
-}
-
-
-// =====================================================
-// ensureBase — make sure the wallet is on Base Mainnet (0x2105 / 8453)
-// Works for all providers: miniapp, injected (MetaMask/Coinbase/etc),
-// and WalletConnect v2 (Trust, Rainbow, OKX, etc.).
-// =====================================================
-async function ensureBase() {
-  const p = await getProvider();
-  if (!p) throw new Error("No wallet provider. Please reconnect your wallet.");
-
-  // 1) Read current chain
-  let chainId;
-  try {
-    chainId = await p.request({ method: "eth_chainId", params: [] });
-  } catch (e) {
-    // Some mobile wallets block eth_chainId when session is stale — try reconnect once.
-    throw new Error("Wallet session expired. Please reconnect and try again.");
-  }
-
-  if (chainId === BASE_CHAIN_ID_HEX) return; // already on Base ✅
-
-  // 2) Try wallet_switchEthereumChain (standard path — MetaMask, Rabby, Coinbase Wallet)
-  try {
-    await p.request({
-      method: "wallet_switchEthereumChain",
-      params: [{ chainId: BASE_CHAIN_ID_HEX }]
-    });
-    return;
-  } catch (switchErr) {
-    const code = switchErr?.code;
-    // 4902 = chain not added; 4001 = user rejected
-    if (code === 4001) {
-      throw new Error("Please switch to Base Mainnet to deposit.");
-    }
-    // For WalletConnect / Trust / Rainbow / any wallet that doesn't know Base yet → try adding.
-    if (code === 4902 || code === -32602 || code === -32603 || !code) {
-      try {
-        await p.request({
-          method: "wallet_addEthereumChain",
-          params: [{
-            chainId: BASE_CHAIN_ID_HEX,
-            chainName: "Base",
-            nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
-            rpcUrls: ["https://mainnet.base.org"],
-            blockExplorerUrls: ["https://basescan.org"]
-          }]
-        });
-        // After adding, some wallets auto-switch; others need another switch call.
-        try {
-          await p.request({
-            method: "wallet_switchEthereumChain",
-            params: [{ chainId: BASE_CHAIN_ID_HEX }]
-          });
-        } catch {}
-      } catch (addErr) {
-        if (addErr?.code === 4001) {
-          throw new Error("Please approve adding Base network to continue.");
-        }
-        throw new Error(
-          "Could not switch to Base. Open your wallet app and switch network to Base Mainnet, then try again."
-        );
-      }
-    } else {
-      throw new Error(
-        "Network switch failed. Please switch to Base Mainnet in your wallet app manually."
-      );
-    }
-  }
-
-  // 3) Final verification — confirm we really are on Base now.
-  try {
-    const verify = await p.request({ method: "eth_chainId", params: [] });
-    if (verify !== BASE_CHAIN_ID_HEX) {
-      throw new Error("Please switch to Base Mainnet in your wallet, then try again.");
-    }
-  } catch (e) {
-    if (String(e?.message || "").includes("Please switch")) throw e;
-    // Non-fatal — proceed; the downstream send will catch chain mismatches.
-  }
-}
-
 // =====================================================
-// Time windows (Weekly reset) + Boost rhythm
+// Countdowns: weekly reset + daily track (seven-segment canvases)
 // =====================================================
-function weekStartUtcMs(now = Date.now()) {
-  const d = new Date(now);
-  const day = d.getUTCDay(); // 0 Sun..6 Sat
-  const diffToMon = (day + 6) % 7; // days since Monday
-  const mon = new Date(
-    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - diffToMon, 0, 0, 0, 0)
-  );
-  return mon.getTime();
-}
-
-function weekIdUtc(now = Date.now()) {
-  return new Date(weekStartUtcMs(now)).toISOString().slice(0, 10);
-}
-function weekEndUtcMs(now = Date.now()) {
-  return weekStartUtcMs(now) + 7 * 24 * 60 * 60 * 1000;
-}
-
 function fmtCountdown(ms) {
   ms = Math.max(0, ms);
   const totalSec = Math.floor(ms / 1000);
@@ -1261,6 +554,10 @@ function updateWeekCountdownCanvases(nowPerf) {
 
   const c2 = $("#weekCountdownBoardsSeg");
   if (c2) renderSevenSeg(c2, str, pulse);
+
+  // Daily challenge tab: time until the track changes (UTC midnight)
+  const c3 = $("#dailyCountdownBoardsSeg");
+  if (c3) renderSevenSeg(c3, fmtCountdown(dayEndUtcMs(now) - now), pulse);
 }
 
 function tickWeekCountdown(nowPerf) {
@@ -1281,181 +578,332 @@ function stopWeekCountdown() {
   weekCountdownRAF = 0;
 }
 
-
-
-function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-function hoursToMs(h) {
-  return h * 60 * 60 * 1000;
-}
-
-// =====================================================
-// Off-chain Profile: banked points + coins + decay
-// =====================================================
-const DECAY_INTERVAL_MS = 10 * 60 * 1000;
-const DECAY_MULT = 0.75;
 // =====================================================
 // Leaderboard Access Lock (min 10,000 deposited points to view)
 // Deposits continue to be saved on-chain regardless of access.
 // The backend leaderboard keeps working — only the VIEW is gated.
 // =====================================================
-const LEADERBOARD_UNLOCK_THRESHOLD = 10000;
-const LS_TOTAL_DEPOSITED = "gasrun_total_deposited";
+// The lifetime deposited total comes from the indexer (/api/leaderboard you.access), so it
+// follows the wallet across devices and can't be edited locally.
+const LEADERBOARD_UNLOCK_THRESHOLD = 10000; // until the server reports its own
+
+const lbAccess = { address: null, deposited: 0, threshold: LEADERBOARD_UNLOCK_THRESHOLD, unlocked: false };
+
+function applyLbAccess(address, access) {
+  if (!address || !access) return;
+  const addr = String(address).toLowerCase();
+  const wasLocked = lbAccess.address === addr && !lbAccess.unlocked;
+  lbAccess.address = addr;
+  lbAccess.deposited = Math.max(0, Number(access.deposited) || 0);
+  lbAccess.threshold = Number(access.threshold) || LEADERBOARD_UNLOCK_THRESHOLD;
+  lbAccess.unlocked = !!access.unlocked;
+  if (wasLocked && lbAccess.unlocked) {
+    toast("🏆 LEADERBOARD UNLOCKED! Welcome to the competition.", 3200);
+  }
+  // Keep an open Menu in sync without re-rendering the whole sheet.
+  const card = document.querySelector(".lbAccessCard");
+  if (card) card.outerHTML = renderLbAccessCard(card.dataset.title || undefined);
+}
+
+async function refreshLbAccess() {
+  if (!account) return lbAccess;
+  try {
+    const qs = new URLSearchParams({ access: "1", address: account });
+    const res = await fetch(`/api/leaderboard?${qs.toString()}`, { cache: "no-store" });
+    const j = await res.json().catch(() => null);
+    if (j && j.ok === true) applyLbAccess(j.address, j.access);
+  } catch {}
+  return lbAccess;
+}
 
-function getTotalDeposited() {
-  return Math.max(0, Number(localStorage.getItem(LS_TOTAL_DEPOSITED) || "0") | 0);
+function hasLbAccessFor(addr) {
+  return !!addr && lbAccess.address === String(addr).toLowerCase();
 }
-function addToTotalDeposited(pts) {
-  const n = Math.max(0, Math.floor(Number(pts) || 0));
-  const cur = getTotalDeposited();
-  const next = cur + n;
-  localStorage.setItem(LS_TOTAL_DEPOSITED, String(next));
-  return next;
+function getTotalDeposited() {
+  return hasLbAccessFor(account) ? lbAccess.deposited : 0;
 }
 function isLeaderboardUnlocked() {
-  return getTotalDeposited() >= LEADERBOARD_UNLOCK_THRESHOLD;
+  return hasLbAccessFor(account) && lbAccess.unlocked;
 }
 function getLbProgressPct() {
-  return Math.min(100, Math.round((getTotalDeposited() / LEADERBOARD_UNLOCK_THRESHOLD) * 100));
+  return Math.min(100, Math.round((getTotalDeposited() / lbAccess.threshold) * 100));
 }
 function getLbRemaining() {
-  return Math.max(0, LEADERBOARD_UNLOCK_THRESHOLD - getTotalDeposited());
-}
-
-const profile = {
-  bankPoints: Number(localStorage.getItem("w3r_bank") || "0"),
-  coins: Number(localStorage.getItem("w3r_coins") || "0"),
-  lastDecayAt: Number(localStorage.getItem("w3r_decay_at") || "0"),
-  boostReadyAt: Number(localStorage.getItem("w3r_boost_ready_at") || "0"),
-  boostActiveUntil: Number(localStorage.getItem("w3r_boost_active_until") || "0"),
-  boostMult: 1
-};
+  return Math.max(0, lbAccess.threshold - getTotalDeposited());
+}
+
+function renderLbAccessCard(title = "Leaderboard Access") {
+  const unlocked = isLeaderboardUnlocked();
+  const note = !account
+    ? '<span class="lbAccessNote">Connect a wallet to check</span>'
+    : !hasLbAccessFor(account)
+    ? '<span class="lbAccessNote">Checking…</span>'
+    : unlocked
+    ? '<span class="lbAccessNote good">✓ Full access</span>'
+    : `<span class="lbAccessNote">${getLbRemaining().toLocaleString()} more pts to unlock</span>`;
+  return `
+    <div class="lbAccessCard ${unlocked ? "unlocked" : "locked"}" data-title="${title}">
+      <div class="lbAccessHead">
+        <span class="lbAccessIcon">${unlocked ? "🏆" : "🔒"}</span>
+        <span class="lbAccessTitle">${title}</span>
+        <span class="lbAccessStatus">${unlocked ? "UNLOCKED" : "LOCKED"}</span>
+      </div>
+      <div class="lbAccessBar"><div class="lbAccessFill" style="width:${getLbProgressPct()}%"></div></div>
+      <div class="lbAccessInfo">
+        <span><b>${getTotalDeposited().toLocaleString()}</b> / ${lbAccess.threshold.toLocaleString()} pts deposited</span>
+        ${note}
+      </div>
+    </div>`;
+}
 
-function persistProfile() {
-  localStorage.setItem("w3r_bank", String(Math.floor(profile.bankPoints)));
-  localStorage.setItem("w3r_coins", String(Math.floor(profile.coins)));
-  localStorage.setItem("w3r_decay_at", String(profile.lastDecayAt));
-  localStorage.setItem("w3r_boost_ready_at", String(profile.boostReadyAt));
-  localStorage.setItem("w3r_boost_active_until", String(profile.boostActiveUntil));
+// =====================================================
+// Daily challenge: today's track + posting finished runs
+// =====================================================
+async function refreshDailyInfo() {
+  if (dailyInfo && dailyInfo.day === utcDayKey()) return dailyInfo;
+  try {
+    const res = await fetch("/api/daily", { cache: "no-store" });
+    const j = await res.json().catch(() => null);
+    if (!j || j.ok !== true) return dailyInfo;
+    setDailyInfo({ day: j.day, seed: j.seed, endsAt: j.endsAt });
+    // A daily run that started before the seed arrived is on the wrong track: restart it.
+    if (game.mode === "daily" && !game.over && game.day === dailyInfo.day && game.track !== dailyInfo.seed) {
+      resetRun();
+      toast("Today's track loaded");
+    }
+  } catch {}
+  return dailyInfo;
 }
 
-function applyDecay(now = Date.now()) {
-  if (!profile.lastDecayAt) {
-    profile.lastDecayAt = now;
-    persistProfile();
+// Posts a finished daily run to today's board (/api/daily re-simulates it).
+async function submitDailyRun(run) {
+  if (!run || run.mode !== "daily" || run.dailySent || run.tick <= 0) return;
+  if (!account) {
+    toast("Connect wallet to post your daily score", 2200);
     return;
   }
-  if (profile.bankPoints <= 0) {
-    profile.lastDecayAt = now;
-    persistProfile();
-    return;
+  // The board keeps each player's best, so only a new best asks the wallet to sign.
+  if (!run.newBest) return;
+  run.dailySent = true;
+  try {
+    const replay = exportReplay(run);
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(replayFingerprint(replay)));
+    const runHash = "0x" + Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+    const signature = await signMessage(dailyClaimMessage(replay.day, runHash));
+    const res = await fetch("/api/daily", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ address: String(account).toLowerCase(), replay, signature })
+    });
+    const j = await res.json().catch(() => null);
+    if (!j || j.ok !== true) {
+      toast(`Daily score not posted${j && j.error ? `: ${j.error}` : ""}`, 2400);
+      return;
+    }
+    toast(
+      j.improved
+        ? `Daily challenge: #${j.rank} of ${j.players}`
+        : `Daily best stays ${fmtPts(j.best)} (#${j.rank})`,
+      2400
+    );
+  } catch (e) {
+    console.warn("daily submit failed", e);
+    toast("Daily score not posted", 2200);
   }
+}
 
-  const elapsed = now - profile.lastDecayAt;
-  if (elapsed < DECAY_INTERVAL_MS) return;
+// =====================================================
+// ACHIEVEMENTS
+// The catalog and unlock rules live in src/achievements.js (the leaderboard indexer
+// reads the same ids). Game code reports events with noteAchievementEvent(); unlocks
+// are kept locally and can be logged on-chain as ACHIEVEMENT actions, which the
+// leaderboard indexes into the player's badge list.
+// Unlocks are kept per wallet like the garage ("guest" until one connects; the first wallet
+// to connect adopts the guest list, which also takes over the old device-wide one).
+// =====================================================
+const LS_ACHIEVEMENTS_PREFIX = "w3r_achievements:";
+const LS_ACHIEVEMENTS_LEGACY = "w3r_achievements";
+// The current wallet's unlocks, cached: rules are checked on every simulation tick.
+let _ach = { key: "", unlocked: {} };
 
-  const steps = Math.floor(elapsed / DECAY_INTERVAL_MS);
-  profile.bankPoints = profile.bankPoints * Math.pow(DECAY_MULT, steps);
-  profile.lastDecayAt += steps * DECAY_INTERVAL_MS;
-  persistProfile();
+function achievementsKey() {
+  return LS_ACHIEVEMENTS_PREFIX + (account ? account.toLowerCase() : "guest");
 }
 
-function computeBoost(now = Date.now()) {
-  if (!profile.boostReadyAt) {
-    profile.boostReadyAt = now + hoursToMs(randInt(2, 6));
-    persistProfile();
+function readAchievements(key) {
+  try {
+    const j = JSON.parse(localStorage.getItem(key) || "null");
+    return j && typeof j === "object" ? j : null;
+  } catch {
+    return null;
   }
+}
 
-  if (profile.boostActiveUntil && now < profile.boostActiveUntil) {
-    profile.boostMult = 1.25;
-    return;
-  }
+function adoptAchievements(from, to) {
+  const j = readAchievements(from);
+  if (!j) return null;
+  try {
+    localStorage.setItem(to, JSON.stringify(j));
+    localStorage.removeItem(from);
+  } catch {}
+  return j;
+}
 
-  if (now >= profile.boostReadyAt) {
-    profile.boostActiveUntil = now + 5 * 60 * 1000;
-    profile.boostReadyAt = now + hoursToMs(randInt(2, 6));
-    persistProfile();
-    toast("Boost active! +25% points for 5 minutes");
-    profile.boostMult = 1.25;
-    return;
+// { unlocked: { id: ms }, proofs: { id: { kind, ref, txHash, at, status } }, deposits: { week, count } }
+// Proofs are "pending" until their ACHIEVEMENT call is confirmed (see ON-CHAIN PROOFS).
+function loadAchievements() {
+  const key = achievementsKey();
+  const guestKey = LS_ACHIEVEMENTS_PREFIX + "guest";
+  if (!readAchievements(guestKey)) adoptAchievements(LS_ACHIEVEMENTS_LEGACY, guestKey);
+  let j = readAchievements(key);
+  if (!j && account) j = adoptAchievements(guestKey, key);
+  return {
+    unlocked: j?.unlocked && typeof j.unlocked === "object" ? j.unlocked : {},
+    proofs: j?.proofs && typeof j.proofs === "object" ? j.proofs : {},
+    deposits: j?.deposits && typeof j.deposits === "object" ? j.deposits : { week: "", count: 0 }
+  };
+}
+
+function storeAchievements(data) {
+  _ach = { key: achievementsKey(), unlocked: data.unlocked };
+  try {
+    localStorage.setItem(_ach.key, JSON.stringify(data));
+  } catch {}
+}
+
+function achievementsUnlocked() {
+  const key = achievementsKey();
+  if (_ach.key !== key) _ach = { key, unlocked: loadAchievements().unlocked };
+  return _ach.unlocked;
+}
+
+// => "confirmed" | "pending" | null (indexed badges count as confirmed)
+function achievementProofStatus(id, data = loadAchievements()) {
+  const p = data.proofs[id];
+  return p ? (p.status === "confirmed" || p.kind === "indexed" ? "confirmed" : "pending") : null;
+}
+
+function noteAchievementEvent(event, payload = {}) {
+  const fresh = achievementsFor(event, payload, achievementsUnlocked());
+  if (!fresh.length) return;
+  const data = loadAchievements();
+  for (const a of fresh) {
+    data.unlocked[a.id] = Date.now();
+    toast(`${a.icon} Achievement: ${a.label}`, 2200);
   }
+  storeAchievements(data);
+}
+
+// Confirmed deposits are counted per UTC week for the "ten in a week" badge.
+function noteConfirmedDeposit() {
+  const data = loadAchievements();
+  const week = weekIdUtc();
+  data.deposits = data.deposits.week === week ? { week, count: data.deposits.count + 1 } : { week, count: 1 };
+  storeAchievements(data);
+  noteAchievementEvent("deposit:confirmed", { weekCount: data.deposits.count });
+}
 
-  profile.boostMult = 1.0;
+function unprovenAchievements() {
+  const data = loadAchievements();
+  return Object.keys(data.unlocked).filter((id) => getAchievement(id) && !data.proofs[id]);
 }
 
-function boostCountdownText(now = Date.now()) {
-  if (profile.boostActiveUntil && now < profile.boostActiveUntil) {
-    const ms = profile.boostActiveUntil - now;
-    const m = Math.max(0, Math.floor(ms / 60000));
-    const s = Math.max(0, Math.floor((ms % 60000) / 1000));
-    return `ON ${m}m ${s}s`;
+// Badges the indexer already has for this wallet count as unlocked + proven (e.g. on a new device).
+function mergeIndexedBadges(badges) {
+  const data = loadAchievements();
+  let changed = false;
+  for (const b of badges || []) {
+    if (!getAchievement(b.id)) continue;
+    if (!data.unlocked[b.id]) {
+      data.unlocked[b.id] = b.unlockedAt || Date.now();
+      changed = true;
+    }
+    if (!data.proofs[b.id] || data.proofs[b.id].kind !== "indexed") {
+      data.proofs[b.id] = { kind: "indexed", ref: null, at: b.unlockedAt || Date.now(), status: "confirmed" };
+      changed = true;
+    }
   }
-  const ms = Math.max(0, profile.boostReadyAt - now);
-  const h = Math.floor(ms / 3600000);
-  const m = Math.floor((ms % 3600000) / 60000);
-  return `${h}h ${m}m`;
+  if (changed) storeAchievements(data);
+  return changed;
+}
+
+gameEvents.on("coin:collected", (c) => noteAchievementEvent("coin:collected", c));
+gameEvents.on("shield:blocked", () => noteAchievementEvent("shield:blocked"));
+gameEvents.on("run:tick", ({ run }) => noteAchievementEvent("run:speed", { speed: run.speed }));
+gameEvents.on("deposit:confirmed", () => noteConfirmedDeposit());
+
+async function fetchIndexedBadges(address) {
+  const qs = new URLSearchParams({ badges: "1", address });
+  const res = await fetch(`/api/leaderboard?${qs.toString()}`, { cache: "no-store" });
+  const j = await res.json().catch(() => ({}));
+  if (!j || j.ok !== true) throw new Error((j && j.error) || "Leaderboard API failed");
+  return Array.isArray(j.badges) ? j.badges : [];
 }
 
 // =====================================================
-// GAME: 4-lane runner
+// GAME wiring
+// The current run lives in ./game.js (simulation in ./engine.js, drawing in
+// ./renderer.js); everything a run causes outside the simulation subscribes here.
 // =====================================================
-const game = {
-  started: false,
-  over: false,
-  lane: 1,
-  runScore: 0,
-  t: 0,
-  speed: 1.0,
-  obstacles: [],
-  coins: [],
-  lastSpawnAt: 0,
-  lastCoinAt: 0,
-  lastPowerAt: 0,
-  // last time a powerup actually spawned (used for "pity" so powerups don't disappear late-game)
-  lastPowerSpawnedAt: 0,
-  magnetUntil: 0,
-  slowUntil: 0,
-  shieldUntil: 0,
-  dblUntil: 0,
-  lastFrame: performance.now()
+// Runs are pinned to the canvas-sized play area.
+setLaneGeometry(laneGeometry);
+
+const POWERUP_TOASTS = {
+  magnet: "🧲 Magnet ON! Coins will pull to you.",
+  slow: "🐢 Slow motion! Enemies are slower.",
+  shield: `🛡 Shield ON! ${POWERUP_TYPES.shield.duration}s no-crash.`,
+  dbl: `⏩ Double-lane move ON! ${POWERUP_TYPES.dbl.duration}s.`,
+  nitro: "🔥 Nitro! Smash through traffic.",
+  coinRain: "💰 Coin rain!",
+  ghost: "👻 Ghost ON! Drive through the next car.",
+  x2: `✖️2 Double score for ${POWERUP_TYPES.x2.duration}s!`
 };
 
-function resetRun() {
-  game.started = true;
-  game.over = false;
-  game.lane = 1;
-  game.playerX = null; // will be initialized from geometry for smooth lane transitions
-  game.runScore = 0;
-  game.t = 0;
-  game.speed = 1.0;
-  game.obstacles = [];
-  game.coins = [];
-  game.lastSpawnAt = 0;
-  game.lastCoinAt = 0;
-  game.lastPowerAt = 0;
-  game.lastPowerSpawnedAt = 0;
-
-  // Reset powerups so new runs behave consistently
-  game.magnetUntil = 0;
-  game.slowUntil = 0;
-  game.shieldUntil = 0;
-  game.dblUntil = 0;
-
-  startBgm();
-}
-resetRun();
+// Run bookkeeping: replays, the daily board and deposits held back during the run.
+// Keep the finished run's replay if it earned anything (coins count too).
+gameEvents.on("run:start", ({ prev }) => rememberRunReplay(prev));
+gameEvents.on("run:end", ({ run }) => {
+  rememberRunReplay(run);
+  if (run.mode === "daily") submitDailyRun(run);
+  // Deposits queued during the run go out now that its replay can be verified.
+  if (loadDepositQueue().length) setTimeout(flushDepositQueue, 0);
+});
+
+// Audio
+gameEvents.on("run:start", () => startBgm());
+gameEvents.on("coin:collected", () => playCoinSfx());
+gameEvents.on("crash", () => stopBgm());
+gameEvents.on("run:finish", () => stopBgm());
+
+// Haptics
+gameEvents.on("shield:blocked", () => vibrate([18, 40, 18]));
+gameEvents.on("nitro:smash", () => vibrate([25, 20, 25]));
+gameEvents.on("ghost:passed", () => vibrate(20));
+gameEvents.on("oil:skid", () => vibrate([12, 30, 12, 30, 12]));
+gameEvents.on("crash", () => crashVibe());
+gameEvents.on("run:finish", () => vibrate([30, 60, 30]));
+
+// Toasts
+gameEvents.on("powerup:picked", ({ kind }) => POWERUP_TOASTS[kind] && toast(POWERUP_TOASTS[kind]));
+gameEvents.on("shield:blocked", () => toast("🛡 Shield blocked a crash!", 650));
+gameEvents.on("ghost:passed", () => toast("👻 Ghosted through!", 650));
+gameEvents.on("oil:skid", () => toast("🛢 Oil! Steering lost for a moment", 800));
+gameEvents.on("boost:started", () => toast("Boost active! +25% points for 5 minutes"));
+gameEvents.on("crash", () => toast("Crash! Save or restart", 2200));
+gameEvents.on("run:finish", ({ run }) =>
+  toast(`⏱ Time! ${run.newBest ? "New best: " : "Score: "}${fmtPts(runTotalScore(run))}`, 2600)
+);
 
 function saveRunToBank() {
   applyDecay();
-  if (game.runScore <= 0) {
+  const pts = saveRunScore(game);
+  if (pts <= 0) {
     toast("No points to save");
     return;
   }
-  profile.bankPoints += game.runScore;
-  game.runScore = 0;
+  profile.bankPoints += pts;
   persistProfile();
+  rememberRunReplay(game);
   toast("Saved");
 }
 
@@ -1465,7 +913,7 @@ function convertCoinsToBank() {
     toast("No coins to convert");
     return;
   }
-  const pts = profile.coins * 10000;
+  const pts = profile.coins * COIN_POINTS;
   profile.coins = 0;
   profile.bankPoints += pts;
   persistProfile();
@@ -1490,6 +938,8 @@ async function fetchLeaderboard({ refresh = false, names = false } = {}) {
     throw new Error(msg);
   }
 
+  if (j.you && j.you.access) applyLbAccess(j.you.address, j.you.access);
+
   const normalize = (arr) =>
     (arr || []).map((x) => ({
       addr: x.address,
@@ -1502,31 +952,587 @@ async function fetchLeaderboard({ refresh = false, names = false } = {}) {
     prevWeekStart: j.prevWeekStart,
     weeklySorted: normalize(j.weekly),
     prevWeekSorted: normalize(j.lastWeek),
+    allTimeSorted: normalize(j.allTime),
+    historyWeeks: (j.history && Array.isArray(j.history.weeks)) ? j.history.weeks : [],
     meta: j.meta,
     you: j.you || null
   };
 }
 
+// One page of a board: { board: "weekly"|"lastWeek"|"allTime"|"daily" }, { week: "YYYY-MM-DD" }
+// or { day: "YYYY-MM-DD" }, plus either offset/limit or around/radius.
+async function fetchLeaderboardPage({ board, week, day, offset, limit, around, radius } = {}) {
+  const qs = new URLSearchParams();
+  if (week) qs.set("week", week);
+  else if (day) qs.set("day", day);
+  else qs.set("board", board || "weekly");
+  if (around) {
+    qs.set("around", around);
+    if (radius != null) qs.set("radius", String(radius));
+  } else {
+    qs.set("offset", String(offset || 0));
+    if (limit != null) qs.set("limit", String(limit));
+  }
+
+  const res = await fetch(`/api/leaderboard?${qs.toString()}`, { cache: "no-store" });
+  const j = await res.json().catch(() => ({}));
+  if (!j || j.ok !== true) throw new Error((j && j.error) || "Leaderboard API failed");
+
+  return {
+    total: Number(j.total) || 0,
+    offset: Number(j.offset) || 0,
+    hasMore: !!j.hasMore,
+    rank: j.around ? j.around.rank : null,
+    day: j.day || null,
+    entries: (j.entries || []).map((x) => ({ addr: x.address, pts: BigInt(x.points), rank: x.rank }))
+  };
+}
+
+// Archived standings of a past week (weekDay = Monday "YYYY-MM-DD", UTC).
+async function fetchLeaderboardWeek(weekDay) {
+  const qs = new URLSearchParams({ week: weekDay });
+  if (account && /^0x[a-fA-F0-9]{40}$/.test(account)) qs.set("address", account);
+
+  const res = await fetch(`/api/leaderboard?${qs.toString()}`, { cache: "no-store" });
+  const j = await res.json().catch(() => ({}));
+  if (!j || j.ok !== true) throw new Error((j && j.error) || "Leaderboard API failed");
+
+  return {
+    weekStart: j.weekStart,
+    sorted: (j.weekly || []).map((x) => ({ addr: x.address, pts: BigInt(x.points), name: x.name })),
+    players: Number(j.meta && j.meta.counts && j.meta.counts.players) || 0,
+    you: j.you || null
+  };
+}
+
+// Every WEEKLY_ADD this wallet committed, from contract logs (see api/deposits.js).
+async function fetchDeposits(address, { refresh = false } = {}) {
+  const qs = new URLSearchParams({ address });
+  if (refresh) qs.set("refresh", "1");
+
+  const res = await fetch(`/api/deposits?${qs.toString()}`, { cache: "no-store" });
+  const j = await res.json().catch(() => ({}));
+  if (!j || j.ok !== true) throw new Error((j && j.error) || "Deposits API failed");
+
+  return {
+    deposits: (j.deposits || []).map((d) => ({ ...d, pts: BigInt(d.points) })),
+    countedPoints: BigInt((j.totals && j.totals.countedPoints) || 0),
+    partial: !!j.partial
+  };
+}
+
 // =====================================================
-// On-chain Commit
+// Run replays + deposit attestation (/api/attest)
+// Runs that fed the Bank are kept locally and re-simulated by the server,
+// which signs the deposit amount it could verify.
 // =====================================================
-let commitInFlight = false;
+const LS_RUN_REPLAYS = "w3r_runs";
+const LS_PENDING_ATTESTATION = "w3r_attestation";
+const MAX_STORED_REPLAYS = 40; // matches the server's per-request cap
+
+function loadRunReplays() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(LS_RUN_REPLAYS) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+function storeRunReplays(arr) {
+  try {
+    localStorage.setItem(LS_RUN_REPLAYS, JSON.stringify(arr.slice(-MAX_STORED_REPLAYS)));
+  } catch {}
+}
+function rememberRunReplay(run) {
+  if (!run || run.tick <= 0 || run.replaySent) return;
+  if (run.savedScore <= 0 && run.coinsCollected <= 0) return;
+  const replay = exportReplay(run);
+  const list = loadRunReplays().filter((r) => r && r.seed !== replay.seed);
+  list.push(replay);
+  storeRunReplays(list);
+}
+function forgetRunReplays(seeds) {
+  const drop = new Set(seeds);
+  storeRunReplays(loadRunReplays().filter((r) => r && !drop.has(r.seed)));
+}
+
+function loadPendingAttestation() {
+  try {
+    return JSON.parse(localStorage.getItem(LS_PENDING_ATTESTATION) || "null");
+  } catch {
+    return null;
+  }
+}
+function setPendingAttestation(att) {
+  try {
+    if (att) localStorage.setItem(LS_PENDING_ATTESTATION, JSON.stringify(att));
+    else localStorage.removeItem(LS_PENDING_ATTESTATION);
+  } catch {}
+}
+
+// Returns { address, points, weekStart, issuedAt, sig } or null when the server can't attest.
+async function getDepositAttestation(pts, weekStart) {
+  const addr = String(account || "").toLowerCase();
+
+  // Runs are consumed server-side once attested, so reuse an unsent attestation first.
+  const pending = loadPendingAttestation();
+  if (pending && pending.address === addr && pending.weekStart === weekStart && pending.points <= pts) {
+    return pending;
+  }
+  setPendingAttestation(null);
+
+  // A run still in progress is attested once it ends, so its later saves aren't lost.
+  const runs = loadRunReplays().filter((r) => game.over || r.seed !== game.seed);
+  try {
+    const res = await fetch("/api/attest", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ address: addr, weekStart, points: pts, runs })
+    });
+    const j = await res.json().catch(() => null);
+    // Whatever the server counted or rejected is not worth sending again.
+    if (res.status === 200 || res.status === 422) {
+      forgetRunReplays(runs.map((r) => r.seed));
+      if (game.over) game.replaySent = true;
+    }
+    if (!j || j.ok !== true || !j.attestation) {
+      console.warn("attestation refused", j);
+      return null;
+    }
+    setPendingAttestation(j.attestation);
+    return j.attestation;
+  } catch (e) {
+    console.warn("attestation unavailable", e);
+    return null;
+  }
+}
+
+// =====================================================
+// Deposit tracking: points are held until the tx is mined
+// =====================================================
+// A deposit leaves the queue when the wallet accepts it, but only counts towards the
+// leaderboard unlock once it's confirmed. A revert puts its entries back in the queue.
+// "pending" only means we couldn't read an outcome yet (e.g. reloaded without a wallet), so it
+// never times out into a refund: past DEPOSIT_LEDGER_AFTER_MS the on-chain ledger is asked too.
+const LS_DEPOSITS = "w3r_deposits";
+const MAX_SETTLED_DEPOSITS = 20;
+const DEPOSIT_POLL_MIN_MS = 2500;
+const DEPOSIT_POLL_MAX_MS = 20000;
+const DEPOSIT_LEDGER_AFTER_MS = 10 * 60 * 1000;
+const DEPOSIT_LEDGER_EVERY_MS = 5 * 60 * 1000;
+
+// { id, kind: "calls" | "tx", ref, txHash, points, entries, status, createdAt, settledAt }
+// status: "pending" | "confirmed" | "failed"
+function loadDeposits() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(LS_DEPOSITS) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+function storeDeposits(arr) {
+  const pending = arr.filter((d) => d.status === "pending");
+  const settled = arr.filter((d) => d.status !== "pending").slice(-MAX_SETTLED_DEPOSITS);
+  try {
+    localStorage.setItem(LS_DEPOSITS, JSON.stringify([...settled, ...pending].sort((a, b) => a.createdAt - b.createdAt)));
+  } catch {}
+}
+function updateDeposit(id, patch) {
+  const list = loadDeposits();
+  const d = list.find((x) => x.id === id);
+  if (!d) return null;
+  Object.assign(d, patch);
+  storeDeposits(list);
+  return d;
+}
+function getPendingDeposits() {
+  return loadDeposits().filter((d) => d.status === "pending");
+}
+function pendingDepositPoints() {
+  return getPendingDeposits().reduce((a, d) => a + (Number(d.points) || 0), 0);
+}
+function depositTxUrl(d) {
+  return d?.txHash ? `${EXPLORER_URL}/tx/${d.txHash}` : "";
+}
+
+// kind/ref as sendLogActionCalls reports them; entries: the deposit-queue entries that went
+// out in this bundle/tx.
+function trackDeposit(kind, ref, entries) {
+  if (!ref) return null;
+  const d = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    ref: String(ref),
+    txHash: kind === "tx" ? String(ref) : null,
+    points: entries.reduce((a, q) => a + (Number(q.points) || 0), 0),
+    entries,
+    status: "pending",
+    createdAt: Date.now(),
+    settledAt: 0
+  };
+  storeDeposits([...loadDeposits(), d]);
+  return d;
+}
+
+// Looks the deposit's signed entries up in the wallet's on-chain ledger (/api/deposits).
+// => { state: "confirmed", txHash } when every entry's sig was logged; { state: "failed" } only
+// when a complete scan has none of them and their weeks can no longer be committed; else null.
+async function checkDepositLedger(d) {
+  const atts = (Array.isArray(d.entries) ? d.entries : []).map((q) => q.attestation).filter((a) => a && a.sig);
+  if (!atts.length || atts.length !== d.entries.length) return null;
+  const { deposits, partial } = await fetchDeposits(atts[0].address, { refresh: true });
+  const bySig = new Map(deposits.filter((x) => x.sig).map((x) => [x.sig.toLowerCase(), x]));
+  const found = atts.map((a) => bySig.get(String(a.sig).toLowerCase())).filter(Boolean);
+  if (found.length === atts.length) return { state: "confirmed", txHash: found[0].tx || d.txHash };
+  if (found.length || partial) return null;
+  const closed = atts.every((a) => depositWeekFor(a.weekStart) !== a.weekStart);
+  return closed ? { state: "failed", txHash: d.txHash } : null;
+}
+
+function settleDeposit(d, state, txHash) {
+  const done = updateDeposit(d.id, { status: state, txHash: txHash || d.txHash, settledAt: Date.now() });
+  if (!done) return;
+
+  if (state === "confirmed") {
+    toast(`Deposit confirmed: ${fmtPts(done.points)} pts on-chain`, 2400);
+    gameEvents.emit("deposit:confirmed", { deposit: done });
+    // Have the indexer pick the log up now; the fresh payload carries the new access total.
+    fetchLeaderboard({ refresh: true }).catch(() => {});
+  } else {
+    // Nothing landed on-chain, so the signed entries are still good: back into the queue
+    // (attestQueuedDeposits refunds any whose week has closed by the time they're resent).
+    const back = Array.isArray(done.entries) ? done.entries : [];
+    if (back.length) {
+      const ids = new Set(back.map((q) => q.id));
+      storeDepositQueue([...loadDepositQueue().filter((q) => !ids.has(q.id)), ...back]);
+      toast(`Deposit failed — ${fmtPts(done.points)} pts returned to your deposit queue`, 3000);
+    } else {
+      profile.bankPoints += Number(done.points) || 0;
+      persistProfile();
+      toast(`Deposit failed — ${fmtPts(done.points)} pts returned to your Bank`, 3000);
+    }
+  }
+  renderHud();
+  if (isSheetOpen() && els.sheet.dataset.view === "menu") openMainMenu();
+}
+
+const depositPollers = new Set();
+function watchDeposit(d) {
+  if (!d || depositPollers.has(d.id)) return;
+  depositPollers.add(d.id);
+  let delay = DEPOSIT_POLL_MIN_MS;
+
+  const tick = async () => {
+    const cur = loadDeposits().find((x) => x.id === d.id);
+    if (!cur || cur.status !== "pending") {
+      depositPollers.delete(d.id);
+      return;
+    }
+    let st = { state: "pending", txHash: cur.txHash };
+    try {
+      st = await checkSentStatus(cur);
+    } catch (e) {
+      // Unknown id (wallet restarted / switched) — keep trying with the hash we have, else wait it out.
+      console.warn("deposit status unavailable", e);
+      if (cur.kind === "calls" && cur.txHash) updateDeposit(cur.id, { kind: "tx" });
+    }
+    if (st.txHash && st.txHash !== cur.txHash) updateDeposit(cur.id, { txHash: st.txHash });
+    const now = Date.now();
+    if (st.state === "pending" && now - cur.createdAt > DEPOSIT_LEDGER_AFTER_MS && now - (cur.ledgerAt || 0) > DEPOSIT_LEDGER_EVERY_MS) {
+      updateDeposit(cur.id, { ledgerAt: now });
+      try {
+        st = (await checkDepositLedger(cur)) || st;
+      } catch (e) {
+        console.warn("deposit ledger unavailable", e);
+      }
+    }
+    if (st.state !== "pending") {
+      depositPollers.delete(d.id);
+      settleDeposit(cur, st.state, st.txHash);
+      return;
+    }
+    delay = Math.min(DEPOSIT_POLL_MAX_MS, Math.round(delay * 1.5));
+    setTimeout(tick, delay);
+  };
+  setTimeout(tick, delay);
+}
+
+function resumePendingDeposits() {
+  for (const d of getPendingDeposits()) watchDeposit(d);
+}
+
+// =====================================================
+// On-chain proofs (garage unlocks, achievement badges)
+// A proof is saved as "pending" when the wallet accepts its logAction call and only counts
+// once the call is confirmed, checked like deposits (wallet_getCallsStatus / receipt).
+// A failed call drops the proof so it can be sent again; so does one whose status still
+// can't be read after PROOF_GIVE_UP_MS (logging the same unlock twice is harmless).
+// book: { name, load, store, onSettled(state, count) } over data with a `proofs` map.
+// =====================================================
+const PROOF_GIVE_UP_MS = 60 * 60 * 1000;
+const proofPollers = new Set();
+
+function watchProof(book, ref) {
+  const key = `${book.name}:${ref}`;
+  if (!ref || proofPollers.has(key)) return;
+  proofPollers.add(key);
+  let delay = DEPOSIT_POLL_MIN_MS;
+
+  const pendingIds = () => {
+    const proofs = book.load().proofs;
+    return Object.keys(proofs).filter((id) => proofs[id].ref === ref && proofs[id].status !== "confirmed");
+  };
+
+  const tick = async () => {
+    const ids = pendingIds();
+    if (!ids.length) {
+      proofPollers.delete(key);
+      return;
+    }
+    const cur = book.load().proofs[ids[0]];
+    let st = { state: "pending", txHash: cur.txHash || null };
+    try {
+      st = await checkSentStatus({ kind: cur.kind, ref: cur.ref, txHash: cur.txHash || (cur.kind === "tx" ? cur.ref : null) });
+    } catch (e) {
+      console.warn(`${book.name} proof status unavailable`, e);
+    }
+    if (st.state === "pending" && Date.now() - (cur.at || 0) > PROOF_GIVE_UP_MS) st = { state: "failed" };
 
-async function commitWeeklyOnchain() {
+    if (st.state !== "pending") {
+      const data = book.load();
+      for (const id of pendingIds()) {
+        if (st.state === "confirmed") data.proofs[id] = { ...data.proofs[id], status: "confirmed", txHash: st.txHash || null, confirmedAt: Date.now() };
+        else delete data.proofs[id];
+      }
+      book.store(data);
+      proofPollers.delete(key);
+      book.onSettled(st.state, ids.length);
+      return;
+    }
+    if (st.txHash && st.txHash !== cur.txHash) {
+      const data = book.load();
+      for (const id of pendingIds()) data.proofs[id].txHash = st.txHash;
+      book.store(data);
+    }
+    delay = Math.min(DEPOSIT_POLL_MAX_MS, Math.round(delay * 1.5));
+    setTimeout(tick, delay);
+  };
+  setTimeout(tick, delay);
+}
+
+function resumePendingProofs(book) {
+  const proofs = book.load().proofs;
+  const refs = new Set(Object.values(proofs).filter((p) => p.status !== "confirmed" && p.ref).map((p) => p.ref));
+  for (const ref of refs) watchProof(book, ref);
+}
+
+const GARAGE_PROOFS = {
+  name: "garage",
+  load: loadGarage,
+  store: storeGarage,
+  onSettled(state, count) {
+    toast(
+      state === "confirmed"
+        ? `🔧 ${count} unlock${count === 1 ? "" : "s"} confirmed on-chain`
+        : "Garage proof didn't go through — you can send it again",
+      2400
+    );
+    if (isSheetOpen() && els.sheet.dataset.view === "garage") openGarageView();
+  }
+};
+
+const ACHIEVEMENT_PROOFS = {
+  name: "achievements",
+  load: loadAchievements,
+  store: storeAchievements,
+  onSettled(state, count) {
+    if (state === "confirmed") {
+      toast(`🏅 ${count} badge${count === 1 ? "" : "s"} confirmed on-chain`, 2400);
+      // Let the indexer pick the new logs up.
+      fetchLeaderboard({ refresh: true }).catch(() => {});
+    } else {
+      toast("Badge commit didn't go through — you can send it again", 2400);
+    }
+    if (isSheetOpen() && els.sheet.dataset.view === "achievements") openAchievementsView();
+  }
+};
+
+// =====================================================
+// Deposit queue
+// Depositing mid-run or offline only queues the points. Queued points keep decaying like the
+// Bank: unsigned entries from queuedAt, signed ones from their attestation's issuedAt (the
+// indexer decays a WEEKLY_ADD the same way up to the block it landed in).
+// The queue is flushed as one atomic wallet_sendCalls bundle, one logAction per entry.
+// =====================================================
+const LS_DEPOSIT_QUEUE = "w3r_deposit_queue";
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// { id, points, weekStart, attestation, queuedAt }; attestation stays null until the server signed it.
+function loadDepositQueue() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(LS_DEPOSIT_QUEUE) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+function storeDepositQueue(arr) {
+  try {
+    if (arr.length) localStorage.setItem(LS_DEPOSIT_QUEUE, JSON.stringify(arr));
+    else localStorage.removeItem(LS_DEPOSIT_QUEUE);
+  } catch {}
+}
+// What an entry is still worth after decay.
+function queueEntryPoints(q, now = Date.now()) {
+  const since = q.attestation ? Number(q.attestation.issuedAt) : Number(q.queuedAt);
+  return Math.floor(decayBank(Number(q.points) || 0, now - (since || now)).points);
+}
+function queuedDepositPoints() {
+  return loadDepositQueue().reduce((a, q) => a + queueEntryPoints(q), 0);
+}
+function queueEntry(points, weekStart, attestation = null) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    points,
+    weekStart,
+    attestation,
+    queuedAt: Date.now()
+  };
+}
+
+function isMidRun() {
+  return !game.over && game.tick > 0;
+}
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+// The attest endpoint only signs the current or the previous week.
+function depositWeekFor(weekStart, now = Date.now()) {
+  const cur = weekStartUtcMs(now);
+  return weekStart === cur || weekStart === cur - ONE_WEEK_MS ? weekStart : cur;
+}
+
+// Bank → queue. Attests right away when it can, so every queued entry becomes its own call;
+// the part of a live run that can't be verified yet waits for the run to end.
+async function enqueueBankDeposit() {
   applyDecay();
+  const pts = Math.floor(profile.bankPoints);
+  if (pts <= 0) return null;
+
+  profile.bankPoints = Math.max(0, profile.bankPoints - pts);
+  persistProfile();
+  renderHud();
+
+  const weekStart = weekStartUtcMs();
+  const queue = loadDepositQueue();
+  let att = null;
+  if (!isOffline()) {
+    att = await getDepositAttestation(pts, weekStart);
+    // The entry owns it now; it must not be reused by another deposit.
+    if (att) setPendingAttestation(null);
+  }
+  if (att) queue.push(queueEntry(att.points, weekStart, att));
+  const rest = pts - (att ? att.points : 0);
+  if (rest > 0) queue.push(queueEntry(rest, weekStart, null));
+  storeDepositQueue(queue);
+  return { points: pts, attested: att ? att.points : 0 };
+}
+
+// Attest whatever is still unsigned (one request per week). Shortfall goes back to the Bank.
+async function attestQueuedDeposits() {
+  const queue = loadDepositQueue();
+  const ready = queue.filter((q) => q.attestation);
+  const byWeek = new Map();
+  for (const q of queue) {
+    if (q.attestation) continue;
+    const wk = depositWeekFor(q.weekStart);
+    byWeek.set(wk, (byWeek.get(wk) || 0) + queueEntryPoints(q));
+  }
+
+  let refunded = 0;
+  for (const [wk, pts] of byWeek) {
+    if (pts <= 0) continue;
+    const att = await getDepositAttestation(pts, wk);
+    if (att) {
+      setPendingAttestation(null);
+      ready.push(queueEntry(att.points, wk, att));
+    }
+    refunded += pts - (att ? att.points : 0);
+  }
+  // A signed entry from a week the leaderboard no longer tracks would never count.
+  const live = ready.filter((q) => depositWeekFor(q.attestation.weekStart) === q.attestation.weekStart);
+  refunded += ready.filter((q) => !live.includes(q)).reduce((a, q) => a + queueEntryPoints(q), 0);
+
+  if (refunded > 0) {
+    profile.bankPoints += refunded;
+    persistProfile();
+    renderHud();
+  }
+  storeDepositQueue(live);
+  return { entries: live, refunded };
+}
+
+
+function weeklyAddCall(entry) {
+  const att = entry.attestation;
+  // abi.encode(points, weekStart, issuedAt, sig); the first two words keep the old layout.
+  const payload = encodeAbiParameters(
+    [{ type: "uint256" }, { type: "uint256" }, { type: "uint256" }, { type: "bytes32" }],
+    [BigInt(att.points), BigInt(att.weekStart), BigInt(att.issuedAt), att.sig]
+  );
+  return { action: ACTION_WEEKLY_ADD, payload };
+}
+
+// =====================================================
+// On-chain Commit
+// =====================================================
+let commitInFlight = false;
+let enqueueInFlight = false;
 
+// Menu "Deposit": queue the Bank, then send now unless a run is going or we're offline.
+async function commitWeeklyOnchain({ now = false } = {}) {
   if (!account) {
+    if (isOffline()) {
+      toast("Connect a wallet first (you're offline)", 2400);
+      return;
+    }
     await connectWallet();
     if (!account) return;
   }
+  if (commitInFlight || enqueueInFlight) return;
 
-  const pts = Math.floor(profile.bankPoints);
-  if (pts <= 0) {
+  enqueueInFlight = true;
+  let q;
+  try {
+    q = await enqueueBankDeposit();
+  } finally {
+    enqueueInFlight = false;
+  }
+  if (!q && !loadDepositQueue().length) {
     toast("Bank is empty");
     return;
   }
 
-  if (commitInFlight) return;
+  if (isOffline()) {
+    toast(`Queued ${fmtPts(queuedDepositPoints())} pts — sending when you're back online`, 2600);
+  } else if (isMidRun() && !now) {
+    toast(`Queued ${fmtPts(queuedDepositPoints())} pts — sending after this run`, 2400);
+  } else {
+    await flushDepositQueue();
+    return;
+  }
+  if (isSheetOpen() && els.sheet.dataset.view === "menu") openMainMenu();
+}
+
+// Sends every queued entry in one bundle (or one tx each when the wallet can't bundle).
+async function flushDepositQueue() {
+  if (commitInFlight || !loadDepositQueue().length || !account) return;
+  if (isOffline()) {
+    toast("You're offline — deposit stays queued", 2000);
+    return;
+  }
   commitInFlight = true;
 
   // Give immediate feedback even if the background web3 warmup hasn't finished yet.
@@ -1546,142 +1552,141 @@ async function commitWeeklyOnchain() {
     // Ensure web3 encoders + builder dataSuffix are available (prefetched in background when possible)
     await warmWeb3Deps();
 
-    const p = await getProvider();
-    if (!p) throw new Error("No provider");
-
-    const chainId = await p.request({ method: "eth_chainId", params: [] });
-
-    const weekStart = weekStartUtcMs();
-    const payload = encodeAbiParameters(
-      [{ type: "uint256" }, { type: "uint256" }],
-      [BigInt(pts), BigInt(weekStart)]
-    );
-
-    const data = encodeFunctionData({
-      abi: [
-        {
-          type: "function",
-          name: "logAction",
-          stateMutability: "nonpayable",
-          inputs: [
-            { name: "action", type: "bytes32" },
-            { name: "data", type: "bytes" }
-          ],
-          outputs: []
-        }
-      ],
-      functionName: "logAction",
-      args: [ACTION_WEEKLY_ADD, payload]
-    });
-    const call = { to: CONTRACT, value: "0x0", data };
-
-    const buildSendCallsParams = (usePaymaster) => ({
-      version: "2.0.0",
-      from: account,
-      chainId,
-      atomicRequired: true,
-      calls: [call],
-      capabilities: (() => {
-        const caps = {};
-        // Keep your Builder attribution (ERC-8021)
-        if (dataSuffix) caps.dataSuffix = dataSuffix;
-        // Optionally add Paymaster sponsorship (ERC-7677) via your backend proxy
-        if (usePaymaster) {
-          caps.paymasterService = { url: new URL("/api/paymaster", window.location.origin).toString() };
-        }
-        return caps;
-      })()
+    if (commitBtn) commitBtn.textContent = "Verifying runs…";
+    const { entries, refunded } = await attestQueuedDeposits();
+    if (!entries.length) {
+      toast("Couldn't verify your runs — deposit not sent", 2600);
+      return;
+    }
+    if (commitBtn) commitBtn.textContent = "Preparing…";
+
+    const total = entries.reduce((a, q) => a + q.points, 0);
+
+    // Entries leave the queue as soon as the wallet accepts them; from then on they're
+    // tracked deposits (refunded to the queue if they revert, see settleDeposit). Whatever
+    // a rejection stops simply stays queued.
+    await sendLogActionCalls(entries.map(weeklyAddCall), (indices, kind, ref) => {
+      const sent = indices.map((i) => entries[i]);
+      const ids = new Set(sent.map((q) => q.id));
+      storeDepositQueue(loadDepositQueue().filter((q) => !ids.has(q.id)));
+      const dep = trackDeposit(kind, ref, sent);
+      if (dep) watchDeposit(dep);
+      else console.warn("deposit sent without a trackable id; it counts once indexed", ref);
     });
 
-    const isSendCallsUnsupported = (low) =>
-      low.includes("wallet_sendcalls") ||
-      low.includes("method not found") ||
-      low.includes("unknown method") ||
-      low.includes("not supported") ||
-      low.includes("unsupported") ||
-      low.includes("capability");
-
-    const sendEthTx = async () => {
-      toast("Sending normal transaction (gas required)…", 1600);
-      return await p.request({
-        method: "eth_sendTransaction",
-        params: [
-          {
-            from: account,
-            to: CONTRACT,
-            value: "0x0",
-            data
-          }
-        ]
-      });
-    };
-
-    // Flow:
-    // 1) wallet_sendCalls with paymaster
-    // 2) if paymaster-related fail -> wallet_sendCalls without paymaster
-    // 3) if wallet_sendCalls unsupported -> eth_sendTransaction fallback
-    try {
-      await p.request({ method: "wallet_sendCalls", params: [buildSendCallsParams(true)] });
-    } catch (e1) {
-      const msg1 = String(e1?.message || e1 || "");
-      const low1 = msg1.toLowerCase();
-
-      if (low1.includes("rejected")) {
-        toast("Transaction rejected");
-        return;
-      }
+    if (refunded > 0) {
+      toast(`Depositing ${fmtPts(total)} verified pts (${fmtPts(refunded)} couldn't be verified) — waiting for confirmation…`, 3200);
+    } else {
+      toast("Deposit sent — waiting for confirmation…", 2200);
+    }
 
-      if (isSendCallsUnsupported(low1)) {
-        const proxy = await checkPaymasterProxy();
-        console.warn("wallet_sendCalls unsupported -> fallback eth_sendTransaction", { proxy, err: e1 });
-        await sendEthTx();
-      } else {
-        // paymaster/proxy/erc-7677 failed -> retry without paymaster
-        toast("Gasless failed — retrying without paymaster…", 1600);
-        try {
-          await p.request({ method: "wallet_sendCalls", params: [buildSendCallsParams(false)] });
-        } catch (e2) {
-          const msg2 = String(e2?.message || e2 || "");
-          const low2 = msg2.toLowerCase();
+    if (isSheetOpen()) openMainMenu();
+  } catch (e) {
+    const msg = String(e?.message || "");
+    toast(msg.toLowerCase().includes("rejected") ? "Transaction rejected — deposit stays queued" : msg || "Commit failed");
+  } finally {
+    commitInFlight = false;
+    if (commitBtn) {
+      commitBtn.disabled = false;
+      commitBtn.textContent = prevBtnText || "Deposit Saved points → Weekly leaderboard ( Important )";
+    }
+  }
+}
 
-          if (low2.includes("rejected")) {
-            toast("Transaction rejected");
-            return;
-          }
+// Queued deposits go out when the run ends or the connection comes back.
+window.addEventListener("online", () => {
+  if (!isMidRun()) flushDepositQueue();
+});
 
-          // final fallback: old-school tx
-          const proxy = await checkPaymasterProxy();
-          console.warn("wallet_sendCalls failed even without paymaster -> fallback eth_sendTransaction", { proxy, err: e2 });
-          await sendEthTx();
-        }
-      }
-    }
 
-    // Track total deposited points for leaderboard unlock (backend is untouched)
-    const wasLocked = !isLeaderboardUnlocked();
-    addToTotalDeposited(pts);
-    const nowUnlocked = isLeaderboardUnlocked();
+// Garage: log every unproven unlock as GARAGE_UNLOCK(bytes32 itemId).
+let garageProofInFlight = false;
 
-    profile.bankPoints = 0;
+async function proveGarageOnchain() {
+  if (garageProofInFlight) return;
+  if (!account) {
+    await connectWallet();
+    if (!account) return;
+  }
+  const ids = unprovenGarageItems();
+  if (!ids.length) {
+    toast("Everything you own is already on-chain");
+    return;
+  }
+  if (isOffline()) {
+    toast("You're offline — try again when you're back", 2000);
+    return;
+  }
+  garageProofInFlight = true;
+  toast("Preparing garage proof…", 1200);
 
-    persistProfile();
+  try {
+    await warmWeb3Deps();
+    const calls = ids.map((id) => ({
+      action: ACTION_GARAGE_UNLOCK,
+      payload: encodeAbiParameters([{ type: "bytes32" }], [stringToBytes32Hex(id)])
+    }));
+    await sendLogActionCalls(calls, (indices, kind, ref) => {
+      const data = loadGarage();
+      for (const i of indices) {
+        data.proofs[ids[i]] = { kind, ref, txHash: kind === "tx" ? ref : null, at: Date.now(), status: "pending" };
+      }
+      storeGarage(data);
+      watchProof(GARAGE_PROOFS, ref);
+    });
+    toast(`🔧 ${ids.length} unlock${ids.length === 1 ? "" : "s"} sent — confirming on-chain…`, 2200);
+  } catch (e) {
+    const msg = String(e?.message || "");
+    toast(msg.toLowerCase().includes("rejected") ? "Transaction rejected" : msg || "Garage proof failed");
+  } finally {
+    garageProofInFlight = false;
+    if (isSheetOpen() && els.sheet.dataset.view === "garage") openGarageView();
+  }
+}
 
-    if (wasLocked && nowUnlocked) {
-      toast("🏆 LEADERBOARD UNLOCKED! Welcome to the competition.", 3200);
-    } else {
-      toast("Committed on-chain! Updating leaderboard…", 2200);
-    }
+// Achievements: log every unproven unlock as ACHIEVEMENT(bytes32 achievementId); the
+// leaderboard indexes them into the wallet's badge list.
+let achievementProofInFlight = false;
 
+async function commitAchievementsOnchain() {
+  if (achievementProofInFlight) return;
+  if (!account) {
+    await connectWallet();
+    if (!account) return;
+  }
+  const ids = unprovenAchievements();
+  if (!ids.length) {
+    toast("All your badges are already on-chain");
+    return;
+  }
+  if (isOffline()) {
+    toast("You're offline — try again when you're back", 2000);
+    return;
+  }
+  achievementProofInFlight = true;
+  toast("Preparing badges…", 1200);
 
-    if (isSheetOpen()) await openLeaderboardsView();
+  try {
+    await warmWeb3Deps();
+    const calls = ids.map((id) => ({
+      action: ACTION_ACHIEVEMENT,
+      payload: encodeAbiParameters([{ type: "bytes32" }], [stringToBytes32Hex(id)])
+    }));
+    await sendLogActionCalls(calls, (indices, kind, ref) => {
+      const data = loadAchievements();
+      for (const i of indices) {
+        data.proofs[ids[i]] = { kind, ref, txHash: kind === "tx" ? ref : null, at: Date.now(), status: "pending" };
+      }
+      storeAchievements(data);
+      watchProof(ACHIEVEMENT_PROOFS, ref);
+    });
+    toast(`🏅 ${ids.length} badge${ids.length === 1 ? "" : "s"} sent — confirming on-chain…`, 2200);
   } catch (e) {
-    toast(e?.message ? String(e.message) : "Commit failed");
+    const msg = String(e?.message || "");
+    toast(msg.toLowerCase().includes("rejected") ? "Transaction rejected" : msg || "Badge commit failed");
   } finally {
-    commitInFlight = false;
-    if (commitBtn) {
-      commitBtn.disabled = false;
-      commitBtn.textContent = prevBtnText || "Deposit Saved points → Weekly leaderboard ( Important )";
-    }
+    achievementProofInFlight = false;
+    if (isSheetOpen() && els.sheet.dataset.view === "achievements") openAchievementsView();
   }
 }
 
@@ -1709,12 +1714,6 @@ function bindInstantTap(btn, fn) {
   });
 }
 
-function moveLane(delta) {
-  if (game.over) return;
-  const step = isDoubleLaneOn() ? 2 : 1;
-  const next = Math.max(0, Math.min(3, game.lane + delta * step));
-  game.lane = next;
-}
 
 // =====================================================
 // Swipe controls (mobile): smooth left/right gesture
@@ -1912,6 +1911,40 @@ els.statusBadge.addEventListener("click", async () => {
   await openWalletConnectFlow();
 });
 
+const DEPOSIT_STATUS_LABEL = { pending: "⏳ Pending", confirmed: "✓ Confirmed", failed: "✕ Failed — refunded" };
+
+// Queued entries, pending deposits and the last few settled ones (BaseScan link once a hash is known).
+function renderDepositsCard() {
+  const queue = loadDepositQueue();
+  const list = loadDeposits();
+  const pending = list.filter((d) => d.status === "pending");
+  const recent = [...pending, ...list.filter((d) => d.status !== "pending").slice(-3).reverse()];
+  if (!recent.length && !queue.length) return "";
+  return `
+    <div class="depositsCard">
+      <div class="depositsHead">
+        <span class="depositsTitle">Deposits</span>
+        ${pending.length ? `<span class="depositsPending">${fmtPts(pendingDepositPoints())} pts pending</span>` : ""}
+      </div>
+      ${queue.length ? `
+        <div class="depositRow queued">
+          <span class="depositPts">${fmtPts(queuedDepositPoints())} pts</span>
+          <span class="depositStatus">🕒 Queued (${queue.length} call${queue.length === 1 ? "" : "s"})</span>
+          <button class="pill depositFlush" id="btnFlushQueue">Send now</button>
+        </div>` : ""}
+      ${recent
+        .map(
+          (d) => `
+        <div class="depositRow ${d.status}">
+          <span class="depositPts">${fmtPts(d.points)} pts</span>
+          <span class="depositStatus">${DEPOSIT_STATUS_LABEL[d.status] || d.status}</span>
+          ${depositTxUrl(d) ? `<a class="depositLink" href="${depositTxUrl(d)}" target="_blank" rel="noopener">BaseScan ↗</a>` : ""}
+        </div>`
+        )
+        .join("")}
+    </div>`;
+}
+
 function openMainMenu() {
   // User is about to interact with wallet/deposit; warm deps aggressively but non-blocking.
   warmWeb3Deps();
@@ -1924,6 +1957,7 @@ function openMainMenu() {
     <div class="menuGrid">
       <div class="kv"><div class="k">Wallet</div><div class="v">${walletLine}</div></div>
       <div class="kv"><div class="k">Week</div><div class="v">${week} (UTC) <span class="weekCountdownWrap">(<canvas id="weekCountdownSeg" class="segCanvas" aria-label="Week remaining"></canvas>)</span></div></div>
+      <div class="kv"><div class="k">Mode</div><div class="v">${getGameMode(getSelectedMode()).label}</div></div>
       <div class="kv"><div class="k">Run points</div><div class="v">${Math.floor(game.runScore)}</div></div>
       <div class="kv"><div class="k">Saved points</div><div class="v">${Math.floor(profile.bankPoints)}</div></div>
       <div class="kv"><div class="k">Coins</div><div class="v">${Math.floor(profile.coins)} (→ ${Math.floor(profile.coins) * 10} pts)</div></div>
@@ -1935,8 +1969,15 @@ function openMainMenu() {
       <button class="pill" id="btnLeaderboards">Leaderboards</button>
     </div>
 
+    <div class="btnRow">
+      <button class="pill" id="btnModes">Game modes</button>
+      <button class="pill" id="btnGarage">Garage</button>
+      <button class="pill" id="btnMyDeposits">My deposits</button>
+    </div>
+
     <div class="btnRow">
       <button class="pill" id="btnConvert">Convert coins</button>
+      <button class="pill" id="btnAchievements">Achievements</button>
       <button class="pill pillHow" id="btnHow">
         <img class="pillIcon" src="/assets/bag.png" alt="" aria-hidden="true" />
         Earn
@@ -1947,21 +1988,9 @@ function openMainMenu() {
       <button class="pill primary" id="btnCommit">Deposit Saved points → Weekly leaderboard ( Important )</button>
     </div>
 
-    <div class="lbAccessCard ${isLeaderboardUnlocked() ? 'unlocked' : 'locked'}">
-      <div class="lbAccessHead">
-        <span class="lbAccessIcon">${isLeaderboardUnlocked() ? '🏆' : '🔒'}</span>
-        <span class="lbAccessTitle">Leaderboard Access</span>
-        <span class="lbAccessStatus">${isLeaderboardUnlocked() ? 'UNLOCKED' : 'LOCKED'}</span>
-      </div>
-      <div class="lbAccessBar"><div class="lbAccessFill" style="width:${getLbProgressPct()}%"></div></div>
-      <div class="lbAccessInfo">
-        <span><b>${getTotalDeposited().toLocaleString()}</b> / ${LEADERBOARD_UNLOCK_THRESHOLD.toLocaleString()} pts deposited</span>
-        ${isLeaderboardUnlocked()
-          ? '<span class="lbAccessNote good">✓ Full access</span>'
-          : `<span class="lbAccessNote">${getLbRemaining().toLocaleString()} more pts to unlock</span>`
-        }
-      </div>
-    </div>
+    ${renderDepositsCard()}
+
+    ${renderLbAccessCard()}
 
     <div class="alertRed">
   ⚠️ Important: Please Deposit your Saved points within every 10 min. If you don't,  25% percent of your saved points will be deducted every 10 minutes!
@@ -1990,6 +2019,7 @@ function openMainMenu() {
   );
 
   startWeekCountdown();
+  refreshLbAccess();
 
   $("#btnConnect").addEventListener("click", async () => {
     await openWalletConnectFlow();
@@ -2001,6 +2031,11 @@ function openMainMenu() {
     openMainMenu();
   });
   $("#btnHow").addEventListener("click", openHowView);
+  $("#btnModes").addEventListener("click", openModesView);
+  $("#btnGarage").addEventListener("click", openGarageView);
+  $("#btnAchievements").addEventListener("click", () => openAchievementsView());
+  $("#btnMyDeposits").addEventListener("click", () => openMyDepositsView());
+  $("#btnFlushQueue")?.addEventListener("click", () => flushDepositQueue());
 
   const commitBtn = $("#btnCommit");
   commitBtn.addEventListener(
@@ -2018,20 +2053,188 @@ function openMainMenu() {
     commitWeeklyOnchain();
   });
 
-  // Theme switcher wiring
-  try {
-    const current = getTheme();
-    const btnL = $("#themeLight");
-    const btnD = $("#themeDark");
-    if (btnL && btnD) {
-      if (current === "light") btnL.classList.add("active");
-      else btnD.classList.add("active");
-      btnL.addEventListener("click", () => { setTheme("light"); btnL.classList.add("active"); btnD.classList.remove("active"); });
-      btnD.addEventListener("click", () => { setTheme("dark");  btnD.classList.add("active"); btnL.classList.remove("active"); });
+  // Theme switcher wiring
+  try {
+    const current = getTheme();
+    const btnL = $("#themeLight");
+    const btnD = $("#themeDark");
+    if (btnL && btnD) {
+      if (current === "light") btnL.classList.add("active");
+      else btnD.classList.add("active");
+      btnL.addEventListener("click", () => { setTheme("light"); btnL.classList.add("active"); btnD.classList.remove("active"); });
+      btnD.addEventListener("click", () => { setTheme("dark");  btnD.classList.add("active"); btnL.classList.remove("active"); });
+    }
+  } catch {}
+}
+
+
+function openModesView() {
+  const selected = getSelectedMode();
+  const today = utcDayKey();
+  const cards = Object.values(GAME_MODES)
+    .map((m) => {
+      const sc = modeScoreFor(m.daily ? `daily:${today}` : m.id);
+      return `
+      <button class="modeCard${m.id === selected ? " active" : ""}" data-mode="${m.id}">
+        <span class="modeHead">
+          <span class="modeLabel">${m.label}</span>
+          ${m.id === selected ? `<span class="modeActive">Selected</span>` : ""}
+        </span>
+        <span class="modeBlurb">${m.blurb}</span>
+        <span class="modeBest">${m.daily ? "Today's best" : "Best"}: <b>${fmtPts(sc.best)}</b> · ${sc.runs} run${sc.runs === 1 ? "" : "s"}</span>
+      </button>`;
+    })
+    .join("");
+
+  openSheet(
+    "Game modes",
+    `
+    <div class="modeList">${cards}</div>
+    <div class="btnRow">
+      <button class="pill" id="backMenu">Back</button>
+    </div>
+  `,
+    "modes"
+  );
+
+  $("#backMenu").addEventListener("click", openMainMenu);
+  for (const btn of els.sheetBody.querySelectorAll(".modeCard")) {
+    btn.addEventListener("click", async () => {
+      const id = btn.dataset.mode;
+      setSelectedMode(id);
+      if (getGameMode(id).daily) await refreshDailyInfo();
+      // Don't throw away a run in progress; the mode starts with the next one.
+      if (isMidRun()) {
+        if (game.mode !== id) toast(`Next run: ${getGameMode(id).label}`);
+        openModesView();
+        return;
+      }
+      resetRun();
+      closeSheet();
+      toast(`${getGameMode(id).label} — go!`);
+    });
+  }
+}
+
+function garageSwatch(it, look) {
+  if (it.slot === "livery") {
+    return `<span class="garageSwatch" style="background:${it.body}"><i style="background:${it.accent}"></i></span>`;
+  }
+  if (it.slot === "underglow") {
+    return it.color
+      ? `<span class="garageSwatch glow" style="background:${look.livery.body}; box-shadow:0 0 0 3px ${it.color}, 0 0 14px 4px ${it.color}"></span>`
+      : `<span class="garageSwatch" style="background:${look.livery.body}"></span>`;
+  }
+  return `<span class="garageSwatch garageShape ${it.id.slice("shape:".length)}" style="background:${look.livery.body}"></span>`;
+}
+
+function openGarageView() {
+  const data = loadGarage();
+  const look = equippedGarage();
+  const coins = Math.floor(profile.coins);
+  const unproven = unprovenGarageItems().length;
+
+  const sections = Object.entries(GARAGE_SLOTS)
+    .map(([slot, title]) => {
+      const cards = GARAGE_ITEMS.filter((it) => it.slot === slot)
+        .map((it) => {
+          const owned = ownsGarageItem(it.id, data);
+          const on = look[slot].id === it.id;
+          const status = on ? "Equipped" : owned ? "Equip" : `🪙 ${it.price}`;
+          const proved = it.price > 0 && owned ? garageProofStatus(it.id, data) : null;
+          const proof = proved ? `<span class="garageProof">${proved === "confirmed" ? "⛓️ on-chain" : "⏳ confirming"}</span>` : "";
+          return `
+          <button class="garageCard${on ? " active" : ""}${!owned && coins < it.price ? " locked" : ""}" data-item="${it.id}">
+            ${garageSwatch(it, look)}
+            <span class="garageLabel">${it.label}</span>
+            <span class="garageStatus">${status}</span>
+            ${proof}
+          </button>`;
+        })
+        .join("");
+      return `<div class="garageSlot">${title}</div><div class="garageGrid">${cards}</div>`;
+    })
+    .join("");
+
+  openSheet(
+    "Garage",
+    `
+    <div class="kv"><div class="k">Coins</div><div class="v">${coins}</div></div>
+    ${sections}
+    ${
+      unproven
+        ? `<div class="commitWrap"><button class="pill primary" id="btnGarageProve">Prove ${unproven} unlock${unproven === 1 ? "" : "s"} on-chain</button></div>`
+        : ""
     }
-  } catch {}
+    <div class="btnRow">
+      <button class="pill" id="backMenu">Back</button>
+    </div>
+  `,
+    "garage"
+  );
+
+  $("#backMenu").addEventListener("click", openMainMenu);
+  $("#btnGarageProve")?.addEventListener("click", () => proveGarageOnchain());
+  for (const btn of els.sheetBody.querySelectorAll(".garageCard")) {
+    btn.addEventListener("click", () => {
+      const id = btn.dataset.item;
+      if (ownsGarageItem(id)) equipGarageItem(id);
+      else if (!buyGarageItem(id)) return;
+      openGarageView();
+    });
+  }
 }
 
+function openAchievementsView({ synced = false } = {}) {
+  const data = loadAchievements();
+  const unproven = unprovenAchievements().length;
+  const got = ACHIEVEMENTS.filter((a) => data.unlocked[a.id]).length;
+  const cards = ACHIEVEMENTS.map((a) => {
+    const at = data.unlocked[a.id];
+    const proved = at ? achievementProofStatus(a.id, data) : null;
+    const proof = proved ? `<span class="achProof">${proved === "confirmed" ? "⛓️ on-chain" : "⏳ confirming"}</span>` : "";
+    return `
+      <div class="achCard${at ? " unlocked" : ""}">
+        <span class="achIcon">${at ? a.icon : "🔒"}</span>
+        <span class="achText">
+          <span class="achLabel">${a.label}</span>
+          <span class="achBlurb">${a.blurb}</span>
+          ${at ? `<span class="achWhen">Unlocked ${new Date(at).toISOString().slice(0, 10)} ${proof}</span>` : ""}
+        </span>
+      </div>`;
+  }).join("");
+
+  openSheet(
+    "Achievements",
+    `
+    <div class="kv"><div class="k">Unlocked</div><div class="v">${got} / ${ACHIEVEMENTS.length}</div></div>
+    <div class="achList">${cards}</div>
+    ${
+      unproven
+        ? `<div class="commitWrap"><button class="pill primary" id="btnAchCommit">Log ${unproven} badge${unproven === 1 ? "" : "s"} on-chain</button></div>`
+        : ""
+    }
+    <div class="btnRow">
+      <button class="pill" id="backMenu">Back</button>
+    </div>
+  `,
+    "achievements"
+  );
+
+  $("#backMenu").addEventListener("click", openMainMenu);
+  $("#btnAchCommit")?.addEventListener("click", () => commitAchievementsOnchain());
+
+  // Pull the wallet's indexed badges once per open; re-render only if they add something.
+  if (account && !synced) {
+    fetchIndexedBadges(account)
+      .then((badges) => {
+        if (mergeIndexedBadges(badges) && isSheetOpen() && els.sheet.dataset.view === "achievements") {
+          openAchievementsView({ synced: true });
+        }
+      })
+      .catch(() => {});
+  }
+}
 
 function openHowView() {
   openSheet(
@@ -2059,6 +2262,73 @@ function openHowView() {
   $("#goBoards").addEventListener("click", openLeaderboardsView);
 }
 
+async function openMyDepositsView(refresh = false) {
+  if (!account) {
+    await connectWallet();
+    if (!account) return;
+  }
+
+  const shell = (body) => `
+    ${body}
+    <div class="btnRow">
+      <button class="pill" id="backMenu">Back</button>
+      <button class="pill" id="depositsRefresh">Refresh</button>
+    </div>`;
+  const wire = () => {
+    $("#backMenu").addEventListener("click", openMainMenu);
+    $("#depositsRefresh").addEventListener("click", () => openMyDepositsView(true));
+  };
+
+  openSheet("My deposits", shell(`<div class="copy"><p>Reading your deposits from Base…</p></div>`), "deposits");
+  wire();
+
+  let data;
+  try {
+    data = await fetchDeposits(account, { refresh });
+  } catch (e) {
+    openSheet("My deposits", shell(`<div class="copy"><p>Couldn't load deposits: ${String(e?.message || e)}</p></div>`), "deposits");
+    wire();
+    return;
+  }
+  if (!isSheetOpen() || els.sheet.dataset.view !== "deposits") return;
+
+  await refreshLbAccess();
+  if (!isSheetOpen() || els.sheet.dataset.view !== "deposits") return;
+
+  const rows = data.deposits
+    .map((d) => {
+      const when = d.timestamp ? new Date(d.timestamp * 1000).toISOString().slice(0, 16).replace("T", " ") : `block ${d.block}`;
+      const href = d.tx ? `${EXPLORER_URL}/tx/${d.tx}` : "";
+      return `
+        <div class="depositRow ${d.rejected ? "failed" : "confirmed"}">
+          <span class="depositPts">${fmtPts(d.pts)} pts</span>
+          <span class="depositStatus">${d.rejected ? `✕ ${d.rejected}` : `week ${d.week || "?"}`}</span>
+          <span class="depositWhen">${when}</span>
+          ${href ? `<a class="depositLink" href="${href}" target="_blank" rel="noopener">↗</a>` : ""}
+        </div>`;
+    })
+    .join("");
+  const pending = getPendingDeposits();
+
+  openSheet(
+    "My deposits",
+    shell(`
+    ${renderLbAccessCard()}
+
+    <div class="depositsCard">
+      <div class="depositsHead">
+        <span class="depositsTitle">${data.deposits.length} deposit${data.deposits.length === 1 ? "" : "s"} · ${fmtPts(data.countedPoints)} pts</span>
+        ${pending.length ? `<span class="depositsPending">${fmtPts(pendingDepositPoints())} pts pending</span>` : ""}
+        ${data.partial ? '<span class="depositsPending">Older history not scanned</span>' : ""}
+      </div>
+      ${rows || '<div class="depositRow"><span class="depositPts">No deposits yet</span></div>'}
+    </div>
+  `),
+    "deposits"
+  );
+  wire();
+}
+
 let boardsInFlight = false;
 
 function topN(list, n) {
@@ -2091,18 +2361,13 @@ function setShareCount(n) {
   return v;
 }
 
-function _utcDayKey(ts = Date.now()) {
-  // YYYY-MM-DD in UTC
-  return new Date(ts).toISOString().slice(0, 10);
-}
-
 /**
  * Enforce daily share window.
  * Resets share count when the UTC day changes.
  */
 function ensureDailyShareReset() {
   try {
-    const today = _utcDayKey();
+    const today = utcDayKey();
     const stored = localStorage.getItem(LS_SHARE_DAY_UTC) || "";
     if (stored !== today) {
       localStorage.setItem(LS_SHARE_DAY_UTC, today);
@@ -2393,6 +2658,12 @@ async function openLeaderboardsView(forceRefresh = false) {
     "Leaderboards",
     `
     <div class="boardsNotice" id="boardsNotice" aria-live="polite"></div>
+    <div class="boardsPicker">
+      <label for="boardsWeek">Season</label>
+      <select id="boardsWeek" disabled>
+        <option value="live">This week + last week</option>
+      </select>
+    </div>
     <div class="btnRow" style="margin-top:12px">
       <button class="pill" id="backMenu">Back</button>
       <div class="shareBlock">
@@ -2417,7 +2688,8 @@ async function openLeaderboardsView(forceRefresh = false) {
 
   try {
     const data = await fetchLeaderboard({ refresh: forceRefresh, names: false });
-    const { weekStart, prevWeekStart, weeklySorted, prevWeekSorted, you } = data;
+    const { weekStart, prevWeekStart, weeklySorted, prevWeekSorted, allTimeSorted, historyWeeks, meta, you } = data;
+    const counts = (meta && meta.counts) || {};
 
     const weekLabel = new Date(weekStart).toISOString().slice(0, 10);
     const lastWeekLabel = new Date(prevWeekStart).toISOString().slice(0, 10);
@@ -2464,8 +2736,11 @@ const yourWeeklyPts = apiWeeklyPts != null ? apiWeeklyPts : weeklyIndex >= 0 ? w
       const showFullAddr = !!opts.showFullAddr;
       const colorMode = opts.colorMode || null; // "text" | "bg" | "row" | null
 
+      const me = account ? account.toLowerCase() : "";
       const rows = await Promise.all(
-        items.map(async (x, i) => {
+        items.map(async (x, idx) => {
+          // Pages carry their absolute rank; the first page is simply in order.
+          const i = (x.rank || idx + 1) - 1;
           const nameRaw = (typeof x.name === "string" && x.name && !String(x.name).includes("[object Object]")) ? x.name : await displayNameFor(x.addr);
           const nameStr = String(nameRaw || "");
           const isFullAddr = /^0x[a-fA-F0-9]{40}$/.test(nameStr);
@@ -2499,8 +2774,10 @@ const yourWeeklyPts = apiWeeklyPts != null ? apiWeeklyPts : weeklyIndex >= 0 ? w
             isFullAddr && showFullAddr ? "addrBreak" : ""
           ].filter(Boolean).join(" ");
 
+          const isMe = me && String(x.addr).toLowerCase() === me;
+
           return `
-            <div class="entry${colorMode === "row" ? " entryRow" : ""}"${entryStyleAttr}>
+            <div class="entry${colorMode === "row" ? " entryRow" : ""}${isMe ? " entryMe" : ""}"${entryStyleAttr}>
               <div class="left">
                 <div class="rankBadge">#${i + 1}</div>
                 <div class="${addrClasses}"${titleAttr}${styleAttr}>${display}</div>
@@ -2513,6 +2790,75 @@ const yourWeeklyPts = apiWeeklyPts != null ? apiWeeklyPts : weeklyIndex >= 0 ? w
       return rows.join("");
     };
 
+    const boardTitleRight = (players) =>
+      `<div class="boardTitleRight">${players ? `<span>${players} players</span>` : ""}${
+        account ? `<button class="pill jumpMe" type="button">Jump to me</button>` : ""
+      }</div>`;
+
+    // Infinite scroll + "Jump to me" for one rendered board.
+    // query picks the board server-side: { board } or { week }.
+    const wireBoard = (boardEl, { query, loaded, total, listOpts }) => {
+      const list = boardEl && boardEl.querySelector(".boardList");
+      if (!list) return;
+      const PAGE = 50;
+      let next = loaded;
+      let end = Math.max(total || 0, loaded);
+      let busy = false;
+
+      const loadMore = async () => {
+        if (busy || next >= end) return;
+        busy = true;
+        try {
+          const page = await fetchLeaderboardPage({ ...query, offset: next, limit: PAGE });
+          if (page.entries.length) list.insertAdjacentHTML("beforeend", await renderList(page.entries, listOpts));
+          next += page.entries.length;
+          end = page.entries.length ? page.total : next;
+        } catch (_) {
+          // keep what we have; scrolling again retries
+        } finally {
+          busy = false;
+        }
+      };
+      list.addEventListener("scroll", () => {
+        if (list.scrollTop + list.clientHeight >= list.scrollHeight - 80) loadMore();
+      });
+
+      const jump = boardEl.querySelector(".jumpMe");
+      if (!jump) return;
+      const topHtml = list.innerHTML;
+      const topNext = next;
+      let jumped = false;
+      jump.addEventListener("click", async () => {
+        if (jumped) {
+          list.innerHTML = topHtml;
+          next = topNext;
+          list.scrollTop = 0;
+          jump.textContent = "Jump to me";
+          jumped = false;
+          return;
+        }
+        jump.disabled = true;
+        try {
+          const page = await fetchLeaderboardPage({ ...query, around: account, radius: 10 });
+          if (!page.rank) {
+            toast("You're not on this board yet");
+            return;
+          }
+          list.innerHTML = await renderList(page.entries, listOpts);
+          next = page.offset + page.entries.length;
+          end = page.total;
+          const mine = list.querySelector(".entryMe");
+          if (mine) list.scrollTop = mine.offsetTop - list.offsetTop - list.clientHeight / 2;
+          jump.textContent = "Back to top";
+          jumped = true;
+        } catch (e) {
+          toast(e?.message ? String(e.message) : "Could not load your rank");
+        } finally {
+          jump.disabled = false;
+        }
+      });
+    };
+
     const weeklyHtml = await renderList(weeklyTop, { colorMode: "text" });
         const winnersHtml =
       lastWinners.length === 0
@@ -2521,7 +2867,7 @@ const yourWeeklyPts = apiWeeklyPts != null ? apiWeeklyPts : weeklyIndex >= 0 ? w
 
     $("#boards").innerHTML = `
       <div class="board">
-        <div class="boardTitle"><div>Weekly (since ${weekLabel} UTC) <span class="weekCountdownWrap">(<canvas id="weekCountdownBoardsSeg" class="segCanvas" aria-label="Week remaining"></canvas>)</span></div><div>Top 100</div></div>
+        <div class="boardTitle"><div>Weekly (since ${weekLabel} UTC) <span class="weekCountdownWrap">(<canvas id="weekCountdownBoardsSeg" class="segCanvas" aria-label="Week remaining"></canvas>)</span></div>${boardTitleRight(counts.weeklyPlayers)}</div>
         <div class="boardList">${weeklyHtml || `<div class="copy">No entries yet.</div>`}</div>
         <div class="subcopy">
           ${
@@ -2537,12 +2883,115 @@ const yourWeeklyPts = apiWeeklyPts != null ? apiWeeklyPts : weeklyIndex >= 0 ? w
       </div>
 
       <div class="board winners">
-        <div class="boardTitle"><div>Last week (since ${lastWeekLabel} UTC)</div><div>Top 100</div></div>
+        <div class="boardTitle"><div>Last week (since ${lastWeekLabel} UTC)</div>${boardTitleRight(counts.lastWeekPlayers)}</div>
         ${winnersHtml}
       </div>
     `;
 
-    startWeekCountdown();
+    const liveHtml = $("#boards").innerHTML;
+    const showLive = () => {
+      $("#boards").innerHTML = liveHtml;
+      const [weeklyEl, lastEl] = document.querySelectorAll("#boards .board");
+      wireBoard(weeklyEl, {
+        query: { board: "weekly" },
+        loaded: weeklyTop.length,
+        total: counts.weeklyPlayers,
+        listOpts: { colorMode: "text" }
+      });
+      wireBoard(lastEl, {
+        query: { board: "lastWeek" },
+        loaded: lastWinners.length,
+        total: counts.lastWeekPlayers,
+        listOpts: { showFullAddr: true, colorMode: "row" }
+      });
+      startWeekCountdown();
+    };
+    showLive();
+
+    // Week picker: live view, all-time, or any archived week.
+    const renderSingleBoard = async (title, items, yourRank, players, noRankLine = "No on-chain points found for your address.") => {
+      const listHtml = await renderList(topN(items, 100), { colorMode: "text" });
+      const youLine = !account
+        ? "Connect wallet to see your rank."
+        : yourRank && yourRank.rank
+          ? `You: #${yourRank.rank} (${fmtPts(BigInt(yourRank.points))})${yourRank.rank > 100 ? " — outside top 100" : ""}`
+          : noRankLine;
+      return `
+        <div class="board">
+          <div class="boardTitle"><div>${title}</div>${boardTitleRight(players)}</div>
+          <div class="boardList">${listHtml || `<div class="copy">No entries.</div>`}</div>
+          <div class="subcopy">${youLine}</div>
+        </div>
+      `;
+    };
+
+    const picker = $("#boardsWeek");
+    const liveDays = [weekLabel, lastWeekLabel];
+    picker.innerHTML = [
+      `<option value="live">This week + last week</option>`,
+      `<option value="daily">Daily challenge (today)</option>`,
+      `<option value="all">All-time</option>`,
+      ...historyWeeks
+        .filter((d) => !liveDays.includes(d))
+        .map((d) => `<option value="${d}">Week of ${d}</option>`)
+    ].join("");
+    picker.disabled = false;
+    picker.addEventListener("change", async () => {
+      const v = picker.value;
+      if (v === "live") {
+        showLive();
+        return;
+      }
+      if (v === "daily") {
+        $("#boards").innerHTML = `<div class="copy">Loading today's challenge…</div>`;
+        try {
+          const page = await fetchLeaderboardPage({ board: "daily", offset: 0, limit: 100 });
+          if (picker.value !== v) return;
+          const title = `Daily challenge ${page.day || utcDayKey()} <span class="weekCountdownWrap">(<canvas id="dailyCountdownBoardsSeg" class="segCanvas" aria-label="Day remaining"></canvas>)</span>`;
+          $("#boards").innerHTML = await renderSingleBoard(title, page.entries, you && you.daily, page.total, "No daily run posted yet today.");
+          wireBoard($("#boards .board"), {
+            query: { board: "daily" },
+            loaded: page.entries.length,
+            total: page.total,
+            listOpts: { colorMode: "text" }
+          });
+          startWeekCountdown();
+        } catch (err) {
+          if (picker.value !== v) return;
+          $("#boards").innerHTML = `<div class="copy">Could not load the daily board. ${
+            err?.message ? `<br/><span class="mono">${String(err.message)}</span>` : ""
+          }</div>`;
+        }
+        return;
+      }
+      if (v === "all") {
+        $("#boards").innerHTML = await renderSingleBoard("All-time", allTimeSorted, you && you.allTime, counts.allTimePlayers);
+        wireBoard($("#boards .board"), {
+          query: { board: "allTime" },
+          loaded: Math.min(allTimeSorted.length, 100),
+          total: counts.allTimePlayers,
+          listOpts: { colorMode: "text" }
+        });
+        return;
+      }
+      $("#boards").innerHTML = `<div class="copy">Loading week of ${v}…</div>`;
+      try {
+        const wk = await fetchLeaderboardWeek(v);
+        if (picker.value !== v) return;
+        $("#boards").innerHTML = await renderSingleBoard(`Week of ${v} UTC`, wk.sorted, wk.you && wk.you.weekly, wk.players);
+        wireBoard($("#boards .board"), {
+          query: { week: v },
+          loaded: Math.min(wk.sorted.length, 100),
+          total: wk.players,
+          listOpts: { colorMode: "text" }
+        });
+      } catch (err) {
+        if (picker.value !== v) return;
+        $("#boards").innerHTML = `<div class="copy">Could not load that week. ${
+          err?.message ? `<br/><span class="mono">${String(err.message)}</span>` : ""
+        }</div>`;
+      }
+    });
   } catch (e) {
     $("#boards").innerHTML = `<div class="copy">Could not load on-chain logs. Try Refresh. ${
       e?.message ? `<br/><span class="mono">${String(e.message)}</span>` : ""
@@ -2552,1127 +3001,6 @@ const yourWeeklyPts = apiWeeklyPts != null ? apiWeeklyPts : weeklyIndex >= 0 ? w
   }
 }
 
-// =====================================================
-// Canvas sizing
-// =====================================================
-const ctx = els.c.getContext("2d");
-
-function resize() {
-  const wrap = els.c.parentElement;
-  const w = Math.floor(wrap.clientWidth);
-  const h = Math.floor(wrap.clientHeight);
-  const dpr = Math.min(2, window.devicePixelRatio || 1);
-  els.c.width = Math.floor(w * dpr);
-  els.c.height = Math.floor(h * dpr);
-  els.c.style.width = `${w}px`;
-  els.c.style.height = `${h}px`;
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-}
-window.addEventListener("resize", resize);
-resize();
-
-// =====================================================
-// Render + update
-// =====================================================
-function renderHud() {
-  els.runScore.textContent = String(Math.floor(game.runScore));
-  els.coins.textContent = String(Math.floor(profile.coins));
-  els.bankPoints.textContent = String(Math.floor(profile.bankPoints));
-  els.boost.textContent = boostCountdownText() + powerupCountdownText(game.t);
-}
-
-function laneGeometry() {
-  const wrap = els.c;
-  const w = wrap.clientWidth;
-  const h = wrap.clientHeight;
-
-  // Road is intentionally wide (fills screen), but "drive lanes" are kept within a slightly narrower inner region
-  // so:
-  // 1) outer-lane cars don't ride on the edge lines / rounded corners
-  // 2) lane-to-lane distance doesn't feel too big on large screens
-  const roadW = Math.min(440, w * 0.88);
-  const roadH = h * 0.92;
-  const roadX = (w - roadW) / 2;
-  const roadY = (h - roadH) / 2 + 2;
-
-  const cornerR = 26;
-
-  const lanes = 4;
-
-  // Clamp lane width on large canvases so lane switching feels natural.
-  const laneWRaw = roadW / lanes;
-  const laneW = Math.min(92, laneWRaw);
-
-  // Inner drive region (centered), creating "shoulders" near the edges.
-  const lanesW = laneW * lanes;
-  const lanesX = roadX + (roadW - lanesW) / 2;
-
-  // Spawn/movement safe vertical area (avoid rounded corners at top/bottom)
-  const safeTop = roadY + cornerR + 6;
-  const safeBottom = roadY + roadH - cornerR - 6;
-
-  return { w, h, roadX, roadY, roadW, roadH, lanes, laneW, lanesX, lanesW, cornerR, safeTop, safeBottom };
-}
-
-function laneCenterX(g, laneIndex) {
-  return g.lanesX + g.laneW * (laneIndex + 0.5);
-}
-
-function spawnObstacle() {
-  const g = laneGeometry();
-  const lane = randInt(0, 3);
-  const size = Math.max(36, Math.min(56, g.laneW * 0.55));
-  const w = Math.max(28, size * 0.82);
-  const h = Math.max(40, size * 1.18);
-
-  const ENEMY_COLORS = [
-    "rgba(255,80,120,0.95)",
-    "rgba(255,188,64,0.95)",
-    "rgba(160,110,255,0.95)",
-    "rgba(60,220,160,0.95)",
-    "rgba(90,190,255,0.95)"
-  ];
-  const color = ENEMY_COLORS[randInt(0, ENEMY_COLORS.length - 1)];
-
-  game.obstacles.push({ lane, y: g.safeTop - h - 8, size, w, h, color });
-}
-
-function spawnCoin() {
-  const g = laneGeometry();
-  const lane = randInt(0, 3);
-  const x = laneCenterX(g, lane);
-
-  // Normal coin (+1) + bonus coins (5x/10x/100x)
-  const r = 10;
-  let kind = "coin";
-  let value = 1;
-
-  const roll = Math.random();
-  // 8% => 5x, 1.5% => 10x, 0.5% => 100x
-  if (roll < 0.08) {
-    kind = "bonus";
-    value = 5;
-  } else if (roll < 0.095) {
-    kind = "bonus";
-    value = 10;
-  } else if (roll < 0.10) {
-    kind = "bonus";
-    value = 100;
-  }
-
-  game.coins.push({ lane, x, y: g.safeTop - 24, r, kind, value });
-}
-
-function spawnPowerUp() {
-  const g = laneGeometry();
-  const lane = randInt(0, 3);
-  const x = laneCenterX(g, lane);
-  const y = g.safeTop - 28;
-
-  // Weighted random selection
-  const roll = Math.random();
-  // 40% magnet, 35% slow, 15% shield, 10% double-lane
-  let kind = "magnet";
-  if (roll < 0.40) kind = "magnet";
-  else if (roll < 0.75) kind = "slow";
-  else if (roll < 0.90) kind = "shield";
-  else kind = "dbl";
-
-  game.coins.push({ lane, x, y, r: 12, kind, value: 0 });
-}
-
-// NOTE: Game powerups use simulation time (game.t) in **seconds**.
-// Keeping everything on the same timebase prevents "phantom shield" / wrong countdowns.
-function isMagnetOn(now = game.t) {
-  return !!game.magnetUntil && now < game.magnetUntil;
-}
-function isSlowOn(now = game.t) {
-  return !!game.slowUntil && now < game.slowUntil;
-}
-function isShieldOn(now = game.t) {
-  return !!game.shieldUntil && now < game.shieldUntil;
-}
-function isDoubleLaneOn(now = game.t) {
-  return !!game.dblUntil && now < game.dblUntil;
-}
-
-// Safety: if any timer is accidentally set with the wrong unit (ms vs sec),
-// clamp it so it can't become "permanent" until refresh.
-function sanitizePowerups(now = game.t) {
-  const clamp = (val, maxSec) => {
-    if (!val || !isFinite(val)) return 0;
-    // already expired
-    if (val <= now) return 0;
-    // wrong unit or corrupted (too far in the future)
-    if (val - now > maxSec + 1) return now + maxSec;
-    return val;
-  };
-
-  game.magnetUntil = clamp(game.magnetUntil, 7);
-  game.slowUntil = clamp(game.slowUntil, 6.5);
-  game.shieldUntil = clamp(game.shieldUntil, 20);
-  game.dblUntil = clamp(game.dblUntil, 9);
-}
-
-function powerupCountdownText(now = game.t) {
-  const parts = [];
-  const sec = (s) => Math.max(0, Math.ceil(s));
-  if (isMagnetOn(now)) parts.push(`Mag ${sec(game.magnetUntil - now)}s`);
-  if (isSlowOn(now)) parts.push(`Slow ${sec(game.slowUntil - now)}s`);
-  if (isShieldOn(now)) parts.push(`Shield ${sec(game.shieldUntil - now)}s`);
-  if (isDoubleLaneOn(now)) parts.push(`Jump2 ${sec(game.dblUntil - now)}s`);
-  return parts.length ? " | " + parts.join(" | ") : "";
-}
-
-
-function rectsOverlap(a, b) {
-  return !(a.x + a.w < b.x || a.x > b.x + b.w || a.y + a.h < b.y || a.y > b.y + b.h);
-}
-
-function update(dt) {
-  applyDecay();
-  computeBoost();
-
-  if (game.over) return;
-
-  game.t += dt;
-  game.speed = Math.min(3.2, game.speed + dt * 0.03);
-
-  game.runScore += dt * (8 + game.speed * 5) * profile.boostMult;
-
-  // Use simulation time (game.t) for all timers so behavior is stable on low-end devices.
-  const now = game.t;
-  sanitizePowerups(now);
-
-  // Obstacles: catch up on slow frames (cap spawns per tick to avoid "spawn floods")
-  const spawnInterval = Math.max(0.28, (650 - game.speed * 80) / 1000);
-  if (now - game.lastSpawnAt > spawnInterval) {
-    let guard = 0;
-    while (now - game.lastSpawnAt > spawnInterval && guard++ < 3) {
-      game.lastSpawnAt += spawnInterval;
-      spawnObstacle();
-    }
-  }
-
-  // Coins: get a little more frequent as speed increases so long runs still feel rewarding
-  const coinInterval = Math.max(0.70, (1200 - game.speed * 140) / 1000);
-  if (now - game.lastCoinAt > coinInterval) {
-    let guard = 0;
-    while (now - game.lastCoinAt > coinInterval && guard++ < 3) {
-      game.lastCoinAt += coinInterval;
-      // keep some RNG so it doesn't become a wall of coins
-      if (Math.random() < 0.82) spawnCoin();
-    }
-  }
-
-  // Powerups spawn a bit slower & rarer than normal coins
-  // + "pity" timer: if you survive a long time and RNG is unlucky, we still force a powerup occasionally.
-  const powerInterval = Math.max(2.30, (3500 - game.speed * 220) / 1000); // gets slightly faster later
-  if (now - game.lastPowerAt > powerInterval) {
-    game.lastPowerAt = now;
-
-    const sinceSpawn = now - (game.lastPowerSpawnedAt || 0);
-    const force = sinceSpawn > 9.0; // guarantee at least 1 powerup every ~9s
-    const chance = 0.33; // baseline
-
-    if (force || Math.random() < chance) {
-      spawnPowerUp();
-      game.lastPowerSpawnedAt = now;
-    }
-  }
-
-  const g = laneGeometry();
-
-  // Smooth lane transitions:
-  // - Input switches game.lane immediately (responsive)
-  // - Rendering/collision use game.playerX that eases toward the lane center (smooth)
-  const targetX = laneCenterX(g, game.lane);
-  if (game.playerX == null || !isFinite(game.playerX)) game.playerX = targetX;
-
-  // Time constant controls "snappiness": smaller = faster, larger = smoother.
-  const tau = 0.06; // seconds (faster lane change, still smooth)
-  const alpha = 1 - Math.exp(-dt / tau);
-  game.playerX += (targetX - game.playerX) * alpha;
-
-  if (Math.abs(targetX - game.playerX) < 0.25) game.playerX = targetX;
-
-  // collision rect for the player (consistent with drawn car)
-  const carW = Math.max(36, Math.min(60, g.laneW * 0.62));
-  const carH = carW * 1.30;
-  const carX = (game.playerX ?? laneCenterX(g, game.lane)) - carW / 2;
-  const carY = g.safeBottom - carH - 14;
-  const carRect = { x: carX, y: carY, w: carW, h: carH };
-
-  const obsSpeed = (220 + game.speed * 90) * (isSlowOn(now) ? 0.55 : 1.0) * dt;
-  for (const o of game.obstacles) o.y += obsSpeed;
-
-  const coinSpeed = (190 + game.speed * 70) * dt;
-  const carCx = carRect.x + carRect.w / 2;
-  const carCy = carRect.y + carRect.h / 2;
-
-  for (const c of game.coins) {
-    // Base down movement for everything collectible
-    c.y += coinSpeed;
-
-    // Magnet only pulls coins/bonus coins (not powerups)
-    if (isMagnetOn(now) && (c.kind === "coin" || c.kind === "bonus")) {
-      const dx = carCx - (c.x ?? laneCenterX(g, c.lane));
-      const dy = carCy - c.y;
-      const dist = Math.max(1, Math.sqrt(dx * dx + dy * dy));
-      const pull = 520 * dt; // px per second scaled by dt
-      const step = Math.min(pull, dist);
-      const ux = dx / dist;
-      const uy = dy / dist;
-      c.x = (c.x ?? laneCenterX(g, c.lane)) + ux * step;
-      c.y = c.y + uy * step * 0.65;
-    }
-  }
-
-  // ✅ collisions (shield-aware)
-  // If shield is active: you DON'T die on crash; we just "bounce" the obstacle away.
-  const shieldActive = isShieldOn(now);
-  const keptObstacles = [];
-  for (const o of game.obstacles) {
-    const ow = o.w ?? o.size;
-    const oh = o.h ?? o.size;
-    const ox = laneCenterX(g, o.lane) - ow / 2;
-    const oy = o.y;
-    const r = { x: ox, y: oy, w: ow, h: oh };
-
-    if (rectsOverlap(carRect, r)) {
-      if (shieldActive) {
-        // shield eats the collision (no game over)
-        vibrate([18, 40, 18]);
-        toast("🛡 Shield blocked a crash!", 650);
-        // don't keep this obstacle to avoid repeated overlap in next frames
-        continue;
-      }
-
-      crashVibe();
-      game.over = true;
-      stopBgm();
-      toast("Crash! Save or restart", 2200);
-      break;
-    }
-
-    keptObstacles.push(o);
-  }
-
-  // If we didn't die, update obstacle list (removes ones that hit shield)
-  if (!game.over) game.obstacles = keptObstacles;
-
-  // coin pickup
-  const keptCoins = [];
-  for (const c of game.coins) {
-    const cx = c.x ?? laneCenterX(g, c.lane);
-    const cy = c.y;
-    const dx = carRect.x + carRect.w / 2 - cx;
-    const dy = carRect.y + carRect.h / 2 - cy;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    if (dist < carRect.w * 0.45 + c.r) {
-      if (c.kind === "coin" || c.kind === "bonus") {
-        profile.coins += c.value || 1;
-        playCoinSfx();
-        persistProfile();
-        continue;
-      }
-      // Powerups
-      if (c.kind === "magnet") {
-        game.magnetUntil = now + 7; // seconds
-        toast("🧲 Magnet ON! Coins will pull to you.");
-        continue;
-      }
-      if (c.kind === "slow") {
-        game.slowUntil = now + 6.5; // seconds
-        toast("🐢 Slow motion! Enemies are slower.");
-        continue;
-      }
-      if (c.kind === "shield") {
-        game.shieldUntil = now + 20; // seconds
-        toast("🛡 Shield ON! 20s no-crash.");
-        continue;
-      }
-      if (c.kind === "dbl") {
-        game.dblUntil = now + 9; // seconds
-        toast("⏩ Double-lane move ON! 9s.");
-        continue;
-      }
-      continue;
-    }
-    keptCoins.push(c);
-  }
-  game.coins = keptCoins;
-
-  game.obstacles = game.obstacles.filter((o) => o.y < g.safeBottom + 120);
-  game.coins = game.coins.filter((c) => c.y < g.safeBottom + 100);
-}
-
-// =====================================================
-// NEO-BRUTALISM RACING VISUALS (v3)
-// Gameplay logic untouched — pure render overhaul.
-// Warm, eye-friendly palette for long play sessions.
-// =====================================================
-
-function drawRoundedRect(x, y, w, h, r) {
-  const rr = Math.min(r, w / 2, h / 2);
-  ctx.beginPath();
-  ctx.moveTo(x + rr, y);
-  ctx.lineTo(x + w - rr, y);
-  ctx.quadraticCurveTo(x + w, y, x + w, y + rr);
-  ctx.lineTo(x + w, y + h - rr);
-  ctx.quadraticCurveTo(x + w, y + h, x + w - rr, y + h);
-  ctx.lineTo(x + rr, y + h);
-  ctx.quadraticCurveTo(x, y + h, x, y + h - rr);
-  ctx.lineTo(x, y + rr);
-  ctx.quadraticCurveTo(x, y, x + rr, y);
-  ctx.closePath();
-}
-
-// Sharp rect (brutalism — hard corners)
-function drawSharpRect(x, y, w, h) {
-  ctx.beginPath();
-  ctx.rect(x, y, w, h);
-  ctx.closePath();
-}
-
-// =====================================================
-// PREMIUM TOP-DOWN CAR (Neo-Brutalism racing style)
-// Thick black outlines, flat panel colors with subtle gradient,
-// chunky mechanical details — top-notch design.
-// =====================================================
-function drawCarTopDown(x, y, w, h, bodyColor, opts = {}) {
-  ctx.save();
-
-  if (!isFinite(x) || !isFinite(y) || !isFinite(w) || !isFinite(h) || w <= 0 || h <= 0) {
-    ctx.restore();
-    return;
-  }
-
-  const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
-  const INK = "#0d0d14";
-  const CHROME = "#8a8578";
-  const CHROME_HI = "#c7c2b0";
-  const GLASS_DARK = "#16162a";
-  const GLASS_MID = "#1f1f38";
-  const accentColor = opts.accent || "#f7d046";
-  const isRival = !!opts.rival;
-
-  // ---------- Ground shadow (hard offset — brutalism) ----------
-  ctx.fillStyle = "rgba(0,0,0,0.55)";
-  drawRoundedRect(x + w * 0.10, y + h * 0.12, w * 0.82, h * 0.88, Math.max(6, w * 0.18));
-  ctx.fill();
-
-  // ---------- Body geometry ----------
-  const bx = x + w * 0.11;
-  const bw = w * 0.78;
-  const by = y + h * 0.04;
-  const bh = h * 0.93;
-
-  // Aggressive tapered silhouette
-  const noseInset = bw * 0.14;   // sharp pointed nose
-  const shoulderOut = w * 0.025; // muscular shoulders
-  const tailInset = bw * 0.06;
-
-  // ---------- Wheel arches (bold black fenders) ----------
-  const wellW = w * 0.095;
-  const wellH = h * 0.20;
-  ctx.fillStyle = INK;
-  // front-left, front-right, rear-left, rear-right arches
-  drawRoundedRect(x + w * 0.005, y + h * 0.15, wellW + 2, wellH, 3); ctx.fill();
-  drawRoundedRect(x + w - wellW - w * 0.005 - 2, y + h * 0.15, wellW + 2, wellH, 3); ctx.fill();
-  drawRoundedRect(x + w * 0.005, y + h * 0.62, wellW + 2, wellH, 3); ctx.fill();
-  drawRoundedRect(x + w - wellW - w * 0.005 - 2, y + h * 0.62, wellW + 2, wellH, 3); ctx.fill();
-
-  // Tire treads (chunky detailing)
-  ctx.fillStyle = "#1a1a24";
-  const tireInsetX = w * 0.018;
-  const tireInsetY = h * 0.018;
-  [[x + w * 0.005 + tireInsetX, y + h * 0.15 + tireInsetY],
-   [x + w - wellW - w * 0.005 - 2 + tireInsetX, y + h * 0.15 + tireInsetY],
-   [x + w * 0.005 + tireInsetX, y + h * 0.62 + tireInsetY],
-   [x + w - wellW - w * 0.005 - 2 + tireInsetX, y + h * 0.62 + tireInsetY]]
-  .forEach(([tx, ty]) => {
-    drawRoundedRect(tx, ty, wellW - tireInsetX * 2 + 2, wellH - tireInsetY * 2, 2);
-    ctx.fill();
-    // tread lines
-    ctx.save();
-    ctx.strokeStyle = "rgba(255,255,255,0.07)";
-    ctx.lineWidth = 1;
-    for (let i = 1; i < 4; i++) {
-      const ly = ty + ((wellH - tireInsetY * 2) / 4) * i;
-      ctx.beginPath();
-      ctx.moveTo(tx + 2, ly);
-      ctx.lineTo(tx + wellW - tireInsetX * 2 - 2 + 2, ly);
-      ctx.stroke();
-    }
-    ctx.restore();
-  });
-
-  // Chrome rim highlight (subtle metallic)
-  ctx.fillStyle = CHROME;
-  const rimW = wellW * 0.42, rimH = wellH * 0.32;
-  [[x + w * 0.005 + (wellW - rimW) / 2, y + h * 0.15 + (wellH - rimH) / 2],
-   [x + w - wellW - w * 0.005 - 2 + (wellW - rimW) / 2, y + h * 0.15 + (wellH - rimH) / 2],
-   [x + w * 0.005 + (wellW - rimW) / 2, y + h * 0.62 + (wellH - rimH) / 2],
-   [x + w - wellW - w * 0.005 - 2 + (wellW - rimW) / 2, y + h * 0.62 + (wellH - rimH) / 2]]
-  .forEach(([rx, ry]) => {
-    drawRoundedRect(rx, ry, rimW, rimH, 1.5);
-    ctx.fill();
-  });
-
-  // ---------- Main body silhouette (aggressive muscle car) ----------
-  ctx.beginPath();
-  // sharp front nose
-  ctx.moveTo(bx + noseInset, by);
-  ctx.lineTo(bx + bw - noseInset, by);
-  // front shoulder bulge
-  ctx.quadraticCurveTo(bx + bw + shoulderOut, by + bh * 0.12, bx + bw, by + bh * 0.30);
-  // body side
-  ctx.lineTo(bx + bw - tailInset * 0.3, by + bh * 0.80);
-  // rear corner
-  ctx.quadraticCurveTo(bx + bw, by + bh * 0.94, bx + bw - tailInset, by + bh);
-  ctx.lineTo(bx + tailInset, by + bh);
-  ctx.quadraticCurveTo(bx, by + bh * 0.94, bx + tailInset * 0.3, by + bh * 0.80);
-  ctx.lineTo(bx, by + bh * 0.30);
-  ctx.quadraticCurveTo(bx - shoulderOut, by + bh * 0.12, bx + noseInset, by);
-  ctx.closePath();
-
-  // Flat body color with subtle panel shading
-  const base = String(bodyColor || "#ef476f");
-  const bodyGrad = ctx.createLinearGradient(bx, by, bx + bw, by + bh);
-  bodyGrad.addColorStop(0, _shade(base, -0.12));
-  bodyGrad.addColorStop(0.5, base);
-  bodyGrad.addColorStop(1, _shade(base, -0.18));
-  ctx.fillStyle = bodyGrad;
-  ctx.fill();
-
-  // BRUTAL thick black outline
-  ctx.lineWidth = clamp(w * 0.06, 2, 3.8);
-  ctx.strokeStyle = INK;
-  ctx.lineJoin = "miter";
-  ctx.stroke();
-
-  // ---------- Racing stripes (twin stripes — iconic gaming) ----------
-  ctx.save();
-  ctx.fillStyle = accentColor;
-  const stripeW = bw * 0.08;
-  const stripeGap = bw * 0.04;
-  // two stripes running length of body
-  ctx.fillRect(bx + bw * 0.5 - stripeW - stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
-  ctx.fillRect(bx + bw * 0.5 + stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
-  // black outlines on stripes
-  ctx.strokeStyle = INK;
-  ctx.lineWidth = 1.2;
-  ctx.strokeRect(bx + bw * 0.5 - stripeW - stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
-  ctx.strokeRect(bx + bw * 0.5 + stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
-  ctx.restore();
-
-  // ---------- Hood scoop (aggressive detail) ----------
-  ctx.save();
-  ctx.fillStyle = INK;
-  const scoopW = bw * 0.28;
-  const scoopH = bh * 0.08;
-  drawRoundedRect(bx + (bw - scoopW) / 2, by + bh * 0.12, scoopW, scoopH, 3);
-  ctx.fill();
-  // inner scoop highlight (looks like air intake)
-  ctx.fillStyle = "#2a2a3a";
-  drawRoundedRect(bx + (bw - scoopW) / 2 + 3, by + bh * 0.12 + 2, scoopW - 6, scoopH - 4, 2);
-  ctx.fill();
-  // twin mini vents
-  ctx.fillStyle = accentColor;
-  ctx.fillRect(bx + (bw - scoopW) / 2 + scoopW * 0.18, by + bh * 0.12 + scoopH * 0.35, scoopW * 0.12, scoopH * 0.3);
-  ctx.fillRect(bx + (bw - scoopW) / 2 + scoopW * 0.70, by + bh * 0.12 + scoopH * 0.35, scoopW * 0.12, scoopH * 0.3);
-  ctx.restore();
-
-  // ---------- Windshield (chunky trapezoid — glossy dark) ----------
-  const fwY = by + bh * 0.26;
-  const fwH = bh * 0.20;
-  ctx.beginPath();
-  ctx.moveTo(bx + bw * 0.20, fwY);
-  ctx.lineTo(bx + bw * 0.80, fwY);
-  ctx.lineTo(bx + bw * 0.88, fwY + fwH);
-  ctx.lineTo(bx + bw * 0.12, fwY + fwH);
-  ctx.closePath();
-  const glassGrad = ctx.createLinearGradient(0, fwY, 0, fwY + fwH);
-  glassGrad.addColorStop(0, GLASS_DARK);
-  glassGrad.addColorStop(1, GLASS_MID);
-  ctx.fillStyle = glassGrad;
-  ctx.fill();
-  // hard black outline
-  ctx.strokeStyle = INK;
-  ctx.lineWidth = Math.max(1.2, w * 0.022);
-  ctx.stroke();
-  // windshield reflection (diagonal gaming highlight)
-  ctx.save();
-  ctx.clip();
-  ctx.globalAlpha = 0.18;
-  ctx.fillStyle = accentColor;
-  ctx.fillRect(bx + bw * 0.15, fwY, bw * 0.25, fwH);
-  ctx.restore();
-
-  // ---------- Roof / cabin ----------
-  const roofY = fwY + fwH;
-  const roofH = bh * 0.18;
-  ctx.beginPath();
-  ctx.moveTo(bx + bw * 0.12, roofY);
-  ctx.lineTo(bx + bw * 0.88, roofY);
-  ctx.lineTo(bx + bw * 0.86, roofY + roofH);
-  ctx.lineTo(bx + bw * 0.14, roofY + roofH);
-  ctx.closePath();
-  ctx.fillStyle = _shade(base, -0.28);
-  ctx.fill();
-  ctx.strokeStyle = INK;
-  ctx.lineWidth = 1.2;
-  ctx.stroke();
-
-  // Side mirrors (small chunky blocks)
-  ctx.fillStyle = INK;
-  ctx.fillRect(bx - 2, roofY + roofH * 0.25, 4, 5);
-  ctx.fillRect(bx + bw - 2, roofY + roofH * 0.25, 4, 5);
-
-  // ---------- Rear windshield ----------
-  const rwY = roofY + roofH;
-  const rwH = bh * 0.14;
-  ctx.beginPath();
-  ctx.moveTo(bx + bw * 0.14, rwY);
-  ctx.lineTo(bx + bw * 0.86, rwY);
-  ctx.lineTo(bx + bw * 0.80, rwY + rwH);
-  ctx.lineTo(bx + bw * 0.20, rwY + rwH);
-  ctx.closePath();
-  ctx.fillStyle = GLASS_MID;
-  ctx.fill();
-  ctx.strokeStyle = INK;
-  ctx.lineWidth = 1.2;
-  ctx.stroke();
-
-  // ---------- Headlights (front — crisp squares, not blurry glow) ----------
-  ctx.save();
-  const hlW = bw * 0.14, hlH = bh * 0.045;
-  ctx.fillStyle = "#fff2a8";
-  drawRoundedRect(bx + bw * 0.13, by + bh * 0.04, hlW, hlH, 1.5);
-  ctx.fill();
-  ctx.strokeStyle = INK;
-  ctx.lineWidth = 1.3;
-  ctx.stroke();
-  drawRoundedRect(bx + bw - bw * 0.13 - hlW, by + bh * 0.04, hlW, hlH, 1.5);
-  ctx.fill();
-  ctx.stroke();
-  // inner bright core
-  ctx.fillStyle = "#ffffff";
-  ctx.fillRect(bx + bw * 0.13 + hlW * 0.25, by + bh * 0.04 + hlH * 0.3, hlW * 0.5, hlH * 0.35);
-  ctx.fillRect(bx + bw - bw * 0.13 - hlW + hlW * 0.25, by + bh * 0.04 + hlH * 0.3, hlW * 0.5, hlH * 0.35);
-  ctx.restore();
-
-  // ---------- Taillights (rear — bold red blocks) ----------
-  ctx.save();
-  const tlW = bw * 0.16, tlH = bh * 0.04;
-  ctx.fillStyle = "#ef476f";
-  drawRoundedRect(bx + bw * 0.11, by + bh * 0.92, tlW, tlH, 1.5);
-  ctx.fill();
-  ctx.strokeStyle = INK;
-  ctx.lineWidth = 1.3;
-  ctx.stroke();
-  drawRoundedRect(bx + bw - bw * 0.11 - tlW, by + bh * 0.92, tlW, tlH, 1.5);
-  ctx.fill();
-  ctx.stroke();
-  // center brake light bar
-  ctx.fillStyle = "#ff8fa8";
-  ctx.fillRect(bx + bw * 0.38, by + bh * 0.955, bw * 0.24, bh * 0.012);
-  ctx.restore();
-
-  // ---------- Rear spoiler wing (chunky GT-style) ----------
-  ctx.save();
-  ctx.fillStyle = INK;
-  drawRoundedRect(bx + bw * 0.08, by + bh * 0.985, bw * 0.84, bh * 0.05, 2);
-  ctx.fill();
-  // spoiler supports
-  ctx.fillRect(bx + bw * 0.22, by + bh * 0.96, 4, bh * 0.045);
-  ctx.fillRect(bx + bw - bw * 0.22 - 4, by + bh * 0.96, 4, bh * 0.045);
-  ctx.restore();
-
-  // ---------- Exhaust tips (chrome dots on rear) ----------
-  ctx.save();
-  ctx.fillStyle = CHROME_HI;
-  ctx.strokeStyle = INK;
-  ctx.lineWidth = 1;
-  for (let i = 0; i < 2; i++) {
-    const ex = bx + bw * (0.40 + i * 0.18);
-    drawRoundedRect(ex, by + bh * 1.005, bw * 0.06, bh * 0.02, 1);
-    ctx.fill();
-    ctx.stroke();
-  }
-  ctx.restore();
-
-  // ---------- Rivet/bolt details on hood (gaming detail) ----------
-  ctx.save();
-  ctx.fillStyle = INK;
-  const rivY = by + bh * 0.22;
-  for (let i = 0; i < 4; i++) {
-    const rx = bx + bw * (0.22 + i * 0.19);
-    ctx.beginPath();
-    ctx.arc(rx, rivY, Math.max(1, w * 0.018), 0, Math.PI * 2);
-    ctx.fill();
-  }
-  ctx.restore();
-
-  // Rival car: add angry red accent stripe on sides
-  if (isRival) {
-    ctx.save();
-    ctx.fillStyle = "#ef476f";
-    ctx.fillRect(bx + bw * 0.02, by + bh * 0.48, bw * 0.08, bh * 0.12);
-    ctx.fillRect(bx + bw * 0.90, by + bh * 0.48, bw * 0.08, bh * 0.12);
-    ctx.strokeStyle = INK;
-    ctx.lineWidth = 1;
-    ctx.strokeRect(bx + bw * 0.02, by + bh * 0.48, bw * 0.08, bh * 0.12);
-    ctx.strokeRect(bx + bw * 0.90, by + bh * 0.48, bw * 0.08, bh * 0.12);
-    ctx.restore();
-  }
-
-  ctx.restore();
-}
-
-// Color shade helper — darken/lighten a hex color
-function _shade(hex, amt) {
-  const h = String(hex).replace("#", "");
-  if (h.length !== 6) return hex;
-  const r = parseInt(h.slice(0, 2), 16);
-  const g = parseInt(h.slice(2, 4), 16);
-  const b = parseInt(h.slice(4, 6), 16);
-  const adj = (c) => {
-    const n = Math.round(c + (amt < 0 ? c * amt : (255 - c) * amt));
-    return Math.max(0, Math.min(255, n));
-  };
-  const toHex = (n) => n.toString(16).padStart(2, "0");
-  return `#${toHex(adj(r))}${toHex(adj(g))}${toHex(adj(b))}`;
-}
-
-// Enemy palette — varied brutalist racing colors
-const ENEMY_PALETTE = [
-  "#ef476f", // coral red
-  "#8338ec", // electric purple
-  "#ff6b35", // race orange
-  "#06d6a0", // mint (rare)
-  "#4cc9f0", // soft cyan
-  "#e63946", // deep red
-  "#52b788", // forest
-  "#f77f00"  // amber
-];
-
-function pickEnemyColor(o) {
-  if (o && o.__brutColor) return o.__brutColor;
-  const seed = ((o?.id ?? 0) | 0) + ((o?.lane ?? 0) | 0) * 7 + ((o?.y | 0) % 997);
-  const c = ENEMY_PALETTE[Math.abs(seed) % ENEMY_PALETTE.length];
-  if (o) o.__brutColor = c;
-  return c;
-}
-
-function drawPlayerCarPremium(x, y, w, h) {
-  // Player car: aggressive yellow/orange racing livery with orange underglow
-  ctx.save();
-
-  // Orange underglow (warm, eye-safe — brutalism uses hard offset not soft blur)
-  ctx.save();
-  ctx.globalAlpha = 0.45;
-  const glowGrad = ctx.createRadialGradient(
-    x + w / 2, y + h * 0.98, 0,
-    x + w / 2, y + h * 0.98, Math.max(w, h) * 0.75
-  );
-  glowGrad.addColorStop(0, "rgba(255,107,53,0.6)");
-  glowGrad.addColorStop(0.4, "rgba(247,208,70,0.22)");
-  glowGrad.addColorStop(1, "rgba(0,0,0,0)");
-  ctx.fillStyle = glowGrad;
-  ctx.fillRect(x - w * 0.5, y - h * 0.05, w * 2, h * 1.4);
-  ctx.restore();
-
-  // Player body: champion yellow with orange racing stripes
-  const PLAYER_BODY = "#f7d046";
-  drawCarTopDown(x, y, w, h, PLAYER_BODY, { accent: "#ff6b35" });
-
-  // Bright headlight glow (forward-pointing)
-  ctx.save();
-  ctx.globalAlpha = 0.35;
-  const hlGrad = ctx.createRadialGradient(x + w / 2, y - 4, 0, x + w / 2, y - 4, w * 0.9);
-  hlGrad.addColorStop(0, "rgba(255,250,200,0.7)");
-  hlGrad.addColorStop(1, "rgba(255,250,200,0)");
-  ctx.fillStyle = hlGrad;
-  ctx.fillRect(x - w * 0.3, y - h * 0.25, w * 1.6, h * 0.4);
-  ctx.restore();
-
-  ctx.restore();
-}
-
-// =====================================================
-// SCENE BACKGROUND (grass/city decor cache)
-// =====================================================
-let _grassDecor = { key: "", blobs: [] };
-
-function _hashSeed(str) {
-  let h = 2166136261;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return h >>> 0;
-}
-
-function _mulberry32(seed) {
-  let t = seed >>> 0;
-  return function () {
-    t += 0x6d2b79f5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function ensureGrassDecor(g) {
-  const key = `${Math.round(g.w)}x${Math.round(g.h)}|${Math.round(g.roadX)}|${Math.round(g.roadW)}`;
-  if (_grassDecor.key === key) return;
-  _grassDecor.key = key;
-
-  const rnd = _mulberry32(_hashSeed(key));
-  const blobs = [];
-
-  const sideW = Math.max(0, (g.w - g.roadW) / 2);
-  const count = Math.max(16, Math.floor(g.h / 24));
-
-  for (let i = 0; i < count; i++) {
-    const left = rnd() < 0.5;
-    const xBase = left ? 0 : g.roadX + g.roadW;
-    const x = xBase + rnd() * sideW;
-    const y = rnd() * g.h;
-    // rectangular "billboards" — neo-brutalist
-    const bw = 10 + rnd() * 22;
-    const bh = 14 + rnd() * 28;
-    const kind = rnd(); // 0..1
-    blobs.push({ x, y, bw, bh, kind });
-  }
-
-  _grassDecor.blobs = blobs;
-}
-
-// =====================================================
-// MAIN RENDER — Neo-Brutalism Racing Scene (theme-aware)
-// Reads colors from CSS variables via getCanvasPalette()
-// so Light/Dark switcher works instantly.
-// =====================================================
-function render() {
-  const g = laneGeometry();
-  if (!g || !isFinite(g.w) || !isFinite(g.h) || g.w <= 0 || g.h <= 0) return;
-
-  const P = getCanvasPalette();
-
-  // Single top-level save so restore-balance is guaranteed.
-  ctx.save();
-
-  // Start with a clean canvas
-  ctx.clearRect(0, 0, g.w, g.h);
-
-  // ---------- Background: sky gradient (light day / dark night) ----------
-  const sky = ctx.createLinearGradient(0, 0, 0, g.h);
-  sky.addColorStop(0, P.skyTop);
-  sky.addColorStop(0.5, P.skyMid);
-  sky.addColorStop(1, P.skyBot);
-  ctx.fillStyle = sky;
-  ctx.fillRect(0, 0, g.w, g.h);
-
-  // ---------- Sideline decorations: brutalist billboards/blocks ----------
-  ensureGrassDecor(g);
-  ctx.save();
-  for (const b of _grassDecor.blobs) {
-    if (b.x > g.roadX - 8 && b.x < g.roadX + g.roadW + 8) continue;
-    const isLeft = b.x < g.roadX;
-    let fillCol;
-    if (b.kind < 0.25) fillCol = P.sideFill1;
-    else if (b.kind < 0.5) fillCol = isLeft ? P.sideFill2 : P.sideFill3;
-    else if (b.kind < 0.75) fillCol = P.sideFill1;
-    else fillCol = P.sideAccent;
-
-    ctx.fillStyle = fillCol;
-    ctx.fillRect(b.x, b.y, b.bw, b.bh);
-    ctx.strokeStyle = P.ink;
-    ctx.lineWidth = 1.5;
-    ctx.strokeRect(b.x, b.y, b.bw, b.bh);
-
-    // accent stripe on some billboards
-    if (b.kind > 0.75) {
-      ctx.fillStyle = P.edgeLeft;
-      ctx.fillRect(b.x, b.y + b.bh * 0.35, b.bw, Math.max(2, b.bh * 0.08));
-    }
-  }
-  ctx.restore();
-
-  // ---------- Speed streaks on sides (parallax) ----------
-  ctx.save();
-  ctx.globalAlpha = 0.35;
-  const streakOff = (game.t * (140 + game.speed * 60)) % 60;
-  ctx.strokeStyle = P.streakA;
-  ctx.lineWidth = 1.5;
-  const sideW = Math.max(0, (g.w - g.roadW) / 2);
-  for (let i = 0; i < 5; i++) {
-    const lx = (i + 0.5) * (sideW / 5);
-    const rx = g.roadX + g.roadW + (i + 0.5) * (sideW / 5);
-    for (let k = -1; k < Math.ceil(g.h / 60) + 1; k++) {
-      const yy = k * 60 + streakOff;
-      ctx.beginPath(); ctx.moveTo(lx, yy); ctx.lineTo(lx, yy + 30); ctx.stroke();
-      ctx.beginPath(); ctx.moveTo(rx, yy); ctx.lineTo(rx, yy + 30); ctx.stroke();
-    }
-  }
-  ctx.strokeStyle = P.streakB;
-  for (let i = 0; i < 3; i++) {
-    const lx = (i + 0.8) * (sideW / 4);
-    const rx = g.roadX + g.roadW + (i + 0.2) * (sideW / 4);
-    for (let k = -1; k < Math.ceil(g.h / 80) + 1; k++) {
-      const yy = k * 80 + (streakOff * 1.3) % 80;
-      ctx.beginPath(); ctx.moveTo(lx, yy); ctx.lineTo(lx, yy + 24); ctx.stroke();
-      ctx.beginPath(); ctx.moveTo(rx, yy); ctx.lineTo(rx, yy + 24); ctx.stroke();
-    }
-  }
-  ctx.restore();
-
-  // ---------- Road body ----------
-  // Hard offset road shadow (brutalism signature)
-  ctx.save();
-  ctx.fillStyle = P.roadShadow;
-  drawRoundedRect(g.roadX + 5, g.roadY + 7, g.roadW, g.roadH, g.cornerR);
-  ctx.fill();
-  ctx.restore();
-
-  // Asphalt
-  const asphalt = ctx.createLinearGradient(g.roadX, 0, g.roadX + g.roadW, 0);
-  asphalt.addColorStop(0, P.asphalt1);
-  asphalt.addColorStop(0.5, P.asphalt2);
-  asphalt.addColorStop(1, P.asphalt1);
-  ctx.fillStyle = asphalt;
-  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
-  ctx.fill();
-
-  // Asphalt texture dots
-  ctx.save();
-  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
-  ctx.clip();
-  ctx.globalAlpha = 0.18;
-  ctx.fillStyle = P.asphaltDot;
-  const seed = Math.round(g.w) * 131 + Math.round(g.h);
-  const rnd = _mulberry32(seed);
-  const dotCount = Math.floor((g.roadW * g.roadH) / 1000);
-  for (let i = 0; i < dotCount; i++) {
-    const dx = g.roadX + rnd() * g.roadW;
-    const dy = g.roadY + rnd() * g.roadH;
-    ctx.fillRect(dx, dy, 1.5, 1.5);
-  }
-  ctx.restore();
-
-  // Neo-brutalist road edges: racing stripes
-  ctx.save();
-  ctx.fillStyle = P.edgeLeft;
-  ctx.fillRect(g.roadX + 2, g.safeTop, 4, g.safeBottom - g.safeTop);
-  ctx.fillStyle = P.edgeRight;
-  ctx.fillRect(g.roadX + g.roadW - 6, g.safeTop, 4, g.safeBottom - g.safeTop);
-
-  // Diagonal warning hazard stripes at top/bottom
-  ctx.save();
-  ctx.globalAlpha = 0.7;
-  const hazardY1 = g.safeTop - 4;
-  const hazardY2 = g.safeBottom;
-  ctx.fillStyle = P.ink;
-  ctx.fillRect(g.roadX + 8, hazardY1, g.roadW - 16, 4);
-  ctx.fillRect(g.roadX + 8, hazardY2, g.roadW - 16, 4);
-  const stripeSpace = 14;
-  ctx.fillStyle = P.hazardYel;
-  for (let sx = g.roadX + 8; sx < g.roadX + g.roadW - 8; sx += stripeSpace) {
-    ctx.beginPath();
-    ctx.moveTo(sx, hazardY1);
-    ctx.lineTo(sx + 6, hazardY1);
-    ctx.lineTo(sx + 10, hazardY1 + 4);
-    ctx.lineTo(sx + 4, hazardY1 + 4);
-    ctx.closePath();
-    ctx.fill();
-    ctx.beginPath();
-    ctx.moveTo(sx, hazardY2);
-    ctx.lineTo(sx + 6, hazardY2);
-    ctx.lineTo(sx + 10, hazardY2 + 4);
-    ctx.lineTo(sx + 4, hazardY2 + 4);
-    ctx.closePath();
-    ctx.fill();
-  }
-  ctx.restore();
-  ctx.restore();
-
-  // Thick black outer road stroke
-  ctx.strokeStyle = P.roadStroke;
-  ctx.lineWidth = 2.5;
-  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
-  ctx.stroke();
-
-  // Clip gameplay to road
-  ctx.save();
-  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
-  ctx.clip();
-
-  // ---------- Lane separators — chunky dashes ----------
-  const dashSpeed = (220 + game.speed * 90) * (isSlowOn() ? 0.55 : 1.0);
-  ctx.save();
-  ctx.strokeStyle = P.laneOutl;
-  ctx.lineWidth = 6;
-  ctx.lineCap = "butt";
-  ctx.setLineDash([30, 24]);
-  ctx.lineDashOffset = -(game.t * dashSpeed);
-  for (let i = 1; i < g.lanes; i++) {
-    const x = g.lanesX + g.laneW * i;
-    ctx.beginPath();
-    ctx.moveTo(x, g.safeTop);
-    ctx.lineTo(x, g.safeBottom);
-    ctx.stroke();
-  }
-  ctx.strokeStyle = P.laneDash;
-  ctx.lineWidth = 3.5;
-  for (let i = 1; i < g.lanes; i++) {
-    const x = g.lanesX + g.laneW * i;
-    ctx.beginPath();
-    ctx.moveTo(x, g.safeTop);
-    ctx.lineTo(x, g.safeBottom);
-    ctx.stroke();
-  }
-  ctx.setLineDash([]);
-  ctx.restore();
-
-  // ---------- Enemy cars ----------
-  for (const o of game.obstacles) {
-    const ow = o.w ?? o.size;
-    const oh = o.h ?? o.size;
-    const x = laneCenterX(g, o.lane) - ow / 2;
-    const y = o.y;
-    const col = o.color && typeof o.color === "string" && o.color.startsWith("#")
-      ? o.color
-      : pickEnemyColor(o);
-    drawCarTopDown(x, y, ow, oh, col, { rival: true, accent: "#0d0d14" });
-  }
-
-  // ---------- Coins & power-ups (brutalist badges) ----------
-  for (const c of game.coins) {
-    const x = c.x ?? laneCenterX(g, c.lane);
-    const y = c.y;
-    const r = c.r;
-
-    ctx.save();
-
-    // shadow
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
-    ctx.beginPath();
-    ctx.arc(x + 2, y + 3, r, 0, Math.PI * 2);
-    ctx.fill();
-
-    // badge colors
-    let fill, label, labelCol = "#0d0d14";
-    if (c.kind === "coin")       { fill = "#f7d046"; label = ""; }
-    else if (c.kind === "bonus") { fill = "#8338ec"; label = `${c.value}x`; labelCol = "#fff"; }
-    else if (c.kind === "magnet"){ fill = "#4cc9f0"; label = "M"; }
-    else if (c.kind === "slow")  { fill = "#06d6a0"; label = "S"; }
-    else if (c.kind === "shield"){ fill = "#c7f464"; label = "L"; }
-    else if (c.kind === "dbl")   { fill = "#ff6b35"; label = "2"; }
-    else                         { fill = "#f7d046"; label = ""; }
-
-    ctx.fillStyle = fill;
-    ctx.beginPath();
-    ctx.arc(x, y, r, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.strokeStyle = "#0d0d14";
-    ctx.lineWidth = 2.5;
-    ctx.stroke();
-
-    if (c.kind === "coin") {
-      ctx.fillStyle = "rgba(255,255,255,0.45)";
-      ctx.beginPath();
-      ctx.arc(x - r * 0.25, y - r * 0.25, r * 0.35, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = "#0d0d14";
-      ctx.font = `900 ${Math.max(11, r + 3)}px "Akando", ui-sans-serif, system-ui`;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText("$", x, y + 0.5);
-    } else if (label) {
-      ctx.fillStyle = labelCol;
-      ctx.font = `900 ${Math.max(11, r + 2)}px "Akando", ui-sans-serif, system-ui`;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText(label, x, y + 0.5);
-    }
-
-    ctx.restore();
-  }
-
-  // ---------- Player car ----------
-  const carW = Math.max(36, Math.min(60, g.laneW * 0.62));
-  const carH = carW * 1.30;
-  const carX = (game.playerX ?? laneCenterX(g, game.lane)) - carW / 2;
-  const carY = g.safeBottom - carH - 14;
-
-  drawPlayerCarPremium(carX, carY, carW, carH);
-
-  // ---------- Shield effect (if active) ----------
-  if (typeof isShieldOn === "function" && isShieldOn()) {
-    ctx.save();
-    ctx.strokeStyle = "#c7f464";
-    ctx.lineWidth = 3;
-    ctx.setLineDash([8, 6]);
-    ctx.lineDashOffset = -(game.t * 40);
-    ctx.beginPath();
-    ctx.arc(carX + carW / 2, carY + carH / 2, Math.max(carW, carH) * 0.75, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.setLineDash([]);
-    ctx.globalAlpha = 0.10;
-    ctx.fillStyle = "#c7f464";
-    ctx.beginPath();
-    ctx.arc(carX + carW / 2, carY + carH / 2, Math.max(carW, carH) * 0.7, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-  }
-
-  ctx.restore(); // unclip road
-
-  // ---------- Game Over overlay ----------
-  if (typeof game !== "undefined" && game.over) {
-    ctx.save();
-    ctx.fillStyle = P.overlay;
-    ctx.fillRect(0, 0, g.w, g.h);
-
-    const bannerW = Math.min(g.w * 0.82, 360);
-    const bannerH = 120;
-    const bannerX = (g.w - bannerW) / 2;
-    const bannerY = (g.h - bannerH) / 2;
-
-    // hard-offset shadow
-    ctx.fillStyle = P.bannerSh;
-    ctx.fillRect(bannerX + 7, bannerY + 7, bannerW, bannerH);
-
-    // main
-    ctx.fillStyle = P.bannerBg;
-    ctx.fillRect(bannerX, bannerY, bannerW, bannerH);
-    ctx.strokeStyle = P.ink;
-    ctx.lineWidth = 4;
-    ctx.strokeRect(bannerX, bannerY, bannerW, bannerH);
-
-        ctx.fillStyle = P.bannerTtl;
-    ctx.font = '800 28px "Akando", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText("CRASHED", g.w / 2, bannerY + 38);
-
-    ctx.fillStyle = P.bannerTxt;
-    ctx.font = '700 13px "Akando", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
-    ctx.fillText(`SCORE: ${game.score | 0}`, g.w / 2, bannerY + 70);
-
-    ctx.fillStyle = P.bannerSub;
-    ctx.font = '700 12px "Akando", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
-    ctx.fillText("TAP TO RESTART", g.w / 2, bannerY + 96);
-  }
-  ctx.restore(); // final (matches the very first ctx.save())
-}
-
-
 // =====================================================
 // MAIN GAME LOOP (MISSING — critical fix)
 // - Drives update(dt) + render() every animation frame.
@@ -3735,10 +3063,19 @@ function render() {
   );
 })();
 
+// Every game event listener is subscribed by now: start the first run.
+init();
+
 // =====================================================
 // FORCE a resize + first render so canvas is never blank
 // even before the very first animation frame kicks in.
 // =====================================================
+// Deposits sent before a reload are still waiting for their receipt.
+resumePendingDeposits();
+resumePendingProofs(GARAGE_PROOFS);
+resumePendingProofs(ACHIEVEMENT_PROOFS);
+refreshDailyInfo();
+
 (function forceFirstPaint() {
   try { if (typeof resize === "function") resize(); } catch {}
   try { if (typeof render === "function") render(); } catch {}
@@ -0,0 +1,1034 @@
+/**
+ * RENDERER (canvas + HUD)
+ * - Draws the current run from src/game.js every frame; it never changes game state.
+ * - Colors come from CSS variables (getCanvasPalette), the player car from the garage.
+ * - laneGeometry() is the canvas-sized play area the game pins on each run's first tick;
+ *   render() draws in that pinned game.geo, so a resize mid-run doesn't move lanes or cars.
+ */
+import {
+  computeLaneGeometry,
+  laneCenterX,
+  playerCarSize,
+  isShieldOn,
+  isNitroOn,
+  isPowerupOn,
+  powerupTimeLeft,
+  worldSpeedFactor,
+  POWERUP_TYPES,
+  hashSeed,
+  mulberry32,
+  getGameMode,
+  modeBucket,
+  runTotalScore,
+  runTimeLeft,
+  obstacleRect,
+  obstacleSignal
+} from "./engine.js";
+import { game, modeScoreFor } from "./game.js";
+import { profile, boostCountdownText } from "./economy.js";
+import { equippedGarage } from "./garage.js";
+import { els } from "./ui.js";
+
+// Read current canvas palette from CSS variables (keeps JS & CSS in sync)
+export function getCanvasPalette() {
+  const cs = getComputedStyle(document.documentElement);
+  const get = (name, fallback) => (cs.getPropertyValue(name).trim() || fallback);
+  return {
+    skyTop:    get("--cv-sky-top",    "#fef6e4"),
+    skyMid:    get("--cv-sky-mid",    "#f8e9c1"),
+    skyBot:    get("--cv-sky-bot",    "#ffd59b"),
+    asphalt1:  get("--cv-asphalt-1",  "#3a3a4a"),
+    asphalt2:  get("--cv-asphalt-2",  "#4a4a5c"),
+    asphaltDot:get("--cv-asphalt-dot","#5d5d72"),
+    roadShadow:get("--cv-road-shadow","rgba(30,20,10,0.25)"),
+    roadStroke:get("--cv-road-stroke","#0d0d14"),
+    laneOutl:  get("--cv-lane-outline","rgba(13,13,20,0.9)"),
+    laneDash:  get("--cv-lane-dash",  "#f7d046"),
+    edgeLeft:  get("--cv-edge-left",  "#f7d046"),
+    edgeRight: get("--cv-edge-right", "#ff6b35"),
+    streakA:   get("--cv-streak-a",   "rgba(255,107,53,0.35)"),
+    streakB:   get("--cv-streak-b",   "rgba(247,208,70,0.45)"),
+    sideFill1: get("--cv-side-1",     "#e8dcb5"),
+    sideFill2: get("--cv-side-2",     "#d4c489"),
+    sideFill3: get("--cv-side-3",     "#bfaf73"),
+    sideAccent:get("--cv-side-accent","#ff6b35"),
+    ink:       get("--ink",           "#0d0d14"),
+    hazardYel: get("--cv-hazard",     "#f7d046"),
+    overlay:   get("--cv-overlay",    "rgba(10,10,15,0.55)"),
+    bannerBg:  get("--cv-banner-bg",  "#fef6e4"),
+    bannerSh:  get("--cv-banner-sh",  "#ff6b35"),
+    bannerTtl: get("--cv-banner-ttl", "#ef476f"),
+    bannerTxt: get("--cv-banner-txt", "#0d0d14"),
+    bannerSub: get("--cv-banner-sub", "#ff6b35"),
+  };
+}
+
+// =====================================================
+// Canvas sizing
+// =====================================================
+const ctx = els.c.getContext("2d");
+
+export function resize() {
+  const wrap = els.c.parentElement;
+  const w = Math.floor(wrap.clientWidth);
+  const h = Math.floor(wrap.clientHeight);
+  const dpr = Math.min(2, window.devicePixelRatio || 1);
+  els.c.width = Math.floor(w * dpr);
+  els.c.height = Math.floor(h * dpr);
+  els.c.style.width = `${w}px`;
+  els.c.style.height = `${h}px`;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+window.addEventListener("resize", resize);
+resize();
+
+// =====================================================
+// HUD
+// =====================================================
+export function renderHud() {
+  els.runScore.textContent = String(Math.floor(game.runScore));
+  els.coins.textContent = String(Math.floor(profile.coins));
+  els.bankPoints.textContent = String(Math.floor(profile.bankPoints));
+  els.boost.textContent = boostCountdownText() + modeCountdownText() + powerupCountdownText(game.t);
+}
+
+export function laneGeometry() {
+  const wrap = els.c;
+  return computeLaneGeometry(wrap.clientWidth, wrap.clientHeight);
+}
+
+function powerupCountdownText(now = game.t) {
+  const parts = [];
+  const sec = (s) => Math.max(0, Math.ceil(s));
+  for (const [kind, type] of Object.entries(POWERUP_TYPES)) {
+    if (!isPowerupOn(game, kind, now)) continue;
+    const charges = type.charges && game.ghostCharges > 1 ? ` x${game.ghostCharges}` : "";
+    parts.push(`${type.hud}${charges} ${sec(powerupTimeLeft(game, kind, now))}s`);
+  }
+  return parts.length ? " | " + parts.join(" | ") : "";
+}
+
+// Time left in timed modes (Time Attack).
+function modeCountdownText() {
+  const left = runTimeLeft(game);
+  return left == null ? "" : ` | ⏱ ${Math.ceil(left)}s`;
+}
+
+// =====================================================
+// NEO-BRUTALISM RACING VISUALS (v3)
+// Gameplay logic untouched — pure render overhaul.
+// Warm, eye-friendly palette for long play sessions.
+// =====================================================
+
+function drawRoundedRect(x, y, w, h, r) {
+  const rr = Math.min(r, w / 2, h / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + rr, y);
+  ctx.lineTo(x + w - rr, y);
+  ctx.quadraticCurveTo(x + w, y, x + w, y + rr);
+  ctx.lineTo(x + w, y + h - rr);
+  ctx.quadraticCurveTo(x + w, y + h, x + w - rr, y + h);
+  ctx.lineTo(x + rr, y + h);
+  ctx.quadraticCurveTo(x, y + h, x, y + h - rr);
+  ctx.lineTo(x, y + rr);
+  ctx.quadraticCurveTo(x, y, x + rr, y);
+  ctx.closePath();
+}
+
+// Sharp rect (brutalism — hard corners)
+function drawSharpRect(x, y, w, h) {
+  ctx.beginPath();
+  ctx.rect(x, y, w, h);
+  ctx.closePath();
+}
+
+// Body silhouettes for drawCarTopDown (opts.shape); the garage sells the non-default ones.
+// bodyW is the body width as a share of the car, the rest shape the outline.
+const CAR_SHAPES = {
+  sport: { bodyW: 0.78, nose: 0.14, shoulder: 0.025, tail: 0.06 },
+  muscle: { bodyW: 0.84, nose: 0.06, shoulder: 0.04, tail: 0.03 },
+  wedge: { bodyW: 0.76, nose: 0.3, shoulder: 0, tail: 0.04 },
+  bubble: { bodyW: 0.8, nose: 0.22, shoulder: 0.06, tail: 0.16 }
+};
+
+// =====================================================
+// PREMIUM TOP-DOWN CAR (Neo-Brutalism racing style)
+// Thick black outlines, flat panel colors with subtle gradient,
+// chunky mechanical details — top-notch design.
+// =====================================================
+function drawCarTopDown(x, y, w, h, bodyColor, opts = {}) {
+  ctx.save();
+
+  if (!isFinite(x) || !isFinite(y) || !isFinite(w) || !isFinite(h) || w <= 0 || h <= 0) {
+    ctx.restore();
+    return;
+  }
+
+  const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+  const INK = "#0d0d14";
+  const CHROME = "#8a8578";
+  const CHROME_HI = "#c7c2b0";
+  const GLASS_DARK = "#16162a";
+  const GLASS_MID = "#1f1f38";
+  const accentColor = opts.accent || "#f7d046";
+  const isRival = !!opts.rival;
+
+  // Obstacle archetypes with their own silhouettes (lane changers are cars + blinkers).
+  const kind = opts.kind || "car";
+  if (kind === "truck" || kind === "tractor" || kind === "cone" || kind === "oil") {
+    const draw = { truck: drawTruckTopDown, tractor: drawTractorTopDown, cone: drawConeTopDown, oil: drawOilTopDown }[kind];
+    draw(x, y, w, h, String(bodyColor || "#ef476f"), INK);
+    ctx.restore();
+    return;
+  }
+
+  // ---------- Ground shadow (hard offset — brutalism) ----------
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  drawRoundedRect(x + w * 0.10, y + h * 0.12, w * 0.82, h * 0.88, Math.max(6, w * 0.18));
+  ctx.fill();
+
+  // ---------- Body geometry ----------
+  const shape = CAR_SHAPES[opts.shape] || CAR_SHAPES.sport;
+  const bx = x + w * (1 - shape.bodyW) / 2;
+  const bw = w * shape.bodyW;
+  const by = y + h * 0.04;
+  const bh = h * 0.93;
+
+  // Tapered silhouette (the default "sport" shape: sharp nose, muscular shoulders)
+  const noseInset = bw * shape.nose;
+  const shoulderOut = w * shape.shoulder;
+  const tailInset = bw * shape.tail;
+
+  // ---------- Wheel arches (bold black fenders) ----------
+  const wellW = w * 0.095;
+  const wellH = h * 0.20;
+  ctx.fillStyle = INK;
+  // front-left, front-right, rear-left, rear-right arches
+  drawRoundedRect(x + w * 0.005, y + h * 0.15, wellW + 2, wellH, 3); ctx.fill();
+  drawRoundedRect(x + w - wellW - w * 0.005 - 2, y + h * 0.15, wellW + 2, wellH, 3); ctx.fill();
+  drawRoundedRect(x + w * 0.005, y + h * 0.62, wellW + 2, wellH, 3); ctx.fill();
+  drawRoundedRect(x + w - wellW - w * 0.005 - 2, y + h * 0.62, wellW + 2, wellH, 3); ctx.fill();
+
+  // Tire treads (chunky detailing)
+  ctx.fillStyle = "#1a1a24";
+  const tireInsetX = w * 0.018;
+  const tireInsetY = h * 0.018;
+  [[x + w * 0.005 + tireInsetX, y + h * 0.15 + tireInsetY],
+   [x + w - wellW - w * 0.005 - 2 + tireInsetX, y + h * 0.15 + tireInsetY],
+   [x + w * 0.005 + tireInsetX, y + h * 0.62 + tireInsetY],
+   [x + w - wellW - w * 0.005 - 2 + tireInsetX, y + h * 0.62 + tireInsetY]]
+  .forEach(([tx, ty]) => {
+    drawRoundedRect(tx, ty, wellW - tireInsetX * 2 + 2, wellH - tireInsetY * 2, 2);
+    ctx.fill();
+    // tread lines
+    ctx.save();
+    ctx.strokeStyle = "rgba(255,255,255,0.07)";
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+      const ly = ty + ((wellH - tireInsetY * 2) / 4) * i;
+      ctx.beginPath();
+      ctx.moveTo(tx + 2, ly);
+      ctx.lineTo(tx + wellW - tireInsetX * 2 - 2 + 2, ly);
+      ctx.stroke();
+    }
+    ctx.restore();
+  });
+
+  // Chrome rim highlight (subtle metallic)
+  ctx.fillStyle = CHROME;
+  const rimW = wellW * 0.42, rimH = wellH * 0.32;
+  [[x + w * 0.005 + (wellW - rimW) / 2, y + h * 0.15 + (wellH - rimH) / 2],
+   [x + w - wellW - w * 0.005 - 2 + (wellW - rimW) / 2, y + h * 0.15 + (wellH - rimH) / 2],
+   [x + w * 0.005 + (wellW - rimW) / 2, y + h * 0.62 + (wellH - rimH) / 2],
+   [x + w - wellW - w * 0.005 - 2 + (wellW - rimW) / 2, y + h * 0.62 + (wellH - rimH) / 2]]
+  .forEach(([rx, ry]) => {
+    drawRoundedRect(rx, ry, rimW, rimH, 1.5);
+    ctx.fill();
+  });
+
+  // ---------- Main body silhouette (aggressive muscle car) ----------
+  ctx.beginPath();
+  // sharp front nose
+  ctx.moveTo(bx + noseInset, by);
+  ctx.lineTo(bx + bw - noseInset, by);
+  // front shoulder bulge
+  ctx.quadraticCurveTo(bx + bw + shoulderOut, by + bh * 0.12, bx + bw, by + bh * 0.30);
+  // body side
+  ctx.lineTo(bx + bw - tailInset * 0.3, by + bh * 0.80);
+  // rear corner
+  ctx.quadraticCurveTo(bx + bw, by + bh * 0.94, bx + bw - tailInset, by + bh);
+  ctx.lineTo(bx + tailInset, by + bh);
+  ctx.quadraticCurveTo(bx, by + bh * 0.94, bx + tailInset * 0.3, by + bh * 0.80);
+  ctx.lineTo(bx, by + bh * 0.30);
+  ctx.quadraticCurveTo(bx - shoulderOut, by + bh * 0.12, bx + noseInset, by);
+  ctx.closePath();
+
+  // Flat body color with subtle panel shading
+  const base = String(bodyColor || "#ef476f");
+  const bodyGrad = ctx.createLinearGradient(bx, by, bx + bw, by + bh);
+  bodyGrad.addColorStop(0, _shade(base, -0.12));
+  bodyGrad.addColorStop(0.5, base);
+  bodyGrad.addColorStop(1, _shade(base, -0.18));
+  ctx.fillStyle = bodyGrad;
+  ctx.fill();
+
+  // BRUTAL thick black outline
+  ctx.lineWidth = clamp(w * 0.06, 2, 3.8);
+  ctx.strokeStyle = INK;
+  ctx.lineJoin = "miter";
+  ctx.stroke();
+
+  // ---------- Racing stripes (twin stripes — iconic gaming) ----------
+  ctx.save();
+  ctx.fillStyle = accentColor;
+  const stripeW = bw * 0.08;
+  const stripeGap = bw * 0.04;
+  // two stripes running length of body
+  ctx.fillRect(bx + bw * 0.5 - stripeW - stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
+  ctx.fillRect(bx + bw * 0.5 + stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
+  // black outlines on stripes
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 1.2;
+  ctx.strokeRect(bx + bw * 0.5 - stripeW - stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
+  ctx.strokeRect(bx + bw * 0.5 + stripeGap / 2, by + bh * 0.06, stripeW, bh * 0.88);
+  ctx.restore();
+
+  // ---------- Hood scoop (aggressive detail) ----------
+  ctx.save();
+  ctx.fillStyle = INK;
+  const scoopW = bw * 0.28;
+  const scoopH = bh * 0.08;
+  drawRoundedRect(bx + (bw - scoopW) / 2, by + bh * 0.12, scoopW, scoopH, 3);
+  ctx.fill();
+  // inner scoop highlight (looks like air intake)
+  ctx.fillStyle = "#2a2a3a";
+  drawRoundedRect(bx + (bw - scoopW) / 2 + 3, by + bh * 0.12 + 2, scoopW - 6, scoopH - 4, 2);
+  ctx.fill();
+  // twin mini vents
+  ctx.fillStyle = accentColor;
+  ctx.fillRect(bx + (bw - scoopW) / 2 + scoopW * 0.18, by + bh * 0.12 + scoopH * 0.35, scoopW * 0.12, scoopH * 0.3);
+  ctx.fillRect(bx + (bw - scoopW) / 2 + scoopW * 0.70, by + bh * 0.12 + scoopH * 0.35, scoopW * 0.12, scoopH * 0.3);
+  ctx.restore();
+
+  // ---------- Windshield (chunky trapezoid — glossy dark) ----------
+  const fwY = by + bh * 0.26;
+  const fwH = bh * 0.20;
+  ctx.beginPath();
+  ctx.moveTo(bx + bw * 0.20, fwY);
+  ctx.lineTo(bx + bw * 0.80, fwY);
+  ctx.lineTo(bx + bw * 0.88, fwY + fwH);
+  ctx.lineTo(bx + bw * 0.12, fwY + fwH);
+  ctx.closePath();
+  const glassGrad = ctx.createLinearGradient(0, fwY, 0, fwY + fwH);
+  glassGrad.addColorStop(0, GLASS_DARK);
+  glassGrad.addColorStop(1, GLASS_MID);
+  ctx.fillStyle = glassGrad;
+  ctx.fill();
+  // hard black outline
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = Math.max(1.2, w * 0.022);
+  ctx.stroke();
+  // windshield reflection (diagonal gaming highlight)
+  ctx.save();
+  ctx.clip();
+  ctx.globalAlpha = 0.18;
+  ctx.fillStyle = accentColor;
+  ctx.fillRect(bx + bw * 0.15, fwY, bw * 0.25, fwH);
+  ctx.restore();
+
+  // ---------- Roof / cabin ----------
+  const roofY = fwY + fwH;
+  const roofH = bh * 0.18;
+  ctx.beginPath();
+  ctx.moveTo(bx + bw * 0.12, roofY);
+  ctx.lineTo(bx + bw * 0.88, roofY);
+  ctx.lineTo(bx + bw * 0.86, roofY + roofH);
+  ctx.lineTo(bx + bw * 0.14, roofY + roofH);
+  ctx.closePath();
+  ctx.fillStyle = _shade(base, -0.28);
+  ctx.fill();
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 1.2;
+  ctx.stroke();
+
+  // Side mirrors (small chunky blocks)
+  ctx.fillStyle = INK;
+  ctx.fillRect(bx - 2, roofY + roofH * 0.25, 4, 5);
+  ctx.fillRect(bx + bw - 2, roofY + roofH * 0.25, 4, 5);
+
+  // ---------- Rear windshield ----------
+  const rwY = roofY + roofH;
+  const rwH = bh * 0.14;
+  ctx.beginPath();
+  ctx.moveTo(bx + bw * 0.14, rwY);
+  ctx.lineTo(bx + bw * 0.86, rwY);
+  ctx.lineTo(bx + bw * 0.80, rwY + rwH);
+  ctx.lineTo(bx + bw * 0.20, rwY + rwH);
+  ctx.closePath();
+  ctx.fillStyle = GLASS_MID;
+  ctx.fill();
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 1.2;
+  ctx.stroke();
+
+  // ---------- Headlights (front — crisp squares, not blurry glow) ----------
+  ctx.save();
+  const hlW = bw * 0.14, hlH = bh * 0.045;
+  ctx.fillStyle = "#fff2a8";
+  drawRoundedRect(bx + bw * 0.13, by + bh * 0.04, hlW, hlH, 1.5);
+  ctx.fill();
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 1.3;
+  ctx.stroke();
+  drawRoundedRect(bx + bw - bw * 0.13 - hlW, by + bh * 0.04, hlW, hlH, 1.5);
+  ctx.fill();
+  ctx.stroke();
+  // inner bright core
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(bx + bw * 0.13 + hlW * 0.25, by + bh * 0.04 + hlH * 0.3, hlW * 0.5, hlH * 0.35);
+  ctx.fillRect(bx + bw - bw * 0.13 - hlW + hlW * 0.25, by + bh * 0.04 + hlH * 0.3, hlW * 0.5, hlH * 0.35);
+  ctx.restore();
+
+  // ---------- Taillights (rear — bold red blocks) ----------
+  ctx.save();
+  const tlW = bw * 0.16, tlH = bh * 0.04;
+  ctx.fillStyle = "#ef476f";
+  drawRoundedRect(bx + bw * 0.11, by + bh * 0.92, tlW, tlH, 1.5);
+  ctx.fill();
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 1.3;
+  ctx.stroke();
+  drawRoundedRect(bx + bw - bw * 0.11 - tlW, by + bh * 0.92, tlW, tlH, 1.5);
+  ctx.fill();
+  ctx.stroke();
+  // center brake light bar
+  ctx.fillStyle = "#ff8fa8";
+  ctx.fillRect(bx + bw * 0.38, by + bh * 0.955, bw * 0.24, bh * 0.012);
+  ctx.restore();
+
+  // ---------- Rear spoiler wing (chunky GT-style) ----------
+  ctx.save();
+  ctx.fillStyle = INK;
+  drawRoundedRect(bx + bw * 0.08, by + bh * 0.985, bw * 0.84, bh * 0.05, 2);
+  ctx.fill();
+  // spoiler supports
+  ctx.fillRect(bx + bw * 0.22, by + bh * 0.96, 4, bh * 0.045);
+  ctx.fillRect(bx + bw - bw * 0.22 - 4, by + bh * 0.96, 4, bh * 0.045);
+  ctx.restore();
+
+  // ---------- Exhaust tips (chrome dots on rear) ----------
+  ctx.save();
+  ctx.fillStyle = CHROME_HI;
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 1;
+  for (let i = 0; i < 2; i++) {
+    const ex = bx + bw * (0.40 + i * 0.18);
+    drawRoundedRect(ex, by + bh * 1.005, bw * 0.06, bh * 0.02, 1);
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // ---------- Rivet/bolt details on hood (gaming detail) ----------
+  ctx.save();
+  ctx.fillStyle = INK;
+  const rivY = by + bh * 0.22;
+  for (let i = 0; i < 4; i++) {
+    const rx = bx + bw * (0.22 + i * 0.19);
+    ctx.beginPath();
+    ctx.arc(rx, rivY, Math.max(1, w * 0.018), 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+
+  // Lane changer: amber blinkers on the side it's about to move to
+  if (opts.signal) {
+    ctx.save();
+    ctx.fillStyle = "#ffb020";
+    ctx.strokeStyle = INK;
+    ctx.lineWidth = 1.2;
+    const sx = opts.signal < 0 ? bx - 3 : bx + bw - 5;
+    for (const sy of [by + bh * 0.06, by + bh * 0.86]) {
+      ctx.fillRect(sx, sy, 8, bh * 0.08);
+      ctx.strokeRect(sx, sy, 8, bh * 0.08);
+    }
+    ctx.restore();
+  }
+
+  // Rival car: add angry red accent stripe on sides
+  if (isRival) {
+    ctx.save();
+    ctx.fillStyle = "#ef476f";
+    ctx.fillRect(bx + bw * 0.02, by + bh * 0.48, bw * 0.08, bh * 0.12);
+    ctx.fillRect(bx + bw * 0.90, by + bh * 0.48, bw * 0.08, bh * 0.12);
+    ctx.strokeStyle = INK;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(bx + bw * 0.02, by + bh * 0.48, bw * 0.08, bh * 0.12);
+    ctx.strokeRect(bx + bw * 0.90, by + bh * 0.48, bw * 0.08, bh * 0.12);
+    ctx.restore();
+  }
+
+  ctx.restore();
+}
+
+// ---------- Obstacle archetypes (called from drawCarTopDown) ----------
+// Two-lane truck: cab up front, long container behind.
+function drawTruckTopDown(x, y, w, h, color, INK) {
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  ctx.fillRect(x + 6, y + 8, w, h);
+
+  const cabH = h * 0.22;
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = INK;
+  ctx.fillStyle = color;
+  drawRoundedRect(x + w * 0.12, y, w * 0.76, cabH, 6);
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = "#16162a";
+  ctx.fillRect(x + w * 0.2, y + cabH * 0.55, w * 0.6, cabH * 0.28);
+
+  const boxY = y + cabH + 3;
+  const boxH = h - cabH - 3;
+  ctx.fillStyle = "#e9e4d4";
+  drawSharpRect(x, boxY, w, boxH);
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = color;
+  ctx.fillRect(x, boxY + boxH * 0.42, w, boxH * 0.16);
+  ctx.strokeStyle = "rgba(13,13,20,0.35)";
+  ctx.lineWidth = 1;
+  for (let i = 1; i < 6; i++) {
+    ctx.beginPath();
+    ctx.moveTo(x + 3, boxY + (boxH / 6) * i);
+    ctx.lineTo(x + w - 3, boxY + (boxH / 6) * i);
+    ctx.stroke();
+  }
+}
+
+// Slow tractor: big rear wheels, small front wheels, open seat.
+function drawTractorTopDown(x, y, w, h, color, INK) {
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  ctx.fillRect(x + 5, y + 6, w, h);
+
+  ctx.fillStyle = INK;
+  ctx.fillRect(x, y + h * 0.55, w * 0.22, h * 0.42);
+  ctx.fillRect(x + w * 0.78, y + h * 0.55, w * 0.22, h * 0.42);
+  ctx.fillRect(x + w * 0.12, y + h * 0.06, w * 0.14, h * 0.2);
+  ctx.fillRect(x + w * 0.74, y + h * 0.06, w * 0.14, h * 0.2);
+
+  ctx.fillStyle = "#3fa34d";
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 2.5;
+  drawRoundedRect(x + w * 0.24, y, w * 0.52, h * 0.62, 5);
+  ctx.fill();
+  ctx.stroke();
+  drawSharpRect(x + w * 0.2, y + h * 0.58, w * 0.6, h * 0.36);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = INK;
+  ctx.fillRect(x + w * 0.42, y + h * 0.66, w * 0.16, h * 0.14);
+  // exhaust stack
+  ctx.fillStyle = "#8a8578";
+  ctx.fillRect(x + w * 0.62, y + h * 0.12, w * 0.08, h * 0.12);
+}
+
+// Traffic cone: orange square with white band (seen from above).
+function drawConeTopDown(x, y, w, h, _color, INK) {
+  ctx.fillStyle = "rgba(0,0,0,0.45)";
+  ctx.fillRect(x + 3, y + 4, w, h);
+  ctx.fillStyle = "#ff7a1a";
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 2.5;
+  drawSharpRect(x, y, w, h);
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = "#ffffff";
+  ctx.beginPath();
+  ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) * 0.3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#ff7a1a";
+  ctx.beginPath();
+  ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) * 0.16, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Oil slick: glossy black puddle, no outline shadow (it's flat on the road).
+function drawOilTopDown(x, y, w, h, _color, INK) {
+  const cx = x + w / 2;
+  const cy = y + h / 2;
+  ctx.fillStyle = "rgba(13,13,20,0.85)";
+  ctx.beginPath();
+  ctx.ellipse(cx, cy, w / 2, h / 2, 0, 0, Math.PI * 2);
+  ctx.ellipse(cx - w * 0.28, cy + h * 0.18, w * 0.22, h * 0.26, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  ctx.fillStyle = "rgba(160,110,255,0.35)";
+  ctx.beginPath();
+  ctx.ellipse(cx + w * 0.1, cy - h * 0.12, w * 0.18, h * 0.12, -0.4, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Color shade helper — darken/lighten a hex color
+function _shade(hex, amt) {
+  const h = String(hex).replace("#", "");
+  if (h.length !== 6) return hex;
+  const r = parseInt(h.slice(0, 2), 16);
+  const g = parseInt(h.slice(2, 4), 16);
+  const b = parseInt(h.slice(4, 6), 16);
+  const adj = (c) => {
+    const n = Math.round(c + (amt < 0 ? c * amt : (255 - c) * amt));
+    return Math.max(0, Math.min(255, n));
+  };
+  const toHex = (n) => n.toString(16).padStart(2, "0");
+  return `#${toHex(adj(r))}${toHex(adj(g))}${toHex(adj(b))}`;
+}
+
+// Enemy palette — varied brutalist racing colors
+const ENEMY_PALETTE = [
+  "#ef476f", // coral red
+  "#8338ec", // electric purple
+  "#ff6b35", // race orange
+  "#06d6a0", // mint (rare)
+  "#4cc9f0", // soft cyan
+  "#e63946", // deep red
+  "#52b788", // forest
+  "#f77f00"  // amber
+];
+
+function pickEnemyColor(o) {
+  if (o && o.__brutColor) return o.__brutColor;
+  const seed = ((o?.id ?? 0) | 0) + ((o?.lane ?? 0) | 0) * 7 + ((o?.y | 0) % 997);
+  const c = ENEMY_PALETTE[Math.abs(seed) % ENEMY_PALETTE.length];
+  if (o) o.__brutColor = c;
+  return c;
+}
+
+function _rgba(hex, a) {
+  const h = String(hex).replace("#", "");
+  if (h.length !== 6) return `rgba(0,0,0,${a})`;
+  return `rgba(${parseInt(h.slice(0, 2), 16)},${parseInt(h.slice(2, 4), 16)},${parseInt(h.slice(4, 6), 16)},${a})`;
+}
+
+function drawPlayerCarPremium(x, y, w, h) {
+  // Player car: whatever the garage has equipped (default: champion yellow, orange glow)
+  const look = equippedGarage();
+  ctx.save();
+
+  // Underglow (warm, eye-safe — brutalism uses hard offset not soft blur)
+  if (look.underglow.color) {
+    ctx.save();
+    ctx.globalAlpha = 0.45;
+    const glowGrad = ctx.createRadialGradient(
+      x + w / 2, y + h * 0.98, 0,
+      x + w / 2, y + h * 0.98, Math.max(w, h) * 0.75
+    );
+    glowGrad.addColorStop(0, _rgba(look.underglow.color, 0.6));
+    glowGrad.addColorStop(0.4, _rgba(look.livery.body, 0.22));
+    glowGrad.addColorStop(1, "rgba(0,0,0,0)");
+    ctx.fillStyle = glowGrad;
+    ctx.fillRect(x - w * 0.5, y - h * 0.05, w * 2, h * 1.4);
+    ctx.restore();
+  }
+
+  drawCarTopDown(x, y, w, h, look.livery.body, { accent: look.livery.accent, shape: look.shape.id.slice("shape:".length) });
+
+  // Bright headlight glow (forward-pointing)
+  ctx.save();
+  ctx.globalAlpha = 0.35;
+  const hlGrad = ctx.createRadialGradient(x + w / 2, y - 4, 0, x + w / 2, y - 4, w * 0.9);
+  hlGrad.addColorStop(0, "rgba(255,250,200,0.7)");
+  hlGrad.addColorStop(1, "rgba(255,250,200,0)");
+  ctx.fillStyle = hlGrad;
+  ctx.fillRect(x - w * 0.3, y - h * 0.25, w * 1.6, h * 0.4);
+  ctx.restore();
+
+  ctx.restore();
+}
+
+// =====================================================
+// SCENE BACKGROUND (grass/city decor cache)
+// =====================================================
+let _grassDecor = { key: "", blobs: [] };
+
+function ensureGrassDecor(g) {
+  const key = `${Math.round(g.w)}x${Math.round(g.h)}|${Math.round(g.roadX)}|${Math.round(g.roadW)}`;
+  if (_grassDecor.key === key) return;
+  _grassDecor.key = key;
+
+  const rnd = mulberry32(hashSeed(key));
+  const blobs = [];
+
+  const sideW = Math.max(0, (g.w - g.roadW) / 2);
+  const count = Math.max(16, Math.floor(g.h / 24));
+
+  for (let i = 0; i < count; i++) {
+    const left = rnd() < 0.5;
+    const xBase = left ? 0 : g.roadX + g.roadW;
+    const x = xBase + rnd() * sideW;
+    const y = rnd() * g.h;
+    // rectangular "billboards" — neo-brutalist
+    const bw = 10 + rnd() * 22;
+    const bh = 14 + rnd() * 28;
+    const kind = rnd(); // 0..1
+    blobs.push({ x, y, bw, bh, kind });
+  }
+
+  _grassDecor.blobs = blobs;
+}
+
+// =====================================================
+// MAIN RENDER — Neo-Brutalism Racing Scene (theme-aware)
+// Reads colors from CSS variables via getCanvasPalette()
+// so Light/Dark switcher works instantly.
+// =====================================================
+export function render() {
+  const live = laneGeometry();
+  // The run's own play area once it started (see game.update); the canvas before that.
+  const g = game.geo || live;
+  if (!g || !isFinite(g.w) || !isFinite(g.h) || g.w <= 0 || g.h <= 0) return;
+
+  const P = getCanvasPalette();
+
+  // Single top-level save so restore-balance is guaranteed.
+  ctx.save();
+
+  // Start with a clean canvas (all of it, in case it grew since the run pinned its geometry)
+  ctx.clearRect(0, 0, Math.max(g.w, live.w || 0), Math.max(g.h, live.h || 0));
+
+  // ---------- Background: sky gradient (light day / dark night) ----------
+  const sky = ctx.createLinearGradient(0, 0, 0, g.h);
+  sky.addColorStop(0, P.skyTop);
+  sky.addColorStop(0.5, P.skyMid);
+  sky.addColorStop(1, P.skyBot);
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, g.w, g.h);
+
+  // ---------- Sideline decorations: brutalist billboards/blocks ----------
+  ensureGrassDecor(g);
+  ctx.save();
+  for (const b of _grassDecor.blobs) {
+    if (b.x > g.roadX - 8 && b.x < g.roadX + g.roadW + 8) continue;
+    const isLeft = b.x < g.roadX;
+    let fillCol;
+    if (b.kind < 0.25) fillCol = P.sideFill1;
+    else if (b.kind < 0.5) fillCol = isLeft ? P.sideFill2 : P.sideFill3;
+    else if (b.kind < 0.75) fillCol = P.sideFill1;
+    else fillCol = P.sideAccent;
+
+    ctx.fillStyle = fillCol;
+    ctx.fillRect(b.x, b.y, b.bw, b.bh);
+    ctx.strokeStyle = P.ink;
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(b.x, b.y, b.bw, b.bh);
+
+    // accent stripe on some billboards
+    if (b.kind > 0.75) {
+      ctx.fillStyle = P.edgeLeft;
+      ctx.fillRect(b.x, b.y + b.bh * 0.35, b.bw, Math.max(2, b.bh * 0.08));
+    }
+  }
+  ctx.restore();
+
+  // ---------- Speed streaks on sides (parallax) ----------
+  ctx.save();
+  ctx.globalAlpha = 0.35;
+  const streakOff = (game.t * (140 + game.speed * 60)) % 60;
+  ctx.strokeStyle = P.streakA;
+  ctx.lineWidth = 1.5;
+  const sideW = Math.max(0, (g.w - g.roadW) / 2);
+  for (let i = 0; i < 5; i++) {
+    const lx = (i + 0.5) * (sideW / 5);
+    const rx = g.roadX + g.roadW + (i + 0.5) * (sideW / 5);
+    for (let k = -1; k < Math.ceil(g.h / 60) + 1; k++) {
+      const yy = k * 60 + streakOff;
+      ctx.beginPath(); ctx.moveTo(lx, yy); ctx.lineTo(lx, yy + 30); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(rx, yy); ctx.lineTo(rx, yy + 30); ctx.stroke();
+    }
+  }
+  ctx.strokeStyle = P.streakB;
+  for (let i = 0; i < 3; i++) {
+    const lx = (i + 0.8) * (sideW / 4);
+    const rx = g.roadX + g.roadW + (i + 0.2) * (sideW / 4);
+    for (let k = -1; k < Math.ceil(g.h / 80) + 1; k++) {
+      const yy = k * 80 + (streakOff * 1.3) % 80;
+      ctx.beginPath(); ctx.moveTo(lx, yy); ctx.lineTo(lx, yy + 24); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(rx, yy); ctx.lineTo(rx, yy + 24); ctx.stroke();
+    }
+  }
+  ctx.restore();
+
+  // ---------- Road body ----------
+  // Hard offset road shadow (brutalism signature)
+  ctx.save();
+  ctx.fillStyle = P.roadShadow;
+  drawRoundedRect(g.roadX + 5, g.roadY + 7, g.roadW, g.roadH, g.cornerR);
+  ctx.fill();
+  ctx.restore();
+
+  // Asphalt
+  const asphalt = ctx.createLinearGradient(g.roadX, 0, g.roadX + g.roadW, 0);
+  asphalt.addColorStop(0, P.asphalt1);
+  asphalt.addColorStop(0.5, P.asphalt2);
+  asphalt.addColorStop(1, P.asphalt1);
+  ctx.fillStyle = asphalt;
+  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
+  ctx.fill();
+
+  // Asphalt texture dots
+  ctx.save();
+  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
+  ctx.clip();
+  ctx.globalAlpha = 0.18;
+  ctx.fillStyle = P.asphaltDot;
+  const seed = Math.round(g.w) * 131 + Math.round(g.h);
+  const rnd = mulberry32(seed);
+  const dotCount = Math.floor((g.roadW * g.roadH) / 1000);
+  for (let i = 0; i < dotCount; i++) {
+    const dx = g.roadX + rnd() * g.roadW;
+    const dy = g.roadY + rnd() * g.roadH;
+    ctx.fillRect(dx, dy, 1.5, 1.5);
+  }
+  ctx.restore();
+
+  // Neo-brutalist road edges: racing stripes
+  ctx.save();
+  ctx.fillStyle = P.edgeLeft;
+  ctx.fillRect(g.roadX + 2, g.safeTop, 4, g.safeBottom - g.safeTop);
+  ctx.fillStyle = P.edgeRight;
+  ctx.fillRect(g.roadX + g.roadW - 6, g.safeTop, 4, g.safeBottom - g.safeTop);
+
+  // Diagonal warning hazard stripes at top/bottom
+  ctx.save();
+  ctx.globalAlpha = 0.7;
+  const hazardY1 = g.safeTop - 4;
+  const hazardY2 = g.safeBottom;
+  ctx.fillStyle = P.ink;
+  ctx.fillRect(g.roadX + 8, hazardY1, g.roadW - 16, 4);
+  ctx.fillRect(g.roadX + 8, hazardY2, g.roadW - 16, 4);
+  const stripeSpace = 14;
+  ctx.fillStyle = P.hazardYel;
+  for (let sx = g.roadX + 8; sx < g.roadX + g.roadW - 8; sx += stripeSpace) {
+    ctx.beginPath();
+    ctx.moveTo(sx, hazardY1);
+    ctx.lineTo(sx + 6, hazardY1);
+    ctx.lineTo(sx + 10, hazardY1 + 4);
+    ctx.lineTo(sx + 4, hazardY1 + 4);
+    ctx.closePath();
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(sx, hazardY2);
+    ctx.lineTo(sx + 6, hazardY2);
+    ctx.lineTo(sx + 10, hazardY2 + 4);
+    ctx.lineTo(sx + 4, hazardY2 + 4);
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.restore();
+  ctx.restore();
+
+  // Thick black outer road stroke
+  ctx.strokeStyle = P.roadStroke;
+  ctx.lineWidth = 2.5;
+  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
+  ctx.stroke();
+
+  // Clip gameplay to road
+  ctx.save();
+  drawRoundedRect(g.roadX, g.roadY, g.roadW, g.roadH, g.cornerR);
+  ctx.clip();
+
+  // ---------- Lane separators — chunky dashes ----------
+  const dashSpeed = (220 + game.speed * 90) * worldSpeedFactor(game);
+  ctx.save();
+  ctx.strokeStyle = P.laneOutl;
+  ctx.lineWidth = 6;
+  ctx.lineCap = "butt";
+  ctx.setLineDash([30, 24]);
+  ctx.lineDashOffset = -(game.t * dashSpeed);
+  for (let i = 1; i < g.lanes; i++) {
+    const x = g.lanesX + g.laneW * i;
+    ctx.beginPath();
+    ctx.moveTo(x, g.safeTop);
+    ctx.lineTo(x, g.safeBottom);
+    ctx.stroke();
+  }
+  ctx.strokeStyle = P.laneDash;
+  ctx.lineWidth = 3.5;
+  for (let i = 1; i < g.lanes; i++) {
+    const x = g.lanesX + g.laneW * i;
+    ctx.beginPath();
+    ctx.moveTo(x, g.safeTop);
+    ctx.lineTo(x, g.safeBottom);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+  ctx.restore();
+
+  // ---------- Enemy cars + hazards ----------
+  // Oil is drawn first so vehicles pass over it.
+  const blinkOn = Math.floor(performance.now() / 180) % 2 === 0;
+  const byLayer = [...game.obstacles].sort((a, b) => (a.kind === "oil" ? 0 : 1) - (b.kind === "oil" ? 0 : 1));
+  for (const o of byLayer) {
+    const r = obstacleRect(g, o);
+    const col = o.color && typeof o.color === "string" && o.color.startsWith("#")
+      ? o.color
+      : pickEnemyColor(o);
+    drawCarTopDown(r.x, r.y, r.w, r.h, col, {
+      rival: true,
+      accent: "#0d0d14",
+      kind: o.kind || "car",
+      signal: blinkOn ? obstacleSignal(o) : 0
+    });
+  }
+
+  // ---------- Coins & power-ups (brutalist badges) ----------
+  for (const c of game.coins) {
+    const x = c.x ?? laneCenterX(g, c.lane);
+    const y = c.y;
+    const r = c.r;
+
+    ctx.save();
+
+    // shadow
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.beginPath();
+    ctx.arc(x + 2, y + 3, r, 0, Math.PI * 2);
+    ctx.fill();
+
+    // badge colors
+    let fill, label, labelCol = "#0d0d14";
+    if (c.kind === "coin")       { fill = "#f7d046"; label = ""; }
+    else if (c.kind === "bonus") { fill = "#8338ec"; label = `${c.value}x`; labelCol = "#fff"; }
+    else if (POWERUP_TYPES[c.kind]) ({ fill, label } = POWERUP_TYPES[c.kind].sprite);
+    else                         { fill = "#f7d046"; label = ""; }
+
+    ctx.fillStyle = fill;
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = "#0d0d14";
+    ctx.lineWidth = 2.5;
+    ctx.stroke();
+
+    if (c.kind === "coin") {
+      ctx.fillStyle = "rgba(255,255,255,0.45)";
+      ctx.beginPath();
+      ctx.arc(x - r * 0.25, y - r * 0.25, r * 0.35, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "#0d0d14";
+      ctx.font = `900 ${Math.max(11, r + 3)}px "Akando", ui-sans-serif, system-ui`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText("$", x, y + 0.5);
+    } else if (label) {
+      ctx.fillStyle = labelCol;
+      ctx.font = `900 ${Math.max(11, r + 2)}px "Akando", ui-sans-serif, system-ui`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(label, x, y + 0.5);
+    }
+
+    ctx.restore();
+  }
+
+  // ---------- Player car ----------
+  const { carW, carH } = playerCarSize(g);
+  const carX = (game.playerX ?? laneCenterX(g, game.lane)) - carW / 2;
+  const carY = g.safeBottom - carH - 14;
+
+  // ---------- Nitro flames (behind the car) ----------
+  if (isNitroOn(game)) {
+    const flick = 0.75 + 0.25 * Math.sin(game.t * 60);
+    ctx.save();
+    for (const dx of [-carW * 0.22, carW * 0.22]) {
+      const fx = carX + carW / 2 + dx;
+      ctx.fillStyle = "#ff3864";
+      ctx.beginPath();
+      ctx.moveTo(fx - carW * 0.1, carY + carH - 2);
+      ctx.lineTo(fx, carY + carH + carH * 0.45 * flick);
+      ctx.lineTo(fx + carW * 0.1, carY + carH - 2);
+      ctx.fill();
+      ctx.fillStyle = "#ffd23f";
+      ctx.beginPath();
+      ctx.moveTo(fx - carW * 0.05, carY + carH - 2);
+      ctx.lineTo(fx, carY + carH + carH * 0.25 * flick);
+      ctx.lineTo(fx + carW * 0.05, carY + carH - 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // Ghost: the car goes see-through while a charge is left.
+  ctx.save();
+  if (isPowerupOn(game, "ghost")) ctx.globalAlpha = 0.5 + 0.15 * Math.sin(game.t * 8);
+  drawPlayerCarPremium(carX, carY, carW, carH);
+  ctx.restore();
+
+  // ---------- Shield effect (if active) ----------
+  if (isShieldOn(game)) {
+    ctx.save();
+    ctx.strokeStyle = "#c7f464";
+    ctx.lineWidth = 3;
+    ctx.setLineDash([8, 6]);
+    ctx.lineDashOffset = -(game.t * 40);
+    ctx.beginPath();
+    ctx.arc(carX + carW / 2, carY + carH / 2, Math.max(carW, carH) * 0.75, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 0.10;
+    ctx.fillStyle = "#c7f464";
+    ctx.beginPath();
+    ctx.arc(carX + carW / 2, carY + carH / 2, Math.max(carW, carH) * 0.7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  ctx.restore(); // unclip road
+
+  // ---------- Game Over overlay ----------
+  if (typeof game !== "undefined" && game.over) {
+    ctx.save();
+    ctx.fillStyle = P.overlay;
+    ctx.fillRect(0, 0, g.w, g.h);
+
+    const bannerW = Math.min(g.w * 0.82, 360);
+    const bannerH = 120;
+    const bannerX = (g.w - bannerW) / 2;
+    const bannerY = (g.h - bannerH) / 2;
+
+    // hard-offset shadow
+    ctx.fillStyle = P.bannerSh;
+    ctx.fillRect(bannerX + 7, bannerY + 7, bannerW, bannerH);
+
+    // main
+    ctx.fillStyle = P.bannerBg;
+    ctx.fillRect(bannerX, bannerY, bannerW, bannerH);
+    ctx.strokeStyle = P.ink;
+    ctx.lineWidth = 4;
+    ctx.strokeRect(bannerX, bannerY, bannerW, bannerH);
+
+        ctx.fillStyle = P.bannerTtl;
+    ctx.font = '800 28px "Akando", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(game.finished ? "TIME!" : "CRASHED", g.w / 2, bannerY + 38);
+
+    ctx.fillStyle = P.bannerTxt;
+    ctx.font = '700 13px "Akando", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+    const best = modeScoreFor(modeBucket(game)).best;
+    ctx.fillText(
+      `${getGameMode(game.mode).label.toUpperCase()} · SCORE: ${runTotalScore(game)}${game.newBest ? " · NEW BEST" : ` · BEST: ${best}`}`,
+      g.w / 2,
+      bannerY + 70
+    );
+
+    ctx.fillStyle = P.bannerSub;
+    ctx.font = '700 12px "Akando", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+    ctx.fillText("TAP TO RESTART", g.w / 2, bannerY + 96);
+  }
+  ctx.restore(); // final (matches the very first ctx.save())
+}
@@ -0,0 +1,15 @@
+// Key/value storage for the game core (src/economy.js, src/game.js).
+// In the browser this is localStorage; without one (Node, tests) an in-memory stand-in
+// with the same getItem/setItem/removeItem surface, so the core imports headless.
+
+export function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(String(k)) ? data.get(String(k)) : null),
+    setItem: (k, v) => void data.set(String(k), String(v)),
+    removeItem: (k) => void data.delete(String(k)),
+    clear: () => data.clear()
+  };
+}
+
+export const storage = typeof localStorage !== "undefined" ? localStorage : memoryStorage();
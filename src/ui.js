@@ -0,0 +1,96 @@
+// =====================================================
+// UI shell
+// Builds the app markup on import and exposes its elements (els), the $ helper and
+// toast() to the rest of the browser bundle (src/main.js, src/wallet.js, src/renderer.js).
+// =====================================================
+export const TOP_TITLE = "👈🏻Click for m0re Dear";
+
+export function colorizeMinecraftText(str) {
+  // digits + common symbols => red
+  const re = /[0-9$+*\-%=]/g;
+  return String(str).replace(re, (m) => `<span class="mcRed">${m}</span>`);
+}
+
+const app = document.getElementById("app");
+app.innerHTML = `
+  <div class="shell">
+    <div class="topbar">
+      <button class="iconBtn" id="menuBtn" aria-label="Menu">
+        <svg width="22" height="22" viewBox="0 0 24 24" fill="none"><path d="M4 7h16M4 12h16M4 17h16" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
+      </button>
+      <div class="title mcFont">${colorizeMinecraftText(TOP_TITLE)}</div>
+      <button class="badge" id="statusBadge">Loading…</button>
+    </div>
+
+    <div class="gameCard">
+      <div class="canvasWrap">
+        <canvas id="c"></canvas>
+
+        <!-- Compact floating HUD (transparent, minimal) -->
+        <div class="hudMini" id="hud">
+          <div class="hudMiniRow"><span class="hudK">RUN</span><b id="runScore">0</b></div>
+          <div class="hudMiniRow"><span class="hudK">COINS</span><b id="coins">0</b></div>
+          <div class="hudMiniRow"><span class="hudK">BANK</span><b id="bankPoints">0</b></div>
+          <div class="hudMiniRow"><span class="hudK">BOOST</span><b id="boost">—</b></div>
+        </div>
+
+        <div class="toast" id="toast"></div>
+      </div>
+    </div>
+
+    <div class="bottomBar">
+      <div class="controls">
+        <button class="ctrlBtn" id="leftBtn" aria-label="Move Left">
+          <span class="ctrlIcon">◀</span><span class="ctrlText">Left</span>
+        </button>
+        <button class="ctrlBtn primary" id="saveBtn" aria-label="Save Points">
+          <span class="ctrlText">💾Save</span>
+        </button>
+        <button class="ctrlBtn" id="rightBtn" aria-label="Move Right">
+          <span class="ctrlText">Right</span><span class="ctrlIcon">▶</span>
+        </button>
+      </div>
+    </div>
+
+    <div class="sheet" id="sheet" role="dialog" aria-modal="true" aria-hidden="true">
+      <div class="sheetPanel">
+        <div class="sheetHeader">
+          <h3 id="sheetTitle">Menu</h3>
+          <button class="iconBtn" id="closeSheet" aria-label="Close">
+            <svg width="22" height="22" viewBox="0 0 24 24" fill="none"><path d="M6 6l12 12M18 6L6 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
+          </button>
+        </div>
+        <div class="sheetBody" id="sheetBody"></div>
+      </div>
+    </div>
+  </div>
+`;
+
+export const els = {
+  statusBadge: $("#statusBadge"),
+  sheet: $("#sheet"),
+  sheetTitle: $("#sheetTitle"),
+  sheetBody: $("#sheetBody"),
+  toast: $("#toast"),
+  c: $("#c"),
+  runScore: $("#runScore"),
+  coins: $("#coins"),
+  bankPoints: $("#bankPoints"),
+  boost: $("#boost"),
+  menuBtn: $("#menuBtn"),
+  closeSheet: $("#closeSheet"),
+  leftBtn: $("#leftBtn"),
+  rightBtn: $("#rightBtn"),
+  saveBtn: $("#saveBtn")
+};
+
+export function $(sel) {
+  return document.querySelector(sel);
+}
+
+export function toast(msg, ms = 1800) {
+  els.toast.textContent = msg;
+  els.toast.classList.add("show");
+  clearTimeout(toast._t);
+  toast._t = setTimeout(() => els.toast.classList.remove("show"), ms);
+}
@@ -0,0 +1,790 @@
+/**
+ * WALLET LAYER
+ * - Mini App SDK access, lazy web3 deps (viem + ox, loaded while the user plays),
+ *   WalletConnect + injected wallet discovery, the connected account and logAction calls.
+ * - The connection state (account, ethProvider, activeWalletId, activeWalletLabel) is
+ *   exported as live bindings; only this module assigns it.
+ * - walletEvents: "change" { account } on any account/provider change, then "connect"
+ *   { account } once connectWallet() succeeds, so the UI reacts without being imported here.
+ */
+import { CHAIN_ID, CHAIN_ID_HEX, RPC_URL, EXPLORER_URL, CONTRACT } from "./chain.js";
+import { createEventBus } from "./events.js";
+import { toast } from "./ui.js";
+
+export const walletEvents = createEventBus("wallet");
+
+export function getSdkSync() {
+  return (
+    (window.miniapp && window.miniapp.sdk) ||
+    (window.frame && window.frame.sdk) ||
+    window.sdk ||
+    null
+  );
+}
+export let sdk = getSdkSync();
+let _sdkWaitPromise = null;
+
+export async function ensureSdk(timeoutMs = 12000) {
+  if (sdk) return sdk;
+  if (_sdkWaitPromise) return _sdkWaitPromise;
+  _sdkWaitPromise = new Promise((resolve, reject) => {
+    const start = performance.now();
+    (function poll() {
+      sdk = getSdkSync();
+      if (sdk) return resolve(sdk);
+      if (performance.now() - start > timeoutMs) return reject(new Error("Mini App SDK not available"));
+      setTimeout(poll, 10);
+    })();
+  });
+  return _sdkWaitPromise;
+}
+
+// Lazy web3 deps (only needed for connect/commit/chain ops)
+let Attribution = null;
+export let encodeAbiParameters = null;
+let encodeFunctionData = null;
+
+// Warm status for "Deposit Saved points" button.
+// Goal: game renders instantly, but deposit becomes usable ASAP in the background.
+let web3WarmReady = false;
+let web3WarmPromise = null;
+
+let _viemPromise = null;
+async function ensureViem() {
+  if (encodeAbiParameters && encodeFunctionData) return;
+  _viemPromise = _viemPromise || import("https://esm.sh/viem@2.21.0");
+  const m = await _viemPromise;
+  encodeAbiParameters = m.encodeAbiParameters;
+  encodeFunctionData = m.encodeFunctionData;
+}
+
+export let dataSuffix = null;
+let _oxPromise = null;
+async function ensureAttribution() {
+  if (dataSuffix) return;
+  // Pin the ox version so ERC-8021 attribution doesn't randomly break
+  // due to CDN/upstream package updates.
+  _oxPromise = _oxPromise || import("https://esm.sh/ox@0.12.1/erc8021");
+  const m = await _oxPromise;
+  Attribution = m.Attribution;
+  // BUILDER_CODE is defined below (hard input)
+  dataSuffix = Attribution.toDataSuffix({ codes: [BUILDER_CODE] });
+}
+
+// =====================================================
+// WALLETCONNECT (v2) — mobile browser QR / deep-link wallet support
+// Lazy-loaded only when user actually picks WalletConnect.
+// =====================================================
+// 👇👇👇 IMPORTANT: put your WalletConnect (Reown) Project ID here.
+// Get one free at https://cloud.reown.com  (takes 1 minute)
+export const WALLETCONNECT_PROJECT_ID = "ba001bb517511dfef37a6d2b8839d8eb";
+
+let _wcProviderPromise = null;
+let _wcProvider = null;
+
+async function getWalletConnectProvider() {
+  if (_wcProvider) return _wcProvider;
+  if (_wcProviderPromise) return _wcProviderPromise;
+
+  _wcProviderPromise = (async () => {
+    if (!WALLETCONNECT_PROJECT_ID || WALLETCONNECT_PROJECT_ID === "REPLACE_WITH_YOUR_PROJECT_ID") {
+      throw new Error("WalletConnect Project ID not set. Get one at https://cloud.reown.com");
+    }
+
+    // Load WalletConnect Ethereum Provider from CDN (ESM)
+    const mod = await import("https://esm.sh/@walletconnect/ethereum-provider@2.17.0");
+    const EthereumProvider = mod.EthereumProvider || mod.default?.EthereumProvider || mod.default;
+
+    const provider = await EthereumProvider.init({
+      projectId: WALLETCONNECT_PROJECT_ID,
+      chains: [CHAIN_ID], // Base Mainnet
+      optionalChains: [CHAIN_ID, 1],
+      showQrModal: true,
+      qrModalOptions: {
+        themeMode: document.documentElement.getAttribute("data-theme") === "dark" ? "dark" : "light",
+        themeVariables: {
+          "--wcm-z-index": "9999",
+          "--wcm-accent-color": "#ff6b35",
+          "--wcm-background-color": "#0d0d14"
+        }
+      },
+      metadata: {
+        name: "GasRun",
+        description: "Onchain arcade racer on Base",
+        url: typeof window !== "undefined" ? window.location.origin : "https://gasrun.online",
+        icons: ["https://gasrun.online/assets/icon.png"]
+      },
+      rpcMap: {
+        [CHAIN_ID]: RPC_URL
+      }
+    });
+
+    // Bridge events so the rest of the app gets account/chain change notifications.
+    try {
+      provider.on("accountsChanged", (accs) => {
+        account = accs?.[0] || null;
+        if (!account) {
+          ethProvider = null;
+          activeWalletId = null;
+          activeWalletLabel = "Base";
+        }
+        walletEvents.emit("change", { account });
+      });
+      provider.on("disconnect", () => {
+        if (activeWalletId === "walletconnect") {
+          account = null;
+          ethProvider = null;
+          activeWalletId = null;
+          activeWalletLabel = "Base";
+          walletEvents.emit("change", { account });
+          try { toast("Wallet disconnected"); } catch {}
+        }
+      });
+    } catch {}
+
+    _wcProvider = provider;
+    return provider;
+  })();
+
+  try {
+    return await _wcProviderPromise;
+  } catch (e) {
+    _wcProviderPromise = null; // allow retry
+    throw e;
+  }
+}
+
+async function disconnectWalletConnectIfAny() {
+  try {
+    if (_wcProvider && typeof _wcProvider.disconnect === "function") {
+      await _wcProvider.disconnect();
+    }
+  } catch {}
+  _wcProvider = null;
+  _wcProviderPromise = null;
+}
+
+// One shared "warm" promise so clicks feel instant even if the deps are still loading.
+export function warmWeb3Deps() {
+  if (web3WarmReady) return Promise.resolve();
+  web3WarmPromise =
+    web3WarmPromise ||
+    Promise.all([ensureAttribution(), ensureViem()])
+      .then(() => {
+        web3WarmReady = true;
+      })
+      .catch(() => {
+        // Keep the game running even if warmup fails; commit will show a real error later.
+      });
+  return web3WarmPromise;
+}
+
+// Kick off background loading *after first paint* (doesn't block UI)
+export function prefetchWeb3Deps() {
+  const start = () => {
+    // fire-and-forget; keep UI responsive
+    warmWeb3Deps();
+  };
+  // Prefer idle time so first render stays snappy, but don't wait too long.
+  if ("requestIdleCallback" in window) {
+    // @ts-ignore
+    requestIdleCallback(start, { timeout: 300 });
+  } else {
+    requestAnimationFrame(() => setTimeout(start, 60));
+  }
+}
+
+const BASE_CHAIN_ID_HEX = CHAIN_ID_HEX;
+
+// Builder Code from your screenshot (must match Base.dev)
+const BUILDER_CODE = "bc_ox3c2ez4";
+/* dataSuffix is computed lazily via ensureAttribution() */
+// Contract, action bytes32 + event ABI live in ./chain.js (shared with the leaderboard indexer).
+
+// =====================================================
+// Wallet / Chain
+// =====================================================
+let ethProvider = null;
+export let account = null;
+export let activeWalletId = null;
+export let activeWalletLabel = "Base";
+let miniAppProviderPromise = null;
+const injectedWallets = new Map();
+
+function normalizeWalletLabel(label, fallback = "Browser Wallet") {
+  const v = String(label || "").trim();
+  return v || fallback;
+}
+
+function registerInjectedWallet(provider, info = {}) {
+  if (!provider || typeof provider.request !== "function") return;
+  const uuid = info.uuid || info.rdns || info.name || `wallet-${injectedWallets.size + 1}`;
+  const name =
+    info.name ||
+    (provider.isMetaMask && "MetaMask") ||
+    (provider.isCoinbaseWallet && "Coinbase Wallet") ||
+    (provider.isRabby && "Rabby") ||
+    "Browser Wallet";
+  injectedWallets.set(uuid, {
+    id: uuid,
+    label: normalizeWalletLabel(name),
+    provider,
+    rdns: info.rdns || null
+  });
+}
+
+function setupInjectedWalletDiscovery() {
+  try {
+    window.addEventListener("eip6963:announceProvider", (event) => {
+      const detail = event?.detail || {};
+      registerInjectedWallet(detail.provider, detail.info || {});
+    });
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+  } catch {}
+
+  try {
+    const eth = window.ethereum;
+    if (eth?.providers && Array.isArray(eth.providers)) {
+      for (const provider of eth.providers) registerInjectedWallet(provider);
+    }
+    if (eth) registerInjectedWallet(eth);
+  } catch {}
+}
+
+setupInjectedWalletDiscovery();
+
+export function listInjectedWalletOptions() {
+  const items = Array.from(injectedWallets.values());
+  items.sort((a, b) => a.label.localeCompare(b.label));
+  return items;
+}
+
+function bindProviderEvents(provider) {
+  if (!provider || typeof provider.on !== "function") return;
+  if (provider.__gasRunEventsBound) return;
+  provider.__gasRunEventsBound = true;
+
+  provider.on("accountsChanged", (accs) => {
+    account = accs?.[0] || null;
+    if (!account) {
+      ethProvider = null;
+      activeWalletId = null;
+      activeWalletLabel = "Base";
+    }
+    walletEvents.emit("change", { account });
+  });
+
+  provider.on("disconnect", () => {
+    account = null;
+    ethProvider = null;
+    activeWalletId = null;
+    activeWalletLabel = "Base";
+    walletEvents.emit("change", { account });
+  });
+}
+
+// Debug / capability detection (EIP-5792)
+let _lastWalletCapabilities = null;
+
+/**
+ * Try to query wallet capabilities (EIP-5792). Not all wallets implement this.
+ * Helps us explain why paymaster sponsorship is not being applied.
+ */
+async function refreshWalletCapabilities(p) {
+  try {
+    if (!account) return null;
+    const chainId = await p.request({ method: "eth_chainId", params: [] });
+    const res = await p.request({
+      method: "wallet_getCapabilities",
+      // Common signature: [address, [chainIds]]
+      params: [account, [chainId]]
+    });
+    _lastWalletCapabilities = { chainId, res };
+    console.log("wallet_getCapabilities:", _lastWalletCapabilities);
+    return _lastWalletCapabilities;
+  } catch (e) {
+    console.warn("wallet_getCapabilities not supported or failed:", e);
+    _lastWalletCapabilities = null;
+    return null;
+  }
+}
+
+/**
+ * Quick health-check for your /api/paymaster proxy.
+ * If this fails, sponsorship will fail even on supported wallets.
+ */
+export async function checkPaymasterProxy() {
+  try {
+    const r = await fetch("/api/paymaster", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] })
+    });
+    const txt = await r.text();
+    return { ok: r.ok, status: r.status, body: txt.slice(0, 500) };
+  } catch (e) {
+    return { ok: false, status: 0, body: String(e?.message || e) };
+  }
+}
+
+async function getMiniAppProvider() {
+  miniAppProviderPromise =
+    miniAppProviderPromise ||
+    (async () => {
+      try {
+        const s = await ensureSdk();
+        const p = await s.wallet.getEthereumProvider();
+        if (p) bindProviderEvents(p);
+        return p || null;
+      } catch {
+        return null;
+      }
+    })();
+  return miniAppProviderPromise;
+}
+
+export async function getProvider(source = "active") {
+  if (source === "active" && ethProvider) return ethProvider;
+
+  if (source === "miniapp") {
+    const p = await getMiniAppProvider();
+    if (p) bindProviderEvents(p);
+    return p;
+  }
+
+  if (source && source.startsWith("injected:")) {
+    const item = injectedWallets.get(source.slice(9)) || null;
+    const p = item?.provider || null;
+    if (p) bindProviderEvents(p);
+    return p;
+  }
+
+  if (source === "walletconnect") {
+    try {
+      const wc = await getWalletConnectProvider();
+      // For WalletConnect, events are already bridged inside getWalletConnectProvider.
+      return wc;
+    } catch (e) {
+      toast(e?.message || "WalletConnect unavailable", 3000);
+      return null;
+    }
+  }
+
+  if (ethProvider) return ethProvider;
+
+
+  const mini = await getMiniAppProvider();
+  if (mini) {
+    bindProviderEvents(mini);
+    return mini;
+  }
+
+  const injected = listInjectedWalletOptions()[0]?.provider || null;
+  if (injected) bindProviderEvents(injected);
+  return injected;
+}
+
+// personal_sign (EIP-191) by the connected account; a rejection throws.
+export async function signMessage(message) {
+  const p = await getProvider();
+  if (!p || !account) throw new Error("No provider");
+  const hex = "0x" + Array.from(new TextEncoder().encode(message), (b) => b.toString(16).padStart(2, "0")).join("");
+  return p.request({ method: "personal_sign", params: [hex, account] });
+}
+
+export function shortAddr(a) {
+  return `${a.slice(0, 6)}…${a.slice(-4)}`;
+}
+
+let fcUsername = null;
+let fcFid = null;
+
+function _toStr(v) {
+  if (typeof v === "string") return v;
+  if (v == null) return null;
+  if (typeof v === "number" || typeof v === "bigint") return String(v);
+  if (typeof v === "object") {
+    if (typeof v.username === "string") return v.username;
+    if (typeof v.displayName === "string") return v.displayName;
+    if (typeof v.name === "string") return v.name;
+  }
+  return null;
+}
+
+async function getFcUsername() {
+  if (fcUsername !== null) return fcUsername;
+  try {
+    const s = await ensureSdk().catch(() => null);
+const ctx =
+  (s && s.context) ||
+  (s && s.actions && (await s.actions.getContext?.())) ||
+  null;
+    const u = ctx?.user || ctx?.context?.user || null;
+    fcUsername = _toStr(u?.username ?? u?.displayName ?? u?.name ?? null);
+    fcFid = u?.fid ?? ctx?.fid ?? ctx?.userFid ?? null;
+  } catch {
+    fcUsername = null;
+  }
+  return fcUsername;
+}
+
+async function getFcFid() {
+  if (fcFid !== null) return fcFid;
+  await getFcUsername();
+  return fcFid;
+}
+
+export async function displayNameFor(addr) {
+  // Try cached mapping first (localStorage). We also sanitize old/bad cached values
+  // like "@[object Object]" from earlier builds.
+  try {
+    const raw = localStorage.getItem("addrNameMap");
+    if (raw) {
+      const m = JSON.parse(raw);
+      const k = String(addr || "").toLowerCase();
+      let v = m?.[k];
+
+      // Normalize objects/invalid strings
+      if (typeof v === "object" && v) v = v.username || v.displayName || v.name || null;
+      if (typeof v === "string") {
+        const vv = v.trim();
+        const bad = !vv || vv.includes("[object Object]") || vv.length > 80;
+        if (!bad) return vv;
+        // delete bad cached value so it won't keep showing
+        try {
+          delete m[k];
+          localStorage.setItem("addrNameMap", JSON.stringify(m));
+        } catch {}
+      }
+    }
+  } catch {}
+
+  // For the connected account, try Farcaster username (if available)
+  if (account && addr && addr.toLowerCase() === account.toLowerCase()) {
+    const u = await getFcUsername();
+    if (typeof u === "string") {
+      const uu = u.trim().replace(/^@+/, "");
+      if (uu && !uu.includes("[object Object]")) return `@${uu}`;
+    }
+  }
+
+  // Fallback: show FULL address (not truncated).
+  return addr ? String(addr) : "";
+}
+
+async function cacheConnectedUserLabel() {
+  try {
+    const u = await getFcUsername();
+    if (typeof u === "string" && account) {
+      const uu = u.trim().replace(/^@+/, "");
+      const raw = localStorage.getItem("addrNameMap");
+      const m = raw ? JSON.parse(raw) : {};
+      if (uu && !uu.includes("[object Object]")) {
+        m[String(account).toLowerCase()] = `@${uu}`;
+      } else {
+        delete m[String(account).toLowerCase()];
+      }
+      localStorage.setItem("addrNameMap", JSON.stringify(m));
+    }
+  } catch {}
+}
+
+export async function connectWallet(source = "miniapp", walletLabel = null) {
+  const p = await getProvider(source);
+  if (!p) {
+    const msg =
+      source === "miniapp"
+        ? "Base/Farcaster host not detected. Use WalletConnect or install MetaMask."
+        : source === "walletconnect"
+        ? "WalletConnect unavailable. Check your internet or try again."
+        : "No wallet found. Try WalletConnect or install a browser wallet.";
+    toast(msg, 2800);
+    return null;
+  }
+
+
+  try {
+    let accs;
+    if (source === "walletconnect") {
+      // WalletConnect v2 uses .connect() which triggers the QR modal / deep-link.
+      if (typeof p.connect === "function" && !p.accounts?.length) {
+        await p.connect();
+      }
+      accs = p.accounts && p.accounts.length
+        ? p.accounts
+        : await p.request({ method: "eth_requestAccounts", params: [] });
+    } else {
+      accs = await p.request({ method: "eth_requestAccounts", params: [] });
+    }
+
+    account = accs?.[0] || null;
+    ethProvider = p;
+    activeWalletId = source;
+    activeWalletLabel = normalizeWalletLabel(
+      walletLabel || (
+        source === "miniapp" ? "Base" :
+        source === "walletconnect" ? "WalletConnect" :
+        "Browser Wallet"
+      ),
+      "Base"
+    );
+    try { refreshWalletCapabilities(p); } catch {}
+    await cacheConnectedUserLabel();
+    walletEvents.emit("change", { account });
+    walletEvents.emit("connect", { account });
+    return account;
+  } catch (e) {
+    const code = e?.code;
+    if (code === 4001) toast("Wallet connection cancelled.");
+    else toast(e?.message || "Wallet connection failed.", 2400);
+    // If WalletConnect session failed, cleanup so retry works
+    if (source === "walletconnect") {
+      try { await disconnectWalletConnectIfAny(); } catch {}
+    }
+    return null;
+  }
+}
+
+// Fast mini-host detection: checks synchronously first, then waits only 300ms.
+// Prevents the 12s ensureSdk() stall on regular mobile browsers.
+export async function detectMiniHostFast() {
+  // synchronous fast path — SDK already present?
+  const syncSdk = getSdkSync();
+  if (syncSdk) {
+    try {
+      const p = await syncSdk.wallet.getEthereumProvider();
+      return !!p;
+    } catch { return false; }
+  }
+
+  // short async wait — if SDK shows up within 300ms, count it.
+  try {
+    const p = await new Promise((resolve) => {
+      const start = performance.now();
+      (function poll() {
+        const s = getSdkSync();
+        if (s) return resolve(s);
+        if (performance.now() - start > 300) return resolve(null);
+        setTimeout(poll, 30);
+      })();
+    });
+    if (!p) return false;
+    const pr = await p.wallet.getEthereumProvider();
+    return !!pr;
+  } catch {
+    return false;
+  }
+}
+
+
+// =====================================================
+// ensureBase — make sure the wallet is on Base Mainnet (0x2105 / 8453)
+// Works for all providers: miniapp, injected (MetaMask/Coinbase/etc),
+// and WalletConnect v2 (Trust, Rainbow, OKX, etc.).
+// =====================================================
+export async function ensureBase() {
+  const p = await getProvider();
+  if (!p) throw new Error("No wallet provider. Please reconnect your wallet.");
+
+  // 1) Read current chain
+  let chainId;
+  try {
+    chainId = await p.request({ method: "eth_chainId", params: [] });
+  } catch (e) {
+    // Some mobile wallets block eth_chainId when session is stale — try reconnect once.
+    throw new Error("Wallet session expired. Please reconnect and try again.");
+  }
+
+  if (chainId === BASE_CHAIN_ID_HEX) return; // already on Base ✅
+
+  // 2) Try wallet_switchEthereumChain (standard path — MetaMask, Rabby, Coinbase Wallet)
+  try {
+    await p.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: BASE_CHAIN_ID_HEX }]
+    });
+    return;
+  } catch (switchErr) {
+    const code = switchErr?.code;
+    // 4902 = chain not added; 4001 = user rejected
+    if (code === 4001) {
+      throw new Error("Please switch to Base Mainnet to deposit.");
+    }
+    // For WalletConnect / Trust / Rainbow / any wallet that doesn't know Base yet → try adding.
+    if (code === 4902 || code === -32602 || code === -32603 || !code) {
+      try {
+        await p.request({
+          method: "wallet_addEthereumChain",
+          params: [{
+            chainId: BASE_CHAIN_ID_HEX,
+            chainName: "Base",
+            nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+            rpcUrls: [RPC_URL],
+            blockExplorerUrls: [EXPLORER_URL]
+          }]
+        });
+        // After adding, some wallets auto-switch; others need another switch call.
+        try {
+          await p.request({
+            method: "wallet_switchEthereumChain",
+            params: [{ chainId: BASE_CHAIN_ID_HEX }]
+          });
+        } catch {}
+      } catch (addErr) {
+        if (addErr?.code === 4001) {
+          throw new Error("Please approve adding Base network to continue.");
+        }
+        throw new Error(
+          "Could not switch to Base. Open your wallet app and switch network to Base Mainnet, then try again."
+        );
+      }
+    } else {
+      throw new Error(
+        "Network switch failed. Please switch to Base Mainnet in your wallet app manually."
+      );
+    }
+  }
+
+  // 3) Final verification — confirm we really are on Base now.
+  try {
+    const verify = await p.request({ method: "eth_chainId", params: [] });
+    if (verify !== BASE_CHAIN_ID_HEX) {
+      throw new Error("Please switch to Base Mainnet in your wallet, then try again.");
+    }
+  } catch (e) {
+    if (String(e?.message || "").includes("Please switch")) throw e;
+    // Non-fatal — proceed; the downstream send will catch chain mismatches.
+  }
+}
+
+// logAction(bytes32 action, bytes data) on the game contract, as a wallet call.
+export function buildLogActionCall(action, payload) {
+  const data = encodeFunctionData({
+    abi: [
+      {
+        type: "function",
+        name: "logAction",
+        stateMutability: "nonpayable",
+        inputs: [
+          { name: "action", type: "bytes32" },
+          { name: "data", type: "bytes" }
+        ],
+        outputs: []
+      }
+    ],
+    functionName: "logAction",
+    args: [action, payload]
+  });
+  return { to: CONTRACT, value: "0x0", data };
+}
+
+// Sends logAction calls (deposits, garage proofs, achievement badges), bundled when the
+// wallet can: paymaster -> no paymaster -> one plain tx per call, in order.
+// onSent(indices, kind, ref) runs as the wallet accepts each bundle/tx; a rejection throws,
+// and with plain txs the calls after it are simply never sent.
+export async function sendLogActionCalls(calls, onSent) {
+  await ensureBase();
+  await warmWeb3Deps();
+
+  const p = await getProvider();
+  if (!p) throw new Error("No provider");
+  const chainId = await p.request({ method: "eth_chainId", params: [] });
+  const built = calls.map(({ action, payload }) => buildLogActionCall(action, payload));
+
+  const sendCalls = async (usePaymaster) => {
+    const caps = {};
+    if (dataSuffix) caps.dataSuffix = dataSuffix;
+    if (usePaymaster) caps.paymasterService = { url: new URL("/api/paymaster", window.location.origin).toString() };
+    const r = await p.request({
+      method: "wallet_sendCalls",
+      params: [{ version: "2.0.0", from: account, chainId, atomicRequired: true, calls: built, capabilities: caps }]
+    });
+    onSent(built.map((_, i) => i), "calls", typeof r === "string" ? r : r?.id || null);
+  };
+
+  const sendEthTxs = async () => {
+    toast(built.length > 1 ? `Sending ${built.length} normal transactions (gas required)…` : "Sending normal transaction (gas required)…", 1600);
+    for (let i = 0; i < built.length; i++) {
+      const hash = await p.request({
+        method: "eth_sendTransaction",
+        params: [{ from: account, to: built[i].to, value: built[i].value, data: built[i].data }]
+      });
+      onSent([i], "tx", hash);
+    }
+  };
+
+  const isSendCallsUnsupported = (low) =>
+    low.includes("wallet_sendcalls") ||
+    low.includes("method not found") ||
+    low.includes("unknown method") ||
+    low.includes("not supported") ||
+    low.includes("unsupported") ||
+    low.includes("capability");
+
+  try {
+    await sendCalls(true);
+  } catch (e1) {
+    const low1 = String(e1?.message || e1 || "").toLowerCase();
+    if (low1.includes("rejected")) throw e1;
+    if (isSendCallsUnsupported(low1)) {
+      console.warn("wallet_sendCalls unsupported -> fallback eth_sendTransaction", { proxy: await checkPaymasterProxy(), err: e1 });
+      await sendEthTxs();
+      return;
+    }
+    toast("Gasless failed — retrying without paymaster…", 1600);
+    try {
+      await sendCalls(false);
+    } catch (e2) {
+      const low2 = String(e2?.message || e2 || "").toLowerCase();
+      if (low2.includes("rejected")) throw e2;
+      console.warn("wallet_sendCalls failed even without paymaster -> fallback eth_sendTransaction", {
+        proxy: await checkPaymasterProxy(),
+        err: e2
+      });
+      await sendEthTxs();
+    }
+  }
+}
+
+async function rpcCall(method, params) {
+  const res = await fetch(RPC_URL, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params })
+  });
+  const j = await res.json();
+  if (j.error) throw new Error(j.error.message || "RPC error");
+  return j.result;
+}
+
+// Receipt status "0x1" = success; anything else reverted.
+const receiptOk = (r) => String(r?.status ?? "").toLowerCase() === "0x1" || r?.status === 1 || r?.status === "success";
+
+// Where something sendLogActionCalls sent stands: { kind: "calls" | "tx", ref, txHash }
+// => { state: "pending" | "confirmed" | "failed", txHash }
+export async function checkSentStatus(d) {
+  if (d.kind === "calls") {
+    const p = await getProvider();
+    if (!p) return { state: "pending", txHash: d.txHash };
+    const r = await p.request({ method: "wallet_getCallsStatus", params: [d.ref] });
+    const receipts = Array.isArray(r?.receipts) ? r.receipts : [];
+    const txHash = receipts.find((x) => x?.transactionHash)?.transactionHash || d.txHash;
+    // EIP-5792 v2 uses numeric codes (1xx pending, 200 confirmed, 4xx-6xx failed); v1 used strings.
+    const code = Number(r?.status);
+    const label = String(r?.status || "").toUpperCase();
+    if (code === 200 || label === "CONFIRMED") {
+      return { state: receipts.length && receipts.every(receiptOk) ? "confirmed" : "failed", txHash };
+    }
+    if (code >= 400 || label === "FAILED") return { state: "failed", txHash };
+    return { state: "pending", txHash };
+  }
+
+  let receipt = null;
+  try {
+    const p = await getProvider();
+    if (p) receipt = await p.request({ method: "eth_getTransactionReceipt", params: [d.txHash] });
+  } catch {}
+  if (!receipt) receipt = await rpcCall("eth_getTransactionReceipt", [d.txHash]);
+  if (!receipt) return { state: "pending", txHash: d.txHash };
+  return { state: receiptOk(receipt) ? "confirmed" : "failed", txHash: d.txHash };
+}
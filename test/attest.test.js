@@ -0,0 +1,116 @@
+// Score attestation (api/attest.mjs): replays are re-simulated before anything is signed.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { verifyAttestation } = require("../lib/attestation");
+
+const A = "0x" + "a".repeat(40);
+let engine;
+let handler;
+
+// A seeded run that drives straight until it crashes, saving every 100 ticks.
+function playReplay(seed) {
+  const run = engine.createRun({ seed, geo: engine.computeLaneGeometry(400, 700) });
+  while (!run.over && run.tick < 3000) {
+    engine.stepRun(run);
+    if (run.tick % 100 === 0) engine.saveRunScore(run);
+  }
+  return engine.exportReplay(run);
+}
+
+function weekStartUtcMs(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+}
+
+function post(body, method = "POST") {
+  return new Promise((resolve) => {
+    const res = {
+      setHeader() {},
+      status(code) {
+        return { send: (text) => resolve({ status: code, body: JSON.parse(text) }) };
+      }
+    };
+    handler({ method, body }, res);
+  });
+}
+
+const attest = (runs, extra = {}) => post({ address: A, weekStart: weekStartUtcMs(), points: 10 ** 9, runs, ...extra });
+
+test.before(async () => {
+  engine = await import("../src/engine.js");
+  // 1000 ticks a day: a few of the short runs above, not all of them.
+  process.env.ATTEST_DAILY_TICKS = "1000";
+  process.env.ATTEST_BONUS_ALLOWANCE = "50";
+  handler = (await import("../api/attest.mjs")).default;
+});
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("verified runs are signed for what they earned", async () => {
+  const runs = [playReplay(6), playReplay(10)];
+  const r = await attest(runs);
+  assert.strictEqual(r.status, 200);
+  // Seed 6 saves 90 points, seed 10 saves 44 and picks up a coin; the bonus is capped at 50.
+  assert.strictEqual(r.body.earned, 90 + 44 + engine.COIN_POINTS + 50);
+  assert.strictEqual(r.body.bonus, 50);
+  assert.deepStrictEqual(r.body.runs, { counted: 2, rejected: [] });
+  const { sig, ...fields } = r.body.attestation;
+  assert.strictEqual(fields.points, r.body.earned);
+  assert.ok(verifyAttestation(fields, sig));
+});
+
+test("the bonus never exceeds what the request's runs earned", async () => {
+  const r = await attest([playReplay(2)]);
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.body.bonus, 21);
+  assert.strictEqual(r.body.earned, 42);
+
+  const none = await attest([]);
+  assert.strictEqual(none.status, 422);
+  assert.strictEqual(none.body.earned, 0);
+});
+
+test("a run is attested once", async () => {
+  const run = playReplay(3);
+  assert.strictEqual((await attest([run])).status, 200);
+  const again = await attest([run]);
+  assert.strictEqual(again.status, 422);
+  assert.deepStrictEqual(again.body.rejected, [{ seed: 3, reason: "already-attested" }]);
+
+  const twice = await attest([playReplay(7), playReplay(7)]);
+  assert.strictEqual(twice.body.runs.counted, 1);
+  assert.deepStrictEqual(twice.body.runs.rejected, [{ seed: 7, reason: "duplicate" }]);
+});
+
+test("tampered replays are rejected without using up the daily budget", async () => {
+  // Claims more ticks than the run survived: the re-simulation ends early.
+  const forged = [1, 4, 5].map((seed) => {
+    const r = playReplay(seed);
+    return { ...r, ticks: r.ticks + 150 };
+  });
+  const bad = await attest(forged);
+  assert.strictEqual(bad.status, 422);
+  assert.deepStrictEqual(bad.body.rejected.map((x) => x.reason), ["replay-mismatch", "replay-mismatch", "replay-mismatch"]);
+
+  // The whole budget is still there for real runs: 430 + 397 ticks.
+  const good = await attest([playReplay(6), playReplay(12)]);
+  assert.strictEqual(good.status, 200);
+  assert.strictEqual(good.body.runs.counted, 2);
+
+  // Seed 8 (297 ticks) no longer fits and isn't simulated.
+  const over = await attest([playReplay(8)]);
+  assert.deepStrictEqual(over.body.rejected, [{ seed: 8, reason: "daily-budget" }]);
+});
+
+test("requests are validated before any replay runs", async () => {
+  assert.strictEqual((await post({}, "GET")).status, 405);
+  assert.strictEqual((await attest([], { address: "0x1234" })).body.error, "Invalid address");
+  assert.strictEqual((await attest([], { weekStart: weekStartUtcMs() - 14 * 864e5 })).status, 400);
+  assert.strictEqual((await attest([], { points: -5 })).body.error, "Invalid points");
+  assert.strictEqual((await attest(Array(41).fill(playReplay(2)))).status, 400);
+
+  const malformed = await attest([{ ...playReplay(2), inputs: [[5, 3]] }, { v: 0 }]);
+  assert.strictEqual(malformed.status, 422);
+  assert.deepStrictEqual(malformed.body.rejected.map((x) => x.reason), ["malformed", "malformed"]);
+});
@@ -0,0 +1,134 @@
+// Daily challenge (api/daily.mjs, lib/daily.js): one track per UTC day, signed and verified runs.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { privateKeyToAccount } = require("viem/accounts");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { utcDay, dayEndsAt, dailySeedFor, isOpenDay } = require("../lib/daily");
+
+const alice = privateKeyToAccount("0x" + "11".repeat(32));
+const bob = privateKeyToAccount("0x" + "22".repeat(32));
+let engine;
+let handler;
+
+// A daily run that changes lane every `every` ticks until it crashes.
+function playDaily(day, every, track = dailySeedFor(day)) {
+  const run = engine.createRun({ mode: "daily", day, track, geo: engine.computeLaneGeometry(360, 640) });
+  while (!run.over && run.tick < 1200) {
+    if (run.tick % every === 0) engine.queueLaneInput(run, (run.tick / every) % 2 ? 1 : -1);
+    engine.stepRun(run);
+  }
+  return engine.exportReplay(run);
+}
+
+async function sign(account, replay) {
+  const hash = "0x" + crypto.createHash("sha256").update(engine.replayFingerprint(replay)).digest("hex");
+  return account.signMessage({ message: engine.dailyClaimMessage(replay.day, hash) });
+}
+
+function call(req) {
+  return new Promise((resolve) => {
+    const res = {
+      setHeader() {},
+      status(code) {
+        return { send: (text) => resolve({ status: code, body: JSON.parse(text) }) };
+      }
+    };
+    handler(req, res);
+  });
+}
+const post = (body) => call({ method: "POST", body });
+
+test.before(async () => {
+  // Signatures that don't recover locally are checked against wallet contracts on Base;
+  // keep that offline (a failed lookup is a failed check).
+  const realFetch = global.fetch;
+  global.fetch = (url, opts) =>
+    /^https?:\/\/127\.0\.0\.1[:/]/.test(String(url)) ? realFetch(url, opts) : Promise.reject(new Error("offline"));
+  engine = await import("../src/engine.js");
+  handler = (await import("../api/daily.mjs")).default;
+});
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("GET publishes today's track", async () => {
+  const r = await call({ method: "GET" });
+  const day = utcDay();
+  assert.deepStrictEqual(r.body, { ok: true, day, seed: dailySeedFor(day), endsAt: dayEndsAt(day), mode: "daily" });
+  assert.strictEqual((await call({ method: "PUT" })).status, 405);
+});
+
+test("a day stays open until a short grace after midnight", () => {
+  const now = Date.parse("2026-10-14T00:10:00Z");
+  assert.strictEqual(isOpenDay("2026-10-14", now), true);
+  assert.strictEqual(isOpenDay("2026-10-13", now), true);
+  assert.strictEqual(isOpenDay("2026-10-13", now + 10 * 60 * 1000), false);
+  assert.strictEqual(isOpenDay("2026-10-15", now), false);
+  assert.strictEqual(isOpenDay("2026-02-30", now), false);
+});
+
+test("DAILY_SEED_KEY keeps the tracks secret but stable", () => {
+  const saved = process.env.DAILY_SEED_KEY;
+  try {
+    delete process.env.DAILY_SEED_KEY;
+    const open = dailySeedFor("2026-10-14");
+    process.env.DAILY_SEED_KEY = "k";
+    const secret = dailySeedFor("2026-10-14");
+    assert.notStrictEqual(secret, open);
+    assert.strictEqual(dailySeedFor("2026-10-14"), secret);
+    assert.notStrictEqual(dailySeedFor("2026-10-15"), secret);
+  } finally {
+    if (saved == null) delete process.env.DAILY_SEED_KEY;
+    else process.env.DAILY_SEED_KEY = saved;
+  }
+});
+
+test("signed runs go on the board once, and only the best one counts", async () => {
+  const day = utcDay();
+  const [a, b] = [playDaily(day, 50), playDaily(day, 30)];
+  const [low, high] = engine.runTotalScore(engine.replayRun(a)) < engine.runTotalScore(engine.replayRun(b)) ? [a, b] : [b, a];
+
+  const first = await post({ address: alice.address, replay: high, signature: await sign(alice, high) });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.improved, true);
+  assert.deepStrictEqual([first.body.day, first.body.rank, first.body.players], [day, 1, 1]);
+
+  const worse = await post({ address: alice.address, replay: low, signature: await sign(alice, low) });
+  assert.strictEqual(worse.body.improved, false);
+  assert.strictEqual(worse.body.best, first.body.score);
+
+  const again = await post({ address: alice.address, replay: high, signature: await sign(alice, high) });
+  assert.strictEqual(again.status, 409);
+});
+
+test("a run needs its poster's signature", async () => {
+  const replay = playDaily(utcDay(), 40);
+  const signature = await sign(alice, replay);
+  assert.strictEqual((await post({ address: bob.address, replay, signature })).status, 401);
+  assert.strictEqual((await post({ address: alice.address, replay })).status, 401);
+  // Signed for another run.
+  const other = playDaily(utcDay(), 45);
+  assert.strictEqual((await post({ address: alice.address, replay: other, signature })).status, 401);
+  // Refused signatures don't burn the run.
+  assert.strictEqual((await post({ address: alice.address, replay, signature })).status, 200);
+});
+
+test("replays are checked before anything is recorded", async () => {
+  const day = utcDay();
+  const replay = playDaily(day, 40);
+  const withSig = async (r) => post({ address: alice.address, replay: r, signature: await sign(alice, r) });
+
+  // Claims more ticks than the run survived.
+  assert.strictEqual((await withSig({ ...replay, ticks: replay.ticks + 100 })).status, 422);
+  assert.strictEqual((await withSig({ ...replay, v: replay.v - 1 })).status, 409);
+  assert.strictEqual((await withSig({ ...replay, mode: "endless", day: undefined, track: undefined })).status, 400);
+  assert.strictEqual((await withSig(playDaily(day, 40, dailySeedFor(day) + 1))).status, 409);
+
+  const old = new Date(Date.now() - 3 * 864e5).toISOString().slice(0, 10);
+  const closed = await withSig(playDaily(old, 40));
+  assert.deepStrictEqual([closed.status, closed.body.error], [409, `The ${old} challenge is closed`]);
+
+  assert.strictEqual((await post({ address: "0x12", replay, signature: "0x" })).status, 400);
+  // Nothing above reached the board.
+  assert.strictEqual((await withSig(replay)).body.players, 1);
+});
@@ -0,0 +1,90 @@
+// Deposit history (api/deposits.js): one wallet's WEEKLY_ADD logs, read from the mock chain.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { startMockChain, loadFixture } = require("../lib/chain-mock");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { createDepositsHandler } = require("../api/deposits");
+const { createLeaderboardHandler } = require("../api/leaderboard");
+
+const FIXTURE = loadFixture(path.join(__dirname, "../lib/fixtures/chain-two-weeks.json"));
+const NOW = Date.parse("2026-10-14T12:00:00Z");
+const addr = (d) => "0x" + String(d).repeat(40);
+
+function call(handler, query, method = "GET") {
+  return new Promise((resolve) => {
+    const res = {
+      setHeader() {},
+      status(code) {
+        return { send: (text) => resolve({ status: code, body: JSON.parse(text) }) };
+      }
+    };
+    handler({ method, query }, res);
+  });
+}
+
+async function setup(t, opts = {}) {
+  setStore(createMemoryStore());
+  const mock = await startMockChain(FIXTURE, opts);
+  t.after(() => mock.close());
+  const source = { rpcs: [mock.rpcUrl], explorerUrl: mock.explorerUrl };
+  return { mock, deposits: createDepositsHandler(source), leaderboard: createLeaderboardHandler({ ...source, now: () => NOW }) };
+}
+
+test("a wallet's deposits come newest first with totals", async (t) => {
+  const { deposits } = await setup(t);
+  const r = await call(deposits, { address: addr(1).toUpperCase().replace("0X", "0x") });
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.body.address, addr(1));
+  assert.deepStrictEqual(r.body.deposits.map((d) => [d.block, d.points, d.week]), [
+    ["24500", "7000", "2026-09-28"],
+    ["9800", "40000", "2026-10-05"],
+    ["1200", "52000", "2026-10-05"]
+  ]);
+  assert.deepStrictEqual(r.body.totals, { count: 3, points: "99000", countedPoints: "99000" });
+  assert.strictEqual(r.body.partial, false);
+  assert.strictEqual(r.body.toBlock, "30000");
+  // Other actions' logs (the OTHER entry of 0x3333) are not deposits.
+  assert.strictEqual((await call(deposits, { address: addr(3) })).body.totals.count, 1);
+});
+
+test("deposits the indexer rejected are flagged and not counted", async (t) => {
+  const { deposits, leaderboard } = await setup(t);
+  assert.strictEqual((await call(leaderboard, { refresh: "1" })).body.ok, true);
+
+  const r = await call(deposits, { address: addr(4) });
+  assert.strictEqual(r.body.deposits[0].rejected, "points-over-cap");
+  assert.deepStrictEqual(r.body.totals, { count: 1, points: "999999999", countedPoints: "0" });
+});
+
+test("the RPC fallback returns the same ledger, each log once", async (t) => {
+  const { mock, deposits } = await setup(t, { explorerDown: true });
+  const getLogs = mock.chain.getLogs;
+  mock.chain.getLogs = (f) => getLogs(f).flatMap((l) => [l, l]);
+
+  const r = await call(deposits, { address: addr(2) });
+  assert.deepStrictEqual(r.body.deposits.map((d) => d.block), ["17350", "2400"]);
+  assert.strictEqual(r.body.partial, false);
+});
+
+test("ledgers are cached briefly; refresh=1 reads the chain again", async (t) => {
+  const { mock, deposits } = await setup(t);
+  await call(deposits, { address: addr(2) });
+  mock.chain.addLogs([{ block: 30100, user: addr(2), points: "500", weekStart: "2026-10-12" }]);
+
+  const cached = await call(deposits, { address: addr(2) });
+  assert.strictEqual(cached.body.cached, true);
+  assert.strictEqual(cached.body.totals.count, 2);
+
+  const fresh = await call(deposits, { address: addr(2), refresh: "1" });
+  assert.strictEqual(fresh.body.cached, undefined);
+  assert.strictEqual(fresh.body.totals.count, 3);
+});
+
+test("bad requests", async (t) => {
+  const { deposits } = await setup(t);
+  assert.strictEqual((await call(deposits, { address: "0x12" })).status, 400);
+  assert.strictEqual((await call(deposits, {})).status, 400);
+  assert.strictEqual((await call(deposits, { address: addr(1) }, "POST")).status, 405);
+});
@@ -0,0 +1,36 @@
+// Bank decay (src/economy.js): DECAY_MULT per whole DECAY_INTERVAL_MS without a deposit.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { DECAY_INTERVAL_MS, DECAY_MULT, decayBank, applyDecay, profile } = require("../src/economy.js");
+
+test("decayBank only counts whole intervals", () => {
+  assert.deepStrictEqual(decayBank(1000, 0), { points: 1000, steps: 0 });
+  assert.deepStrictEqual(decayBank(1000, DECAY_INTERVAL_MS - 1), { points: 1000, steps: 0 });
+  assert.deepStrictEqual(decayBank(1000, DECAY_INTERVAL_MS), { points: 1000 * DECAY_MULT, steps: 1 });
+  assert.deepStrictEqual(decayBank(1000, 3.5 * DECAY_INTERVAL_MS), { points: 1000 * DECAY_MULT ** 3, steps: 3 });
+});
+
+test("decayBank leaves the bank alone for a clock that went backwards", () => {
+  assert.deepStrictEqual(decayBank(1000, -5 * DECAY_INTERVAL_MS), { points: 1000, steps: 0 });
+});
+
+test("applyDecay keeps the part of an interval that hasn't passed yet", () => {
+  const t0 = Date.UTC(2026, 9, 12);
+  Object.assign(profile, { bankPoints: 1000, lastDecayAt: t0 });
+
+  applyDecay(t0 + 2.5 * DECAY_INTERVAL_MS);
+  assert.strictEqual(profile.bankPoints, 1000 * DECAY_MULT ** 2);
+  assert.strictEqual(profile.lastDecayAt, t0 + 2 * DECAY_INTERVAL_MS);
+
+  // The half interval left over completes on the next call.
+  applyDecay(t0 + 3 * DECAY_INTERVAL_MS);
+  assert.strictEqual(profile.bankPoints, 1000 * DECAY_MULT ** 3);
+});
+
+test("an empty bank doesn't bank decay for later", () => {
+  const t0 = Date.UTC(2026, 9, 12);
+  Object.assign(profile, { bankPoints: 0, lastDecayAt: t0 });
+  applyDecay(t0 + 5 * DECAY_INTERVAL_MS);
+  assert.strictEqual(profile.lastDecayAt, t0 + 5 * DECAY_INTERVAL_MS);
+});
@@ -0,0 +1,12 @@
+// Spawn fairness: the harness bot (lib/fairness-harness.js) must survive every seeded run.
+// `node lib/fairness-harness.js` runs the full 2000-seed sweep; this is the quick one.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { runFairnessHarness } = require("../lib/fairness-harness");
+
+test("every wave leaves a way through, pickups included", () => {
+  const report = runFairnessHarness({ seeds: 150, seconds: 90 });
+  const first = report.crashes[0];
+  assert.ok(report.ok, first && `${report.crashes.length} unfair, e.g. ${first.mode} seed=${first.seed} t=${first.t}s (${first.cause})`);
+});
@@ -0,0 +1,60 @@
+// Chain config self-check (api/health.js) against the local chain stand-in.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { keccak_256 } = require("js-sha3");
+const { startMockChain } = require("../lib/chain-mock");
+const chain = require("../src/chain.js");
+const handler = require("../api/health");
+
+const SELECTOR = keccak_256(chain.LOG_ACTION_SIGNATURE).slice(0, 8);
+// Just enough bytecode: a dispatcher entry for logAction and the event's topic0.
+const GAME_CODE = `0x6080604052${"63" + SELECTOR}${"7f" + chain.TOPIC0_ACTION_LOGGED.slice(2)}00`;
+
+function call(query) {
+  return new Promise((resolve) => {
+    const res = {
+      setHeader() {},
+      status(code) {
+        return { send: (text) => resolve({ status: code, body: JSON.parse(text) }) };
+      }
+    };
+    handler({ method: "GET", query }, res);
+  });
+}
+
+async function withCode(t, code) {
+  const mock = await startMockChain({ contract: chain.CONTRACT, code });
+  const saved = process.env.RPC_URL;
+  process.env.RPC_URL = mock.rpcUrl;
+  t.after(async () => {
+    if (saved == null) delete process.env.RPC_URL;
+    else process.env.RPC_URL = saved;
+    await mock.close();
+  });
+  return mock;
+}
+
+test("the game's contract passes", async (t) => {
+  await withCode(t, GAME_CODE);
+  const r = await call({});
+  assert.strictEqual(r.status, 200);
+  assert.deepStrictEqual(r.body.failed, []);
+  assert.ok(["contract-code", "contract-log-action", "contract-event"].every((n) => r.body.checks.some((c) => c.name === n)));
+});
+
+test("an address without code, or with another contract, fails", async (t) => {
+  const mock = await withCode(t, "0x");
+  const empty = await call({});
+  assert.strictEqual(empty.status, 500);
+  assert.deepStrictEqual(empty.body.failed, ["contract-code", "contract-log-action", "contract-event"]);
+
+  mock.chain.code = "0x60806040526004361061001e5760003560e01c8063a9059cbb14610023575b600080fd";
+  assert.deepStrictEqual((await call({})).body.failed, ["contract-log-action", "contract-event"]);
+});
+
+test("onchain=0 checks only the config", async () => {
+  const r = await call({ onchain: "0" });
+  assert.strictEqual(r.status, 200);
+  assert.ok(!r.body.checks.some((c) => c.name.startsWith("contract-")));
+});
@@ -0,0 +1,74 @@
+// Leaderboard unlock (api/leaderboard.js ?access=1 / you.access): decided by the indexed all-time deposits.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { startMockChain, loadFixture } = require("../lib/chain-mock");
+const { createMemoryStore, setStore } = require("../lib/store");
+const { createLeaderboardHandler } = require("../api/leaderboard");
+
+const FIXTURE = loadFixture(path.join(__dirname, "../lib/fixtures/chain-two-weeks.json"));
+const NOW = Date.parse("2026-10-14T12:00:00Z");
+const addr = (d) => "0x" + String(d).repeat(40);
+
+function call(handler, query) {
+  return new Promise((resolve) => {
+    const res = {
+      setHeader() {},
+      status(code) {
+        return { send: (text) => resolve({ status: code, body: JSON.parse(text) }) };
+      }
+    };
+    handler({ method: "GET", query }, res);
+  });
+}
+
+async function setup(t) {
+  setStore(createMemoryStore());
+  const mock = await startMockChain({
+    ...FIXTURE,
+    logs: [
+      ...FIXTURE.logs,
+      // Weeks before the live window: never on the weekly boards.
+      { block: 100, user: addr(6), points: "20000", weekStart: "2026-09-14" },
+      { block: 110, user: addr(7), points: "4000", weekStart: "2026-09-14" },
+      { block: 16500, user: addr(7), points: "3000", weekStart: "2026-10-12" }
+    ]
+  });
+  t.after(() => mock.close());
+  const handler = createLeaderboardHandler({ rpcs: [mock.rpcUrl], explorerUrl: mock.explorerUrl, now: () => NOW });
+  assert.strictEqual((await call(handler, { refresh: "1" })).body.ok, true);
+  return handler;
+}
+
+const access = async (handler, address) => (await call(handler, { access: "1", address })).body.access;
+
+test("indexed deposits over the threshold unlock the boards", async (t) => {
+  const handler = await setup(t);
+  // 92000 in the live weeks + 7000 from 2026-09-28.
+  assert.deepStrictEqual(await access(handler, addr(1)), { deposited: "99000", threshold: 10000, unlocked: true });
+});
+
+test("older deposits count toward the unlock too", async (t) => {
+  const handler = await setup(t);
+  assert.deepStrictEqual(await access(handler, addr(6)), { deposited: "20000", threshold: 10000, unlocked: true });
+  // 4000 before the window + 3000 in it.
+  assert.deepStrictEqual(await access(handler, addr(7)), { deposited: "7000", threshold: 10000, unlocked: false });
+});
+
+test("rejected deposits and strangers stay locked", async (t) => {
+  const handler = await setup(t);
+  assert.strictEqual((await access(handler, addr(4))).unlocked, false);
+  assert.deepStrictEqual(await access(handler, addr(9)), { deposited: "0", threshold: 10000, unlocked: false });
+});
+
+test("the board payload carries the viewer's access", async (t) => {
+  const handler = await setup(t);
+  const r = await call(handler, { address: addr(2) });
+  assert.deepStrictEqual(r.body.you.access, { deposited: "96000", threshold: 10000, unlocked: true });
+  assert.strictEqual(r.body.meta.unlockThreshold, 10000);
+  assert.strictEqual(r.body.you.weekly.points, "15000");
+
+  assert.strictEqual((await call(handler, { access: "1" })).status, 400);
+  assert.strictEqual((await call(handler, { access: "1", address: "nope" })).status, 400);
+});
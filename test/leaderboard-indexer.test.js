@@ -0,0 +1,157 @@
+// Leaderboard indexing (api/leaderboard.js) against the local chain stand-in (lib/chain-mock.js).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { startMockChain, loadFixture } = require("../lib/chain-mock");
+const { createMemoryStore, setStore, getStore } = require("../lib/store");
+const lb = require("../api/leaderboard");
+
+const FIXTURE = loadFixture(path.join(__dirname, "../lib/fixtures/chain-two-weeks.json"));
+const NOW = Date.parse("2026-10-14T12:00:00Z");
+const THIS_WEEK = Date.parse("2026-10-12T00:00:00Z");
+const LAST_WEEK = Date.parse("2026-10-05T00:00:00Z");
+const addr = (d) => "0x" + String(d).repeat(40);
+
+// A fresh store and mock chain per test. explorerDown forces the eth_getLogs path.
+async function setup(t, opts = {}) {
+  setStore(createMemoryStore());
+  const mock = await startMockChain(FIXTURE, opts);
+  t.after(() => mock.close());
+  return { mock, source: lb.resolveLogSource({ rpcs: [mock.rpcUrl], explorerUrl: mock.explorerUrl }) };
+}
+
+async function weekScore(weekMs, address) {
+  const s = await getStore().zscore(lb.weekPointsKey(weekMs), address);
+  return s == null ? null : Number(s);
+}
+
+test("backfill indexes both live weeks and leaves the rest out", async (t) => {
+  const { source } = await setup(t);
+  const state = await lb.backfillTwoWeeks(source, NOW, 0);
+
+  assert.strictEqual(state.currentWeekMs, THIS_WEEK);
+  assert.strictEqual(state.lastProcessedBlock, 30000n);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), 120000);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(2)), 15000);
+  assert.strictEqual(await weekScore(LAST_WEEK, addr(1)), 92000);
+  assert.strictEqual(await weekScore(LAST_WEEK, addr(2)), 81000);
+  // Over the per-commit cap: rejected, not counted.
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(4)), null);
+  assert.deepStrictEqual(state.rejected.map((r) => [r.address, r.reason]), [[addr(4), "points-over-cap"]]);
+  // An older week counts toward all-time only (7000 from 2026-09-28); another action's log
+  // counts nowhere.
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(1))), 99000);
+  assert.strictEqual(await weekScore(Date.parse("2026-09-28T00:00:00Z"), addr(1)), null);
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(3))), 120000);
+});
+
+test("a log seen twice is counted once", async (t) => {
+  const { mock, source } = await setup(t, { explorerDown: true });
+  // The node repeats every log, as overlapping ranges would.
+  const getLogs = mock.chain.getLogs;
+  mock.chain.getLogs = (f) => getLogs(f).flatMap((l) => [l, l]);
+
+  const state = await lb.backfillTwoWeeks(source, NOW, 0);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), 120000);
+  assert.strictEqual(await weekScore(LAST_WEEK, addr(1)), 92000);
+
+  // Rescanning blocks that were already applied changes nothing either.
+  state.lastProcessedBlock = 10000n;
+  await lb.incrementalUpdate(source, state, 0, NOW);
+  assert.strictEqual(state.lastProcessedBlock, 30000n);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), 120000);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(2)), 15000);
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(2))), 96000);
+});
+
+test("week rollover moves the window and keeps the finished week", async (t) => {
+  const { mock, source } = await setup(t);
+  const state = await lb.backfillTwoWeeks(source, NOW, 0);
+
+  const nextWeek = THIS_WEEK + 7 * 24 * 60 * 60 * 1000;
+  mock.chain.addLogs([
+    { block: 31000, user: addr(5), points: "3000", weekStart: "2026-10-19" },
+    // A late commit for the week that just ended still counts...
+    { block: 31010, user: addr(2), points: "1000", weekStart: "2026-10-12" },
+    // ...one for the week before it no longer does.
+    { block: 31020, user: addr(1), points: "1000", weekStart: "2026-10-05" }
+  ]);
+  await lb.incrementalUpdate(source, state, 0, Date.parse("2026-10-20T12:00:00Z"));
+
+  assert.strictEqual(state.currentWeekMs, nextWeek);
+  assert.strictEqual(state.lastWeekMs, THIS_WEEK);
+  assert.strictEqual(state.lastProcessedBlock, 31020n);
+  assert.strictEqual(await weekScore(nextWeek, addr(5)), 3000);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(2)), 16000);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), 120000);
+  assert.strictEqual(await weekScore(LAST_WEEK, addr(1)), 92000);
+});
+
+test("a scan cut off at the deadline resumes after the last block it fully fetched", async (t) => {
+  const { mock, source } = await setup(t, { explorerDown: true });
+  // Every eth_getLogs call takes 6 s of fake time against a 10 s budget: two 8000-block
+  // chunks (blocks 0-16001) fit, the rest is left for the next run.
+  const realNow = Date.now;
+  let skew = 0;
+  Date.now = () => realNow() + skew;
+  t.after(() => (Date.now = realNow));
+  const getLogs = mock.chain.getLogs;
+  mock.chain.getLogs = (f) => {
+    skew += 6000;
+    return getLogs(f);
+  };
+
+  const state = await lb.backfillTwoWeeks(source, NOW, Date.now() + 10000);
+  assert.strictEqual(state.lastProcessedBlock, 16001n);
+  assert.strictEqual(await weekScore(LAST_WEEK, addr(1)), 92000);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), null);
+
+  await lb.incrementalUpdate(source, state, 0, NOW);
+  assert.strictEqual(state.lastProcessedBlock, 30000n);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), 120000);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(2)), 15000);
+  assert.strictEqual(await weekScore(LAST_WEEK, addr(1)), 92000);
+});
+
+test("an RPC that refuses wide ranges gets smaller ones, not failed over", async (t) => {
+  const { mock, source } = await setup(t, { explorerDown: true, maxBlockRange: 1000 });
+  const state = await lb.backfillTwoWeeks(source, NOW, 0);
+
+  assert.strictEqual(state.lastProcessedBlock, 30000n);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), 120000);
+  assert.strictEqual(await weekScore(LAST_WEEK, addr(1)), 92000);
+  // 8000 -> 4000 -> 2000 -> 1000: each refusal asked once, with no retry rounds.
+  assert.strictEqual(mock.chain.stats.rejected, 3);
+});
+
+test("deposits from before the backfill window reach all-time through the history sweep", async (t) => {
+  const { mock, source } = await setup(t);
+  // Every fixture log is now more than a backfill window old.
+  mock.chain.mine(1200000);
+  const state = await lb.backfillTwoWeeks(source, NOW, 0);
+  assert.strictEqual(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(3)), null);
+  assert.deepStrictEqual([state.historyFrom, state.historyTo], [0n, 29999n]);
+
+  await lb.incrementalUpdate(source, state, 0, NOW);
+  assert.strictEqual(state.historyFrom, 30000n);
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(1))), 99000);
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(3))), 120000);
+  assert.strictEqual(await weekScore(THIS_WEEK, addr(3)), 120000);
+
+  // Done: later runs leave it be.
+  await lb.incrementalUpdate(source, state, 0, NOW);
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(1))), 99000);
+});
+
+test("a state saved before the sweep existed resweeps without counting anything twice", async (t) => {
+  const { source } = await setup(t);
+  const state = await lb.backfillTwoWeeks(source, NOW, 0);
+  delete state.historyFrom;
+  delete state.historyTo;
+
+  await lb.incrementalUpdate(source, state, 0, NOW);
+  assert.strictEqual(state.historyFrom, 30001n);
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(1))), 99000);
+  assert.strictEqual(Number(await getStore().zscore(lb.KV_ALLTIME_KEY, addr(2))), 96000);
+});
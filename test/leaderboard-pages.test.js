@@ -0,0 +1,95 @@
+// Leaderboard pages (api/leaderboard.js ?offset=&limit= / ?around=): served from the sorted sets.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMemoryStore, setStore, getStore } = require("../lib/store");
+const lb = require("../api/leaderboard");
+
+const NOW = Date.parse("2026-10-14T12:00:00Z");
+const THIS_WEEK = Date.parse("2026-10-12T00:00:00Z");
+const handler = lb.createLeaderboardHandler({ now: () => NOW });
+
+// Player i (1-based) has rank i: 0x…0001 leads with the most points.
+const player = (i) => "0x" + i.toString(16).padStart(40, "0");
+
+function get(query) {
+  return new Promise((resolve) => {
+    const res = {
+      setHeader() {},
+      status(code) {
+        return { send: (text) => resolve({ status: code, body: JSON.parse(text) }) };
+      }
+    };
+    handler({ method: "GET", query }, res);
+  });
+}
+
+test.beforeEach(async () => {
+  setStore(createMemoryStore());
+  for (let i = 1; i <= 120; i++) await getStore().zadd(lb.weekPointsKey(THIS_WEEK), player(i), 10000 - i);
+});
+
+test("offset and limit page through a board in rank order", async () => {
+  const first = await get({ offset: "0", limit: "10" });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.board, "weekly");
+  assert.strictEqual(first.body.total, 120);
+  assert.strictEqual(first.body.hasMore, true);
+  assert.deepStrictEqual(first.body.entries[0], { rank: 1, address: player(1), points: "9999" });
+  assert.strictEqual(first.body.entries.length, 10);
+
+  const last = await get({ offset: "110", limit: "50" });
+  assert.deepStrictEqual(last.body.entries.map((e) => e.rank), Array.from({ length: 10 }, (_, i) => 111 + i));
+  assert.strictEqual(last.body.hasMore, false);
+
+  assert.strictEqual((await get({ offset: "500" })).body.entries.length, 0);
+});
+
+test("limit and radius are clamped", async () => {
+  assert.strictEqual((await get({ limit: "1000" })).body.entries.length, 100);
+  assert.strictEqual((await get({ limit: "0" })).body.entries.length, 1);
+  assert.strictEqual((await get({ limit: "abc" })).body.limit, 50);
+  assert.strictEqual((await get({ around: player(60), radius: "99" })).body.entries.length, 51);
+});
+
+test("around centres the page on an address", async () => {
+  const r = await get({ around: player(60).toUpperCase().replace("0X", "0x"), radius: "2" });
+  assert.deepStrictEqual(r.body.around, { address: player(60), rank: 60 });
+  assert.deepStrictEqual(r.body.entries.map((e) => e.rank), [58, 59, 60, 61, 62]);
+
+  // Near the top the window is cut, not shifted.
+  const top = await get({ around: player(1), radius: "2" });
+  assert.deepStrictEqual(top.body.entries.map((e) => e.rank), [1, 2, 3]);
+
+  const absent = await get({ around: player(999) });
+  assert.deepStrictEqual(absent.body.around, { address: player(999), rank: null });
+  assert.deepStrictEqual(absent.body.entries, []);
+});
+
+test("other boards, archived weeks and days", async () => {
+  const older = Date.parse("2026-09-28T00:00:00Z");
+  await getStore().zadd(lb.weekPointsKey(older), player(7), 70);
+  await getStore().zadd(lb.KV_ALLTIME_KEY, player(3), 30);
+
+  const week = await get({ week: "2026-09-28", offset: "0" });
+  assert.strictEqual(week.body.board, "week");
+  assert.strictEqual(week.body.weekStart, older);
+  assert.deepStrictEqual(week.body.entries, [{ rank: 1, address: player(7), points: "70" }]);
+
+  const allTime = await get({ board: "allTime", limit: "5" });
+  assert.deepStrictEqual(allTime.body.entries.map((e) => e.address), [player(3)]);
+
+  const lastWeek = await get({ board: "lastWeek", limit: "5" });
+  assert.strictEqual(lastWeek.body.total, 0);
+
+  const daily = await get({ board: "daily", limit: "5" });
+  assert.strictEqual(daily.body.day, "2026-10-14");
+  assert.strictEqual(daily.body.endsAt, Date.parse("2026-10-15T00:00:00Z"));
+});
+
+test("bad parameters are rejected", async () => {
+  assert.strictEqual((await get({ board: "monthly", limit: "5" })).status, 400);
+  assert.strictEqual((await get({ around: "me" })).status, 400);
+  assert.strictEqual((await get({ week: "2026-10-14", offset: "0" })).status, 400); // not a Monday
+  assert.strictEqual((await get({ day: "2026-02-30", offset: "0" })).status, 400);
+});
@@ -0,0 +1,70 @@
+// WEEKLY_ADD validation in the leaderboard indexer (api/leaderboard.js): attestations and caps.
+
+process.env.ATTEST_SIGNING_KEY = "test-attest-key";
+process.env.LB_REQUIRE_ATTESTATION = "1";
+process.env.LB_MAX_POINTS_PER_COMMIT = "100000";
+process.env.LB_MAX_COMMITS_PER_WEEK = "2";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { startMockChain } = require("../lib/chain-mock");
+const { createMemoryStore, setStore, getStore } = require("../lib/store");
+const { signAttestation } = require("../lib/attestation");
+const lb = require("../api/leaderboard");
+
+const NOW = Date.parse("2026-10-14T12:00:00Z");
+const WEEK = Date.parse("2026-10-12T00:00:00Z");
+const addr = (d) => "0x" + String(d).repeat(40);
+
+// A WEEKLY_ADD fixture entry for this week, signed for `signed` (default: what it logs).
+function commit(block, user, points, { signed = points, issuedAt = WEEK, sig } = {}) {
+  const fields = { address: user, points: signed, weekStart: WEEK, issuedAt };
+  return { block, user, points: String(points), weekStart: WEEK, issuedAt, sig: sig || signAttestation(fields) };
+}
+
+async function index(t, logs) {
+  setStore(createMemoryStore());
+  const mock = await startMockChain({ latestBlock: 5000, logs });
+  t.after(() => mock.close());
+  const source = lb.resolveLogSource({ rpcs: [mock.rpcUrl], explorerUrl: mock.explorerUrl });
+  return lb.backfillTwoWeeks(source, NOW, 0);
+}
+
+async function points(user) {
+  const s = await getStore().zscore(lb.weekPointsKey(WEEK), user);
+  return s == null ? null : Number(s);
+}
+
+const reasons = (state) => state.rejected.map((r) => [r.block, r.reason]).sort();
+
+test("attested commits count, the rest are rejected with a reason", async (t) => {
+  const good = commit(100, addr(1), 5000);
+  const state = await index(t, [
+    good,
+    { block: 110, user: addr(2), points: "5000", weekStart: WEEK }, // no attestation
+    commit(120, addr(3), 90000, { signed: 900 }), // signed for less than it logs
+    { ...good, block: 130 }, // the same attestation again
+    commit(140, addr(4), 200000), // over LB_MAX_POINTS_PER_COMMIT
+    commit(150, addr(5), 0)
+  ]);
+
+  assert.strictEqual(await points(addr(1)), 5000);
+  for (const d of [2, 3, 4, 5]) assert.strictEqual(await points(addr(d)), null);
+  assert.deepStrictEqual(reasons(state), [
+    ["110", "missing-attestation"],
+    ["120", "bad-attestation"],
+    ["130", "attestation-reused"],
+    ["140", "points-over-cap"],
+    ["150", "zero-points"]
+  ]);
+});
+
+test("commits past LB_MAX_COMMITS_PER_WEEK don't count", async (t) => {
+  const state = await index(t, [
+    commit(100, addr(1), 1000, { issuedAt: WEEK + 1 }),
+    commit(110, addr(1), 1000, { issuedAt: WEEK + 2 }),
+    commit(120, addr(1), 1000, { issuedAt: WEEK + 3 })
+  ]);
+  assert.strictEqual(await points(addr(1)), 2000);
+  assert.deepStrictEqual(reasons(state), [["120", "commit-rate"]]);
+});
@@ -0,0 +1,167 @@
+// Paymaster spend accounting (lib/paymaster-accounting.js), as /api/paymaster and
+// /api/paymaster/stats use it, against a local stand-in for the paymaster.
+
+process.env.PAYMASTER_WEEKLY_BUDGET_ETH = "0.001"; // 1e6 gwei
+process.env.PAYMASTER_DAILY_QUOTA = "100";
+process.env.PAYMASTER_STATS_TOKEN = "stats-token";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { encodeFunctionData, parseAbi, stringToHex } = require("viem");
+const { createMemoryStore, setStore, getStore } = require("../lib/store");
+const { estimateUserOpCost, reservePaymasterBudget, readBudget } = require("../lib/paymaster-accounting");
+const { CONTRACT, CHAIN_ID_HEX } = require("../src/chain.js");
+
+const abi = parseAbi(["function logAction(bytes32 action, bytes data)", "function execute(address target, uint256 value, bytes data)"]);
+const callData = encodeFunctionData({
+  abi,
+  functionName: "execute",
+  args: [CONTRACT, 0n, encodeFunctionData({ abi, functionName: "logAction", args: [stringToHex("WEEKLY_ADD", { size: 32 }), "0x"] })]
+});
+const SENDER = "0x" + "5".repeat(40);
+
+// 100k gas at 2 gwei = 200000 gwei: five of them fill the weekly budget.
+function pmCall(method = "pm_getPaymasterData", nonce = "0x1") {
+  const userOp = { sender: SENDER, nonce, callData, callGasLimit: "0xea60", verificationGasLimit: "0x9c40", maxFeePerGas: "0x77359400" };
+  return { jsonrpc: "2.0", id: 1, method, params: [userOp, "0x0000000071727de22e5e9d8baf0edac6f37da032", CHAIN_ID_HEX, {}] };
+}
+
+const quotaKey = () => `lanerunner:pm:v1:quota:${SENDER}:${new Date().toISOString().slice(0, 10)}`;
+
+let upstreamReply = () => ({ status: 200, body: { jsonrpc: "2.0", id: 1, result: { paymasterAndData: "0x01" } } });
+let server;
+let paymaster;
+let stats;
+
+function call(handler, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); },
+      send(text) { resolve({ status: this.statusCode, body: JSON.parse(text) }); }
+    };
+    handler(req, res);
+  });
+}
+const post = (body) => call(paymaster, { method: "POST", body: JSON.stringify(body) });
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      const { status, body } = upstreamReply();
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  process.env.PAYMASTER_AND_BUNDLER_ENDPOINT = `http://127.0.0.1:${server.address().port}/rpc`;
+  paymaster = (await import("../api/paymaster.mjs")).default;
+  stats = (await import("../api/paymaster/stats.mjs")).default;
+});
+test.after(() => new Promise((r) => server.close(r)));
+test.beforeEach(() => setStore(createMemoryStore()));
+
+test("spend is estimated from the user operation's gas fields", () => {
+  const { gas, costWei } = estimateUserOpCost(pmCall().params[0]);
+  assert.strictEqual(gas, 100000n);
+  assert.strictEqual(costWei, 200000n * 10n ** 9n);
+  // v0.7 paymaster gas fields count too; junk counts as zero.
+  assert.strictEqual(estimateUserOpCost({ paymasterPostOpGasLimit: 5, maxFeePerGas: 2, callGasLimit: "x" }).costWei, 10n);
+});
+
+test("reservations stop at the weekly budget and can be taken back", async () => {
+  const store = getStore();
+  const reservations = [];
+  for (let i = 0; i < 5; i++) {
+    const r = await reservePaymasterBudget(store, [pmCall()]);
+    assert.strictEqual(r.ok, true);
+    reservations.push(r);
+  }
+  assert.strictEqual((await reservePaymasterBudget(store, [pmCall()])).ok, false);
+  assert.strictEqual((await readBudget(store)).exhausted, true);
+
+  await reservations[0].release();
+  await reservations[0].release(); // only once
+  assert.strictEqual((await readBudget(store)).remainingWei, (200000n * 10n ** 9n).toString());
+  // Stub calls cost nothing.
+  assert.strictEqual((await reservePaymasterBudget(store, [pmCall("pm_getPaymasterStubData")])).ok, true);
+});
+
+test("sponsored calls are logged and counted, then sponsorship pauses at the cap", async () => {
+  assert.strictEqual((await post(pmCall("pm_getPaymasterStubData"))).status, 200);
+  for (let i = 0; i < 5; i++) assert.strictEqual((await post(pmCall())).status, 200);
+
+  // Paused for stub data as well, so wallets fall back to paying gas before they sign.
+  for (const method of ["pm_getPaymasterData", "pm_getPaymasterStubData"]) {
+    const paused = await post(pmCall(method));
+    assert.strictEqual(paused.status, 403);
+    assert.deepStrictEqual(paused.body.error.data, { reason: "budget-exhausted" });
+  }
+
+  const r = await call(stats, { method: "GET", headers: { authorization: "Bearer stats-token" }, query: {} });
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.body.sponsoring, false);
+  assert.strictEqual(r.body.budget.spentWei, (10n ** 15n).toString());
+  assert.deepStrictEqual([r.body.week.sponsored, r.body.week.denied], [5, 2]);
+  assert.deepStrictEqual(r.body.topWallets, [{ address: SENDER, sponsored: 5 }]);
+  assert.deepStrictEqual(r.body.recent.map((e) => e.status).sort(), ["sponsored", "sponsored", "sponsored", "sponsored", "sponsored", "stub"]);
+  assert.strictEqual(r.body.upstreams.upstreams.length, 1);
+});
+
+test("a call the paymaster refuses costs nothing", async () => {
+  upstreamReply = () => ({ status: 200, body: { jsonrpc: "2.0", id: 1, error: { code: -32000, message: "sponsorship rejected" } } });
+  try {
+    const r = await post(pmCall());
+    assert.strictEqual(r.body.error.message, "sponsorship rejected");
+  } finally {
+    upstreamReply = () => ({ status: 200, body: { jsonrpc: "2.0", id: 1, result: { paymasterAndData: "0x01" } } });
+  }
+  const budget = await readBudget(getStore());
+  assert.strictEqual(budget.spentWei, "0");
+  const r = await call(stats, { method: "GET", query: { token: "stats-token" } });
+  assert.strictEqual(r.body.week.sponsored, 0);
+  assert.strictEqual(r.body.recent[0].status, "upstream-error");
+});
+
+test("gas values too large to count are refused without using quota", async () => {
+  const huge = pmCall();
+  huge.params[0].maxFeePerGas = "0x" + "f".repeat(40);
+  const r = await post(huge);
+  assert.strictEqual(r.status, 403);
+  assert.deepStrictEqual(r.body.error.data, { reason: "gas-out-of-range" });
+  assert.strictEqual((await readBudget(getStore())).spentWei, "0");
+  assert.strictEqual(Number(await getStore().get(quotaKey())), 0);
+});
+
+test("a store failure while reserving spend hands the quota back", async () => {
+  const store = getStore();
+  const incrby = store.incrby;
+  store.incrby = (k, n) => (k.endsWith(":gwei") ? Promise.reject(new Error("store down")) : incrby(k, n));
+  const r = await post(pmCall());
+  assert.strictEqual(r.status, 503);
+  assert.strictEqual(Number(await store.get(quotaKey())), 0);
+});
+
+test("a store failure while handing spend back still returns the paymaster's answer", async () => {
+  const store = getStore();
+  const incrby = store.incrby;
+  store.incrby = (k, n) => (n < 0 ? Promise.reject(new Error("store down")) : incrby(k, n));
+  upstreamReply = () => ({ status: 200, body: { jsonrpc: "2.0", id: 1, error: { code: -32000, message: "sponsorship rejected" } } });
+  try {
+    const r = await post(pmCall());
+    assert.strictEqual(r.body.error.message, "sponsorship rejected");
+  } finally {
+    upstreamReply = () => ({ status: 200, body: { jsonrpc: "2.0", id: 1, result: { paymasterAndData: "0x01" } } });
+  }
+});
+
+test("stats need the token", async () => {
+  assert.strictEqual((await call(stats, { method: "GET", headers: {}, query: {} })).status, 401);
+  assert.strictEqual((await call(stats, { method: "GET", query: { token: "wrong" } })).status, 401);
+  assert.strictEqual((await call(stats, { method: "POST", query: {} })).status, 405);
+});
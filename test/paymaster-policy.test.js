@@ -0,0 +1,119 @@
+// Paymaster sponsorship policy (lib/paymaster-policy.js): what /api/paymaster forwards.
+
+process.env.PAYMASTER_DAILY_QUOTA = "2";
+process.env.PAYMASTER_IP_DAILY_QUOTA = "3";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { encodeFunctionData, parseAbi, stringToHex } = require("viem");
+const { createMemoryStore } = require("../lib/store");
+const { checkCall, clientIpOf, decodeUserOpCalls, enforcePaymasterPolicy } = require("../lib/paymaster-policy");
+const { CONTRACT, CHAIN_ID_HEX } = require("../src/chain.js");
+
+const abi = parseAbi([
+  "function logAction(bytes32 action, bytes data)",
+  "function transfer(address to, uint256 amount)",
+  "function execute(address target, uint256 value, bytes data)",
+  "function executeBatch((address target, uint256 value, bytes data)[] calls)"
+]);
+const SENDER = "0x" + "5".repeat(40);
+const OTHER = "0x" + "6".repeat(40);
+
+const logAction = encodeFunctionData({ abi, functionName: "logAction", args: [stringToHex("WEEKLY_ADD", { size: 32 }), "0x1234"] });
+const execute = (to, value, data) => encodeFunctionData({ abi, functionName: "execute", args: [to, value, data] });
+const executeBatch = (calls) =>
+  encodeFunctionData({ abi, functionName: "executeBatch", args: [calls.map(([target, value, data]) => ({ target, value, data }))] });
+
+function pmCall(callData, { method = "pm_getPaymasterData", sender = SENDER, chainId = CHAIN_ID_HEX, id = 1 } = {}) {
+  return { jsonrpc: "2.0", id, method, params: [{ sender, nonce: "0x1", callData }, "0x0000000071727de22e5e9d8baf0edac6f37da032", chainId, {}] };
+}
+
+test("only logAction on our contract, without value, is sponsored", () => {
+  assert.deepStrictEqual(checkCall(pmCall(execute(CONTRACT, 0n, logAction))), {
+    ok: true,
+    sender: SENDER,
+    charged: true,
+    targets: [CONTRACT.toLowerCase()]
+  });
+  assert.strictEqual(checkCall(pmCall(executeBatch([[CONTRACT, 0n, logAction], [CONTRACT, 0n, logAction]]))).ok, true);
+
+  const reason = (call) => checkCall(call).reason;
+  assert.strictEqual(reason(pmCall(execute(OTHER, 0n, logAction))), "target-not-allowed");
+  assert.strictEqual(reason(pmCall(execute(CONTRACT, 1n, logAction))), "value-not-allowed");
+  const transfer = encodeFunctionData({ abi, functionName: "transfer", args: [OTHER, 5n] });
+  assert.strictEqual(reason(pmCall(execute(CONTRACT, 0n, transfer))), "selector-not-allowed");
+  // One bad call in a batch spoils it.
+  assert.strictEqual(reason(pmCall(executeBatch([[CONTRACT, 0n, logAction], [OTHER, 0n, logAction]]))), "target-not-allowed");
+  assert.strictEqual(reason(pmCall(logAction)), "calldata-not-allowed");
+});
+
+test("methods, chain and shape are checked", () => {
+  const ok = execute(CONTRACT, 0n, logAction);
+  assert.strictEqual(checkCall(pmCall(ok, { method: "pm_getPaymasterStubData" })).charged, false);
+  assert.strictEqual(checkCall(pmCall(ok, { method: "eth_sendUserOperation" })).reason, "method-not-allowed");
+  assert.strictEqual(checkCall(pmCall(ok, { chainId: "0x1" })).reason, "wrong-chain");
+  assert.strictEqual(checkCall(pmCall(ok, { sender: "0x1234" })).reason, "bad-request");
+  assert.strictEqual(checkCall(null).reason, "bad-request");
+});
+
+test("callData that lies about its offsets is refused, not thrown", () => {
+  const good = execute(CONTRACT, 0n, logAction);
+  assert.strictEqual(decodeUserOpCalls(good.slice(0, 80)), null);
+  // The bytes offset (third word) pointing far outside the calldata.
+  const bad = good.slice(0, 10 + 128) + "f".repeat(64) + good.slice(10 + 192);
+  assert.strictEqual(decodeUserOpCalls(bad), null);
+  assert.strictEqual(decodeUserOpCalls("0xdeadbeef"), null);
+});
+
+test("the daily quota counts charged calls per sender and can be handed back", async () => {
+  const store = createMemoryStore();
+  const now = Date.parse("2026-10-14T12:00:00Z");
+  const charged = pmCall(execute(CONTRACT, 0n, logAction));
+  const stub = pmCall(execute(CONTRACT, 0n, logAction), { method: "pm_getPaymasterStubData" });
+
+  // Stub data is free.
+  for (let i = 0; i < 5; i++) assert.strictEqual((await enforcePaymasterPolicy(stub, { store, now })).ok, true);
+
+  const first = await enforcePaymasterPolicy(charged, { store, now });
+  assert.strictEqual(first.ok, true);
+  assert.strictEqual((await enforcePaymasterPolicy(charged, { store, now })).ok, true);
+  const third = await enforcePaymasterPolicy([stub, charged], { store, now });
+  assert.deepStrictEqual([third.ok, third.reason, third.index], [false, "quota-exceeded", 0]);
+
+  // An upstream failure gives the reservation back.
+  await first.release();
+  await first.release();
+  assert.strictEqual((await enforcePaymasterPolicy(charged, { store, now })).ok, true);
+  assert.strictEqual((await enforcePaymasterPolicy(charged, { store, now })).reason, "quota-exceeded");
+
+  // Other senders and the next day start fresh.
+  assert.strictEqual((await enforcePaymasterPolicy(pmCall(execute(CONTRACT, 0n, logAction), { sender: OTHER }), { store, now })).ok, true);
+  assert.strictEqual((await enforcePaymasterPolicy(charged, { store, now: now + 864e5 })).ok, true);
+});
+
+test("made-up senders still share their IP's daily quota", async () => {
+  const store = createMemoryStore();
+  const now = Date.parse("2026-10-14T12:00:00Z");
+  const from = (d) => pmCall(execute(CONTRACT, 0n, logAction), { sender: "0x" + String(d).repeat(40) });
+  const ip = "203.0.113.7";
+
+  for (const d of [1, 2, 3]) assert.strictEqual((await enforcePaymasterPolicy(from(d), { store, now, clientIp: ip })).ok, true);
+  const fourth = await enforcePaymasterPolicy(from(4), { store, now, clientIp: ip });
+  assert.deepStrictEqual([fourth.ok, fourth.reason], [false, "ip-quota-exceeded"]);
+  // Stub data is refused too, and the refused call left sender 4's quota alone.
+  const stub = pmCall(execute(CONTRACT, 0n, logAction), { method: "pm_getPaymasterStubData", sender: "0x" + "7".repeat(40) });
+  assert.strictEqual((await enforcePaymasterPolicy(stub, { store, now, clientIp: ip })).reason, "ip-quota-exceeded");
+  assert.strictEqual((await enforcePaymasterPolicy(from(4), { store, now, clientIp: "203.0.113.8" })).ok, true);
+  assert.strictEqual((await enforcePaymasterPolicy(from(4), { store, now, clientIp: "203.0.113.8" })).ok, true);
+});
+
+test("the client IP is the first forwarded hop", () => {
+  assert.strictEqual(clientIpOf({ headers: { "x-forwarded-for": "203.0.113.7, 10.0.0.1" } }), "203.0.113.7");
+  assert.strictEqual(clientIpOf({ headers: {}, socket: { remoteAddress: "::1" } }), "::1");
+  assert.strictEqual(clientIpOf({ headers: { "x-forwarded-for": "<script>" } }), null);
+  assert.strictEqual(clientIpOf({}), null);
+});
+
+test("an empty batch is refused", async () => {
+  assert.strictEqual((await enforcePaymasterPolicy([], { store: createMemoryStore() })).reason, "bad-request");
+});
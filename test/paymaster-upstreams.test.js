@@ -0,0 +1,148 @@
+// Paymaster failover (lib/rotation.js, lib/paymaster-upstreams.js) against local stand-in upstreams.
+
+process.env.PAYMASTER_UPSTREAM_TIMEOUT_MS = "150";
+process.env.PAYMASTER_CIRCUIT_FAILURES = "2";
+process.env.PAYMASTER_CIRCUIT_COOLDOWN_MS = "200";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createUpstreamPool, withUpstreams } = require("../lib/rotation");
+
+const OK = { status: 200, body: { jsonrpc: "2.0", id: 1, result: { paymasterAndData: "0x01" } } };
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Two upstreams; behave[i]() => { status, body } or "hang". hits[i] counts requests.
+const behave = [() => OK, () => OK];
+const hits = [0, 0];
+const servers = [];
+let upstreams;
+
+function pmCall(method, nonce) {
+  return { jsonrpc: "2.0", id: 1, method, params: [{ sender: "0x" + "5".repeat(40), nonce }, "0x", "0x2105", {}] };
+}
+async function forward(method, nonce = "0x1") {
+  const calls = [pmCall(method, nonce)];
+  return upstreams.forwardToPaymaster(JSON.stringify(calls[0]), calls);
+}
+function reset(...fns) {
+  fns.forEach((f, i) => (behave[i] = f));
+  hits.fill(0);
+}
+
+test.before(async () => {
+  for (let i = 0; i < 2; i++) {
+    const server = http.createServer((req, res) => {
+      hits[i]++;
+      req.resume();
+      req.on("end", () => {
+        const r = behave[i]();
+        if (r === "hang") return;
+        res.writeHead(r.status, { "content-type": "application/json" });
+        res.end(JSON.stringify(r.body));
+      });
+    });
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    servers.push(server);
+  }
+  process.env.PAYMASTER_AND_BUNDLER_ENDPOINTS = servers.map((s) => `http://127.0.0.1:${s.address().port}/rpc?key=secret`).join(",");
+  upstreams = require("../lib/paymaster-upstreams");
+});
+test.after(() => Promise.all(servers.map((s) => (s.closeAllConnections(), new Promise((r) => s.close(r))))));
+// Let every circuit close again between tests.
+test.afterEach(() => sleep(250));
+
+test("the pool rotates, opens a circuit after repeated failures and retries it after the cooldown", () => {
+  let t = 0;
+  const pool = createUpstreamPool(["a", "b", "c", "a"], { failureThreshold: 2, cooldownMs: 100, now: () => t });
+  assert.strictEqual(pool.size, 3);
+  assert.deepStrictEqual([pool.order()[0], pool.order()[0], pool.order()[0]], ["a", "b", "c"]);
+
+  pool.failure("b", new Error("x"));
+  assert.ok(pool.order().includes("b"));
+  pool.failure("b", new Error("x"));
+  assert.ok(!pool.order().includes("b"));
+  assert.strictEqual(pool.snapshot()[1].state, "open");
+  assert.deepStrictEqual(pool.order("c").slice(0, 1), ["c"]);
+
+  t = 100;
+  assert.ok(pool.order().includes("b"));
+  pool.success("b");
+  assert.strictEqual(pool.snapshot()[1].state, "healthy");
+
+  // All open: the one that opened first still gets tried.
+  for (const u of ["b", "a", "c"]) {
+    t += 10;
+    for (let i = 0; i < 2; i++) pool.failure(u, new Error("x"));
+  }
+  assert.deepStrictEqual(pool.order(), ["b"]);
+});
+
+test("withUpstreams stops early on a non-retryable error", async () => {
+  const pool = createUpstreamPool(["a", "b"]);
+  const tried = [];
+  await assert.rejects(
+    withUpstreams(pool, async (u) => {
+      tried.push(u);
+      throw Object.assign(new Error("no"), { retryable: false });
+    }),
+    /no/
+  );
+  assert.strictEqual(tried.length, 1);
+});
+
+test("withUpstreams hands back a refused request without blaming the upstream", async () => {
+  const pool = createUpstreamPool(["a", "b"], { failureThreshold: 1 });
+  const tried = [];
+  await assert.rejects(
+    withUpstreams(pool, async (u) => {
+      tried.push(u);
+      throw Object.assign(new Error("block range too large"), { upstreamOk: true });
+    }),
+    /block range/
+  );
+  assert.strictEqual(tried.length, 1);
+  assert.deepStrictEqual(pool.snapshot().map((u) => u.state), ["healthy", "healthy"]);
+});
+
+test("HTTP 5xx and JSON-RPC internal errors fail over to the next upstream", async () => {
+  reset(() => ({ status: 503, body: {} }), () => OK);
+  for (let i = 0; i < 2; i++) {
+    const r = await forward("pm_getPaymasterStubData", `0x1${i}`);
+    assert.strictEqual(r.upstream.index, 1);
+    assert.strictEqual(r.upstream.origin.includes("secret"), false);
+  }
+
+  await sleep(250);
+  reset(() => ({ status: 200, body: { jsonrpc: "2.0", id: 1, error: { code: -32603, message: "internal" } } }), () => OK);
+  assert.strictEqual((await forward("pm_getPaymasterStubData", "0x20")).upstream.index, 1);
+});
+
+test("other JSON-RPC errors are the answer, not a failure", async () => {
+  const refused = { status: 200, body: { jsonrpc: "2.0", id: 1, error: { code: -32000, message: "sponsorship rejected" } } };
+  reset(() => refused, () => refused);
+  const r = await forward("pm_getPaymasterStubData", "0x30");
+  assert.strictEqual(JSON.parse(r.text).error.message, "sponsorship rejected");
+  assert.strictEqual(hits[0] + hits[1], 1);
+});
+
+test("a timed-out charged call isn't sent to a second paymaster", async () => {
+  reset(() => "hang", () => "hang");
+  await assert.rejects(forward("pm_getPaymasterData", "0x40"), /timeout/);
+  assert.strictEqual(hits[0] + hits[1], 1);
+
+  // Stub data is free, so it may try the other one.
+  await sleep(250);
+  reset(() => "hang", () => "hang");
+  await assert.rejects(forward("pm_getPaymasterStubData", "0x41"), /timeout/);
+  assert.strictEqual(hits[0] + hits[1], 2);
+});
+
+test("paymaster data goes to the upstream that served the stub", async () => {
+  reset(() => OK, () => OK);
+  const stub = await forward("pm_getPaymasterStubData", "0x50");
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await forward("pm_getPaymasterData", "0x50")).upstream.index, stub.upstream.index);
+  }
+  assert.strictEqual(hits[stub.upstream.index], 4);
+});
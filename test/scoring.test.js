@@ -0,0 +1,55 @@
+// Run scoring (src/engine.js) and the per-mode best scores kept by src/game.js.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRun, stepRun, saveRunScore, runTotalScore, computeLaneGeometry, modeBucket } = require("../src/engine.js");
+const { recordModeScore, modeScoreFor } = require("../src/game.js");
+
+// A seeded run that drives straight for `ticks` (or until it crashes).
+function playRun(seed, ticks, mode = "endless") {
+  const run = createRun({ seed, mode, geo: computeLaneGeometry(360, 640) });
+  while (!run.over && run.tick < ticks) stepRun(run);
+  return run;
+}
+
+test("saving moves the run counter into the saved score without changing the total", () => {
+  const run = playRun(7, 300);
+  const before = runTotalScore(run);
+  assert.ok(before > 0);
+  const saved = saveRunScore(run);
+  assert.ok(saved > 0);
+  assert.strictEqual(run.runScore, 0);
+  assert.strictEqual(runTotalScore(run), before);
+  assert.deepStrictEqual(run.saves, [run.tick]);
+});
+
+test("the same seed and inputs score the same", () => {
+  assert.strictEqual(runTotalScore(playRun(42, 600)), runTotalScore(playRun(42, 600)));
+});
+
+test("recordModeScore keeps the best per mode and counts each run once", () => {
+  const mode = "timeAttack";
+  const long = playRun(3, 900, mode);
+  const short = playRun(3, 120, mode);
+  const bucket = modeBucket(long);
+  const start = modeScoreFor(bucket);
+
+  recordModeScore(long);
+  recordModeScore(long); // already scored
+  assert.strictEqual(long.newBest, runTotalScore(long) > start.best);
+  assert.strictEqual(modeScoreFor(bucket).runs, start.runs + 1);
+
+  recordModeScore(short);
+  const after = modeScoreFor(bucket);
+  assert.strictEqual(short.newBest, false);
+  assert.strictEqual(after.runs, start.runs + 2);
+  assert.strictEqual(after.last, runTotalScore(short));
+  assert.strictEqual(after.best, Math.max(start.best, runTotalScore(long)));
+});
+
+test("a run that never ticked isn't recorded", () => {
+  const run = createRun({ seed: 1, mode: "endless" });
+  const before = modeScoreFor("endless").runs;
+  recordModeScore(run);
+  assert.strictEqual(modeScoreFor("endless").runs, before);
+});
@@ -0,0 +1,132 @@
+// Storage adapters (lib/store.js): the in-process ones share one interface with the Redis ones.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore, createMemoryStore, createFileStore, acquireLock, releaseLock, getJson, setJson } = require("../lib/store");
+
+function tmpFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gasrun-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "nested", "store.json");
+}
+
+// Both local adapters must behave the same.
+const ADAPTERS = {
+  memory: () => createMemoryStore(),
+  file: (t) => createFileStore(tmpFile(t))
+};
+
+for (const [kind, make] of Object.entries(ADAPTERS)) {
+  test(`${kind}: set nx only writes a missing key`, async (t) => {
+    const s = make(t);
+    assert.strictEqual(s.kind, kind);
+    assert.strictEqual(s.shared, false);
+    assert.strictEqual(await s.set("k", "a", { nx: true }), "OK");
+    assert.strictEqual(await s.set("k", "b", { nx: true }), null);
+    assert.strictEqual(await s.get("k"), "a");
+    assert.strictEqual(await s.del("k"), 1);
+    assert.strictEqual(await s.del("k"), 0);
+    assert.strictEqual(await s.get("k"), null);
+  });
+
+  test(`${kind}: keys expire after ex / expire seconds`, async (t) => {
+    const s = make(t);
+    const realNow = Date.now;
+    let skew = 0;
+    Date.now = () => realNow() + skew;
+    t.after(() => (Date.now = realNow));
+
+    await s.set("short", "1", { ex: 10 });
+    await s.incrby("count", 5);
+    assert.strictEqual(await s.expire("count", 20), 1);
+    assert.strictEqual(await s.expire("missing", 20), 0);
+    skew = 11000;
+    assert.strictEqual(await s.get("short"), null);
+    // An expired key is free for nx again.
+    assert.strictEqual(await s.set("short", "2", { nx: true }), "OK");
+    // incrby keeps the TTL it had.
+    assert.strictEqual(await s.incrby("count", 1), 6);
+    skew = 21000;
+    assert.strictEqual(await s.get("count"), null);
+  });
+
+  test(`${kind}: sorted sets rank highest first`, async (t) => {
+    const s = make(t);
+    await s.zadd("z", "b", 20);
+    await s.zadd("z", "a", 20);
+    await s.zincrby("z", "c", 5);
+    assert.strictEqual(await s.zincrby("z", "c", 30), 35);
+    assert.strictEqual(await s.zcard("z"), 3);
+    assert.strictEqual(await s.zscore("z", "a"), 20);
+    assert.strictEqual(await s.zscore("z", "nobody"), null);
+    assert.strictEqual(await s.zrevrank("z", "c"), 0);
+    // Ties break by member, like Redis.
+    assert.deepStrictEqual(await s.zrevrange("z", 0, -1), [
+      { member: "c", score: 35 },
+      { member: "a", score: 20 },
+      { member: "b", score: 20 }
+    ]);
+    assert.deepStrictEqual((await s.zrevrange("z", 1, 1)).map((r) => r.member), ["a"]);
+  });
+
+  test(`${kind}: multi applies every op or none`, async (t) => {
+    const s = make(t);
+    const results = await s.multi([
+      ["set", "k", "v", { ex: 60 }],
+      ["incrby", "n", 2],
+      ["zincrby", "z", "m", 3],
+      ["zadd", "z", "o", 1]
+    ]);
+    assert.strictEqual(results.length, 4);
+    assert.strictEqual(await s.get("k"), "v");
+    assert.strictEqual(await s.zscore("z", "m"), 3);
+
+    await assert.rejects(s.multi([["incrby", "n", 1], ["del", "k"]]), /unsupported op "del"/);
+    assert.strictEqual(await s.get("n"), 2);
+  });
+
+  test(`${kind}: lock and JSON helpers`, async (t) => {
+    const s = make(t);
+    assert.strictEqual(await acquireLock(s, "lock"), true);
+    assert.strictEqual(await acquireLock(s, "lock"), false);
+    await releaseLock(s, "lock");
+    assert.strictEqual(await acquireLock(s, "lock"), true);
+
+    await setJson(s, "j", { a: [1, 2] });
+    assert.deepStrictEqual(await getJson(s, "j"), { a: [1, 2] });
+    await s.set("bad", "{not json");
+    assert.strictEqual(await getJson(s, "bad"), null);
+  });
+}
+
+test("file: data survives a restart and a corrupt file starts empty", async (t) => {
+  const file = tmpFile(t);
+  const s = createFileStore(file);
+  await s.set("k", "v");
+  await s.multi([["zincrby", "z", "m", 7], ["incrby", "n", 3]]);
+
+  const again = createFileStore(file);
+  assert.strictEqual(again.file, file);
+  assert.strictEqual(await again.get("k"), "v");
+  assert.strictEqual(await again.zscore("z", "m"), 7);
+  assert.strictEqual(await again.get("n"), 3);
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+
+  fs.writeFileSync(file, "{oops");
+  assert.strictEqual(await createFileStore(file).get("k"), null);
+});
+
+test("STORE_DRIVER picks the adapter and rejects unknown or unconfigured ones", () => {
+  assert.strictEqual(createStore("memory").kind, "memory");
+  assert.throws(() => createStore("sqlite"), /Unknown STORE_DRIVER "sqlite"/);
+  const saved = process.env.UPSTASH_REDIS_REST_URL;
+  delete process.env.UPSTASH_REDIS_REST_URL;
+  try {
+    assert.throws(() => createStore("upstash"), /STORE_DRIVER "upstash" is not configured/);
+  } finally {
+    if (saved != null) process.env.UPSTASH_REDIS_REST_URL = saved;
+  }
+});